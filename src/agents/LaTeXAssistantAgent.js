@@ -1,4 +1,7 @@
 import { AgentPlugin } from '../core/AgentPlugin.js';
+import { lintLaTeX, LINT_RULES } from '../core/LintRules.js';
+import { formatLaTeX } from '../core/LaTeXFormatter.js';
+import { parseReferences, createReference } from '../core/ReferenceImport.js';
 
 /**
  * LaTeX 助手 Agent - 完整功能演示
@@ -69,47 +72,6 @@ export class LaTeXAssistantAgent extends AgentPlugin {
                 solutions: ['检查包的使用方法', '更新包版本', '使用替代包']
             }
         ];
-
-        // 引用数据库
-        this.referenceDatabase = new Map();
-        this.initializeReferenceDatabase();
-    }
-
-    /**
-     * 初始化引用数据库
-     */
-    initializeReferenceDatabase() {
-        // 添加一些示例引用
-        this.referenceDatabase.set('einstein1905', {
-            type: 'article',
-            title: 'Zur Elektrodynamik bewegter Körper',
-            author: 'Einstein, Albert',
-            journal: 'Annalen der Physik',
-            volume: '17',
-            number: '10',
-            pages: '891--921',
-            year: '1905',
-            tags: ['physics', 'relativity', 'electrodynamics']
-        });
-
-        this.referenceDatabase.set('knuth1984', {
-            type: 'book',
-            title: 'The TeXbook',
-            author: 'Knuth, Donald E.',
-            publisher: 'Addison-Wesley',
-            year: '1984',
-            tags: ['tex', 'typesetting', 'programming']
-        });
-
-        this.referenceDatabase.set('lamport1994', {
-            type: 'book',
-            title: 'LaTeX: A Document Preparation System',
-            author: 'Lamport, Leslie',
-            publisher: 'Addison-Wesley',
-            edition: '2nd',
-            year: '1994',
-            tags: ['latex', 'documentation', 'typesetting']
-        });
     }
 
     /**
@@ -118,7 +80,6 @@ export class LaTeXAssistantAgent extends AgentPlugin {
     onInit() {
         this.log('info', 'LaTeX 智能助手初始化完成');
         this.setupEventListeners();
-        this.loadUserReferences();
     }
 
     /**
@@ -449,37 +410,45 @@ ${tableCode}
         return this.createResponse('我可以帮您：搜索引用、添加引用、插入引用、生成参考文献。请告诉我您需要什么？');
     }
 
+    /**
+     * 项目的文献管理器（条目来自项目中的 .bib 文件）
+     */
+    getBibliographyManager() {
+        return window.ide?.bibliographyManager || null;
+    }
+
     /**
      * 搜索引用
      */
     async searchReferences(message, context) {
+        const bibliography = this.getBibliographyManager();
+        if (!bibliography) {
+            return this.createResponse('文献管理器尚未就绪，请稍后再试。');
+        }
+
         const query = this.extractSearchQuery(message);
         if (!query) {
             return this.createResponse('请告诉我您要搜索的关键词，例如："搜索 Einstein 的文献"');
         }
         
-        const results = [];
-        for (const [key, ref] of this.referenceDatabase) {
-            const searchText = `${ref.title} ${ref.author} ${ref.tags?.join(' ') || ''}`.toLowerCase();
-            if (searchText.includes(query.toLowerCase())) {
-                results.push({ key, ...ref });
-            }
-        }
-        
+        const results = bibliography.search(query);
         if (results.length === 0) {
-            return this.createResponse(`没有找到包含"${query}"的引用。您可以添加新的引用或尝试其他关键词。`);
+            return this.createResponse(`项目的 .bib 文件中没有找到包含"${query}"的文献。您可以添加新的引用或尝试其他关键词。`);
         }
         
-        let responseText = `找到 ${results.length} 个相关引用：\n\n`;
-        results.forEach((ref, index) => {
-            responseText += `${index + 1}. **${ref.key}**\n`;
-            responseText += `   标题：${ref.title}\n`;
-            responseText += `   作者：${ref.author}\n`;
-            responseText += `   年份：${ref.year}\n`;
-            if (ref.journal) responseText += `   期刊：${ref.journal}\n`;
-            if (ref.publisher) responseText += `   出版社：${ref.publisher}\n`;
+        let responseText = `找到 ${results.length} 个相关文献：\n\n`;
+        results.slice(0, 10).forEach((entry, index) => {
+            responseText += `${index + 1}. **${entry.key}**（${entry.file}）\n`;
+            if (entry.title) responseText += `   标题：${entry.title}\n`;
+            if (entry.author) responseText += `   作者：${entry.author}\n`;
+            if (entry.year) responseText += `   年份：${entry.year}\n`;
+            if (entry.venue) responseText += `   出处：${entry.venue}\n`;
+            if (entry.tags.length > 0) responseText += `   标签：${entry.tags.join(', ')}\n`;
             responseText += `\n`;
         });
+        if (results.length > 10) {
+            responseText += `……还有 ${results.length - 10} 个，可以在文献管理面板中查看全部结果。\n\n`;
+        }
         
         responseText += `您可以说"引用 ${results[0].key}"来插入引用。`;
         
@@ -490,16 +459,26 @@ ${tableCode}
      * 插入引用
      */
     async insertCitation(message, context) {
+        const bibliography = this.getBibliographyManager();
+        if (!bibliography) {
+            return this.createResponse('文献管理器尚未就绪，请稍后再试。');
+        }
+
         const citationKey = this.extractCitationKey(message);
         if (!citationKey) {
             return this.createResponse('请指定要引用的文献，例如："引用 einstein1905"');
         }
         
-        if (!this.referenceDatabase.has(citationKey)) {
-            return this.createResponse(`没有找到引用"${citationKey}"。请先添加这个引用或检查拼写。\n\n可用的引用包括：\n${Array.from(this.referenceDatabase.keys()).map(key => `- ${key}`).join('\n')}`);
+        const entry = bibliography.getEntry(citationKey);
+        if (!entry) {
+            const keys = bibliography.search(citationKey).slice(0, 10).map(item => item.key);
+            return this.createResponse(
+                `项目的 .bib 文件中没有引用键"${citationKey}"。请先添加这个文献或检查拼写。` +
+                (keys.length > 0 ? `\n\n相近的引用键：\n${keys.map(key => `- ${key}`).join('\n')}` : '')
+            );
         }
         
-        const citationText = `\\cite{${citationKey}}`;
+        const citationText = `\\cite{${entry.key}}`;
         const editorContext = this.getEditorContext();
         const actions = [];
         
@@ -518,9 +497,9 @@ ${tableCode}
             
             actions.push(this.createEditAction(editorContext.filePath, edits, { save: this.config.autoSave }));
         } else {
-            // 如果没有打开的文件，创建新文件
-            const ref = this.referenceDatabase.get(citationKey);
+            // 如果没有打开的文件，创建引用该 .bib 文件的新文档
             const fileName = 'citation-example.tex';
+            const bibFile = entry.file.replace(/^\//, '').replace(/\.bib$/, '');
             const documentContent = `\\documentclass{article}
 \\usepackage[utf8]{inputenc}
 \\usepackage{cite}
@@ -538,23 +517,15 @@ ${tableCode}
 这里引用了一篇重要的文献${citationText}。
 
 \\bibliographystyle{plain}
-\\begin{thebibliography}{9}
-
-\\bibitem{${citationKey}}
-${ref.author} (${ref.year}).
-\\textit{${ref.title}}.
-${ref.journal ? ref.journal : ref.publisher}.
-
-\\end{thebibliography}
+\\bibliography{${bibFile}}
 
 \\end{document}`;
             
             actions.push(this.createCreateAction(`/${fileName}`, documentContent, { open: true }));
         }
         
-        const ref = this.referenceDatabase.get(citationKey);
         return this.createResponse(
-            `我已经插入了对"${ref.title}"的引用。${editorContext ? '引用已插入到当前位置。' : '已创建新文档包含该引用。'}记得在文档末尾添加参考文献列表。`,
+            `我已经插入了对"${entry.title || entry.key}"的引用。${editorContext ? '引用已插入到当前位置。' : '已创建新文档包含该引用。'}请确认文档中用 \\bibliography{} 或 \\addbibresource{} 引入了 ${entry.file}。`,
             actions
         );
     }
@@ -584,36 +555,31 @@ ${ref.journal ? ref.journal : ref.publisher}.
      * 修复编译错误
      */
     async fixCompilationErrors(message, context) {
-        // 模拟检测编译错误的过程
         const editorContext = this.getEditorContext();
         
         if (!editorContext) {
             return this.createResponse('当前没有打开的 LaTeX 文档。请先打开一个文档，然后我可以帮您检查和修复编译错误。\n\n我可以帮您修复的常见错误包括：\n- 未定义的命令\n- 缺失的包\n- 语法错误\n- 环境不匹配');
         }
         
-        // 模拟常见的编译错误和修复建议
-        const mockErrors = [
-            {
-                line: 15,
-                message: 'Undefined control sequence \\includegraphics',
-                type: 'undefined_command',
-                fix: '添加 \\usepackage{graphicx} 包'
-            },
-            {
-                line: 23,
-                message: 'Missing \\begin{document}',
-                type: 'missing_begin_document',
-                fix: '确保文档包含 \\begin{document}'
-            }
-        ];
+        // 使用最近一次编译日志解析出的错误
+        const errors = this.getLastCompilationErrors();
+        if (errors.length === 0) {
+            return this.createResponse('最近一次编译没有发现错误。如果您还没有编译当前文档，请先点击"编译"按钮，然后我可以根据编译日志提供修复建议。');
+        }
         
-        let responseText = '我检测到以下潜在的编译问题并提供修复建议：\n\n';
-        const fixes = [];
+        let responseText = `最近一次编译共有 ${errors.length} 个错误，修复建议如下：\n\n`;
         
-        mockErrors.forEach((error, index) => {
+        errors.forEach((error, index) => {
+            const errorType = this.analyzeError(error);
+            const autoFix = this.generateAutoFix(error, errorType);
+            
             responseText += `${index + 1}. **错误**：${error.message}\n`;
-            responseText += `   **位置**：第 ${error.line} 行\n`;
-            responseText += `   **修复建议**：${error.fix}\n\n`;
+            responseText += `   **位置**：${error.file || '未知文件'}${error.line ? ` 第 ${error.line} 行` : ''}\n`;
+            responseText += `   **修复建议**：${errorType.solutions.join('；')}\n`;
+            if (autoFix && autoFix.type === 'insert') {
+                responseText += `   **自动修复**：在第 ${autoFix.line} 行插入 \`${autoFix.text.trim()}\`\n`;
+            }
+            responseText += '\n';
         });
         
         responseText += '💡 **常见修复方法**：\n';
@@ -708,39 +674,35 @@ ${ref.journal ? ref.journal : ref.publisher}.
     async formatDocument(message, context) {
         const editorContext = this.getEditorContext();
         if (!editorContext) {
-            return this.createResponse('当前没有打开的文档需要格式化。请先打开一个 LaTeX 文件，或者让我为您生成一个新文档。\n\n格式化功能包括：\n- 移除多余空行\n- 清理行尾空格\n- 标准化环境语法\n- 优化数学模式格式');
+            return this.createResponse('当前没有打开的文档需要格式化。请先打开一个 LaTeX 文件，或者让我为您生成一个新文档。\n\n格式化功能包括：\n- 按环境缩进\n- 对齐表格与公式中的 & 列\n- 按设置折行或每句一行\n- 合并多余空行');
         }
         
         const content = editorContext.content || '';
         
-        // 基本格式化规则
-        let formattedContent = content
-            .replace(/\n\n\n+/g, '\n\n')  // 移除多余空行
-            .replace(/[ \t]+$/gm, '')      // 移除行尾空格
-            .replace(/\\begin\{([^}]+)\}/g, '\\begin{$1}')  // 标准化环境
-            .replace(/\\end\{([^}]+)\}/g, '\\end{$1}')
-            .replace(/\$\s+/g, '$')        // 移除数学模式中的多余空格
-            .replace(/\s+\$/g, '$');
+        // 使用编辑器的格式化程序，缩进与折行方式与 Shift+Alt+F 一致
+        const formatter = window.ide?.formatter;
+        const formattedContent = formatter ? formatter.format(content) : formatLaTeX(content);
         
         // 检查是否有实际变化
         if (formattedContent === content) {
             return this.createResponse('文档格式已经很好，无需进一步格式化。');
         }
         
+        const lines = content.split('\n');
         const actions = [
             this.createEditAction(editorContext.filePath, [{
                 range: {
                     startLineNumber: 1,
                     startColumn: 1,
-                    endLineNumber: 1000, // 使用较大的数字覆盖整个文档
-                    endColumn: 1
+                    endLineNumber: lines.length,
+                    endColumn: lines[lines.length - 1].length + 1
                 },
                 text: formattedContent
             }], { save: this.config.autoSave })
         ];
         
         return this.createResponse(
-            '我已经格式化了您的文档，包括：\n- 移除多余空行\n- 清理行尾空格\n- 标准化环境语法\n- 优化数学模式格式\n\n文档格式已优化完成。',
+            '我已经格式化了您的文档，包括：\n- 按环境缩进\n- 对齐表格与公式中的 & 列\n- 按设置折行或每句一行\n- 合并多余空行\n\n文档格式已优化完成。',
             actions
         );
     }
@@ -1012,16 +974,18 @@ ${ref.journal ? ref.journal : ref.publisher}.
         return match ? match[1].trim() : null;
     }
 
+    // "搜索 Einstein 的文献"、"搜索文献 relativity" 中的关键词
     extractSearchQuery(message) {
-        const match = message.match(/搜索\s+(.+)/) ||
-                     message.match(/查找\s+(.+)/) ||
+        const match = message.match(/(?:搜索|查找)\s*(?:文献|引用|参考文献)?\s*(.+)/) ||
                      message.match(/search\s+(.+)/i);
-        return match ? match[1].trim() : null;
+        if (!match) return null;
+        const query = match[1].replace(/\s*(?:的|相关的)?\s*(?:参考文献|文献|引用|论文)\s*$/, '').trim();
+        return query || null;
     }
 
     extractCitationKey(message) {
-        const match = message.match(/引用\s+(\w+)/) ||
-                     message.match(/cite\s+(\w+)/i);
+        const match = message.match(/引用\s+([^\s,，。{}%#\\]+)/) ||
+                     message.match(/cite\s+([^\s,，。{}%#\\]+)/i);
         return match ? match[1] : null;
     }
 
@@ -1043,16 +1007,18 @@ ${ref.journal ? ref.journal : ref.publisher}.
         // 可以在这里自动分析错误并提供修复建议
     }
 
-    // 获取最近的编译错误（模拟）
+    // 获取最近一次编译的错误（由编译日志解析得到）
     getLastCompilationErrors() {
-        // 这里应该从 IDE 获取实际的编译错误
-        return [
-            {
-                line: 15,
-                message: 'Undefined control sequence \\unknowncommand',
-                file: 'main.tex'
-            }
-        ];
+        const compileManager = window.ide?.compileManager;
+        if (!compileManager) {
+            return [];
+        }
+
+        return compileManager.getLastErrors().map(error => ({
+            line: error.line,
+            message: error.content ? `${error.message}\n${error.content}` : error.message,
+            file: error.file
+        }));
     }
 
     extractUndefinedCommand(message) {
@@ -1071,34 +1037,6 @@ ${ref.journal ? ref.journal : ref.publisher}.
         return packageMap[command] || null;
     }
 
-    loadUserReferences() {
-        // 从本地存储加载用户的引用
-        try {
-            const saved = localStorage.getItem('user_references');
-            if (saved) {
-                const userRefs = JSON.parse(saved);
-                for (const [key, ref] of Object.entries(userRefs)) {
-                    this.referenceDatabase.set(key, ref);
-                }
-            }
-        } catch (error) {
-            this.log('error', '加载用户引用失败', error);
-        }
-    }
-
-    saveUserReferences() {
-        // 保存用户的引用到本地存储
-        try {
-            const userRefs = {};
-            for (const [key, ref] of this.referenceDatabase) {
-                userRefs[key] = ref;
-            }
-            localStorage.setItem('user_references', JSON.stringify(userRefs));
-        } catch (error) {
-            this.log('error', '保存用户引用失败', error);
-        }
-    }
-
     /**
      * 生成公式
      */
@@ -1277,32 +1215,64 @@ Addison-Wesley.
 
     /**
      * 添加引用
+     * 消息中包含 BibTeX、RIS、CSL-JSON 或 EndNote XML 时导入其中的条目，否则从"key:…, 标题:…"形式的描述创建条目；
+     * 引用键与导入对话框一样按设置中的模式生成，与已有条目冲突时自动加上后缀
      */
     async addReference(message, context) {
-        // 从消息中提取引用信息
-        const refInfo = this.extractReferenceInfo(message);
-        
-        if (!refInfo.key) {
-            return this.createResponse('请提供引用的关键信息，例如："添加引用 key:newpaper2024, 标题:新论文, 作者:张三"');
-        }
-        
-        // 添加到引用数据库
-        this.referenceDatabase.set(refInfo.key, {
-            type: refInfo.type || 'article',
-            title: refInfo.title || '未知标题',
-            author: refInfo.author || '未知作者',
-            year: refInfo.year || new Date().getFullYear().toString(),
-            journal: refInfo.journal,
-            publisher: refInfo.publisher,
-            tags: refInfo.tags || []
-        });
-        
-        // 保存到本地存储
-        this.saveUserReferences();
-        
-        return this.createResponse(
-            `已成功添加引用"${refInfo.key}"到数据库。您现在可以使用"引用 ${refInfo.key}"来插入这个引用。`
-        );
+        const bibliography = this.getBibliographyManager();
+        if (!bibliography) {
+            return this.createResponse('文献管理器尚未就绪，请稍后再试。');
+        }
+
+        let references;
+        let errors = [];
+        const source = this.extractReferenceSource(message);
+        if (source) {
+            ({ references, errors } = parseReferences(source, bibliography.getImportSettings()));
+        } else {
+            const refInfo = this.extractReferenceInfo(message);
+            if (!refInfo.title && !refInfo.author) {
+                return this.createResponse(
+                    '请提供引用的信息，例如："添加引用 key:newpaper2024，标题:新论文，作者:张三，年份:2024"，' +
+                    '也可以直接粘贴 BibTeX、RIS、CSL-JSON 或 EndNote XML。'
+                );
+            }
+            references = [createReference(refInfo.journal ? 'article' : 'misc', refInfo.key, {
+                author: refInfo.author || '',
+                title: refInfo.title || '',
+                journal: refInfo.journal || '',
+                year: refInfo.year || new Date().getFullYear().toString()
+            })];
+        }
+
+        if (references.length === 0) {
+            return this.createResponse(`没有可以导入的文献：${errors.map(error => error.message).join('；') || '内容为空'}`);
+        }
+
+        try {
+            const { file, rows } = await bibliography.importReferences(references);
+            const imported = rows.filter(row => row.include);
+            const lines = [];
+            if (imported.length > 0) {
+                lines.push(`已将 ${imported.length} 个条目添加到 ${file}：${imported.map(row => row.key).join(', ')}`);
+            }
+            for (const row of rows) {
+                if (row.duplicate) {
+                    lines.push(`- 跳过：与已有条目 ${row.duplicate.key}（${row.duplicate.file}）重复`);
+                } else if (row.clash === 'existing') {
+                    lines.push(`- 引用键 ${row.baseKey} 已存在，新条目使用 ${row.key}`);
+                } else if (row.clash === 'import') {
+                    lines.push(`- 导入的条目中有多个 ${row.baseKey}，其中一个使用 ${row.key}`);
+                }
+            }
+            errors.forEach(error => lines.push(`- ${error.line ? `第 ${error.line} 行：` : ''}${error.message}`));
+            if (imported.length > 0) {
+                lines.push('', `您现在可以使用"引用 ${imported[0].key}"来插入这个引用。`);
+            }
+            return this.createResponse(lines.join('\n'));
+        } catch (error) {
+            return this.createResponse(`添加引用失败：${error.message}`);
+        }
     }
 
     /**
@@ -1348,7 +1318,7 @@ Addison-Wesley.
         }
         
         const content = editorContext.content || '';
-        const syntaxIssues = this.checkSyntax(content);
+        const syntaxIssues = await this.checkSyntax(content);
         
         if (syntaxIssues.length === 0) {
             return this.createResponse('✅ 未发现语法错误。您的 LaTeX 代码看起来很好！');
@@ -1513,9 +1483,25 @@ Addison-Wesley.
         const yearMatch = message.match(/年份[：:]?\s*(\d{4})/);
         if (yearMatch) info.year = yearMatch[1];
         
+        const journalMatch = message.match(/期刊[：:]?\s*([^，。]+)/);
+        if (journalMatch) info.journal = journalMatch[1].trim();
+        
         return info;
     }
 
+    /**
+     * 消息中粘贴的文献（BibTeX、RIS、CSL-JSON 或 EndNote XML），没有时返回 null
+     */
+    extractReferenceSource(message) {
+        const starts = [
+            message.search(/@[a-zA-Z]+\s*[{(]/),
+            message.search(/\bTY\s+-\s/),
+            message.search(/<(\?xml|xml\b|records\b)/),
+            message.search(/[[{]\s*[[{"]/)
+        ].filter(index => index !== -1);
+        return starts.length > 0 ? message.slice(Math.min(...starts)) : null;
+    }
+
     analyzeLatexContent(content) {
         return {
             lineCount: content.split('\n').length,
@@ -1528,24 +1514,18 @@ Addison-Wesley.
         };
     }
 
-    checkSyntax(content) {
-        const issues = [];
-        const lines = content.split('\n');
-        
-        lines.forEach((line, index) => {
-            // 检查未闭合的大括号
-            const openBraces = (line.match(/\{/g) || []).length;
-            const closeBraces = (line.match(/\}/g) || []).length;
-            if (openBraces !== closeBraces) {
-                issues.push({
-                    line: index + 1,
-                    message: '大括号不匹配',
-                    suggestion: '检查大括号的开闭'
-                });
-            }
-        });
-        
-        return issues;
+    /**
+     * 使用代码检查规则检查语法（按设置中的严重程度，关闭的规则不报告）
+     */
+    async checkSyntax(content) {
+        const linter = window.ide?.linter;
+        const diagnostics = linter ? await linter.lintText(content) : lintLaTeX(content);
+        
+        return diagnostics.map(diagnostic => ({
+            line: diagnostic.line,
+            message: diagnostic.message,
+            suggestion: diagnostic.fixes[0]?.title || LINT_RULES[diagnostic.rule].description
+        }));
     }
 
     extractReplaceInfo(message) {
@@ -0,0 +1,93 @@
+/**
+ * 自动编译
+ * 保存、项目内容更新（Yjs）或停止输入一段时间后在后台编译根文档，
+ * 新的修改到来时取消过期的编译，保证只编译最新内容
+ *
+ * 由编辑器设置中的 autoSave（开关）与 autoSaveDelay（延迟毫秒数）控制
+ */
+export class AutoCompiler {
+    constructor(ide) {
+        this.ide = ide;
+        this.enabled = false;
+        this.delay = 2000;
+        this.timer = null;
+        this.isRunning = false;
+        this.hasPendingChanges = false; // 编译期间又有新的修改
+    }
+
+    init() {
+        this.applySettings(this.ide.settingsManager.settings);
+        this.ide.settingsManager.on('settingsChanged', (settings) => this.applySettings(settings));
+
+        // 项目内容的每次更新（包括输入）都会重新开始计时，停止输入 delay 毫秒后才编译
+        this.ide.versionManager.on('projectUpdated', () => {
+            if (this.enabled) {
+                this.schedule(this.delay);
+            }
+        });
+
+        // 保存时立即编译
+        this.ide.pluginManager.addHook('file.save', () => {
+            if (this.enabled) {
+                this.schedule(0);
+            }
+        });
+    }
+
+    applySettings(settings) {
+        const editorSettings = settings.editor || {};
+        this.enabled = !!editorSettings.autoSave;
+        this.delay = Math.max(200, parseInt(editorSettings.autoSaveDelay, 10) || 2000);
+
+        if (!this.enabled) {
+            this.clearTimer();
+        }
+    }
+
+    schedule(delay) {
+        this.clearTimer();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.run();
+        }, delay);
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async run() {
+        const compileManager = this.ide.compileManager;
+
+        if (this.isRunning) {
+            // 正在编译的内容已过期：取消它，结束后用最新内容重新编译
+            this.hasPendingChanges = true;
+            if (compileManager.isBackgroundBuild) {
+                await compileManager.cancel();
+            }
+            return;
+        }
+
+        // 用户手动发起的编译不取消，等它结束后再编译
+        if (compileManager.isCompiling && !compileManager.isBackgroundBuild) {
+            this.schedule(this.delay);
+            return;
+        }
+
+        const rootFile = await this.ide.rootDocumentResolver.resolve(this.ide.currentFile);
+        if (!rootFile) return;
+
+        this.isRunning = true;
+        try {
+            do {
+                this.hasPendingChanges = false;
+                await compileManager.compile(rootFile, undefined, { background: true });
+            } while (this.hasPendingChanges && this.enabled);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
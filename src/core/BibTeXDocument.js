@@ -0,0 +1,249 @@
+/**
+ * BibTeX 文件的无损修改
+ * 修改条目时只替换原文中变化的部分（类型、引用键、字段值），注释、@string 宏、其他条目以及
+ * 未修改的字段保持原样，字段顺序不变；新增的字段追加在条目末尾，沿用已有字段的缩进与对齐方式
+ */
+
+// 引用键中不能出现的字符
+export const INVALID_BIB_KEY = /[\s,{}()"#%\\=]/;
+
+/**
+ * 花括号是否配对（忽略 \{ 与 \}）
+ */
+export function isBalanced(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth < 0) return false;
+        }
+    }
+    return depth === 0;
+}
+
+/**
+ * 字段值在表单中的显示方式
+ * 单个 {...}、"..." 或数字显示其中的内容；使用 @string 宏或 # 连接时显示原始表达式，保存时原样写回
+ * @param {string} raw - 原文中的字段值表达式
+ * @returns {Object} { value, expression }
+ */
+export function getEditableValue(raw) {
+    if (/^\d+$/.test(raw)) {
+        return { value: raw, expression: false };
+    }
+    if ((raw.startsWith('{') && findGroupEnd(raw, 0, '{', '}') === raw.length - 1) ||
+        (raw.startsWith('"') && findQuoteEnd(raw, 1) === raw.length - 1)) {
+        return { value: raw.slice(1, -1), expression: false };
+    }
+    return { value: raw, expression: true };
+}
+
+/**
+ * 把表单中的字段值转换为 BibTeX 值表达式，沿用原来的写法：
+ * 原来用引号的仍用引号，原来是不带括号的数字时数字也不加括号，其他情况用花括号
+ * @param {string} value - 字段内容
+ * @param {string} previousRaw - 原来的值表达式，新字段为空
+ */
+export function toBibValue(value, previousRaw = '') {
+    if (/^\d+$/.test(value) && /^\d+$/.test(previousRaw)) {
+        return value;
+    }
+    if (previousRaw.startsWith('"') && findQuoteEnd(`${value}"`, 0) === value.length) {
+        return `"${value}"`;
+    }
+    return `{${value}}`;
+}
+
+/**
+ * 修改文本中的一个条目
+ * @param {string} text - .bib 文件内容
+ * @param {Object} entry - 由 parseBibTeX 解析同一份文本得到的条目
+ * @param {Object} changes - { type, key, fields: [{ name, raw }] }，fields 为修改后的全部字段及其值表达式
+ * @returns {string} 修改后的文本
+ */
+export function updateBibEntry(text, entry, { type, key, fields }) {
+    const { spans } = entry;
+    if (spans.close === -1) {
+        throw new Error(`条目 ${entry.key || '(无键)'} 缺少结束的括号，请先在源码中修正`);
+    }
+
+    const edits = [];
+    if (type && type.toLowerCase() !== entry.type) {
+        edits.push({ start: entry.start + 1, end: spans.typeEnd, text: type });
+    }
+    if (key !== entry.key) {
+        edits.push({ start: spans.keyStart, end: spans.keyEnd, text: key });
+    }
+
+    const wanted = new Map(fields.map(field => [field.name.toLowerCase(), field]));
+    const kept = [];
+    for (const name of entry.fieldOrder) {
+        const span = spans.fields[name];
+        const field = wanted.get(name);
+        if (!field) {
+            edits.push(fieldRemoval(text, span));
+        } else {
+            kept.push(span);
+            if (field.raw !== text.slice(span.valueStart, span.valueEnd)) {
+                edits.push({ start: span.valueStart, end: span.valueEnd, text: field.raw });
+            }
+        }
+    }
+
+    const added = fields.filter(field => !spans.fields[field.name.toLowerCase()]);
+    if (added.length > 0) {
+        edits.push(fieldInsertion(text, entry, kept, added));
+    }
+
+    return applyEdits(text, edits);
+}
+
+/**
+ * 在文件末尾添加条目，与前面的内容之间空一行
+ * @param {Object} entry - { type, key, fields: [{ name, raw }] }
+ */
+export function appendBibEntry(text, entry) {
+    const separator = !text.trim() ? '' : text.endsWith('\n\n') ? '' : text.endsWith('\n') ? '\n' : '\n\n';
+    return `${text.trim() ? text : ''}${separator}${serializeBibEntry(entry)}\n`;
+}
+
+/**
+ * 删除文本中的一个条目，连同它所在的行与后面的一个空行
+ */
+export function removeBibEntry(text, entry) {
+    let start = entry.start;
+    let end = entry.end;
+
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const rest = text.slice(end).match(/^[ \t]*(?:\r?\n(?:[ \t]*\r?\n)?|$)/);
+    if (/^[ \t]*$/.test(text.slice(lineStart, start)) && rest) {
+        start = lineStart;
+        end += rest[0].length;
+    }
+    return text.slice(0, start) + text.slice(end);
+}
+
+/**
+ * 把条目转换为 BibTeX 文本，字段名对齐
+ * @param {Object} entry - { type, key, fields: [{ name, raw }] }
+ */
+export function serializeBibEntry({ type, key, fields }, indent = '  ') {
+    const width = Math.max(0, ...fields.map(field => field.name.length));
+    const lines = fields.map(field => `${indent}${field.name.padEnd(width)} = ${field.raw}`);
+    return lines.length > 0
+        ? `@${type}{${key},\n${lines.join(',\n')}\n}`
+        : `@${type}{${key}\n}`;
+}
+
+// 删除字段以及后面的逗号；字段单独占一行时删除整行
+function fieldRemoval(text, span) {
+    let start = span.start;
+    let end = span.end;
+
+    const comma = text.slice(end).match(/^\s*,/);
+    if (comma) {
+        end += comma[0].length;
+    } else {
+        // 条目的最后一个字段：保留前一个字段后的逗号，只去掉中间的空白
+        while (start > 0 && /[ \t]/.test(text[start - 1])) start--;
+    }
+
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const rest = text.slice(end).match(/^[ \t]*(?:\r?\n|$)/);
+    if (/^[ \t]*$/.test(text.slice(lineStart, start)) && rest) {
+        start = lineStart;
+        end += rest[0].length;
+    }
+    return { start, end, text: '' };
+}
+
+// 在保留的最后一个字段之后插入新字段
+function fieldInsertion(text, entry, existing, fields) {
+    const { spans } = entry;
+    const last = existing.reduce((latest, span) => (!latest || span.end > latest.end ? span : latest), null);
+
+    let anchor = last ? last.end : spans.keyEnd;
+    const comma = text.slice(anchor, spans.close).match(/^\s*,/);
+    if (comma) anchor += comma[0].length;
+
+    const indent = last ? indentOf(text, last.start) : '  ';
+    const formatName = nameFormatter(text, existing);
+    const lines = fields.map(field => `\n${indent}${formatName(field.name)}${field.raw}`);
+
+    // 原来最后一个字段后有逗号（或条目还没有字段）时，新字段后也加逗号
+    let insert = (comma ? '' : ',') + lines.join(',');
+    if (comma && last) insert += ',';
+    if (!/\n[ \t]*$/.test(text.slice(anchor, spans.close))) insert += '\n';
+
+    return { start: anchor, end: anchor, text: insert };
+}
+
+function indentOf(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    const prefix = text.slice(lineStart, offset);
+    return /^[ \t]+$/.test(prefix) ? prefix : '  ';
+}
+
+// 沿用最后一个字段 = 两边的空白；已有字段的 = 对齐时，新字段名补齐到相同宽度
+function nameFormatter(text, existing) {
+    const separators = existing.map(span => text.slice(span.start, span.valueStart));
+    if (separators.length === 0) {
+        return name => `${name} = `;
+    }
+
+    const [, before, after] = separators[separators.length - 1].match(/^[^\s=]*(\s*)=(\s*)$/)
+        .map(space => (space.includes('\n') ? ' ' : space));
+    const columns = new Set(separators.map(separator => separator.indexOf('=')));
+    if (separators.length > 1 && columns.size === 1) {
+        const width = [...columns][0];
+        return name => (name.length < width ? name.padEnd(width) : `${name} `) + '=' + after;
+    }
+    return name => `${name}${before}=${after}`;
+}
+
+function applyEdits(text, edits) {
+    let result = text;
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+function findGroupEnd(text, start, open, close) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === open) {
+            depth++;
+        } else if (ch === close) {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+// 引号内花括号外的第一个引号
+function findQuoteEnd(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+        } else if (ch === '"' && depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
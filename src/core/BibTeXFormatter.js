@@ -0,0 +1,103 @@
+import { parseBibTeX } from './BibTeXParser.js';
+import { serializeBibEntry } from './BibTeXDocument.js';
+import { findEarlyClose } from './BibTeXRules.js';
+
+/**
+ * BibTeX 格式化
+ * 每个条目的字段各占一行，统一缩进，字段名小写并对齐 =，条目之间空一行；字段值的写法保持不变。
+ * 有语法错误的条目原样保留，避免丢失内容
+ */
+
+export const BIB_SORT_ORDERS = ['none', 'key', 'year'];
+
+/**
+ * 格式化 .bib 文本
+ * @param {string} text - .bib 文件内容
+ * @param {Object} options - { indent: 字段缩进, sort: 'none' | 'key' | 'year' }
+ * @returns {string} 格式化后的文本
+ */
+export function formatBibTeX(text, options = {}) {
+    const { indent = '  ', sort = 'none' } = options;
+    const { entries, errors } = parseBibTeX(text);
+    if (entries.length === 0) return text;
+
+    // 把文本分为文件开头的部分、每个条目（连同它前面的内容）与文件末尾的部分；
+    // 紧挨在条目上方的 % 注释行属于该条目，排序时随条目移动；
+    // 提前结束的条目连同落在条目之外的字段一起原样保留，不当作下一个条目前面的内容
+    const headerEnd = attachedCommentStart(text, entries[0].start);
+    const header = text.slice(0, headerEnd);
+    let previousEnd = headerEnd;
+    const blocks = entries.map((entry, index) => {
+        const commentStart = Math.max(attachedCommentStart(text, entry.start), previousEnd);
+        const nextStart = index + 1 < entries.length ? entries[index + 1].start : text.length;
+        const earlyClose = findEarlyClose(text, entry);
+        const end = earlyClose === -1 ? entry.end : Math.min(earlyClose, nextStart);
+        const broken = earlyClose !== -1 || entry.spans.close === -1 || !entry.key ||
+            errors.some(error => error.offset >= entry.start && error.offset < entry.end && !isUndefinedMacro(error));
+        const block = {
+            entry,
+            leading: text.slice(previousEnd, commentStart).trim(),
+            comment: text.slice(commentStart, entry.start).trim(),
+            text: broken ? text.slice(entry.start, end).trim() : formatEntry(text, entry, indent)
+        };
+        previousEnd = end;
+        return block;
+    });
+    const trailing = text.slice(previousEnd).trim();
+
+    let hoisted = [];
+    if (sort !== 'none') {
+        // 条目之间的 @string 与 @preamble 移到所有条目之前，保证排序后宏仍在使用之前定义
+        for (const block of blocks) {
+            if (/^\s*@\s*(string|preamble)\b/im.test(block.leading)) {
+                hoisted.push(block.leading);
+                block.leading = '';
+            }
+        }
+        blocks.sort(compareBlocks(sort));
+    }
+
+    const parts = [
+        [header.trim(), ...hoisted].filter(Boolean).join('\n\n'),
+        ...blocks.map(block => [block.leading, block.comment, block.text].filter(Boolean).join('\n')),
+        trailing
+    ].filter(Boolean);
+    return `${parts.join('\n\n')}\n`;
+}
+
+// 紧挨在条目上方（中间没有空行）的 % 注释行的起始位置，没有这样的注释时为条目的起始位置
+function attachedCommentStart(text, offset) {
+    let start = text.lastIndexOf('\n', offset - 1) + 1;
+    if (text.slice(start, offset).trim()) return offset;
+    while (start > 0) {
+        const lineStart = text.lastIndexOf('\n', start - 2) + 1;
+        if (!/^[ \t]*%/.test(text.slice(lineStart, start - 1))) break;
+        start = lineStart;
+    }
+    return start;
+}
+
+// 未定义的宏不影响条目的结构，这样的条目仍然格式化
+function isUndefinedMacro(error) {
+    return error.message.startsWith('未定义的 @string 宏');
+}
+
+function formatEntry(text, entry, indent) {
+    const fields = entry.fieldOrder.map(name => {
+        const span = entry.spans.fields[name];
+        return { name, raw: text.slice(span.valueStart, span.valueEnd) };
+    });
+    return serializeBibEntry({ type: entry.type, key: entry.key, fields }, indent);
+}
+
+// 按年份排序时没有年份的条目排在最后，年份相同时按引用键排序
+function compareBlocks(sort) {
+    const byKey = (a, b) => a.entry.key.toLowerCase().localeCompare(b.entry.key.toLowerCase());
+    if (sort === 'key') return byKey;
+
+    const yearOf = ({ entry }) => {
+        const match = (entry.fields.year || entry.fields.date || '').match(/\d{4}/);
+        return match ? parseInt(match[0], 10) : Infinity;
+    };
+    return (a, b) => (yearOf(a) - yearOf(b)) || byKey(a, b);
+}
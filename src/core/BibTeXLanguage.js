@@ -0,0 +1,337 @@
+import * as monaco from 'monaco-editor';
+import { parseBibTeX } from './BibTeXParser.js';
+import { updateBibEntry } from './BibTeXDocument.js';
+import { formatBibTeX } from './BibTeXFormatter.js';
+import {
+    BIB_ENTRY_FIELDS, BIB_FIELD_DESCRIPTIONS, COMMON_FIELDS,
+    getEntryFields, validateBibTeX
+} from './BibTeXRules.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// 向上查找条目开头时最多检查的行数
+const MAX_ENTRY_LINES = 500;
+
+/**
+ * .bib 文件的编辑支持
+ * 按条目折叠、补全条目类型与字段、格式化（可按引用键或年份排序），
+ * 并把语法错误与缺少的必填字段报告到问题面板（重复的引用键由文献管理器报告）
+ */
+export class BibTeXLanguage {
+    constructor(ide) {
+        this.ide = ide;
+        this.problemSource = 'bibtex';
+        this.disposables = [];
+    }
+
+    init() {
+        this.disposables.push(
+            monaco.languages.registerFoldingRangeProvider('bibtex', {
+                provideFoldingRanges: (model) => this.provideFoldingRanges(model)
+            }),
+            monaco.languages.registerCompletionItemProvider('bibtex', {
+                triggerCharacters: ['@'],
+                provideCompletionItems: (model, position) => this.provideCompletionItems(model, position)
+            }),
+            monaco.languages.registerDocumentFormattingEditProvider('bibtex', {
+                displayName: 'BibTeX',
+                provideDocumentFormattingEdits: (model, options) => {
+                    const text = model.getValue();
+                    const formatted = formatBibTeX(text, this.getFormatOptions(options));
+                    return formatted === text ? [] : [{ range: model.getFullModelRange(), text: formatted }];
+                }
+            })
+        );
+        this.registerSortActions();
+
+        this.ide.bibliographyIndex.onChange(() => this.validate());
+        this.validate();
+    }
+
+    /**
+     * 格式化选项：缩进来自编辑器，排序方式来自设置
+     * @param {Object} editorOptions - Monaco 的 { tabSize, insertSpaces }
+     */
+    getFormatOptions(editorOptions = {}, sort = null) {
+        const tabSize = editorOptions.tabSize || 2;
+        return {
+            indent: editorOptions.insertSpaces === false ? '\t' : ' '.repeat(tabSize),
+            sort: sort || this.ide.settingsManager.get('editor', 'formatBibSort') || 'none'
+        };
+    }
+
+    registerSortActions() {
+        const actions = [
+            { id: 'bibtex.sortByKey', label: '按引用键排序条目', sort: 'key', order: 1 },
+            { id: 'bibtex.sortByYear', label: '按年份排序条目', sort: 'year', order: 2 }
+        ];
+        for (const { id, label, sort, order } of actions) {
+            this.ide.registerContextMenuAction({
+                id,
+                label,
+                contextMenuGroupId: '1_modification',
+                contextMenuOrder: 10 + order,
+                precondition: 'editorLangId == bibtex',
+                run: (editor) => this.sortEntries(editor, sort)
+            });
+        }
+    }
+
+    // 排序并格式化编辑器中的 .bib 文件，可以用 Ctrl+Z 撤销
+    sortEntries(editor, sort) {
+        const model = editor.getModel();
+        if (!model) return;
+
+        const text = model.getValue();
+        const formatted = formatBibTeX(text, this.getFormatOptions(model.getOptions(), sort));
+        if (formatted === text) return;
+
+        editor.pushUndoStop();
+        editor.executeEdits(this.problemSource, [{ range: model.getFullModelRange(), text: formatted }]);
+        editor.pushUndoStop();
+    }
+
+    // 每个条目（包括 @string 等以外的多行条目）可以折叠
+    provideFoldingRanges(model) {
+        const { entries } = parseBibTeX(model.getValue());
+        return entries
+            .map(entry => ({
+                start: entry.line,
+                end: model.getPositionAt(Math.max(entry.start, entry.end - 1)).lineNumber,
+                kind: monaco.languages.FoldingRangeKind.Region
+            }))
+            .filter(range => range.end > range.start);
+    }
+
+    provideCompletionItems(model, position) {
+        const lineBefore = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+
+        // @ 之后补全条目类型，插入包含必填字段的条目模板
+        const typeMatch = lineBefore.match(/^\s*@([a-zA-Z]*)$/);
+        if (typeMatch) {
+            const range = new monaco.Range(position.lineNumber, position.column - typeMatch[1].length, position.lineNumber, position.column);
+            return { suggestions: this.getTypeSuggestions(range) };
+        }
+
+        const context = this.getEntryContext(model, position);
+        if (!context) return { suggestions: [] };
+
+        const monthMatch = lineBefore.match(/\bmonth\s*=\s*([a-zA-Z]*)$/i);
+        if (monthMatch) {
+            const range = new monaco.Range(position.lineNumber, position.column - monthMatch[1].length, position.lineNumber, position.column);
+            return {
+                suggestions: MONTHS.map((month, index) => ({
+                    label: month,
+                    kind: monaco.languages.CompletionItemKind.Constant,
+                    detail: `${index + 1} 月`,
+                    insertText: month,
+                    sortText: String(index).padStart(2, '0'),
+                    range
+                }))
+            };
+        }
+
+        const nameMatch = lineBefore.match(/(?:^|[,{(])\s*([a-zA-Z][\w-]*)?$/);
+        if (!nameMatch || !context.atFieldName) return { suggestions: [] };
+
+        const word = nameMatch[1] || '';
+        const range = new monaco.Range(position.lineNumber, position.column - word.length, position.lineNumber, position.column);
+        return { suggestions: this.getFieldSuggestions(context, range) };
+    }
+
+    getTypeSuggestions(range) {
+        return Object.entries(BIB_ENTRY_FIELDS).map(([type, { description, required, optional }], index) => {
+            const fields = required.map((names, fieldIndex) => `\t${names.split('|')[0]} = {\${${fieldIndex + 2}}}`);
+            return {
+                label: type,
+                kind: monaco.languages.CompletionItemKind.Class,
+                detail: description,
+                documentation: {
+                    value: `**必填：** ${required.map(names => names.split('|').join(' 或 ')).join('、') || '无'}\n\n` +
+                        `**可选：** ${optional.join('、')}`
+                },
+                insertText: `${type}{\${1:key}${fields.length > 0 ? `,\n${fields.join(',\n')}` : ''}\n}$0`,
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                sortText: String(index).padStart(2, '0'),
+                range
+            };
+        });
+    }
+
+    // 条目中尚未出现的字段：必填字段在前，然后是可选字段与通用字段
+    getFieldSuggestions({ type, existing }, range) {
+        const fields = getEntryFields(type) || { required: [], optional: [] };
+        const groups = [
+            { names: fields.required.flatMap(names => names.split('|')), detail: '必填' },
+            { names: fields.optional, detail: '可选' },
+            { names: [...COMMON_FIELDS, ...Object.keys(BIB_FIELD_DESCRIPTIONS)], detail: '' }
+        ];
+
+        const seen = new Set(existing);
+        const suggestions = [];
+        groups.forEach(({ names, detail }, group) => {
+            for (const name of names) {
+                if (seen.has(name)) continue;
+                seen.add(name);
+                suggestions.push({
+                    label: name,
+                    kind: monaco.languages.CompletionItemKind.Field,
+                    detail: [detail, BIB_FIELD_DESCRIPTIONS[name]].filter(Boolean).join(' · '),
+                    insertText: `${name} = {$0}`,
+                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                    sortText: `${group}${String(suggestions.length).padStart(3, '0')}`,
+                    range
+                });
+            }
+        });
+        return suggestions;
+    }
+
+    /**
+     * 光标所在的条目
+     * @returns {Object|null} { type, existing: 已有的字段名, atFieldName: 光标是否位于字段名的位置 }
+     */
+    getEntryContext(model, position) {
+        let startLine = position.lineNumber;
+        const firstLine = Math.max(1, position.lineNumber - MAX_ENTRY_LINES);
+        while (startLine >= firstLine && !/^\s*@/.test(model.getLineContent(startLine))) startLine--;
+        if (startLine < firstLine) return null;
+
+        const header = model.getLineContent(startLine).match(/^\s*@([a-zA-Z]+)\s*[{(]/);
+        if (!header || /^(string|preamble|comment)$/i.test(header[1])) return null;
+
+        const before = model.getValueInRange(new monaco.Range(startLine, 1, position.lineNumber, position.column));
+        const state = scanEntry(before);
+        if (state.depth !== 1 || state.inQuote || !state.afterKey) return null;
+
+        // 已有的字段包括光标之后直到下一个条目的部分
+        let endLine = position.lineNumber;
+        const lastLine = Math.min(model.getLineCount(), position.lineNumber + MAX_ENTRY_LINES);
+        while (endLine < lastLine && !/^\s*@/.test(model.getLineContent(endLine + 1))) endLine++;
+        const entryText = model.getValueInRange(new monaco.Range(startLine, 1, endLine, model.getLineMaxColumn(endLine)));
+
+        return {
+            type: header[1].toLowerCase(),
+            existing: scanEntry(entryText).fields,
+            atFieldName: !/=\s*[^,\s]*$/.test(before.slice(before.lastIndexOf(',')))
+        };
+    }
+
+    // 把 .bib 文件中的语法错误与缺少的必填字段报告到问题面板
+    validate() {
+        const problems = [];
+        for (const [file, { text }] of this.ide.bibliographyIndex.files) {
+            for (const diagnostic of validateBibTeX(text)) {
+                const { missing, entry, ...problem } = diagnostic;
+                problems.push({
+                    ...problem,
+                    file,
+                    fixes: missing ? [{
+                        title: `添加缺少的字段：${missing.map(names => names.split('|')[0]).join('、')}`,
+                        run: () => this.addMissingFields(file, entry, missing)
+                    }] : []
+                });
+            }
+        }
+        this.ide.problemsPanel?.setProblems(this.problemSource, problems);
+    }
+
+    /**
+     * 在条目末尾添加空的必填字段（任选其一的字段添加第一个），光标移到第一个新字段中
+     * @param {Object} target - { key, start }，start 为检查时条目在文件中的位置
+     */
+    async addMissingFields(file, target, missing) {
+        if (this.ide.currentFile !== file) {
+            await this.ide.openFile(file);
+        }
+        const editor = this.ide.editor;
+        const model = editor?.getModel();
+        if (!model || this.ide.currentFile !== file) return;
+
+        const text = model.getValue();
+        const entries = parseBibTeX(text).entries.filter(entry => entry.key === target.key);
+        const entry = entries.find(item => item.start === target.start) || entries[0];
+        if (!entry) return;
+
+        const names = missing.map(item => item.split('|')[0]);
+        const fields = entry.fieldOrder.map(name => {
+            const span = entry.spans.fields[name];
+            return { name: span.name, raw: text.slice(span.valueStart, span.valueEnd) };
+        });
+        let updated;
+        try {
+            updated = updateBibEntry(text, entry, {
+                type: entry.type,
+                key: entry.key,
+                fields: [...fields, ...names.map(name => ({ name, raw: '{}' }))]
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        // 只替换变化的部分，保持光标与撤销历史
+        let start = 0;
+        while (start < text.length && text[start] === updated[start]) start++;
+        let end = 0;
+        while (end < text.length - start && text[text.length - 1 - end] === updated[updated.length - 1 - end]) end++;
+
+        const startPosition = model.getPositionAt(start);
+        const endPosition = model.getPositionAt(text.length - end);
+        editor.pushUndoStop();
+        editor.executeEdits(this.problemSource, [{
+            range: new monaco.Range(startPosition.lineNumber, startPosition.column, endPosition.lineNumber, endPosition.column),
+            text: updated.slice(start, updated.length - end)
+        }]);
+        editor.pushUndoStop();
+
+        const added = parseBibTeX(model.getValue()).entries
+            .find(item => item.key === entry.key && item.start === entry.start)?.spans.fields[names[0]];
+        if (added) {
+            const position = model.getPositionAt(added.valueStart + 1);
+            editor.setPosition(position);
+            editor.revealPositionInCenter(position);
+        }
+        editor.focus();
+    }
+
+    destroy() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
+
+/**
+ * 扫描条目开头到某一位置的文本
+ * @returns {Object} { depth: 括号深度, inQuote: 是否在引号中, afterKey: 是否已过引用键后的逗号, fields: 字段名 }
+ */
+function scanEntry(text) {
+    let depth = 0;
+    let inQuote = false;
+    let afterKey = false;
+    const fields = [];
+
+    for (let i = text.indexOf('@'); i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '{' || (ch === '(' && depth === 0)) {
+            depth++;
+        } else if (ch === '}' || (ch === ')' && depth === 1 && !inQuote)) {
+            depth--;
+        } else if (ch === '"' && depth === 1) {
+            inQuote = !inQuote;
+        } else if (depth === 1 && !inQuote) {
+            if (ch === ',') {
+                afterKey = true;
+            } else if (afterKey && /[a-zA-Z]/.test(ch) && /[\s,]/.test(text[i - 1])) {
+                const name = text.slice(i).match(/^([a-zA-Z][\w\-:.+]*)\s*=/);
+                if (name) {
+                    fields.push(name[1].toLowerCase());
+                    i += name[0].length - 1;
+                }
+            }
+        }
+    }
+    return { depth, inQuote, afterKey, fields };
+}
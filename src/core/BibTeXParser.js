@@ -0,0 +1,395 @@
+/**
+ * BibTeX 解析器
+ * 解析 .bib 文件中的条目、@string 宏与语法错误；每个条目记录在原文中的位置与原始文本，
+ * 便于只修改单个条目而不改变文件其余部分
+ */
+
+/**
+ * 解析 BibTeX 文本
+ * @param {string} text - .bib 文件内容
+ * @returns {Object} {
+ *   entries: [{ type, key, fields: { 字段名(小写): 值 }, fieldOrder, start, end, line, keyLine, keyColumn, raw, spans }],
+ *   strings: { 宏名(小写): 值 },
+ *   errors: [{ message, line, column, offset }]
+ * }
+ * spans 为条目各部分在原文中的偏移量，用于只修改条目的一部分：
+ *   { typeEnd, keyStart, keyEnd, close: 结束括号的位置（条目未闭合时为 -1），
+ *     fields: { 字段名(小写): { name, start, end, valueStart, valueEnd } } }
+ *   其中 name 为原文中的字段名，valueStart/valueEnd 为字段值表达式（含花括号、引号与 #）的范围
+ */
+export function parseBibTeX(text) {
+    const parser = new BibTeXParser(text);
+    return parser.parse();
+}
+
+class BibTeXParser {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.entries = [];
+        this.strings = {};
+        this.errors = [];
+        this.valueEnd = 0;
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    parse() {
+        while (true) {
+            const at = this.text.indexOf('@', this.pos);
+            if (at === -1) break;
+            this.pos = at;
+            this.parseItem();
+        }
+        return { entries: this.entries, strings: this.strings, errors: this.errors };
+    }
+
+    parseItem() {
+        const start = this.pos;
+        this.pos++; // @
+        const type = this.readIdentifier().toLowerCase();
+        const typeEnd = this.pos;
+        if (!type) {
+            return;
+        }
+
+        this.skipWhitespace();
+        const open = this.text[this.pos];
+        if (open !== '{' && open !== '(') {
+            this.error(`@${type} 后缺少 { 或 (`, this.pos);
+            return;
+        }
+        const close = open === '{' ? '}' : ')';
+        this.pos++;
+
+        if (type === 'comment') {
+            this.skipBalanced(start, open, close);
+            return;
+        }
+        if (type === 'preamble') {
+            this.skipBalanced(start, open, close);
+            return;
+        }
+        if (type === 'string') {
+            this.parseString(close);
+            return;
+        }
+
+        this.parseEntry(type, start, typeEnd, close);
+    }
+
+    parseString(close) {
+        this.skipWhitespace();
+        const name = this.readIdentifier().toLowerCase();
+        this.skipWhitespace();
+        if (!name || this.text[this.pos] !== '=') {
+            this.error('@string 格式错误，应为 @string{name = "value"}', this.pos);
+            this.recover(close);
+            return;
+        }
+        this.pos++;
+        const value = this.readValue(close);
+        if (value !== null) {
+            this.strings[name] = value;
+        }
+        this.skipWhitespace();
+        if (this.text[this.pos] === close) this.pos++;
+    }
+
+    parseEntry(type, start, typeEnd, close) {
+        this.skipWhitespace();
+        const keyStart = this.pos;
+        while (this.pos < this.text.length && !/[,\s}\)]/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+        const key = this.text.slice(keyStart, this.pos);
+        if (!key) {
+            this.error(`@${type} 条目缺少引用键`, keyStart);
+        }
+
+        const fields = {};
+        const fieldOrder = [];
+        const spans = { typeEnd, keyStart, keyEnd: this.pos, close: -1, fields: {} };
+
+        while (this.pos < this.text.length) {
+            this.skipWhitespace();
+            const ch = this.text[this.pos];
+
+            if (ch === close) {
+                spans.close = this.pos;
+                this.pos++;
+                this.addEntry({ type, key, keyStart, fields, fieldOrder, start, spans });
+                return;
+            }
+            if (ch === ',') {
+                this.pos++;
+                continue;
+            }
+            if (ch === '@') {
+                this.error(`条目 ${key || '(无键)'} 缺少结束的 ${close}`, start);
+                this.addEntry({ type, key, keyStart, fields, fieldOrder, start, spans });
+                return;
+            }
+
+            const nameStart = this.pos;
+            const originalName = this.readIdentifier();
+            const name = originalName.toLowerCase();
+            if (!name) {
+                this.error(`条目 ${key} 中有无法识别的内容`, this.pos);
+                this.recover(close);
+                this.addEntry({ type, key, keyStart, fields, fieldOrder, start, spans });
+                return;
+            }
+
+            this.skipWhitespace();
+            if (this.text[this.pos] !== '=') {
+                this.error(`字段 ${name} 后缺少 =`, this.pos);
+                this.recover(close);
+                this.addEntry({ type, key, keyStart, fields, fieldOrder, start, spans });
+                return;
+            }
+            this.pos++;
+
+            this.skipWhitespace();
+            const valueStart = this.pos;
+            const value = this.readValue(close);
+            if (value === null) {
+                this.addEntry({ type, key, keyStart, fields, fieldOrder, start, spans });
+                return;
+            }
+            if (Object.prototype.hasOwnProperty.call(fields, name)) {
+                this.error(`条目 ${key} 中字段 ${name} 重复`, nameStart);
+            } else {
+                fieldOrder.push(name);
+                spans.fields[name] = { name: originalName, start: nameStart, end: this.valueEnd, valueStart, valueEnd: this.valueEnd };
+            }
+            fields[name] = value;
+        }
+
+        this.error(`条目 ${key || '(无键)'} 缺少结束的 ${close}`, start);
+        this.addEntry({ type, key, keyStart, fields, fieldOrder, start, spans });
+    }
+
+    addEntry({ type, key, keyStart, fields, fieldOrder, start, spans }) {
+        const keyLine = this.lineOf(keyStart);
+        this.entries.push({
+            type,
+            key,
+            fields,
+            fieldOrder,
+            start,
+            end: this.pos,
+            line: this.lineOf(start),
+            keyLine,
+            keyColumn: keyStart - this.lineStarts[keyLine - 1] + 1,
+            raw: this.text.slice(start, this.pos),
+            spans
+        });
+    }
+
+    // 字段值：{...}、"..."、数字或 @string 宏，可用 # 连接；this.valueEnd 记录最后一部分的结束位置
+    readValue(close) {
+        let value = '';
+
+        while (true) {
+            this.skipWhitespace();
+            const ch = this.text[this.pos];
+
+            if (ch === '{') {
+                const end = this.findBalancedEnd(this.pos, '{', '}');
+                if (end === -1) {
+                    this.error('字段值缺少结束的 }', this.pos);
+                    this.skipToNextEntry();
+                    return null;
+                }
+                value += this.text.slice(this.pos + 1, end);
+                this.pos = end + 1;
+                this.valueEnd = this.pos;
+            } else if (ch === '"') {
+                const end = this.findQuoteEnd(this.pos + 1);
+                if (end === -1) {
+                    this.error('字段值缺少结束的 "', this.pos);
+                    this.skipToNextEntry();
+                    return null;
+                }
+                value += this.text.slice(this.pos + 1, end);
+                this.pos = end + 1;
+                this.valueEnd = this.pos;
+            } else if (/[0-9]/.test(ch || '')) {
+                const start = this.pos;
+                while (/[0-9]/.test(this.text[this.pos] || '')) this.pos++;
+                value += this.text.slice(start, this.pos);
+                this.valueEnd = this.pos;
+            } else {
+                const start = this.pos;
+                const name = this.readIdentifier().toLowerCase();
+                if (!name) {
+                    this.error('缺少字段值', start);
+                    this.valueEnd = start;
+                    return value;
+                }
+                this.valueEnd = this.pos;
+                if (Object.prototype.hasOwnProperty.call(this.strings, name)) {
+                    value += this.strings[name];
+                } else if (MONTHS[name]) {
+                    value += MONTHS[name];
+                } else {
+                    this.error(`未定义的 @string 宏 ${name}`, start);
+                    value += name;
+                }
+            }
+
+            this.skipWhitespace();
+            if (this.text[this.pos] === '#') {
+                this.pos++;
+                continue;
+            }
+            return value;
+        }
+    }
+
+    // 找到与 start 处开括号匹配的闭括号位置
+    findBalancedEnd(start, open, close) {
+        let depth = 0;
+        for (let i = start; i < this.text.length; i++) {
+            const ch = this.text[i];
+            if (ch === '\\') {
+                i++;
+            } else if (ch === open) {
+                depth++;
+            } else if (ch === close) {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    // 引号内的花括号必须配对，{"} 中的引号不结束字段值
+    findQuoteEnd(start) {
+        let depth = 0;
+        for (let i = start; i < this.text.length; i++) {
+            const ch = this.text[i];
+            if (ch === '\\') {
+                i++;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}') {
+                depth--;
+            } else if (ch === '"' && depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    skipBalanced(start, open, close) {
+        const end = this.findBalancedEnd(this.pos - 1, open, close);
+        if (end === -1) {
+            this.error('缺少结束的括号', start);
+            this.pos = this.text.length;
+        } else {
+            this.pos = end + 1;
+        }
+    }
+
+    // 括号不配对时从下一个以 @ 开头的行继续，避免吞掉后面的条目
+    skipToNextEntry() {
+        const nextEntry = this.text.indexOf('\n@', this.pos);
+        this.pos = nextEntry === -1 ? this.text.length : nextEntry + 1;
+    }
+
+    // 出错后跳到当前条目结束处继续解析
+    recover(close) {
+        const nextEntry = this.text.indexOf('\n@', this.pos);
+        const closeIndex = this.text.indexOf(close, this.pos);
+        if (closeIndex !== -1 && (nextEntry === -1 || closeIndex < nextEntry)) {
+            this.pos = closeIndex + 1;
+        } else {
+            this.pos = nextEntry === -1 ? this.text.length : nextEntry + 1;
+        }
+    }
+
+    readIdentifier() {
+        const match = this.text.slice(this.pos, this.pos + 200).match(/^[^\s"#%'(),={}@]+/);
+        if (!match) return '';
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    lineOf(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low + 1;
+    }
+
+    error(message, offset) {
+        const line = this.lineOf(offset);
+        this.errors.push({ message, line, column: offset - this.lineStarts[line - 1] + 1, offset });
+    }
+}
+
+const MONTHS = {
+    jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+};
+
+/**
+ * 把字段值转换为便于显示的纯文本（去掉花括号与常见格式命令）
+ */
+export function toPlainText(value) {
+    return (value || '')
+        .replace(/\\(textbf|textit|emph|textsc|texttt|mathrm)\s*\{/g, '{')
+        .replace(/\\["'`^~=.]\s*\{?([a-zA-Z])\}?/g, '$1')
+        .replace(/\\&/g, '&')
+        .replace(/\\([a-zA-Z]+)\s*/g, '$1')
+        .replace(/[{}]/g, '')
+        .replace(/~/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * 解析作者字段，返回姓氏列表
+ * 支持 "Last, First" 与 "First Last" 两种写法
+ */
+export function parseAuthors(value) {
+    return toPlainText(value)
+        .split(/\s+and\s+/i)
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => {
+            if (name.includes(',')) {
+                return name.split(',')[0].trim();
+            }
+            const parts = name.split(/\s+/);
+            return parts[parts.length - 1];
+        });
+}
+
+/**
+ * 简短的作者显示，如 "Smith"、"Smith & Lee"、"Smith et al."
+ */
+export function formatAuthorsShort(value) {
+    const authors = parseAuthors(value);
+    if (authors.length === 0) return '';
+    if (authors.length === 1) return authors[0];
+    if (authors.length === 2) return `${authors[0]} & ${authors[1]}`;
+    return `${authors[0]} et al.`;
+}
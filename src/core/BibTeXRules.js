@@ -0,0 +1,221 @@
+import { parseBibTeX } from './BibTeXParser.js';
+
+/**
+ * BibTeX 条目类型与字段
+ * 各条目类型的必填与可选字段（标准 BibTeX 与常用的 BibLaTeX 类型），用于补全和检查缺少的必填字段；
+ * "author|editor" 表示任选其一
+ */
+export const BIB_ENTRY_FIELDS = {
+    article: {
+        description: '期刊或杂志上的文章',
+        required: ['author', 'title', 'journal|journaltitle', 'year|date'],
+        optional: ['volume', 'number', 'pages', 'month', 'doi', 'issn', 'url', 'note']
+    },
+    book: {
+        description: '有出版社的书',
+        required: ['author|editor', 'title', 'publisher', 'year|date'],
+        optional: ['volume', 'number', 'series', 'address', 'edition', 'month', 'isbn', 'doi', 'url', 'note']
+    },
+    inproceedings: {
+        description: '会议论文集中的文章',
+        required: ['author', 'title', 'booktitle', 'year|date'],
+        optional: ['editor', 'volume', 'number', 'series', 'pages', 'address', 'month', 'organization', 'publisher', 'doi', 'url', 'note']
+    },
+    incollection: {
+        description: '论文集或书中有独立标题的部分',
+        required: ['author', 'title', 'booktitle', 'publisher', 'year|date'],
+        optional: ['editor', 'volume', 'number', 'series', 'type', 'chapter', 'pages', 'address', 'edition', 'month', 'doi', 'url', 'note']
+    },
+    inbook: {
+        description: '书中的章节或页码范围',
+        required: ['author|editor', 'title', 'chapter|pages', 'publisher', 'year|date'],
+        optional: ['volume', 'number', 'series', 'type', 'address', 'edition', 'month', 'isbn', 'note']
+    },
+    proceedings: {
+        description: '会议论文集',
+        required: ['title', 'year|date'],
+        optional: ['editor', 'volume', 'number', 'series', 'address', 'month', 'organization', 'publisher', 'isbn', 'note']
+    },
+    phdthesis: {
+        description: '博士论文',
+        required: ['author', 'title', 'school|institution', 'year|date'],
+        optional: ['type', 'address', 'month', 'url', 'note']
+    },
+    mastersthesis: {
+        description: '硕士论文',
+        required: ['author', 'title', 'school|institution', 'year|date'],
+        optional: ['type', 'address', 'month', 'url', 'note']
+    },
+    thesis: {
+        description: '学位论文（BibLaTeX），type 字段说明学位类型',
+        required: ['author', 'title', 'type', 'institution|school', 'year|date'],
+        optional: ['address', 'location', 'month', 'url', 'note']
+    },
+    techreport: {
+        description: '机构发布的技术报告',
+        required: ['author', 'title', 'institution', 'year|date'],
+        optional: ['type', 'number', 'address', 'month', 'url', 'note']
+    },
+    report: {
+        description: '报告（BibLaTeX），type 字段说明报告类型',
+        required: ['author', 'title', 'type', 'institution', 'year|date'],
+        optional: ['number', 'address', 'location', 'month', 'url', 'note']
+    },
+    manual: {
+        description: '技术文档或手册',
+        required: ['title'],
+        optional: ['author', 'organization', 'address', 'edition', 'month', 'year', 'url', 'note']
+    },
+    booklet: {
+        description: '没有出版社的印刷品',
+        required: ['title'],
+        optional: ['author', 'howpublished', 'address', 'month', 'year', 'note']
+    },
+    online: {
+        description: '网页等在线资源（BibLaTeX）',
+        required: ['author|editor|organization', 'title', 'year|date', 'url'],
+        optional: ['urldate', 'month', 'note']
+    },
+    misc: {
+        description: '其他类型',
+        required: [],
+        optional: ['author', 'title', 'howpublished', 'month', 'year', 'url', 'note']
+    },
+    unpublished: {
+        description: '未正式发表的文稿',
+        required: ['author', 'title', 'note'],
+        optional: ['month', 'year']
+    }
+};
+
+// 新建条目时可选的类型
+export const BIB_ENTRY_TYPES = Object.keys(BIB_ENTRY_FIELDS);
+
+// 其他条目类型的别名
+const TYPE_ALIASES = { conference: 'inproceedings', electronic: 'online', www: 'online' };
+
+// 各类型都可以使用的字段
+export const COMMON_FIELDS = ['abstract', 'keywords', 'language', 'crossref', 'annote', 'eprint', 'archiveprefix', 'primaryclass'];
+
+// 补全提示中显示的字段说明
+export const BIB_FIELD_DESCRIPTIONS = {
+    author: '作者，多位作者用 and 分隔',
+    editor: '编者，多位编者用 and 分隔',
+    title: '标题',
+    journal: '期刊名',
+    journaltitle: '期刊名（BibLaTeX）',
+    booktitle: '所在书或论文集的标题',
+    year: '年份',
+    date: '日期，如 2020-05（BibLaTeX）',
+    month: '月份，可以使用 jan、feb 等宏',
+    volume: '卷',
+    number: '期号或编号',
+    pages: '页码，如 12--34',
+    publisher: '出版社',
+    address: '出版地',
+    location: '出版地（BibLaTeX）',
+    edition: '版次，如 Second',
+    series: '丛书名',
+    chapter: '章节',
+    school: '学校',
+    institution: '机构',
+    organization: '组织',
+    howpublished: '发布方式',
+    type: '类型，如学位或报告类型',
+    doi: 'DOI',
+    url: '网址',
+    urldate: '访问日期（BibLaTeX）',
+    isbn: 'ISBN',
+    issn: 'ISSN',
+    note: '附注',
+    abstract: '摘要',
+    keywords: '关键词，逗号分隔',
+    language: '语言',
+    crossref: '继承字段的父条目引用键',
+    annote: '注释',
+    eprint: '预印本编号（如 arXiv）',
+    archiveprefix: '预印本库，如 arXiv',
+    primaryclass: '预印本分类'
+};
+
+/**
+ * 条目类型的字段
+ * @returns {Object|null} { description, required, optional }，未知类型返回 null
+ */
+export function getEntryFields(type) {
+    const name = type.toLowerCase();
+    return BIB_ENTRY_FIELDS[TYPE_ALIASES[name] || name] || null;
+}
+
+/**
+ * 检查 BibTeX 文本：语法错误、括号不配对、缺少必填字段与未知的条目类型
+ * 重复的引用键跨文件检查，由文献管理器报告
+ * @returns {Array} [{ severity, line, column, endColumn, message, missing?, entry? }]
+ *   缺少必填字段时 missing 为缺少的字段（"a|b" 形式），entry 为条目的 { key, start }
+ */
+export function validateBibTeX(text) {
+    const { entries, errors } = parseBibTeX(text);
+    const diagnostics = errors.map(error => ({
+        severity: /未定义的 @string 宏/.test(error.message) ? 'warning' : 'error',
+        line: error.line,
+        column: error.column,
+        endColumn: error.column + 1,
+        message: error.message
+    }));
+
+    for (const entry of entries) {
+        const at = { line: entry.line, column: entry.start - lineStart(text, entry.start) + 1 };
+        const typeRange = { ...at, endColumn: at.column + entry.spans.typeEnd - entry.start };
+        const fields = getEntryFields(entry.type);
+
+        if (!fields) {
+            diagnostics.push({ severity: 'info', ...typeRange, message: `未知的条目类型 @${entry.type}` });
+        } else if (entry.key && !entry.fields.crossref) {
+            // 有 crossref 的条目从父条目继承字段，不检查必填字段
+            const missing = fields.required.filter(names =>
+                !names.split('|').some(name => entry.fields[name]?.trim())
+            );
+            if (missing.length > 0) {
+                diagnostics.push({
+                    severity: 'warning',
+                    line: entry.keyLine,
+                    column: entry.keyColumn,
+                    endColumn: entry.keyColumn + entry.key.length,
+                    message: `@${entry.type} 条目 ${entry.key} 缺少必填字段：${missing.map(names => names.split('|').join(' 或 ')).join('、')}`,
+                    missing,
+                    entry: { key: entry.key, start: entry.start }
+                });
+            }
+        }
+
+        if (findEarlyClose(text, entry) !== -1) {
+            const close = entry.spans.close;
+            const line = text.slice(0, close).split('\n').length;
+            const column = close - lineStart(text, close) + 1;
+            diagnostics.push({
+                severity: 'error',
+                line,
+                column,
+                endColumn: column + 1,
+                message: `条目 ${entry.key || '(无键)'} 在此处提前结束，可能是字段值中的花括号不配对`
+            });
+        }
+    }
+
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * 字段值中多余的 } 会使条目提前结束，后面的字段落在条目之外
+ * @returns {number} 条目之外剩余内容的结束位置（下一个 @ 所在行的开头），条目没有提前结束时为 -1
+ */
+export function findEarlyClose(text, entry) {
+    if (entry.spans.close === -1) return -1;
+    const next = text.indexOf('\n@', entry.end);
+    const end = next === -1 ? text.length : next;
+    return /^\s*(?:[,}]|[a-zA-Z][\w-]*\s*=)/.test(text.slice(entry.end, end)) ? end : -1;
+}
+
+function lineStart(text, offset) {
+    return text.lastIndexOf('\n', offset - 1) + 1;
+}
@@ -0,0 +1,237 @@
+import { toPlainText } from './BibTeXParser.js';
+import { INVALID_BIB_KEY, getEditableValue } from './BibTeXDocument.js';
+import {
+    IMPORT_FORMATS, KEY_PATTERN_PRESETS, KEY_PATTERN_TOKENS,
+    parseReferences, planImport, getUnknownKeyTokens
+} from './ReferenceImport.js';
+
+/**
+ * 文献导入对话框
+ * 粘贴或拖入 BibTeX/BibLaTeX、RIS、CSL-JSON 或 EndNote XML，预览转换后的条目与生成的引用键，
+ * 确认后追加到项目的 .bib 文件；引用键冲突与可能重复的条目在预览中标出
+ */
+export class BibliographyImportDialog {
+    constructor(ide, manager) {
+        this.ide = ide;
+        this.manager = manager;
+        this.rows = []; // planImport 的结果，预览中可以修改 include 与 key
+        this.parseErrors = [];
+        this.previewTimer = null;
+
+        this.modal = document.getElementById('bibliographyImportModal');
+        this.input = document.getElementById('bibliographyImportText');
+        this.fileInput = document.getElementById('bibliographyImportFile');
+        this.formatSelect = document.getElementById('bibliographyImportFormat');
+        this.keyPatternInput = document.getElementById('bibliographyImportKeyPattern');
+        this.keepKeysInput = document.getElementById('bibliographyImportKeepKeys');
+        this.normalizeInput = document.getElementById('bibliographyImportNormalize');
+        this.targetInput = document.getElementById('bibliographyImportTarget');
+        this.preview = document.getElementById('bibliographyImportPreview');
+        this.summary = document.getElementById('bibliographyImportSummary');
+        this.applyButton = document.getElementById('bibliographyImportApply');
+        this.setupDialog();
+    }
+
+    setupDialog() {
+        if (!this.modal) return;
+
+        this.formatSelect.innerHTML = '<option value="auto">自动识别</option>' +
+            Object.entries(IMPORT_FORMATS).map(([name, label]) => `<option value="${name}">${label}</option>`).join('');
+        document.getElementById('bibliographyImportKeyPatterns').innerHTML =
+            Object.values(KEY_PATTERN_PRESETS).map(pattern => `<option value="${pattern}">`).join('');
+        this.keyPatternInput.title = '可用的字段：' +
+            Object.entries(KEY_PATTERN_TOKENS).map(([token, label]) => `[${token}] ${label}`).join('，') +
+            '；首字母大写时（如 [Auth]）每个单词首字母大写';
+
+        this.input.addEventListener('input', () => this.schedulePreview());
+        this.formatSelect.addEventListener('change', () => this.updatePreview());
+        // 输入时更新预览，修改完成后（change）才保存设置
+        this.keyPatternInput.addEventListener('input', () => this.schedulePreview());
+        for (const input of [this.keyPatternInput, this.keepKeysInput, this.normalizeInput]) {
+            input.addEventListener('change', () => {
+                this.saveSettings();
+                this.updatePreview();
+            });
+        }
+
+        this.fileInput.addEventListener('change', async () => {
+            const [file] = this.fileInput.files;
+            if (file) await this.loadFile(file);
+            this.fileInput.value = '';
+        });
+
+        // 拖入文件时读取文件内容，拖入文本时使用文本
+        this.input.addEventListener('dragover', (e) => e.preventDefault());
+        this.input.addEventListener('drop', async (e) => {
+            const [file] = e.dataTransfer.files;
+            if (!file) return;
+            e.preventDefault();
+            await this.loadFile(file);
+        });
+
+        this.preview.addEventListener('change', (e) => {
+            const row = this.rows[parseInt(e.target.closest('[data-index]')?.dataset.index, 10)];
+            if (!row) return;
+            if (e.target.type === 'checkbox') {
+                row.include = e.target.checked;
+            } else {
+                row.key = e.target.value.trim();
+            }
+            this.updateSummary();
+        });
+
+        this.applyButton.addEventListener('click', () => this.apply());
+    }
+
+    show(text = '') {
+        if (!this.modal) return;
+
+        const settings = this.manager.getImportSettings();
+        this.keyPatternInput.value = KEY_PATTERN_PRESETS[settings.keyPattern] || settings.keyPattern;
+        this.keepKeysInput.checked = settings.keepImportedKeys;
+        this.normalizeInput.checked = settings.normalizeBibLaTeX;
+        this.formatSelect.value = 'auto';
+        this.targetInput.value = this.manager.getTargetFile();
+        document.getElementById('bibliographyImportTargets').innerHTML =
+            [...this.ide.bibliographyIndex.files.keys()].map(file => `<option value="${this.escapeHtml(file)}">`).join('');
+
+        this.input.value = text;
+        this.modal.style.display = 'flex';
+        this.updatePreview();
+        this.input.focus();
+    }
+
+    hide() {
+        this.modal.style.display = 'none';
+    }
+
+    async loadFile(file) {
+        try {
+            this.input.value = await file.text();
+            this.updatePreview();
+        } catch (error) {
+            console.error('读取文件失败:', error);
+            alert('读取文件失败: ' + error.message);
+        }
+    }
+
+    saveSettings() {
+        const pattern = this.keyPatternInput.value.trim();
+        const preset = Object.keys(KEY_PATTERN_PRESETS).find(name => KEY_PATTERN_PRESETS[name] === pattern);
+        this.ide.settingsManager.set('bibliography', {
+            keyPattern: preset || pattern || 'authoryear',
+            keepImportedKeys: this.keepKeysInput.checked,
+            normalizeBibLaTeX: this.normalizeInput.checked
+        });
+    }
+
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 300);
+    }
+
+    updatePreview() {
+        clearTimeout(this.previewTimer);
+        const { format, references, errors } = parseReferences(this.input.value, {
+            format: this.formatSelect.value,
+            normalizeBibLaTeX: this.normalizeInput.checked
+        });
+        this.format = format;
+        this.parseErrors = errors;
+        this.rows = planImport(references, this.manager.getEntries(), {
+            keyPattern: this.keyPatternInput.value.trim(),
+            keepImportedKeys: this.keepKeysInput.checked
+        });
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const unknownTokens = getUnknownKeyTokens(this.keyPatternInput.value.trim());
+        const messages = [
+            ...this.parseErrors.map(error => error.line ? `第 ${error.line} 行：${error.message}` : error.message),
+            ...(unknownTokens.length > 0 ? [`引用键模式中的未知字段：${unknownTokens.map(token => `[${token}]`).join(' ')}`] : [])
+        ];
+
+        const errors = messages.map(message => `<div class="bibliography-import-error">${this.escapeHtml(message)}</div>`).join('');
+        if (this.rows.length === 0) {
+            this.preview.innerHTML = errors +
+                '<div class="bibliography-empty">在上方粘贴或拖入文献，支持 BibTeX、BibLaTeX（Zotero 导出）、RIS、CSL-JSON 与 EndNote XML</div>';
+            this.updateSummary();
+            return;
+        }
+
+        this.preview.innerHTML = errors + this.rows.map((row, index) => {
+            const fields = Object.fromEntries(row.reference.fields.map(field => [field.name.toLowerCase(), field.raw]));
+            const notes = [];
+            if (row.clash === 'existing') notes.push(`项目中已有 ${row.baseKey}，已改为 ${row.key}`);
+            if (row.clash === 'import') notes.push(`与导入的其他条目的引用键 ${row.baseKey} 冲突，已改为 ${row.key}`);
+            if (row.duplicate) notes.push(`可能与已有条目 ${row.duplicate.key}（${row.duplicate.file}）重复，默认不导入`);
+
+            return `
+                <div class="bibliography-import-row" data-index="${index}">
+                    <input type="checkbox" ${row.include ? 'checked' : ''} title="导入该条目">
+                    <input type="text" class="bibliography-import-key" value="${this.escapeHtml(row.key)}">
+                    <div class="bibliography-import-info">
+                        <div class="bibliography-item-meta">@${this.escapeHtml(row.reference.type)} · ${this.escapeHtml(this.describe(fields))}</div>
+                        ${notes.map(note => `<div class="bibliography-import-note">${this.escapeHtml(note)}</div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        this.updateSummary();
+    }
+
+    // 预览中显示的作者、年份与标题
+    describe(fields) {
+        const plain = raw => (raw ? toPlainText(getEditableValue(raw).value) : '');
+        return [plain(fields.author || fields.editor), plain(fields.year), plain(fields.title)].filter(Boolean).join(' · ');
+    }
+
+    updateSummary() {
+        const included = this.rows.filter(row => row.include).length;
+        this.summary.textContent = this.rows.length > 0
+            ? `${IMPORT_FORMATS[this.format]}：${this.rows.length} 个条目，导入 ${included} 个`
+            : '';
+        this.applyButton.disabled = included === 0;
+    }
+
+    // 预览中修改的引用键需要重新检查是否有效、是否与已有条目冲突
+    validateKeys(rows) {
+        const existing = new Set(this.manager.getEntries().map(entry => entry.key.toLowerCase()));
+        const keys = new Set();
+        for (const row of rows) {
+            if (!row.key) return '请填写所有条目的引用键';
+            if (INVALID_BIB_KEY.test(row.key)) return `引用键中不能包含空白、逗号、括号、引号、=、%、# 或反斜杠：${row.key}`;
+            if (existing.has(row.key.toLowerCase())) return `引用键 ${row.key} 已存在`;
+            if (keys.has(row.key.toLowerCase())) return `引用键 ${row.key} 重复`;
+            keys.add(row.key.toLowerCase());
+        }
+        return null;
+    }
+
+    async apply() {
+        const rows = this.rows.filter(row => row.include);
+        const error = this.validateKeys(rows);
+        if (error) {
+            alert(error);
+            return;
+        }
+
+        try {
+            const file = await this.manager.addEntries(
+                rows.map(row => ({ ...row.reference, key: row.key })),
+                this.targetInput.value.trim() || null
+            );
+            this.hide();
+            this.manager.setStatus(`已将 ${rows.length} 个条目导入 ${file}`);
+            if (this.manager.isVisible()) this.manager.render();
+        } catch (error) {
+            console.error('导入文献失败:', error);
+            alert('导入失败: ' + error.message);
+        }
+    }
+
+    escapeHtml(text) {
+        return this.manager.escapeHtml(text);
+    }
+}
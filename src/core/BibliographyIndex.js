@@ -0,0 +1,294 @@
+import { parseBibTeX, toPlainText, formatAuthorsShort } from './BibTeXParser.js';
+import { stripComments, getLineStarts, findLine } from './DocumentStructure.js';
+
+/**
+ * 文献索引
+ * 解析项目中所有 .bib 文件的条目，供 \cite{} 等命令的补全与文献管理器使用；
+ * 项目内容变化时自动更新
+ */
+
+// \cite、\citep、\parencite[...][...]{a,b} 等引用命令
+export const CITE_COMMAND = /\\([a-zA-Z]*cite[a-zA-Z]*)\*?\s*(?:\[[^\]]*\]\s*){0,2}\{([^}]*)\}/g;
+
+/**
+ * 解析文件中引用的文献
+ * @param {string} text - LaTeX 源码
+ * @returns {Array} [{ key, command, line, column, endColumn }]
+ */
+export function parseCitations(text) {
+    const source = stripComments(text);
+    const lineStarts = getLineStarts(source);
+    const citations = [];
+
+    for (const match of source.matchAll(CITE_COMMAND)) {
+        let offset = match.index + match[0].lastIndexOf('{') + 1;
+        for (const part of match[2].split(',')) {
+            const key = part.trim();
+            if (key && !key.includes('#')) {
+                const start = offset + part.indexOf(key);
+                const line = findLine(lineStarts, start);
+                const column = start - lineStarts[line] + 1;
+                citations.push({ key, command: match[1], line: line + 1, column, endColumn: column + key.length });
+            }
+            offset += part.length + 1;
+        }
+    }
+
+    return citations;
+}
+
+export class BibliographyIndex {
+    constructor(ide) {
+        this.ide = ide;
+        this.files = new Map(); // 文件路径 -> { text, entries, errors }
+        this.listeners = new Set();
+    }
+
+    init() {
+        this.ide.projectSnapshot.onChange(snapshot => this.update(snapshot));
+        this.update();
+    }
+
+    /**
+     * 监听索引变化
+     * @returns {Function} 取消监听
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error('文献索引监听器出错:', error);
+            }
+        });
+    }
+
+    /**
+     * 按项目快照索引 .bib 文件，没有 .bib 文件变化时直接返回
+     * @param {Object} snapshot - 项目快照，省略时使用最新的快照
+     */
+    async update(snapshot = null) {
+        try {
+            snapshot = snapshot || await this.ide.projectSnapshot.get();
+            if (!snapshot.hasChanges('.bib')) return;
+
+            const files = snapshot.getTexts('.bib');
+            const paths = new Set(files.map(({ file }) => file));
+            let changed = false;
+
+            for (const filePath of [...this.files.keys()]) {
+                if (!paths.has(filePath)) {
+                    this.files.delete(filePath);
+                    changed = true;
+                }
+            }
+            for (const { file, text } of files) {
+                if (this.updateFile(file, text, { notify: false })) changed = true;
+            }
+
+            if (changed) this.notifyListeners();
+        } catch (error) {
+            console.error('更新文献索引失败:', error);
+        }
+    }
+
+    /**
+     * 更新单个文件的索引
+     * @returns {boolean} 内容是否有变化
+     */
+    updateFile(filePath, text, { notify = true } = {}) {
+        const cached = this.files.get(filePath);
+        if (cached && cached.text === text) return false;
+
+        const { entries, errors } = parseBibTeX(text);
+        const occurrences = new Map();
+        this.files.set(filePath, {
+            text,
+            entries: entries.filter(entry => entry.key).map(entry => {
+                // 同一文件中相同引用键的第几个条目，用于在修改后的文本中重新找到它
+                const occurrence = occurrences.get(entry.key) || 0;
+                occurrences.set(entry.key, occurrence + 1);
+                return this.describeEntry(entry, filePath, occurrence);
+            }),
+            errors
+        });
+
+        if (notify) this.notifyListeners();
+        return true;
+    }
+
+    // 提取补全与搜索需要的显示字段
+    describeEntry(entry, file, occurrence = 0) {
+        const fields = entry.fields;
+        const date = toPlainText(fields.date);
+        return {
+            key: entry.key,
+            type: entry.type,
+            file,
+            occurrence,
+            line: entry.line,
+            keyLine: entry.keyLine,
+            keyColumn: entry.keyColumn,
+            raw: entry.raw,
+            fields,
+            tags: parseKeywords(fields.keywords),
+            author: toPlainText(fields.author || fields.editor),
+            authorShort: formatAuthorsShort(fields.author || fields.editor),
+            year: toPlainText(fields.year) || (date.match(/\d{4}/) || [''])[0],
+            title: toPlainText(fields.title),
+            venue: toPlainText(fields.journal || fields.journaltitle || fields.booktitle || fields.publisher)
+        };
+    }
+
+    /**
+     * 获取所有文献条目，同一引用键只返回第一个定义
+     * @returns {Array} [{ key, type, file, occurrence, line, keyLine, keyColumn, raw, fields, tags, author, authorShort, year, title, venue }]
+     */
+    getEntries() {
+        const entries = new Map();
+        for (const file of this.files.values()) {
+            for (const entry of file.entries) {
+                if (!entries.has(entry.key)) entries.set(entry.key, entry);
+            }
+        }
+        return [...entries.values()];
+    }
+
+    /**
+     * 获取所有文献条目，包括重复定义的引用键
+     */
+    getAllEntries() {
+        return [...this.files.values()].flatMap(file => file.entries);
+    }
+
+    getEntry(key) {
+        for (const file of this.files.values()) {
+            const entry = file.entries.find(item => item.key === key);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * 在引用键、作者、年份、标题、期刊与标签中模糊搜索
+     * @param {string} query - 搜索词，空格分隔的每个词都需要匹配
+     * @param {Array} entries - 搜索范围，默认为每个引用键的第一个定义
+     * @returns {Array} [{ entry, score }]，按匹配程度排序
+     */
+    search(query, entries = this.getEntries()) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const results = [];
+
+        for (const entry of entries) {
+            if (terms.length === 0) {
+                results.push({ entry, score: 0 });
+                continue;
+            }
+
+            const fields = [entry.key, entry.author, entry.year, entry.title, entry.venue, entry.tags.join(' ')];
+            let total = 0;
+            for (const term of terms) {
+                let best = null;
+                fields.forEach((field, index) => {
+                    const score = fuzzyScore(term, (field || '').toLowerCase());
+                    // 引用键上的匹配优先
+                    if (score !== null && (best === null || score + (index === 0 ? 5 : 0) > best)) {
+                        best = score + (index === 0 ? 5 : 0);
+                    }
+                });
+                if (best === null) {
+                    total = null;
+                    break;
+                }
+                total += best;
+            }
+
+            if (total !== null) results.push({ entry, score: total });
+        }
+
+        return results.sort((a, b) => b.score - a.score || a.entry.key.localeCompare(b.entry.key));
+    }
+}
+
+/**
+ * 解析 keywords 字段中的标签，逗号或分号分隔
+ */
+export function parseKeywords(value) {
+    return toPlainText(value)
+        .split(/[,;]/)
+        .map(tag => tag.trim())
+        .filter(Boolean);
+}
+
+// 标题相似度不低于该值时视为可能重复
+export const TITLE_SIMILARITY = 0.9;
+
+/**
+ * 用于比较的标题：去掉 LaTeX 命令、标点与大小写差异
+ */
+export function normalizeTitle(title) {
+    return toPlainText(title).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * 两个标题的相似度（字符二元组的 Dice 系数，0~1）
+ */
+export function titleSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            shared++;
+        }
+    }
+    return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * 子序列模糊匹配：query 的字符按顺序出现在 text 中即可匹配
+ * 连续匹配与单词开头的匹配得分更高；不匹配时返回 null
+ */
+export function fuzzyScore(query, text) {
+    if (!query) return 0;
+
+    const substring = text.indexOf(query);
+    if (substring !== -1) {
+        const atWordStart = substring === 0 || /[^a-z0-9]/.test(text[substring - 1]);
+        return query.length * 3 + (atWordStart ? 10 : 5);
+    }
+
+    let score = 0;
+    let index = 0;
+    let previous = -2;
+    for (const ch of query) {
+        const found = text.indexOf(ch, index);
+        if (found === -1) return null;
+
+        if (found === previous + 1) {
+            score += 2;
+        } else if (found === 0 || /[^a-z0-9]/.test(text[found - 1])) {
+            score += 1.5;
+        } else {
+            score += 0.5;
+        }
+        previous = found;
+        index = found + 1;
+    }
+    return score;
+}
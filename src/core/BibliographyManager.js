@@ -0,0 +1,755 @@
+import { parseBibTeX, parseAuthors } from './BibTeXParser.js';
+import { TITLE_SIMILARITY, normalizeTitle, titleSimilarity } from './BibliographyIndex.js';
+import { planImport } from './ReferenceImport.js';
+import { BibliographyImportDialog } from './BibliographyImportDialog.js';
+import { BIB_ENTRY_TYPES } from './BibTeXRules.js';
+import {
+    INVALID_BIB_KEY, isBalanced, getEditableValue, toBibValue,
+    updateBibEntry, appendBibEntry, removeBibEntry
+} from './BibTeXDocument.js';
+
+/**
+ * 文献管理器
+ * 浏览、筛选和编辑项目 .bib 文件中的条目。修改直接写回 .bib 文件且只改动被编辑的条目，
+ * 注释、@string 宏与字段顺序保持不变；重复的引用键和标题相近的条目报告到问题面板。
+ * 选中的条目可以按不同的引用样式预览排版结果（CitationPreview）
+ */
+
+// 新建条目时预先列出的字段
+const DEFAULT_FIELDS = {
+    article: ['author', 'title', 'journal', 'year', 'volume', 'number', 'pages', 'doi'],
+    book: ['author', 'title', 'publisher', 'year', 'isbn'],
+    inproceedings: ['author', 'title', 'booktitle', 'year', 'pages', 'doi'],
+    misc: ['author', 'title', 'howpublished', 'year', 'url']
+};
+
+// 字段名可以使用的字符，与 BibTeX 解析器一致
+const FIELD_NAME = /^[^\s"#%'(),={}@]+$/;
+
+const DEFAULT_BIB_FILE = '/references.bib';
+
+/**
+ * 查找重复的引用键与标题相近的条目
+ * BibTeX 比较引用键时不区分大小写，因此只有大小写不同的键也算重复
+ * @param {Array} entries - 文献索引中的全部条目（包括重复定义）
+ * @returns {Object} { keys: [[entry, ...]], titles: [{ a, b, similarity }] }
+ */
+export function findDuplicates(entries) {
+    const byKey = new Map();
+    for (const entry of entries) {
+        const key = entry.key.toLowerCase();
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(entry);
+    }
+    const keys = [...byKey.values()].filter(group => group.length > 1);
+
+    // 按长度排序后只比较长度接近的标题：相似度达到阈值时短标题不会短于长标题的 80%
+    const titled = entries
+        .map(entry => ({ entry, title: normalizeTitle(entry.fields.title) }))
+        .filter(item => item.title.length >= 8)
+        .sort((a, b) => a.title.length - b.title.length);
+
+    const titles = [];
+    for (let i = 0; i < titled.length; i++) {
+        for (let j = i + 1; j < titled.length; j++) {
+            if (titled[i].title.length < titled[j].title.length * 0.8) break;
+
+            const a = titled[i].entry;
+            const b = titled[j].entry;
+            if (a.key.toLowerCase() === b.key.toLowerCase()) continue;
+
+            const similarity = titleSimilarity(titled[i].title, titled[j].title);
+            if (similarity >= TITLE_SIMILARITY) titles.push({ a, b, similarity });
+        }
+    }
+
+    return { keys, titles };
+}
+
+export class BibliographyManager {
+    constructor(ide) {
+        this.ide = ide;
+        this.problemSource = 'bibliography';
+        this.filters = { query: '', tag: '', author: '', year: '', duplicatesOnly: false };
+        this.duplicates = { keys: [], titles: [] };
+        this.selected = null; // 当前编辑的条目 { file, key, occurrence, raw }，新建条目时为 { file, isNew: true }
+        this.citationStyle = ''; // 格式预览使用的样式，为空时使用项目样式
+        this.visibleEntries = [];
+
+        this.modal = document.getElementById('bibliographyModal');
+        this.list = document.getElementById('bibliographyList');
+        this.detail = document.getElementById('bibliographyDetail');
+        this.summary = document.getElementById('bibliographySummary');
+        this.filterInputs = {
+            query: document.getElementById('bibliographySearch'),
+            tag: document.getElementById('bibliographyTagFilter'),
+            author: document.getElementById('bibliographyAuthorFilter'),
+            year: document.getElementById('bibliographyYearFilter'),
+            duplicatesOnly: document.getElementById('bibliographyDuplicatesOnly')
+        };
+        this.importDialog = new BibliographyImportDialog(ide, this);
+        this.setupPanel();
+    }
+
+    init() {
+        this.ide.bibliographyIndex.onChange(() => {
+            this.validate();
+            if (this.isVisible()) this.refresh();
+        });
+        this.validate();
+    }
+
+    setupPanel() {
+        for (const [name, input] of Object.entries(this.filterInputs)) {
+            input?.addEventListener(name === 'query' ? 'input' : 'change', () => {
+                this.filters[name] = input.type === 'checkbox' ? input.checked : input.value;
+                this.renderList();
+            });
+        }
+
+        this.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('.bibliography-item');
+            if (item) this.selectEntry(this.visibleEntries[parseInt(item.dataset.index, 10)]);
+        });
+
+        this.detail?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'add-field':
+                    this.addFieldRow();
+                    break;
+                case 'remove-field':
+                    button.closest('.bibliography-field').remove();
+                    break;
+                case 'save':
+                    this.saveForm();
+                    break;
+                case 'delete':
+                    this.deleteSelected();
+                    break;
+                case 'cite':
+                    this.insertCitation(this.selected?.key);
+                    break;
+                case 'reveal':
+                    this.revealSelected();
+                    break;
+                case 'copy-formatted':
+                    this.ide.citationPreview.copyReference(this.selected?.key, this.citationStyle || null);
+                    break;
+            }
+        });
+
+        this.detail?.addEventListener('change', (e) => {
+            if (e.target.id === 'bibliographyCitationStyle') {
+                this.citationStyle = e.target.value;
+                this.renderCitation();
+            }
+        });
+    }
+
+    isVisible() {
+        return this.modal && this.modal.style.display === 'flex';
+    }
+
+    async show() {
+        if (!this.modal) return;
+        await this.ide.projectSnapshot.update();
+        this.modal.style.display = 'flex';
+        this.render();
+        this.filterInputs.query?.focus();
+    }
+
+    hide() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+    }
+
+    // 打开导入对话框，text 为预先填入的内容
+    showImport(text = '') {
+        this.importDialog.show(text);
+    }
+
+    getEntries() {
+        return this.ide.bibliographyIndex.getAllEntries();
+    }
+
+    getEntry(key) {
+        return this.ide.bibliographyIndex.getEntry(key);
+    }
+
+    /**
+     * 搜索文献：空格分隔的每个词都需要出现在引用键、作者、年份、标题、期刊或标签中
+     * @param {string} query - 搜索词
+     * @param {Object} filters - { tag, author, year, duplicatesOnly }
+     * @returns {Array} 条目，按匹配程度排序
+     */
+    search(query, filters = {}) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const duplicates = filters.duplicatesOnly ? this.getDuplicateEntries() : null;
+
+        const entries = this.getEntries().filter(entry =>
+            (!filters.tag || entry.tags.includes(filters.tag)) &&
+            (!filters.author || parseAuthors(entry.fields.author || entry.fields.editor).includes(filters.author)) &&
+            (!filters.year || entry.year === filters.year) &&
+            (!duplicates || duplicates.has(entry)) &&
+            terms.every(term => this.getSearchText(entry).includes(term))
+        );
+
+        if (terms.length === 0) {
+            return entries.sort((a, b) => a.key.localeCompare(b.key));
+        }
+        return this.ide.bibliographyIndex.search(query, entries).map(result => result.entry);
+    }
+
+    getSearchText(entry) {
+        return [entry.key, entry.author, entry.year, entry.title, entry.venue, ...entry.tags].join(' ').toLowerCase();
+    }
+
+    getDuplicateEntries() {
+        const entries = new Set(this.duplicates.keys.flat());
+        for (const { a, b } of this.duplicates.titles) {
+            entries.add(a);
+            entries.add(b);
+        }
+        return entries;
+    }
+
+    // 把重复的引用键与标题相近的条目报告到问题面板
+    validate() {
+        this.duplicates = findDuplicates(this.getEntries());
+        const location = entry => `${entry.file}:${entry.keyLine}`;
+        const problems = [];
+
+        for (const group of this.duplicates.keys) {
+            for (const entry of group) {
+                const others = group.filter(other => other !== entry).map(location);
+                problems.push({
+                    severity: 'warning',
+                    file: entry.file,
+                    line: entry.keyLine,
+                    column: entry.keyColumn,
+                    endColumn: entry.keyColumn + entry.key.length,
+                    message: `引用键 "${entry.key}" 重复定义（另见 ${others.join(', ')}）`
+                });
+            }
+        }
+
+        for (const { a, b, similarity } of this.duplicates.titles) {
+            for (const [entry, other] of [[a, b], [b, a]]) {
+                problems.push({
+                    severity: 'info',
+                    file: entry.file,
+                    line: entry.keyLine,
+                    column: entry.keyColumn,
+                    endColumn: entry.keyColumn + entry.key.length,
+                    message: `条目 "${entry.key}" 与 "${other.key}"（${location(other)}）的标题相近（${Math.round(similarity * 100)}%），可能重复`
+                });
+            }
+        }
+
+        this.ide.problemsPanel?.setProblems(this.problemSource, problems);
+    }
+
+    render() {
+        this.renderFilterOptions();
+        this.renderList();
+        this.renderDetail();
+    }
+
+    // 文件在其他地方被修改后更新列表；正在编辑的条目本身没有变化时保留表单中未保存的内容
+    refresh() {
+        this.renderFilterOptions();
+        this.renderList();
+
+        const selected = this.selected;
+        if (selected && !selected.isNew && this.getSelectedEntry()?.raw !== selected.raw) {
+            this.renderDetail();
+        }
+    }
+
+    // 标签、作者与年份筛选的选项来自当前的全部条目
+    renderFilterOptions() {
+        const entries = this.getEntries();
+        const count = (values) => {
+            const counts = new Map();
+            values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            return counts;
+        };
+
+        const options = {
+            tag: { label: '全部标签', counts: count(entries.flatMap(entry => entry.tags)) },
+            author: { label: '全部作者', counts: count(entries.flatMap(entry => parseAuthors(entry.fields.author || entry.fields.editor))) },
+            year: { label: '全部年份', counts: count(entries.map(entry => entry.year).filter(Boolean)) }
+        };
+
+        for (const [name, { label, counts }] of Object.entries(options)) {
+            const select = this.filterInputs[name];
+            if (!select) continue;
+
+            const values = [...counts.keys()].sort((a, b) => (name === 'year' ? b.localeCompare(a) : a.localeCompare(b)));
+            if (this.filters[name] && !counts.has(this.filters[name])) this.filters[name] = '';
+
+            select.innerHTML = `<option value="">${label}</option>` + values.map(value =>
+                `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}（${counts.get(value)}）</option>`
+            ).join('');
+            select.value = this.filters[name];
+        }
+    }
+
+    renderList() {
+        const entries = this.getEntries();
+        this.visibleEntries = this.search(this.filters.query, this.filters);
+        const duplicates = this.getDuplicateEntries();
+
+        this.summary.textContent = `共 ${entries.length} 个条目` +
+            (this.visibleEntries.length !== entries.length ? `，显示 ${this.visibleEntries.length} 个` : '') +
+            (duplicates.size > 0 ? `，${duplicates.size} 个可能重复` : '');
+
+        if (this.visibleEntries.length === 0) {
+            this.list.innerHTML = `<div class="bibliography-empty">${entries.length === 0 ? '项目中还没有文献条目，点击"新建条目"添加' : '没有符合条件的条目'}</div>`;
+            return;
+        }
+
+        this.list.innerHTML = this.visibleEntries.map((entry, index) => `
+            <div class="bibliography-item ${this.isSelected(entry) ? 'selected' : ''}" data-index="${index}">
+                <div class="bibliography-item-title">
+                    <span class="bibliography-key">${this.escapeHtml(entry.key)}</span>
+                    ${duplicates.has(entry) ? '<span class="bibliography-duplicate" title="重复的引用键或相近的标题">重复?</span>' : ''}
+                </div>
+                <div class="bibliography-item-meta">${this.escapeHtml([entry.authorShort, entry.year].filter(Boolean).join(' · '))}</div>
+                <div class="bibliography-item-meta">${this.escapeHtml(entry.title)}</div>
+            </div>
+        `).join('');
+    }
+
+    isSelected(entry) {
+        const selected = this.selected;
+        return Boolean(selected && !selected.isNew && entry.file === selected.file &&
+            entry.key === selected.key && entry.occurrence === selected.occurrence);
+    }
+
+    selectEntry(entry) {
+        if (!entry) return;
+        this.selected = { file: entry.file, key: entry.key, occurrence: entry.occurrence, raw: entry.raw };
+        this.renderList();
+        this.renderDetail();
+    }
+
+    // 新建条目：默认保存到项目中的第一个 .bib 文件
+    newEntry() {
+        const files = [...this.ide.bibliographyIndex.files.keys()];
+        this.selected = { file: files[0] || DEFAULT_BIB_FILE, isNew: true, type: 'article' };
+        this.renderList();
+        this.renderDetail();
+    }
+
+    // 当前选中的条目在索引中的最新状态；条目被删除时返回 null
+    getSelectedEntry() {
+        const selected = this.selected;
+        if (!selected || selected.isNew) return null;
+        return this.getEntries().find(entry =>
+            entry.file === selected.file && entry.key === selected.key && entry.occurrence === selected.occurrence
+        ) || null;
+    }
+
+    renderDetail() {
+        const selected = this.selected;
+        if (!selected) {
+            this.detail.innerHTML = '<div class="bibliography-empty">选择左侧的条目进行编辑</div>';
+            return;
+        }
+
+        let type = selected.type;
+        let fields = (DEFAULT_FIELDS[type] || []).map(name => ({ name, raw: '' }));
+
+        if (!selected.isNew) {
+            const entry = this.getSelectedEntry();
+            if (!entry) {
+                this.selected = null;
+                this.detail.innerHTML = '<div class="bibliography-empty">条目已被删除或修改了引用键</div>';
+                return;
+            }
+            // 条目在其他地方被修改时，表单显示最新内容
+            selected.raw = entry.raw;
+            type = entry.type;
+            fields = this.getRawFields(entry);
+        }
+
+        const fileSelect = selected.isNew ? `
+            <label class="bibliography-form-row">
+                <span>文件</span>
+                <input type="text" id="bibliographyFile" list="bibliographyFileList" value="${this.escapeHtml(selected.file)}">
+                <datalist id="bibliographyFileList">
+                    ${[...this.ide.bibliographyIndex.files.keys()].map(file => `<option value="${this.escapeHtml(file)}">`).join('')}
+                </datalist>
+            </label>
+        ` : `<div class="bibliography-form-file">${this.escapeHtml(selected.file)}</div>`;
+
+        this.detail.innerHTML = `
+            <div class="bibliography-form">
+                ${fileSelect}
+                <label class="bibliography-form-row">
+                    <span>类型</span>
+                    <input type="text" id="bibliographyType" list="bibliographyTypeList" value="${this.escapeHtml(type)}">
+                    <datalist id="bibliographyTypeList">
+                        ${BIB_ENTRY_TYPES.map(name => `<option value="${name}">`).join('')}
+                    </datalist>
+                </label>
+                <label class="bibliography-form-row">
+                    <span>引用键</span>
+                    <input type="text" id="bibliographyKey" value="${this.escapeHtml(selected.key || '')}">
+                </label>
+                <div class="bibliography-fields" id="bibliographyFields"></div>
+                <button class="bibliography-add-field" data-action="add-field">+ 添加字段</button>
+                ${selected.isNew ? '' : `
+                    <div class="bibliography-citation">
+                        <div class="bibliography-citation-header">
+                            <span>格式预览</span>
+                            <select id="bibliographyCitationStyle"></select>
+                            <button class="btn-secondary" data-action="copy-formatted">复制格式化引用</button>
+                        </div>
+                        <div class="bibliography-citation-preview" id="bibliographyCitationPreview"></div>
+                    </div>
+                `}
+            </div>
+            <div class="bibliography-form-actions">
+                ${selected.isNew ? '' : `
+                    <button class="btn-secondary" data-action="reveal">在源码中打开</button>
+                    <button class="btn-secondary" data-action="cite">插入引用</button>
+                    <button class="btn-danger" data-action="delete">删除</button>
+                `}
+                <button class="btn-primary" data-action="save">${selected.isNew ? '添加' : '保存'}</button>
+            </div>
+        `;
+
+        fields.forEach(field => this.addFieldRow(field));
+        if (!selected.isNew) this.renderCitation();
+    }
+
+    // 按选择的样式排版当前条目（已保存的内容），排版完成前选择了其他条目时不更新
+    async renderCitation() {
+        const select = document.getElementById('bibliographyCitationStyle');
+        const preview = document.getElementById('bibliographyCitationPreview');
+        const selected = this.selected;
+        if (!select || !preview || !selected) return;
+
+        const citationPreview = this.ide.citationPreview;
+        preview.textContent = '正在排版...';
+        try {
+            const [projectStyle, options] = await Promise.all([
+                citationPreview.getProjectStyle(),
+                citationPreview.getStyleOptions()
+            ]);
+            if (!options.some(option => option.value === this.citationStyle)) this.citationStyle = '';
+            select.innerHTML = `<option value="">项目样式（${this.escapeHtml(citationPreview.getStyleLabel(projectStyle))}）</option>` +
+                options.map(option => `<option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</option>`).join('');
+            select.value = this.citationStyle;
+
+            const result = await citationPreview.format(selected.key, this.citationStyle || projectStyle);
+            if (this.selected !== selected) return;
+            preview.innerHTML = result.html +
+                (result.citation ? `<div class="bibliography-citation-intext">文中引用：${this.escapeHtml(result.citation)}</div>` : '');
+        } catch (error) {
+            console.error('排版引用失败:', error);
+            if (this.selected === selected) preview.textContent = '排版失败: ' + error.message;
+        }
+    }
+
+    /**
+     * 条目中各字段在原文中的名称与值表达式
+     * @returns {Array} [{ name, raw }]，按原文中的顺序
+     */
+    getRawFields(entry) {
+        const parsed = parseBibTeX(entry.raw).entries[0];
+        if (!parsed) return [];
+        return parsed.fieldOrder.map(name => {
+            const span = parsed.spans.fields[name];
+            return { name: span.name, raw: entry.raw.slice(span.valueStart, span.valueEnd) };
+        });
+    }
+
+    // 使用 @string 宏或 # 连接的值以表达式显示，保存时原样写回
+    addFieldRow(field = { name: '', raw: '' }) {
+        const container = document.getElementById('bibliographyFields');
+        if (!container) return;
+
+        const { value, expression } = getEditableValue(field.raw);
+        const row = document.createElement('div');
+        row.className = 'bibliography-field';
+        row.dataset.raw = field.raw;
+        row.dataset.expression = expression ? 'true' : '';
+        row.innerHTML = `
+            <input type="text" class="bibliography-field-name" value="${this.escapeHtml(field.name)}" placeholder="字段">
+            <textarea class="bibliography-field-value" rows="${Math.min(4, Math.ceil(value.length / 60) || 1)}" placeholder="值">${this.escapeHtml(value)}</textarea>
+            ${expression ? '<span class="bibliography-expression" title="使用 @string 宏或 # 连接，按 BibTeX 语法原样保存">表达式</span>' : ''}
+            <button class="bibliography-remove-field" data-action="remove-field" title="删除字段">×</button>
+        `;
+        container.appendChild(row);
+        if (!field.name) row.querySelector('.bibliography-field-name').focus();
+    }
+
+    /**
+     * 读取表单内容
+     * @returns {Object} { file, type, key, fields: [{ name, raw }] }，值为空的字段会被删除
+     */
+    readForm() {
+        const fields = [];
+        for (const row of this.detail.querySelectorAll('.bibliography-field')) {
+            const name = row.querySelector('.bibliography-field-name').value.trim();
+            const value = row.querySelector('.bibliography-field-value').value;
+            if (!value.trim()) continue;
+
+            const previousRaw = row.dataset.raw;
+            let raw;
+            if (row.dataset.expression) {
+                raw = value.trim();
+            } else if (previousRaw && getEditableValue(previousRaw).value === value) {
+                raw = previousRaw;
+            } else {
+                raw = toBibValue(value.trim(), previousRaw);
+            }
+            fields.push({ name, raw });
+        }
+
+        return {
+            file: document.getElementById('bibliographyFile')?.value.trim() || this.selected.file,
+            type: document.getElementById('bibliographyType').value.trim(),
+            key: document.getElementById('bibliographyKey').value.trim(),
+            fields
+        };
+    }
+
+    /**
+     * 检查修改后的条目
+     * @param {Object} changes - { type, key, fields }
+     * @param {Object} target - 被修改的条目，新建时为 null
+     * @returns {string|null} 错误信息
+     */
+    validateEntry({ type, key, fields }, target = null) {
+        if (!/^[a-zA-Z]+$/.test(type)) return `条目类型只能包含字母：${type}`;
+        if (!key) return '请填写引用键';
+        if (INVALID_BIB_KEY.test(key)) return `引用键中不能包含空白、逗号、括号、引号、=、%、# 或反斜杠：${key}`;
+
+        // 只在修改引用键时检查，已经重复定义的条目仍然可以保存其他修改
+        const existing = (!target || key !== target.key) && this.getEntries().find(entry =>
+            entry.key.toLowerCase() === key.toLowerCase() && !(target && entry.key === target.key)
+        );
+        if (existing) return `引用键 ${existing.key} 已存在（${existing.file}:${existing.keyLine}）`;
+
+        const names = new Set();
+        for (const field of fields) {
+            if (!FIELD_NAME.test(field.name)) return `字段名无效：${field.name || '(空)'}`;
+            if (names.has(field.name.toLowerCase())) return `字段 ${field.name} 重复`;
+            names.add(field.name.toLowerCase());
+            if (!isBalanced(field.raw)) return `字段 ${field.name} 的花括号不配对`;
+        }
+        return null;
+    }
+
+    async saveForm() {
+        const changes = this.readForm();
+        const target = this.selected;
+
+        try {
+            if (target.isNew) {
+                await this.addEntry(changes, changes.file);
+                this.selected = { file: this.normalizePath(changes.file), key: changes.key, occurrence: 0 };
+            } else {
+                await this.updateEntry(target, changes);
+                if (changes.key !== target.key) {
+                    this.selected = { ...target, key: changes.key, occurrence: 0 };
+                    this.setStatus(`已将引用键 ${target.key} 改为 ${changes.key}；文中已有的 \\cite 不会随之修改，可以在 \\cite 中按 F2 重命名`);
+                } else {
+                    this.setStatus(`已保存条目 ${changes.key}`);
+                }
+            }
+            this.render();
+        } catch (error) {
+            console.error('保存文献条目失败:', error);
+            alert('保存失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 修改 .bib 文件中的条目
+     * @param {Object} target - { file, key, occurrence, raw }，raw 为打开表单时条目的原文
+     * @param {Object} changes - { type, key, fields: [{ name, raw }] }
+     */
+    async updateEntry(target, changes) {
+        const error = this.validateEntry(changes, target);
+        if (error) throw new Error(error);
+
+        const text = await this.readFile(target.file);
+        const entry = this.locateEntry(text, target);
+        if (!entry || (target.raw !== undefined && entry.raw !== target.raw)) {
+            throw new Error(`条目 ${target.key} 在打开后已被修改，请重新选择该条目`);
+        }
+        await this.writeFile(target.file, updateBibEntry(text, entry, changes));
+    }
+
+    /**
+     * 在 .bib 文件末尾添加条目，文件不存在时创建
+     * @param {Object} changes - { type, key, fields: [{ name, raw }] }
+     * @param {string} file - 目标文件，默认为项目中的第一个 .bib 文件
+     */
+    async addEntry(changes, file = null) {
+        return this.addEntries([changes], file);
+    }
+
+    /**
+     * 一次添加多个条目，只写入一次文件；任何一个条目无效时都不添加
+     * @returns {string} 写入的文件
+     */
+    async addEntries(entries, file = null) {
+        const keys = new Set();
+        for (const changes of entries) {
+            const error = this.validateEntry(changes);
+            if (error) throw new Error(error);
+            if (keys.has(changes.key.toLowerCase())) throw new Error(`引用键 ${changes.key} 重复`);
+            keys.add(changes.key.toLowerCase());
+        }
+
+        const target = this.getTargetFile(file);
+        const text = await this.readFile(target);
+        await this.writeFile(target, entries.reduce((result, changes) => appendBibEntry(result, changes), text));
+        return target;
+    }
+
+    getTargetFile(file = null) {
+        const target = this.normalizePath(file || [...this.ide.bibliographyIndex.files.keys()][0] || DEFAULT_BIB_FILE);
+        if (!target.endsWith('.bib')) throw new Error(`文献文件必须是 .bib 文件：${target}`);
+        return target;
+    }
+
+    getImportSettings() {
+        const settings = this.ide.settingsManager.get('bibliography') || {};
+        return {
+            keyPattern: settings.keyPattern || 'authoryear',
+            keepImportedKeys: settings.keepImportedKeys !== false,
+            normalizeBibLaTeX: settings.normalizeBibLaTeX !== false
+        };
+    }
+
+    /**
+     * 导入由 parseReferences 解析的条目：按设置中的模式生成引用键，冲突的引用键加上后缀，
+     * 与已有条目重复（DOI 相同或标题相近）的条目不导入
+     * @param {Array} references - [{ type, key, fields: [{ name, raw }] }]
+     * @param {Object} options - { file, keyPattern, keepImportedKeys }，未指定时使用设置
+     * @returns {Object} { file, rows }，rows 为 planImport 的结果，include 表示是否已导入
+     */
+    async importReferences(references, options = {}) {
+        const rows = planImport(references, this.getEntries(), { ...this.getImportSettings(), ...options });
+        const included = rows.filter(row => row.include);
+        const file = included.length > 0
+            ? await this.addEntries(included.map(row => row.reference), options.file)
+            : this.getTargetFile(options.file);
+        return { file, rows };
+    }
+
+    /**
+     * 用纯文本字段值新建条目（供 AI 助手等使用）
+     * @param {Object} values - { type, key, fields: { 字段名: 值 } }，值为空的字段会被忽略
+     */
+    async createEntry({ type = 'misc', key, fields = {} }, file = null) {
+        return this.addEntry({
+            type,
+            key,
+            fields: Object.entries(fields)
+                .filter(([, value]) => value)
+                .map(([name, value]) => ({ name, raw: toBibValue(String(value)) }))
+        }, file);
+    }
+
+    async deleteSelected() {
+        const target = this.selected;
+        if (!target || target.isNew) return;
+        if (!confirm(`确定要从 ${target.file} 中删除条目 ${target.key} 吗？`)) return;
+
+        try {
+            const text = await this.readFile(target.file);
+            const entry = this.locateEntry(text, target);
+            if (!entry || entry.raw !== target.raw) {
+                throw new Error(`条目 ${target.key} 在打开后已被修改，请重新选择该条目`);
+            }
+            await this.writeFile(target.file, removeBibEntry(text, entry));
+            this.selected = null;
+            this.setStatus(`已删除条目 ${target.key}`);
+            this.render();
+        } catch (error) {
+            console.error('删除文献条目失败:', error);
+            alert('删除失败: ' + error.message);
+        }
+    }
+
+    // 在文本中找到同一引用键的第 occurrence 个条目
+    locateEntry(text, { key, occurrence = 0 }) {
+        return parseBibTeX(text).entries.filter(entry => entry.key === key)[occurrence] || null;
+    }
+
+    async readFile(file) {
+        return (await this.ide.rootDocumentResolver.readText(file)) || '';
+    }
+
+    /**
+     * 写入 .bib 文件，同时修改项目文档使修改进入版本快照，并立即更新文献索引
+     */
+    async writeFile(file, text) {
+        const isNewFile = !this.ide.bibliographyIndex.files.has(file);
+        await this.ide.versionManager.setFileText(file, text, { writeToDisk: true });
+
+        if (isNewFile) this.ide.refreshFileExplorer();
+        this.ide.bibliographyIndex.updateFile(file, text);
+    }
+
+    normalizePath(file) {
+        return file.startsWith('/') ? file : `/${file}`;
+    }
+
+    /**
+     * 在编辑器光标处插入 \cite{key}
+     */
+    insertCitation(key) {
+        const editor = this.ide.editor;
+        const model = editor?.getModel();
+        if (!key || !model || model.getLanguageId() !== 'latex') {
+            this.setStatus('请先打开一个 .tex 文件');
+            return;
+        }
+
+        const selection = editor.getSelection();
+        editor.pushUndoStop();
+        editor.executeEdits(this.problemSource, [{ range: selection, text: `\\cite{${key}}` }]);
+        editor.pushUndoStop();
+        this.hide();
+        editor.focus();
+    }
+
+    async revealSelected() {
+        const entry = this.getSelectedEntry();
+        if (!entry) return;
+
+        this.hide();
+        await this.ide.openFile(entry.file);
+        const editor = this.ide.editor;
+        if (editor && this.ide.currentFile === entry.file) {
+            editor.revealLineInCenter(entry.keyLine);
+            editor.setPosition({ lineNumber: entry.keyLine, column: entry.keyColumn });
+            editor.focus();
+        }
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('statusText');
+        if (status) status.textContent = message;
+    }
+
+    // 结果也用于属性值，因此同时转义引号
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * 编译历史
+ * 记录每次编译的时间、根文档、编译方案、耗时、错误/警告数量与日志，保存在 localStorage 中
+ */
+
+const STORAGE_KEY = 'latex-ide-build-history';
+const MAX_ENTRIES = 30;
+// 日志可能很大，只保留末尾部分，避免占满 localStorage（文件系统也存储在其中）
+const MAX_LOG_LENGTH = 50 * 1024;
+
+export class BuildHistory {
+    constructor() {
+        this.entries = this.load();
+        this.listeners = new Set();
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('加载编译历史失败:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            // 存储空间不足时丢弃最旧的一半记录后重试
+            console.warn('保存编译历史失败，将删除较早的记录:', error);
+            this.entries = this.entries.slice(0, Math.floor(this.entries.length / 2));
+            try {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+            } catch (retryError) {
+                console.error('保存编译历史失败:', retryError);
+            }
+        }
+    }
+
+    /**
+     * 记录一次编译结果
+     * @param {Object} result - CompileManager.compile 的返回值
+     */
+    record(result) {
+        let log = result.log || '';
+        if (log.length > MAX_LOG_LENGTH) {
+            log = `...（日志过长，仅保留最后 ${Math.round(MAX_LOG_LENGTH / 1024)}KB）\n` + log.slice(-MAX_LOG_LENGTH);
+        }
+
+        const diagnostics = result.diagnostics || { errors: [], warnings: [], badBoxes: [] };
+        const entry = {
+            id: `build_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            timestamp: result.startedAt,
+            rootFile: result.rootFile,
+            recipe: result.recipe || null,
+            background: !!result.background,
+            partial: result.partial ? result.partial.label : null,
+            success: result.success,
+            duration: result.duration,
+            errorCount: diagnostics.errors.length,
+            warningCount: diagnostics.warnings.length,
+            badBoxCount: diagnostics.badBoxes.length,
+            steps: (result.steps || []).map(step => step.skipped ? `${step.program}（已跳过）` : step.program),
+            error: result.error || null,
+            log
+        };
+
+        this.entries.unshift(entry);
+        this.entries = this.entries.slice(0, MAX_ENTRIES);
+        this.save();
+        this.notifyListeners();
+        return entry;
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+        this.notifyListeners();
+    }
+
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this.entries);
+            } catch (error) {
+                console.error('编译历史监听器出错:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * 编译历史视图
+ * 左侧列出历次编译，右侧显示选中编译的详情与日志
+ */
+export class BuildHistoryView {
+    constructor(ide, buildHistory) {
+        this.ide = ide;
+        this.buildHistory = buildHistory;
+        this.selectedId = null;
+
+        this.modal = document.getElementById('buildHistoryModal');
+        this.list = document.getElementById('buildHistoryList');
+        this.detail = document.getElementById('buildHistoryDetail');
+
+        this.buildHistory.onChange(() => {
+            if (this.isVisible()) {
+                this.render();
+            }
+        });
+
+        this.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('.build-history-item');
+            if (item) {
+                this.selectEntry(item.dataset.id);
+            }
+        });
+    }
+
+    isVisible() {
+        return this.modal && this.modal.style.display === 'flex';
+    }
+
+    show() {
+        if (!this.modal) return;
+        this.modal.style.display = 'flex';
+        this.render();
+    }
+
+    hide() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+    }
+
+    render() {
+        const entries = this.buildHistory.getEntries();
+
+        if (entries.length === 0) {
+            this.list.innerHTML = '<div class="build-history-empty">暂无编译记录</div>';
+            this.detail.innerHTML = '';
+            return;
+        }
+
+        if (!this.selectedId || !this.buildHistory.getEntry(this.selectedId)) {
+            this.selectedId = entries[0].id;
+        }
+
+        this.list.innerHTML = entries.map(entry => `
+            <div class="build-history-item ${entry.success ? 'success' : 'error'} ${entry.id === this.selectedId ? 'selected' : ''}" data-id="${entry.id}">
+                <div class="build-history-item-title">
+                    <span class="build-history-status">${entry.success ? '✓' : '✗'}</span>
+                    <span>${this.escapeHtml(entry.rootFile || '')}</span>
+                    ${entry.background ? '<span class="build-history-tag">自动</span>' : ''}
+                    ${entry.partial ? '<span class="build-history-tag">部分</span>' : ''}
+                </div>
+                <div class="build-history-item-meta">
+                    ${this.formatTime(entry.timestamp)} · ${(entry.duration / 1000).toFixed(1)}s · ✗ ${entry.errorCount} ⚠ ${entry.warningCount}
+                </div>
+            </div>
+        `).join('');
+
+        this.renderDetail(this.buildHistory.getEntry(this.selectedId));
+    }
+
+    renderDetail(entry) {
+        if (!entry) {
+            this.detail.innerHTML = '';
+            return;
+        }
+
+        this.detail.innerHTML = `
+            <div class="build-history-summary">
+                <div><strong>根文档：</strong>${this.escapeHtml(entry.rootFile || '')}</div>
+                ${entry.partial ? `<div><strong>快速预览：</strong>${this.escapeHtml(entry.partial)}</div>` : ''}
+                <div><strong>时间：</strong>${this.formatTime(entry.timestamp)}</div>
+                <div><strong>编译方案：</strong>${this.escapeHtml(entry.recipe || '-')}${entry.steps.length ? `（${entry.steps.join(' → ')}）` : ''}</div>
+                <div><strong>耗时：</strong>${(entry.duration / 1000).toFixed(2)}s</div>
+                <div><strong>结果：</strong>${entry.success ? '成功' : '失败'}，${entry.errorCount} 个错误，${entry.warningCount} 个警告，${entry.badBoxCount} 个排版提示</div>
+                ${entry.error ? `<div class="build-history-error">${this.escapeHtml(entry.error)}</div>` : ''}
+            </div>
+            <pre class="build-history-log">${this.escapeHtml(entry.log || '（无日志）')}</pre>
+        `;
+    }
+
+    selectEntry(id) {
+        this.selectedId = id;
+        this.render();
+    }
+
+    clearHistory() {
+        if (confirm('确定要清空所有编译历史吗？')) {
+            this.buildHistory.clear();
+        }
+    }
+
+    formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * 编译方案（Build Recipes）
+ * 读取项目构建配置 /config/settings.json，提供可在工具栏选择的命名编译方案
+ *
+ * 配置示例：
+ * {
+ *   "compiler": "pdflatex",        // 默认 TeX 引擎：pdflatex | xelatex | lualatex
+ *   "bibtex": true,                // true 自动选择 bibtex/biber，"biber" 只使用 biber（生成 .bcf 时运行），false 禁用
+ *   "makeindex": true,             // 检测到 .idx 时运行 makeindex
+ *   "glossaries": true,            // 检测到 .glo 时生成术语表
+ *   "maxRuns": 5,                  // 交叉引用稳定前最多运行引擎的次数
+ *   "recipe": "auto",              // 默认编译方案
+ *   "previewRecipe": "latex",      // 快速预览（只编译光标所在章节）使用的编译方案
+ *   "previewDraftImages": true,    // 快速预览时以草稿模式处理图片（只显示边框）
+ *   "citationStyle": "auto",       // 引用预览的样式：apa | ieee | chicago-author-date | 项目中 .csl 文件的路径，
+ *                                  // auto 按 \bibliographystyle 或 biblatex 的 style 选项识别
+ *   "recipes": [                   // 自定义编译方案
+ *     { "name": "quick", "label": "快速", "steps": ["latex"] }
+ *   ]
+ * }
+ *
+ * 方案步骤：latex（配置的引擎）、pdflatex、xelatex、lualatex、bibtex、biber、makeindex、glossaries、
+ * auto（自动判断需要的工具并重复编译直到 .aux 不再变化）
+ */
+
+export const BUILD_CONFIG_PATH = '/config/settings.json';
+
+export const DEFAULT_BUILD_CONFIG = {
+    compiler: 'pdflatex',
+    bibtex: true,
+    makeindex: true,
+    glossaries: true,
+    maxRuns: 5,
+    recipe: 'auto',
+    previewRecipe: 'latex',
+    previewDraftImages: true,
+    citationStyle: 'auto'
+};
+
+export const TEX_ENGINES = ['pdflatex', 'xelatex', 'lualatex'];
+
+export const BUILT_IN_RECIPES = [
+    { name: 'auto', label: '自动 (latexmk)', steps: ['auto'] },
+    { name: 'latex', label: '单次编译', steps: ['latex'] },
+    { name: 'latex-bibtex', label: 'LaTeX → BibTeX → LaTeX ×2', steps: ['latex', 'bibtex', 'latex', 'latex'] },
+    { name: 'latex-biber', label: 'LaTeX → Biber → LaTeX ×2', steps: ['latex', 'biber', 'latex', 'latex'] },
+    { name: 'pdflatex', label: 'pdfLaTeX (自动)', compiler: 'pdflatex', steps: ['auto'] },
+    { name: 'xelatex', label: 'XeLaTeX (自动)', compiler: 'xelatex', steps: ['auto'] },
+    { name: 'lualatex', label: 'LuaLaTeX (自动)', compiler: 'lualatex', steps: ['auto'] }
+];
+
+const SELECTED_RECIPE_KEY = 'latex-ide-build-recipe';
+
+export class BuildRecipes {
+    constructor(ide) {
+        this.ide = ide;
+    }
+
+    /**
+     * 读取项目构建配置，缺失或格式错误时使用默认值
+     */
+    async loadConfig() {
+        let text = this.ide.getProjectFileText(BUILD_CONFIG_PATH);
+
+        if (text === null) {
+            try {
+                if (await this.ide.fileSystem.exists(BUILD_CONFIG_PATH)) {
+                    text = await this.ide.fileSystem.readFile(BUILD_CONFIG_PATH);
+                }
+            } catch (error) {
+                console.warn('读取构建配置失败:', error);
+            }
+        }
+
+        if (!text) {
+            return { ...DEFAULT_BUILD_CONFIG };
+        }
+
+        try {
+            const config = { ...DEFAULT_BUILD_CONFIG, ...JSON.parse(text) };
+            if (!TEX_ENGINES.includes(config.compiler)) {
+                console.warn(`构建配置中的 compiler "${config.compiler}" 不受支持，使用 pdflatex`);
+                config.compiler = 'pdflatex';
+            }
+            return config;
+        } catch (error) {
+            console.warn(`构建配置 ${BUILD_CONFIG_PATH} 不是有效的 JSON，使用默认配置:`, error);
+            return { ...DEFAULT_BUILD_CONFIG };
+        }
+    }
+
+    // 内置方案与项目自定义方案（同名时自定义方案优先）
+    getRecipes(config) {
+        const recipes = new Map(BUILT_IN_RECIPES.map(recipe => [recipe.name, recipe]));
+
+        for (const recipe of config.recipes || []) {
+            if (!recipe || !recipe.name || !Array.isArray(recipe.steps)) {
+                console.warn('忽略无效的编译方案:', recipe);
+                continue;
+            }
+            recipes.set(recipe.name, { label: recipe.name, ...recipe });
+        }
+
+        return [...recipes.values()];
+    }
+
+    getRecipe(name, config) {
+        const recipes = this.getRecipes(config);
+        return recipes.find(recipe => recipe.name === name)
+            || recipes.find(recipe => recipe.name === config.recipe)
+            || recipes[0];
+    }
+
+    // 用户在工具栏中选择的方案，未选择时使用项目配置的默认方案
+    getSelectedRecipeName() {
+        return localStorage.getItem(SELECTED_RECIPE_KEY);
+    }
+
+    setSelectedRecipeName(name) {
+        localStorage.setItem(SELECTED_RECIPE_KEY, name);
+    }
+}
@@ -0,0 +1,265 @@
+import * as monaco from 'monaco-editor';
+import {
+    BUNDLED_CITATION_STYLES, DEFAULT_CITATION_STYLE,
+    describeCitationStyle, detectCitationStyle, toCSLItem
+} from './CitationStyles.js';
+
+/**
+ * 引用格式预览
+ * 用 CSL 处理器（citeproc-js）按 APA、IEEE、Chicago 或项目配置的样式排版文献条目，无需编译：
+ * 悬停 \cite 的引用键时显示排版结果，文献管理器中可以切换样式预览，并可复制格式化的引用。
+ * 项目样式由 /config/settings.json 的 citationStyle 指定（打包的样式名或项目中 .csl 文件的路径），
+ * 为 auto 时按根文档的 \bibliographystyle 或 biblatex 选项识别
+ */
+
+// 打包的样式与 CSL 语言文件按需加载
+const STYLE_FILES = import.meta.glob('../assets/csl/*.csl', { query: '?raw', import: 'default' });
+const LOCALE_FILES = import.meta.glob('../../node_modules/citeproc-locales/locales/locales-*.xml', { query: '?raw', import: 'default' });
+
+const DEFAULT_LOCALE = 'en-US';
+
+export class CitationPreview {
+    constructor(ide) {
+        this.ide = ide;
+        this.CSL = null; // citeproc-js，第一次排版时加载
+        this.engines = new Map(); // 样式 -> { xml, info, engine }
+        this.locales = new Map(); // 语言代码 -> CSL 语言文件内容
+        this.items = new Map(); // 引用键 -> CSL-JSON
+        this.disposables = [];
+    }
+
+    init() {
+        this.disposables.push(
+            monaco.languages.registerHoverProvider('latex', {
+                provideHover: (model, position) => this.provideHover(model, position)
+            }),
+            // 悬停提示中的"复制"链接
+            monaco.editor.registerCommand('citationPreview.copy', (accessor, key) => this.copyReference(key))
+        );
+
+        this.ide.registerContextMenuAction({
+            id: 'citationPreview.copyFormatted',
+            label: '复制格式化引用',
+            contextMenuGroupId: '9_cutcopypaste',
+            contextMenuOrder: 10,
+            precondition: 'editorLangId == latex',
+            run: (editor) => {
+                const symbol = this.ide.symbolNavigation.getSymbolAt(editor.getModel(), editor.getPosition());
+                if (symbol?.type === 'cite') {
+                    this.copyReference(symbol.name);
+                } else {
+                    this.setStatus('光标不在 \\cite 的引用键上');
+                }
+            }
+        });
+
+        // 条目变化后重新转换，处理器中缓存的条目随之失效
+        this.ide.bibliographyIndex.onChange(() => {
+            this.items.clear();
+            this.engines.clear();
+        });
+    }
+
+    async provideHover(model, position) {
+        const symbol = this.ide.symbolNavigation.getSymbolAt(model, position);
+        if (symbol?.type !== 'cite' || !this.ide.bibliographyIndex.getEntry(symbol.name)) return null;
+
+        try {
+            const result = await this.format(symbol.name);
+            const copy = `command:citationPreview.copy?${encodeURIComponent(JSON.stringify([symbol.name]))}`;
+            return {
+                range: symbol.range,
+                contents: [
+                    { value: `**${this.escapeMarkdown(result.title)}**` + (result.citation ? ` · 文中引用：${this.escapeMarkdown(result.citation)}` : '') },
+                    { value: result.html, supportHtml: true },
+                    { value: `[复制格式化引用](${copy})`, isTrusted: true }
+                ]
+            };
+        } catch (error) {
+            console.error('排版引用失败:', error);
+            return {
+                range: symbol.range,
+                contents: [{ value: `**引用预览失败：** ${this.escapeMarkdown(error.message)}` }]
+            };
+        }
+    }
+
+    /**
+     * 项目使用的引用样式：项目配置的 citationStyle，为 auto 时按根文档识别，无法识别时使用 APA
+     * @returns {string} 打包样式的文件名或项目中 .csl 文件的路径
+     */
+    async getProjectStyle() {
+        const config = await this.ide.compileManager.buildRecipes.loadConfig();
+        if (config.citationStyle && config.citationStyle !== 'auto') return config.citationStyle;
+
+        const resolver = this.ide.rootDocumentResolver;
+        const root = await resolver.resolve(this.ide.currentFile);
+        const text = root ? await resolver.readText(root) : null;
+        return detectCitationStyle(text) || DEFAULT_CITATION_STYLE;
+    }
+
+    /**
+     * 可以选择的样式：打包的样式与项目中的 .csl 文件
+     * @returns {Array} [{ value, label }]
+     */
+    async getStyleOptions() {
+        const files = await this.ide.rootDocumentResolver.getProjectFiles('.csl');
+        return [
+            ...Object.entries(BUNDLED_CITATION_STYLES).map(([value, label]) => ({ value, label })),
+            ...files.map(file => ({ value: file, label: file }))
+        ];
+    }
+
+    getStyleLabel(style) {
+        return BUNDLED_CITATION_STYLES[style] || style;
+    }
+
+    /**
+     * 按样式排版一个条目
+     * @param {string} key - 引用键
+     * @param {string} style - 打包样式的文件名或 .csl 文件路径，默认为项目样式
+     * @returns {Object} { style, title, citation, html, text }
+     *   citation 为文中引用的形式，数字编号的样式中编号取决于引用顺序，此时为空
+     */
+    async format(key, style = null) {
+        if (!this.ide.bibliographyIndex.getEntry(key)) {
+            throw new Error(`找不到引用键 ${key}`);
+        }
+
+        const name = style || await this.getProjectStyle();
+        const { info, engine } = await this.getEngine(name);
+        engine.updateItems([key]);
+
+        engine.setOutputFormat('html');
+        const [meta, [html = '']] = engine.makeBibliography();
+        engine.setOutputFormat('text');
+        const [, [text = '']] = engine.makeBibliography();
+
+        // 单独排版时编号总是 [1]，不显示
+        const numbered = Boolean(meta['second-field-align']);
+        return {
+            style: name,
+            title: info.title || this.getStyleLabel(name),
+            citation: info.format === 'numeric' ? '' : engine.previewCitationCluster({
+                citationItems: [{ id: key }],
+                properties: { noteIndex: 0 }
+            }, [], [], 'text'),
+            html: (numbered ? html.replace(/<div class="csl-left-margin">[\s\S]*?<\/div>/, '') : html)
+                .replace(/\n\s*/g, '')
+                .trim(),
+            text: (numbered ? text.replace(/^\S+\s+/, '') : text).trim()
+        };
+    }
+
+    // 样式的处理器，样式文件内容变化（项目中的 .csl 被修改）时重新创建
+    async getEngine(style) {
+        let xml = await this.loadStyle(style);
+        let info = describeCitationStyle(xml);
+        if (info.parent) {
+            // 依赖样式使用被引用样式的排版规则，只支持引用打包的样式
+            if (!STYLE_FILES[this.getStylePath(info.parent)]) {
+                throw new Error(`样式 ${style} 依赖未打包的样式 ${info.parent}`);
+            }
+            xml = await this.loadStyle(info.parent);
+            const parent = describeCitationStyle(xml);
+            info = { ...parent, title: info.title || parent.title, locale: info.locale || parent.locale };
+        }
+
+        const cached = this.engines.get(style);
+        if (cached && cached.xml === xml) return cached;
+
+        if (!this.CSL) {
+            this.CSL = (await import('citeproc')).default;
+        }
+        // 使用样式的默认语言，语言文件中缺少的内容以 en-US 补充
+        const locale = info.locale || DEFAULT_LOCALE;
+        await Promise.all([this.loadLocale(DEFAULT_LOCALE), this.loadLocale(locale)]);
+
+        const engine = new this.CSL.Engine({
+            retrieveLocale: (lang) => this.locales.get(lang) || this.locales.get(DEFAULT_LOCALE),
+            retrieveItem: (id) => this.getItem(id)
+        }, xml, locale);
+
+        const result = { xml, info, engine };
+        this.engines.set(style, result);
+        return result;
+    }
+
+    getStylePath(name) {
+        return `../assets/csl/${name}.csl`;
+    }
+
+    async loadStyle(style) {
+        const bundled = STYLE_FILES[this.getStylePath(style)];
+        if (bundled) return bundled();
+
+        if (!/\.csl$/i.test(style)) {
+            throw new Error(`未知的引用样式 ${style}，可以使用 ${Object.keys(BUNDLED_CITATION_STYLES).join('、')} 或项目中 .csl 文件的路径`);
+        }
+        const path = style.startsWith('/') ? style : `/${style}`;
+        const xml = await this.ide.rootDocumentResolver.readText(path);
+        if (xml === null) throw new Error(`找不到样式文件 ${path}`);
+        return xml;
+    }
+
+    // 加载语言文件，只有语言代码（如 de）时使用该语言的第一个地区
+    async loadLocale(lang) {
+        if (this.locales.has(lang)) return;
+
+        const paths = Object.keys(LOCALE_FILES);
+        const path = paths.find(file => file.endsWith(`/locales-${lang}.xml`)) ||
+            paths.find(file => file.includes(`/locales-${lang.split('-')[0]}-`));
+        if (path) {
+            this.locales.set(lang, await LOCALE_FILES[path]());
+        } else {
+            console.warn(`没有 ${lang} 的 CSL 语言文件，使用 ${DEFAULT_LOCALE}`);
+        }
+    }
+
+    // crossref 的子条目从父条目继承缺少的字段
+    getItem(key) {
+        if (!this.items.has(key)) {
+            const index = this.ide.bibliographyIndex;
+            const entry = index.getEntry(key);
+            if (!entry) return null;
+            const parent = entry.fields.crossref ? index.getEntry(entry.fields.crossref.trim()) : null;
+            this.items.set(key, toCSLItem(entry, parent));
+        }
+        return this.items.get(key);
+    }
+
+    /**
+     * 复制格式化的引用：同时写入 HTML 与纯文本，粘贴到文字处理软件时保留斜体等格式
+     */
+    async copyReference(key, style = null) {
+        try {
+            const { html, text } = await this.format(key, style);
+            if (window.ClipboardItem && navigator.clipboard?.write) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/html': new Blob([html], { type: 'text/html' }),
+                    'text/plain': new Blob([text], { type: 'text/plain' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(text);
+            }
+            this.setStatus(`已复制 ${key} 的格式化引用`);
+        } catch (error) {
+            console.error('复制格式化引用失败:', error);
+            this.setStatus('复制格式化引用失败: ' + error.message);
+        }
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('statusText');
+        if (status) status.textContent = message;
+    }
+
+    escapeMarkdown(text) {
+        return text.replace(/[\\`*_{}[\]()#+\-.!<>|]/g, '\\$&');
+    }
+
+    destroy() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
@@ -0,0 +1,528 @@
+import { stripComments } from './DocumentStructure.js';
+
+/**
+ * 引用样式
+ * 把 .bib 条目转换为 CSL-JSON 供 CSL 处理器排版，并从项目源码识别使用的引用样式；
+ * 随应用打包的样式文件位于 src/assets/csl
+ */
+
+// 随应用打包的样式：文件名 -> 显示名称
+export const BUNDLED_CITATION_STYLES = {
+    apa: 'APA（第 7 版）',
+    ieee: 'IEEE',
+    'chicago-author-date': 'Chicago（作者-年份）'
+};
+
+export const DEFAULT_CITATION_STYLE = 'apa';
+
+// BibTeX 样式名与 BibLaTeX style 选项对应的打包样式：作者-年份的样式（如 plainnat）以 Chicago 近似，
+// 数字编号的样式以 IEEE 近似
+const LATEX_STYLES = [
+    [/^apa/i, 'apa'],
+    [/^chicago|^authoryear|nat$/i, 'chicago-author-date'],
+    [/^(ieee|unsrt|plain|abbrv|alpha|numeric)/i, 'ieee']
+];
+
+/**
+ * 从根文档识别引用样式：\bibliographystyle{...} 或 biblatex 的 style/bibstyle 选项
+ * @returns {string|null} 打包样式的文件名，无法识别时返回 null
+ */
+export function detectCitationStyle(text) {
+    const source = stripComments(text || '');
+    const biblatex = source.match(/\\usepackage\s*\[([^\]]*)\]\s*\{biblatex\}/);
+    const bibtex = source.match(/\\bibliographystyle\s*\{([^}]*)\}/);
+    const name = biblatex?.[1].match(/\b(?:bib)?style\s*=\s*([\w-]+)/)?.[1] || bibtex?.[1].trim();
+    if (!name) return null;
+
+    const match = LATEX_STYLES.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : null;
+}
+
+/**
+ * CSL 样式的基本信息
+ * @param {string} xml - .csl 文件内容
+ * @returns {Object} { title, format: 'author-date' | 'numeric' | 'note' | ..., locale, parent }
+ */
+export function describeCitationStyle(xml) {
+    return {
+        title: decodeXml(xml.match(/<title>([^<]*)<\/title>/)?.[1] || ''),
+        format: xml.match(/<category\s+citation-format="([^"]+)"/)?.[1] || '',
+        locale: xml.match(/<style\b[^>]*\bdefault-locale="([^"]+)"/)?.[1] || '',
+        // 依赖样式只引用另一个样式，parent 为被引用样式的文件名
+        parent: xml.match(/<link\b[^>]*\brel="independent-parent"[^>]*>/)?.[0].match(/\bhref="[^"]*?([\w-]+)"/)?.[1] || ''
+    };
+}
+
+function decodeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+// ---------- BibTeX 条目 -> CSL-JSON ----------
+
+const CSL_TYPES = {
+    article: 'article-journal',
+    book: 'book',
+    booklet: 'pamphlet',
+    inbook: 'chapter',
+    incollection: 'chapter',
+    inproceedings: 'paper-conference',
+    conference: 'paper-conference',
+    proceedings: 'book',
+    manual: 'report',
+    phdthesis: 'thesis',
+    mastersthesis: 'thesis',
+    thesis: 'thesis',
+    techreport: 'report',
+    report: 'report',
+    online: 'webpage',
+    electronic: 'webpage',
+    www: 'webpage',
+    unpublished: 'manuscript',
+    misc: 'document'
+};
+
+const THESIS_GENRES = { phdthesis: 'PhD thesis', mastersthesis: "Master's thesis" };
+
+// babel 语言名对应的语言代码；CSL 处理器只对英文条目转换标题大小写
+const LANGUAGES = {
+    english: 'en', american: 'en-US', british: 'en-GB', german: 'de', ngerman: 'de',
+    french: 'fr', spanish: 'es', italian: 'it', dutch: 'nl', portuguese: 'pt', russian: 'ru',
+    chinese: 'zh', japanese: 'ja', korean: 'ko'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * 把文献索引中的条目转换为 CSL-JSON
+ * @param {Object} entry - 文献索引的条目 { key, type, fields }
+ * @param {Object} parent - crossref 指向的条目，缺少的字段从它继承
+ * @returns {Object} CSL-JSON 条目，id 为引用键
+ */
+export function toCSLItem(entry, parent = null) {
+    const fields = { ...inheritedFields(parent), ...entry.fields };
+    const type = entry.type.toLowerCase();
+    const text = name => (fields[name] ? latexToCSL(fields[name]) : '');
+
+    const item = {
+        id: entry.key,
+        type: CSL_TYPES[type] || 'document',
+        title: fields.title ? latexToCSL(fields.title, { protectCase: true }) : '',
+        'container-title': latexToCSL(fields.journal || fields.journaltitle || fields.booktitle || '', { protectCase: true }),
+        'collection-title': text('series'),
+        author: parseBibNames(fields.author),
+        editor: parseBibNames(fields.editor),
+        translator: parseBibNames(fields.translator),
+        issued: parseBibDate(fields.date, fields.year, fields.month),
+        accessed: parseBibDate(fields.urldate),
+        volume: text('volume'),
+        edition: text('edition'),
+        page: text('pages').replace(/\s*[-–—]+\s*/g, '-'),
+        'chapter-number': text('chapter'),
+        publisher: text('publisher') || text('school') || text('institution') || text('organization'),
+        'publisher-place': text('address') || text('location'),
+        genre: text('type') || THESIS_GENRES[type] || '',
+        DOI: (fields.doi || '').trim().replace(/^https?:\/\/(dx\.)?doi\.org\//i, ''),
+        URL: getUrl(fields),
+        ISBN: text('isbn'),
+        ISSN: text('issn'),
+        note: text('note'),
+        language: getLanguage(fields.language)
+    };
+
+    // 报告的 number 是报告编号，其他类型是期号
+    item[item.type === 'report' ? 'number' : 'issue'] = text('number');
+
+    return Object.fromEntries(Object.entries(item).filter(([, value]) =>
+        Array.isArray(value) ? value.length > 0 : Boolean(value)
+    ));
+}
+
+// 子条目从 crossref 继承父条目的字段，父条目的标题作为子条目的 booktitle
+function inheritedFields(parent) {
+    if (!parent) return {};
+    const { title, crossref, ...fields } = parent.fields;
+    if (title && !fields.booktitle) fields.booktitle = title;
+    return fields;
+}
+
+function getUrl(fields) {
+    if (fields.url) return fields.url.trim();
+    const howpublished = (fields.howpublished || '').match(/\\url\s*\{([^}]*)\}/);
+    if (howpublished) return howpublished[1].trim();
+    if (fields.eprint && /^arxiv$/i.test(fields.archiveprefix || fields.eprinttype || '')) {
+        return `https://arxiv.org/abs/${fields.eprint.trim()}`;
+    }
+    return '';
+}
+
+function getLanguage(value) {
+    const language = (value || '').trim().toLowerCase();
+    if (LANGUAGES[language]) return LANGUAGES[language];
+    return /^[a-z]{2}(-[a-z]{2})?$/.test(language) ? language : '';
+}
+
+/**
+ * 解析日期：BibLaTeX 的 date（2020-05-03，范围只取开始日期）或 year 与 month
+ * @returns {Object|null} CSL 日期 { 'date-parts': [[年, 月, 日]] }，年份不是数字时为 { literal }
+ */
+export function parseBibDate(date, year = '', month = '') {
+    const iso = (date || '').trim().match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+    if (iso) {
+        return { 'date-parts': [iso.slice(1).filter(Boolean).map(part => parseInt(part, 10))] };
+    }
+
+    const yearText = latexToCSL(year || date || '');
+    if (!yearText) return null;
+    const yearNumber = yearText.match(/^\d{4}$/);
+    if (!yearNumber) return { literal: yearText };
+
+    const parts = [parseInt(yearText, 10)];
+    const monthText = (month || '').trim().toLowerCase();
+    const monthNumber = /^\d{1,2}$/.test(monthText)
+        ? parseInt(monthText, 10)
+        : MONTH_NAMES.indexOf(monthText.slice(0, 3)) + 1;
+    if (monthNumber >= 1 && monthNumber <= 12) parts.push(monthNumber);
+    return { 'date-parts': [parts] };
+}
+
+/**
+ * 解析 BibTeX 人名列表（"and" 分隔），支持 "First von Last"、"von Last, First" 与 "von Last, Jr, First"；
+ * 整个被花括号包围的名字（如机构名）不拆分
+ * @returns {Array} CSL 人名 [{ family, given, 'non-dropping-particle', suffix } | { literal }]
+ */
+export function parseBibNames(value) {
+    if (!value) return [];
+    return splitTopLevel(value.trim(), /\s+and\s+/iy)
+        .map(name => name.trim())
+        .filter(name => name && name !== 'others')
+        .map(parseBibName);
+}
+
+function parseBibName(name) {
+    if (/^\{.*\}$/s.test(name) && isGroup(name)) {
+        return { literal: latexToCSL(name.slice(1, -1)) };
+    }
+
+    const parts = splitTopLevel(name, /\s*,\s*/y);
+    let given = [];
+    let von = [];
+    let family = [];
+    let suffix = '';
+
+    if (parts.length === 1) {
+        const words = splitTopLevel(parts[0], /\s+/y);
+        family = [words.pop()];
+        // 最后一个词之前第一个到最后一个小写开头的词是 von 部分
+        const first = words.findIndex(isLowerCase);
+        if (first === -1) {
+            given = words;
+        } else {
+            let last = first;
+            words.forEach((word, index) => { if (isLowerCase(word)) last = index; });
+            given = words.slice(0, first);
+            von = words.slice(first, last + 1);
+            family = [...words.slice(last + 1), ...family];
+        }
+    } else {
+        const words = splitTopLevel(parts[0], /\s+/y);
+        const last = words.slice(0, -1).reduce((result, word, index) => (isLowerCase(word) ? index : result), -1);
+        von = words.slice(0, last + 1);
+        family = words.slice(last + 1);
+        given = splitTopLevel(parts[parts.length - 1], /\s+/y);
+        if (parts.length > 2) suffix = parts[1];
+    }
+
+    const result = { family: latexToCSL(family.join(' ')) };
+    if (given.length > 0) result.given = latexToCSL(given.join(' '));
+    if (von.length > 0) result['non-dropping-particle'] = latexToCSL(von.join(' '));
+    if (suffix) result.suffix = latexToCSL(suffix);
+    return result;
+}
+
+function isLowerCase(word) {
+    return /^[a-z]/.test(word);
+}
+
+// 整个字符串是否是一个花括号组
+function isGroup(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0 && i < text.length - 1) return false;
+    }
+    return depth === 0;
+}
+
+// 在花括号外按分隔符拆分，separator 需要带 y（粘连）标志
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}') depth = Math.max(0, depth - 1);
+        else if (depth === 0 && i > start) {
+            separator.lastIndex = i;
+            const match = separator.exec(text);
+            if (match && match[0]) {
+                parts.push(text.slice(start, i));
+                start = i + match[0].length;
+                i = start - 1;
+            }
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.filter(part => part !== '');
+}
+
+// ---------- LaTeX -> CSL 富文本 ----------
+
+// 重音命令与对应的组合字符
+const ACCENTS = {
+    "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304', '.': '\u0307',
+    u: '\u0306', v: '\u030C', H: '\u030B', c: '\u0327', k: '\u0328', r: '\u030A', d: '\u0323', b: '\u0331'
+};
+
+const SYMBOLS = {
+    ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ',
+    '&': '&', '%': '%', $: '$', '#': '#', _: '_', '{': '{', '}': '}', ' ': ' ', ',': ' ', '-': '',
+    textendash: '–', textemdash: '—', ldots: '…', dots: '…', textasciitilde: '~', textbackslash: '\\',
+    S: '§', P: '¶', copyright: '©', textregistered: '®', texttrademark: '™', pounds: '£', euro: '€'
+};
+
+// 数学模式中的常用符号，其他命令保留原样
+const MATH_SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    times: '×', cdot: '·', pm: '±', mp: '∓', div: '÷', leq: '≤', le: '≤', geq: '≥', ge: '≥',
+    neq: '≠', ne: '≠', approx: '≈', sim: '∼', simeq: '≃', equiv: '≡', propto: '∝', ll: '≪', gg: '≫',
+    infty: '∞', partial: '∂', nabla: '∇', sum: '∑', prod: '∏', int: '∫', sqrt: '√',
+    in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', supset: '⊃', cup: '∪', cap: '∩', emptyset: '∅',
+    forall: '∀', exists: '∃', neg: '¬', wedge: '∧', vee: '∨', oplus: '⊕', otimes: '⊗',
+    to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐', leftrightarrow: '↔',
+    Leftrightarrow: '⇔', mapsto: '↦', ell: 'ℓ', hbar: 'ℏ', circ: '∘', ast: '∗', star: '⋆', prime: '′',
+    ldots: '…', cdots: '⋯', langle: '⟨', rangle: '⟩', lbrace: '{', rbrace: '}',
+    ',': ' ', ';': ' ', ':': ' ', '!': '', ' ': ' ', '{': '{', '}': '}', '%': '%', '&': '&', '#': '#', _: '_', $: '$'
+};
+
+// 数学模式中按名称显示的函数
+const MATH_OPERATORS = ['log', 'ln', 'lg', 'exp', 'sin', 'cos', 'tan', 'sinh', 'cosh', 'tanh', 'max', 'min',
+    'sup', 'inf', 'lim', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'Pr'];
+
+// 数学模式中只保留参数的字体命令
+const MATH_TEXT_COMMANDS = ['mathrm', 'mathit', 'mathbf', 'mathsf', 'mathtt', 'mathcal', 'mathbb', 'mathnormal',
+    'text', 'textrm', 'textit', 'textbf', 'mbox', 'operatorname', 'boldsymbol'];
+
+// 格式命令对应 CSL 处理器支持的富文本标记
+const FORMATS = {
+    emph: ['<i>', '</i>'], textit: ['<i>', '</i>'], textsl: ['<i>', '</i>'],
+    textbf: ['<b>', '</b>'],
+    textsc: ['<span style="font-variant:small-caps;">', '</span>'],
+    textsuperscript: ['<sup>', '</sup>'], textsubscript: ['<sub>', '</sub>']
+};
+
+/**
+ * 把 BibTeX 字段值中的 LaTeX 转换为 CSL 处理器的富文本：重音与特殊字符转换为 Unicode，
+ * \emph 等转换为 <i> 等标记，其他命令只保留参数；行内数学中的常用符号转换为 Unicode，
+ * 上下标转换为 <sup>/<sub>，无法转换的命令保留原样
+ * @param {string} value - 字段值（已去掉外层的花括号或引号）
+ * @param {Object} options - { protectCase: 是否把花括号保护的内容标为不改变大小写（用于标题） }
+ */
+export function latexToCSL(value, { protectCase = false } = {}) {
+    const reader = { text: value || '', pos: 0 };
+    return readGroup(reader, protectCase, false).replace(/\s+/g, ' ').trim().normalize('NFC');
+}
+
+function readGroup(reader, protectCase, inBraces) {
+    const { text } = reader;
+    let result = '';
+    // 包含受保护部分的整个单词都不改变大小写，否则 {P}rogramming 在标题大小写的样式中会变成 PRogramming
+    let protectedWord = null;
+    const flush = () => {
+        if (protectedWord !== null) {
+            result += `<span class="nocase">${protectedWord}</span>`;
+            protectedWord = null;
+        }
+    };
+    const append = (value) => {
+        if (protectedWord !== null && /^[\p{L}\p{M}]+$/u.test(value)) {
+            protectedWord += value;
+        } else {
+            flush();
+            result += value;
+        }
+    };
+
+    while (reader.pos < text.length) {
+        const ch = text[reader.pos];
+
+        if (ch === '}') {
+            reader.pos++;
+            if (inBraces) break;
+        } else if (ch === '{') {
+            reader.pos++;
+            // 只标记最外层的花括号，以命令开头的花括号（如 {\"o}）表示特殊字符而不是保护大小写
+            const special = text[reader.pos] === '\\';
+            const inner = readGroup(reader, false, true);
+            if (protectCase && !special && /\p{L}/u.test(inner)) {
+                if (protectedWord === null) {
+                    // 单词在花括号之前的部分
+                    const prefix = result.match(/[\p{L}\p{M}]*$/u)[0];
+                    result = result.slice(0, result.length - prefix.length);
+                    protectedWord = prefix;
+                }
+                protectedWord += inner;
+            } else {
+                append(inner);
+            }
+        } else if (ch === '\\') {
+            append(readCommand(reader, protectCase));
+        } else if (ch === '$') {
+            flush();
+            reader.pos++;
+            const math = readMath(reader, false);
+            // 数学内容不随标题大小写变化
+            result += protectCase && math.trim() ? `<span class="nocase">${math}</span>` : math;
+        } else if (ch === '~') {
+            append(' ');
+            reader.pos++;
+        } else if (text.startsWith('---', reader.pos)) {
+            append('—');
+            reader.pos += 3;
+        } else if (text.startsWith('--', reader.pos)) {
+            append('–');
+            reader.pos += 2;
+        } else if (text.startsWith('``', reader.pos)) {
+            append('“');
+            reader.pos += 2;
+        } else if (text.startsWith("''", reader.pos)) {
+            append('”');
+            reader.pos += 2;
+        } else {
+            append(ch);
+            reader.pos++;
+        }
+    }
+    flush();
+    return result;
+}
+
+function readCommand(reader, protectCase) {
+    const { text } = reader;
+    reader.pos++; // 反斜杠
+    const name = /[a-zA-Z]/.test(text[reader.pos] || '')
+        ? text.slice(reader.pos).match(/^[a-zA-Z]+/)[0]
+        : text[reader.pos] || '';
+    reader.pos += name.length;
+    const isWord = /^[a-zA-Z]/.test(name);
+    // 字母命令后的空格只用于分隔命令名
+    if (isWord) skipSpaces(reader);
+
+    if (ACCENTS[name] && (isWord || !/\s/.test(text[reader.pos] || ''))) {
+        const argument = readArgument(reader, false);
+        const base = argument === 'ı' ? 'i' : argument === 'ȷ' ? 'j' : argument;
+        return base ? base[0] + ACCENTS[name] + base.slice(1) : '';
+    }
+    if (name in SYMBOLS) {
+        return SYMBOLS[name];
+    }
+    if (FORMATS[name]) {
+        const [open, close] = FORMATS[name];
+        return open + readArgument(reader, protectCase) + close;
+    }
+    if (name === 'url') {
+        return readRawArgument(reader);
+    }
+    if (name === 'href') {
+        readRawArgument(reader);
+        skipSpaces(reader);
+        return readArgument(reader, protectCase);
+    }
+    // 其他命令只保留参数
+    return text[reader.pos] === '{' ? readArgument(reader, protectCase) : '';
+}
+
+// 读取行内数学直到结束的 $（或 inBraces 时的右花括号）
+function readMath(reader, inBraces) {
+    const { text } = reader;
+    let result = '';
+    while (reader.pos < text.length) {
+        const ch = text[reader.pos];
+        if (ch === '$' && !inBraces) {
+            reader.pos++;
+            break;
+        } else if (ch === '}') {
+            reader.pos++;
+            if (inBraces) break;
+        } else if (/\s/.test(ch)) {
+            result += ' ';
+            reader.pos++;
+        } else if (ch === '^' || ch === '_') {
+            reader.pos++;
+            const [open, close] = ch === '^' ? ['<sup>', '</sup>'] : ['<sub>', '</sub>'];
+            result += open + readMathArgument(reader) + close;
+        } else {
+            result += readMathArgument(reader);
+        }
+    }
+    return result;
+}
+
+// 读取数学模式中的一个单元：花括号组、命令或单个字符（跳过前面的空格）
+function readMathArgument(reader) {
+    const { text } = reader;
+    while (/\s/.test(text[reader.pos] || '')) reader.pos++;
+    const ch = text[reader.pos];
+    if (ch === undefined || ch === '$') return '';
+    if (ch === '{') {
+        reader.pos++;
+        return readMath(reader, true);
+    }
+    if (ch !== '\\') {
+        reader.pos++;
+        return ch;
+    }
+
+    reader.pos++;
+    const name = /[a-zA-Z]/.test(text[reader.pos] || '')
+        ? text.slice(reader.pos).match(/^[a-zA-Z]+/)[0]
+        : text[reader.pos] || '';
+    reader.pos += name.length;
+    if (name in MATH_SYMBOLS) return MATH_SYMBOLS[name];
+    if (MATH_OPERATORS.includes(name)) return name;
+    if (MATH_TEXT_COMMANDS.includes(name)) return readMathArgument(reader);
+    if (text[reader.pos] === '{') {
+        reader.pos++;
+        return `\\${name}{${readMath(reader, true)}}`;
+    }
+    return `\\${name}`;
+}
+
+// 读取一个参数：花括号组（不视为大小写保护）、命令或单个字符
+function readArgument(reader, protectCase) {
+    const ch = reader.text[reader.pos];
+    if (ch === '{') {
+        reader.pos++;
+        return readGroup(reader, protectCase, true);
+    }
+    if (ch === '\\') return readCommand(reader, protectCase);
+    if (ch === undefined) return '';
+    reader.pos++;
+    return ch;
+}
+
+function readRawArgument(reader) {
+    if (reader.text[reader.pos] !== '{') return '';
+    const end = reader.text.indexOf('}', reader.pos);
+    const close = end === -1 ? reader.text.length : end;
+    const value = reader.text.slice(reader.pos + 1, close);
+    reader.pos = close + 1;
+    return value;
+}
+
+function skipSpaces(reader) {
+    while (/[ \t\n]/.test(reader.text[reader.pos] || '')) reader.pos++;
+}
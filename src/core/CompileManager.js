@@ -0,0 +1,643 @@
+import { LaTeXLogParser } from './LaTeXLogParser.js';
+import { BuildRecipes, TEX_ENGINES } from './BuildRecipes.js';
+import { BuildHistory } from './BuildHistory.js';
+
+/**
+ * 编译管理器
+ * 将项目文件交给 Worker 中的 WebAssembly TeX 引擎编译，并把 PDF、日志与中间文件写入输出目录
+ */
+export class CompileManager {
+    constructor(ide) {
+        this.ide = ide;
+        this.worker = null;
+        this.pendingJobs = new Map(); // 任务 ID -> { resolve, reject }
+        this.nextJobId = 1;
+        this.isCompiling = false;
+        this.cancelRequested = false;
+        this.isBackgroundBuild = false; // 当前编译是否由自动编译发起
+        this.currentBuild = null; // 进行中的编译，完成时解析为编译结果
+        this.lastResult = null;
+        // 编译输出目录（内存文件系统），存放 PDF、日志以及 .aux、.toc、.bbl 等中间文件
+        this.outputDir = '/output';
+        // 引擎内部的工作目录，与 latex.worker.js 中的 WORK_DIR 一致
+        this.engineWorkDir = '/work';
+        // 收集项目文件时跳过的目录
+        this.excludedDirs = ['/output', '/tmp'];
+        // 快速预览生成的包装文件 -> 对应的根文档，用于把日志与 SyncTeX 中的路径映射回源文件
+        this.pathAliases = new Map();
+        this.buildRecipes = new BuildRecipes(ide);
+        this.buildHistory = new BuildHistory();
+    }
+
+    // 获取（必要时创建）编译 Worker
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/latex.worker.js', import.meta.url));
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('编译 Worker 出错:', event);
+                this.rejectAllJobs(new Error(event.message || '编译 Worker 异常退出'));
+                this.worker.terminate();
+                this.worker = null;
+            };
+        }
+        return this.worker;
+    }
+
+    handleWorkerMessage(message) {
+        const job = this.pendingJobs.get(message.id);
+        if (!job) return;
+
+        this.pendingJobs.delete(message.id);
+        if (message.type === 'result') {
+            job.resolve(message.payload);
+        } else {
+            const error = new Error(message.error);
+            error.code = message.code;
+            job.reject(error);
+        }
+    }
+
+    rejectAllJobs(error) {
+        for (const job of this.pendingJobs.values()) {
+            job.reject(error);
+        }
+        this.pendingJobs.clear();
+    }
+
+    // 向 Worker 发送任务
+    runInWorker(type, payload, transfer = []) {
+        const worker = this.getWorker();
+        const id = this.nextJobId++;
+
+        return new Promise((resolve, reject) => {
+            this.pendingJobs.set(id, { resolve, reject });
+            worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    /**
+     * 按编译方案编译指定的根文档
+     * @param {string} rootFile - 根文档的绝对路径，如 /main.tex
+     * @param {string} recipeName - 编译方案名称，默认使用工具栏中选择的方案
+     * @param {Object} options - { background: 是否为后台自动编译, partial: FastPreview.prepare 生成的部分编译信息 }
+     * @returns {Object} 编译结果 { success, cancelled, partial, exitCode, duration, recipe, steps, pdfPath, logPath, synctexPath, log, diagnostics }
+     */
+    async compile(rootFile, recipeName = this.buildRecipes.getSelectedRecipeName(), options = {}) {
+        if (this.isCompiling) {
+            console.warn('已有编译任务在进行中');
+            return null;
+        }
+
+        this.isCompiling = true;
+        this.cancelRequested = false;
+        this.isBackgroundBuild = !!options.background;
+        let finishBuild;
+        this.currentBuild = new Promise(resolve => { finishBuild = resolve; });
+
+        const startTime = performance.now();
+        const partial = options.partial || null;
+        const info = {
+            rootFile,
+            startedAt: new Date().toISOString(),
+            background: !!options.background,
+            partial: partial ? { target: partial.target, label: partial.label } : null
+        };
+
+        this.ide.setCompileStatus('running', partial
+            ? `正在快速预览 ${partial.label}...`
+            : `正在编译 ${rootFile.split('/').pop()}...`);
+        await this.ide.pluginManager.triggerHook('compile.start', info);
+
+        let result;
+        try {
+            const config = await this.buildRecipes.loadConfig();
+            const recipe = this.buildRecipes.getRecipe(recipeName, config);
+            info.recipe = recipe.name;
+
+            const build = {
+                rootFile,
+                config,
+                compiler: recipe.compiler || config.compiler,
+                mainFile: rootFile.replace(/^\//, ''),
+                jobName: rootFile.split('/').pop().replace(/\.tex$/, ''),
+                projectFiles: await this.collectProjectFiles(),
+                outputs: {},     // 各步骤累积产生的文件（.aux、.bbl、.pdf 等）
+                steps: [],
+                lastTeXRun: null
+            };
+
+            if (partial) {
+                await this.preparePartialBuild(build, partial);
+            }
+
+            for (const step of recipe.steps) {
+                await this.runRecipeStep(build, step);
+            }
+
+            const output = build.lastTeXRun;
+            if (!output) {
+                throw new Error(`编译方案 "${recipe.name}" 中没有 TeX 引擎步骤`);
+            }
+
+            const written = await this.writeOutputs({ jobName: build.jobName, outputs: build.outputs, log: output.log });
+            const diagnostics = this.parseLog(output.log, rootFile);
+            // bibtex 以退出码 1 表示只有警告
+            const failedTool = build.steps.find(step => step.type === 'tool' && !step.skipped && step.exitCode !== 0 &&
+                !(step.program === 'bibtex' && step.exitCode === 1));
+            if (failedTool) {
+                const toolError = {
+                    level: 'error',
+                    file: rootFile,
+                    line: null,
+                    message: `${failedTool.program} 运行失败 (退出码 ${failedTool.exitCode})`,
+                    content: failedTool.log
+                };
+                diagnostics.errors.push(toolError);
+                diagnostics.all.unshift(toolError);
+            }
+            // 没有部署的辅助程序被跳过，保留 TeX 引擎生成的 PDF
+            for (const step of build.steps.filter(step => step.skipped)) {
+                const skippedWarning = {
+                    level: 'warning',
+                    file: rootFile,
+                    line: null,
+                    message: `未找到 ${step.program}，已跳过该步骤，参考文献或索引可能不完整（见 public/engines/README.md）`,
+                    content: step.log
+                };
+                diagnostics.warnings.push(skippedWarning);
+                diagnostics.all.unshift(skippedWarning);
+            }
+
+            result = {
+                ...info,
+                success: output.exitCode === 0 && !!written.pdfPath && diagnostics.errors.length === 0,
+                exitCode: output.exitCode,
+                duration: Math.round(performance.now() - startTime),
+                steps: build.steps.map(({ log, ...step }) => step),
+                pdfPath: written.pdfPath,
+                logPath: written.logPath,
+                synctexPath: written.synctexPath,
+                log: output.log,
+                diagnostics
+            };
+        } catch (error) {
+            if (!this.cancelRequested) {
+                console.error('编译失败:', error);
+            }
+            result = {
+                ...info,
+                success: false,
+                exitCode: -1,
+                duration: Math.round(performance.now() - startTime),
+                pdfPath: null,
+                logPath: null,
+                synctexPath: null,
+                steps: [],
+                log: '',
+                diagnostics: { errors: [], warnings: [], badBoxes: [], all: [] },
+                error: error.message,
+                cancelled: this.cancelRequested
+            };
+        } finally {
+            this.isCompiling = false;
+            this.currentBuild = null;
+        }
+
+        // 被取消的编译不覆盖上一次的结果与问题列表
+        if (result.cancelled) {
+            this.ide.setCompileStatus('cancelled', '编译已取消');
+        } else {
+            this.lastResult = result;
+            this.buildHistory.record(result);
+            this.reportProblems(result);
+            this.reportResult(result);
+        }
+        await this.ide.pluginManager.triggerHook('compile.end', result);
+
+        finishBuild(result);
+        return result;
+    }
+
+    /**
+     * 部分编译：用生成的包装文件替换主文件，并沿用上次编译的 .aux 等文件，
+     * 使单次编译也能得到正确的页码与交叉引用
+     */
+    async preparePartialBuild(build, partial) {
+        const encoder = new TextEncoder();
+        for (const [filePath, text] of Object.entries(partial.files)) {
+            const path = filePath.replace(/^\//, '');
+            build.projectFiles = build.projectFiles.filter(file => file.path !== path);
+            build.projectFiles.push({ path, data: encoder.encode(text) });
+        }
+
+        const rootJobName = build.jobName;
+        build.mainFile = partial.mainFile.replace(/^\//, '');
+        build.jobName = partial.jobName;
+        this.pathAliases.set(partial.mainFile, build.rootFile);
+
+        const outputs = await this.readPreviousOutputs();
+        for (const [path, data] of Object.entries(outputs)) {
+            const match = path.match(/^([^/]+)(\.\w+)$/);
+            if (match && (match[1] === rootJobName || match[1] === partial.jobName)) {
+                // 完整编译的结果优先，没有时使用上次快速预览的结果
+                if (match[1] === rootJobName || !outputs[`${rootJobName}${match[2]}`]) {
+                    build.outputs[`${partial.jobName}${match[2]}`] = data;
+                }
+            } else if (path.endsWith('.aux')) {
+                // \include 的章节各自生成的 .aux
+                build.outputs[path] = data;
+            }
+        }
+    }
+
+    // 读取输出目录中可复用的中间文件，路径相对于输出目录
+    async readPreviousOutputs() {
+        const outputs = {};
+        if (!(await this.ide.fileSystem.exists(this.outputDir))) {
+            return outputs;
+        }
+
+        const paths = [];
+        this.flattenTree(await this.ide.fileSystem.getFileTree(this.outputDir), paths);
+        for (const filePath of paths) {
+            if (!/\.(aux|bbl|toc|lof|lot|out)$/.test(filePath)) continue;
+            try {
+                outputs[filePath.slice(this.outputDir.length + 1)] = await this.ide.fileSystem.readBinaryFile(filePath);
+            } catch (error) {
+                console.warn(`读取编译输出失败: ${filePath}`, error);
+            }
+        }
+        return outputs;
+    }
+
+    /**
+     * 取消正在进行的编译
+     * 引擎在 Worker 中同步运行，只能通过终止 Worker 来中断
+     * @returns {Promise} 被取消的编译结束后解析
+     */
+    async cancel() {
+        if (!this.isCompiling) return;
+
+        const build = this.currentBuild;
+        this.cancelRequested = true;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAllJobs(new Error('编译已取消'));
+
+        await build;
+    }
+
+    // 执行编译方案中的一个步骤
+    async runRecipeStep(build, step) {
+        const { jobName } = build;
+
+        switch (step) {
+            case 'auto':
+                await this.runAutoSequence(build);
+                break;
+            case 'latex':
+                await this.runProgram(build, build.compiler);
+                break;
+            case 'bibtex':
+                await this.runProgram(build, 'bibtex', [jobName]);
+                break;
+            case 'biber':
+                await this.runProgram(build, 'biber', [jobName]);
+                break;
+            case 'makeindex':
+                await this.runProgram(build, 'makeindex', [`${jobName}.idx`]);
+                break;
+            case 'glossaries':
+                await this.runProgram(build, 'makeindex', this.getGlossaryArgs(jobName));
+                break;
+            default:
+                if (TEX_ENGINES.includes(step)) {
+                    await this.runProgram(build, step);
+                } else {
+                    throw new Error(`未知的编译步骤: ${step}`);
+                }
+        }
+    }
+
+    /**
+     * 类似 latexmk 的自动编译流程：
+     * 运行引擎后按需运行 bibtex/biber、makeindex、术语表，再重复编译直到 .aux 不再变化
+     */
+    async runAutoSequence(build) {
+        const { config, jobName } = build;
+        const maxRuns = Math.max(1, parseInt(config.maxRuns, 10) || 5);
+
+        await this.runProgram(build, build.compiler);
+        let runs = 1;
+        let needsRerun = false;
+
+        // biblatex 生成 .bcf 时运行 biber，.aux 中有 \bibdata 时运行 bibtex；设为 biber 时不使用 bibtex
+        if (config.bibtex !== false) {
+            if (build.outputs[`${jobName}.bcf`]) {
+                needsRerun = Boolean(await this.runProgram(build, 'biber', [jobName]));
+            } else if (config.bibtex !== 'biber' && /\\bibdata\{/.test(this.readOutputText(build, `${jobName}.aux`))) {
+                needsRerun = Boolean(await this.runProgram(build, 'bibtex', [jobName]));
+            }
+        }
+
+        if (config.makeindex !== false && build.outputs[`${jobName}.idx`]) {
+            needsRerun = Boolean(await this.runProgram(build, 'makeindex', [`${jobName}.idx`])) || needsRerun;
+        }
+
+        if (config.glossaries !== false && build.outputs[`${jobName}.glo`]) {
+            needsRerun = Boolean(await this.runProgram(build, 'makeindex', this.getGlossaryArgs(jobName))) || needsRerun;
+        }
+
+        let auxHash = this.hashAuxFiles(build);
+        needsRerun = needsRerun || this.logRequestsRerun(build.lastTeXRun.log);
+
+        while (needsRerun && runs < maxRuns) {
+            await this.runProgram(build, build.compiler);
+            runs++;
+
+            const newHash = this.hashAuxFiles(build);
+            needsRerun = newHash !== auxHash || this.logRequestsRerun(build.lastTeXRun.log);
+            auxHash = newHash;
+        }
+
+        if (needsRerun) {
+            console.warn(`运行 ${maxRuns} 次后交叉引用仍未稳定`);
+        }
+    }
+
+    /**
+     * 在 Worker 中运行一个程序，并把产生的文件合并到本次构建中
+     * 辅助程序（bibtex、biber、makeindex）没有部署时记录为跳过的步骤
+     * @returns {Object|null} 运行结果，跳过时为 null
+     */
+    async runProgram(build, program, args = []) {
+        if (this.cancelRequested) {
+            throw new Error('编译已取消');
+        }
+
+        const isTeX = TEX_ENGINES.includes(program);
+        const runNumber = build.steps.filter(step => step.program === program).length + 1;
+        this.ide.setCompileStatus('running',
+            `正在编译 ${build.mainFile.split('/').pop()} (${program}${runNumber > 1 ? ` 第 ${runNumber} 遍` : ''})...`);
+
+        // 每个步骤都发送副本，累积的输出需要在后续步骤中复用
+        const files = [
+            ...build.projectFiles,
+            ...Object.entries(build.outputs).map(([path, data]) => ({ path, data }))
+        ].map(file => ({ path: file.path, data: file.data.slice() }));
+
+        const startTime = performance.now();
+        let output;
+        try {
+            output = await this.runInWorker('compile', {
+                program,
+                files,
+                mainFile: build.mainFile,
+                jobName: build.jobName,
+                args
+            }, files.map(file => file.data.buffer));
+        } catch (error) {
+            if (isTeX || error.code !== 'ENGINE_NOT_FOUND') throw error;
+            console.warn(`未找到 ${program}，跳过该步骤:`, error.message);
+            build.steps.push({ program, type: 'tool', skipped: true, exitCode: null, duration: 0, log: error.message });
+            return null;
+        }
+
+        Object.assign(build.outputs, output.outputs);
+        build.steps.push({
+            program,
+            type: isTeX ? 'tex' : 'tool',
+            exitCode: output.exitCode,
+            duration: Math.round(performance.now() - startTime),
+            log: output.log
+        });
+
+        if (isTeX) {
+            build.lastTeXRun = output;
+        }
+        return output;
+    }
+
+    getGlossaryArgs(jobName) {
+        return ['-s', `${jobName}.ist`, '-t', `${jobName}.glg`, '-o', `${jobName}.gls`, `${jobName}.glo`];
+    }
+
+    readOutputText(build, path) {
+        const data = build.outputs[path];
+        return data ? new TextDecoder().decode(data) : '';
+    }
+
+    // 计算所有 .aux 文件（含 \include 生成的）的哈希，用于判断交叉引用是否稳定
+    hashAuxFiles(build) {
+        let hash = 0x811c9dc5;
+        const auxPaths = Object.keys(build.outputs).filter(path => path.endsWith('.aux')).sort();
+
+        for (const path of auxPaths) {
+            for (const byte of build.outputs[path]) {
+                hash ^= byte;
+                hash = Math.imul(hash, 0x01000193);
+            }
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    logRequestsRerun(log) {
+        return /Rerun to get|Label\(s\) may have changed|Please rerun LaTeX/.test(log || '');
+    }
+
+    // 解析编译日志，得到结构化的错误、警告与 bad box 提示
+    parseLog(log, rootFile) {
+        const parser = new LaTeXLogParser({
+            rootFile,
+            toProjectPath: (path) => this.toProjectPath(path)
+        });
+        return parser.parse(log);
+    }
+
+    // 将编译诊断信息发送到问题面板
+    reportProblems(result) {
+        const problemsPanel = this.ide.problemsPanel;
+        if (!problemsPanel) return;
+
+        const severities = { error: 'error', warning: 'warning', badbox: 'info' };
+        const problems = result.diagnostics.all.map(item => ({
+            severity: severities[item.level],
+            file: item.file,
+            line: item.line,
+            message: item.message
+        }));
+
+        if (result.error) {
+            problems.unshift({ severity: 'error', file: result.rootFile, line: null, message: result.error });
+        }
+
+        problemsPanel.setProblems('latex', problems);
+        if (result.diagnostics.errors.length > 0 || result.error) {
+            problemsPanel.show();
+        }
+    }
+
+    /**
+     * 获取最近一次编译的错误列表
+     * @returns {Array} [{ file, line, message, content }]
+     */
+    getLastErrors() {
+        return this.lastResult ? this.lastResult.diagnostics.errors : [];
+    }
+
+    // 在状态栏报告编译结果
+    reportResult(result) {
+        const seconds = (result.duration / 1000).toFixed(1);
+        const action = result.partial ? '快速预览' : '编译';
+        if (result.success) {
+            const warningCount = result.diagnostics.warnings.length;
+            const warnings = warningCount > 0 ? `${warningCount} 个警告, ` : '';
+            this.ide.setCompileStatus('success', `${action}成功 (${warnings}${seconds}s)`);
+        } else if (result.error) {
+            this.ide.setCompileStatus('error', `${action}失败: ${result.error}`);
+        } else if (result.diagnostics.errors.length > 0) {
+            this.ide.setCompileStatus('error', `${action}失败: ${result.diagnostics.errors.length} 个错误 (${seconds}s)`);
+        } else {
+            this.ide.setCompileStatus('error', `${action}失败 (退出码 ${result.exitCode}, ${seconds}s)`);
+        }
+    }
+
+    // 收集项目中的所有文件，已打开文件以 Yjs 中的最新内容为准
+    async collectProjectFiles() {
+        const tree = await this.ide.fileSystem.getFileTree('/');
+        const paths = [];
+        this.flattenTree(tree, paths);
+
+        const encoder = new TextEncoder();
+        const files = [];
+        for (const filePath of paths) {
+            try {
+                const text = this.ide.getProjectFileText(filePath);
+                const data = text !== null
+                    ? encoder.encode(text)
+                    : await this.ide.fileSystem.readBinaryFile(filePath);
+                files.push({ path: filePath.replace(/^\//, ''), data });
+            } catch (error) {
+                console.warn(`读取项目文件失败，已跳过: ${filePath}`, error);
+            }
+        }
+        return files;
+    }
+
+    flattenTree(node, paths) {
+        for (const child of node.children || []) {
+            if (child.type === 'directory') {
+                if (!this.excludedDirs.includes(child.path)) {
+                    this.flattenTree(child, paths);
+                }
+            } else {
+                paths.push(child.path);
+            }
+        }
+    }
+
+    // 将本次编译产生的所有文件（PDF、SyncTeX、日志及中间文件）写入输出目录
+    async writeOutputs(output) {
+        const fileSystem = this.ide.fileSystem;
+        const pdfName = `${output.jobName}.pdf`;
+        const logName = `${output.jobName}.log`;
+        const written = { pdfPath: null, logPath: null, synctexPath: null };
+
+        await fileSystem.ensureDirectoryExists(this.outputDir);
+
+        for (const [relativePath, data] of Object.entries(output.outputs)) {
+            const outputPath = `${this.outputDir}/${relativePath}`;
+            try {
+                await fileSystem.ensureDirectoryExists(outputPath.substring(0, outputPath.lastIndexOf('/')));
+                await fileSystem.writeBinaryFile(outputPath, data);
+            } catch (error) {
+                console.warn(`写入编译输出失败: ${outputPath}`, error);
+            }
+        }
+
+        if (output.outputs[pdfName]) {
+            written.pdfPath = `${this.outputDir}/${pdfName}`;
+        }
+
+        for (const synctexName of [`${output.jobName}.synctex.gz`, `${output.jobName}.synctex`]) {
+            if (output.outputs[synctexName]) {
+                written.synctexPath = `${this.outputDir}/${synctexName}`;
+                break;
+            }
+        }
+
+        written.logPath = `${this.outputDir}/${logName}`;
+        await fileSystem.writeFile(written.logPath, output.log);
+
+        return written;
+    }
+
+    /**
+     * 清理输出目录中的所有编译产物，删除的数量由调用方显示在状态栏
+     * @returns {number} 删除的文件数
+     */
+    async cleanOutputs() {
+        if (this.isCompiling) {
+            await this.cancel();
+        }
+
+        const fileSystem = this.ide.fileSystem;
+        if (!(await fileSystem.exists(this.outputDir))) {
+            return 0;
+        }
+
+        let removed = 0;
+        const removeContents = async (dirPath) => {
+            for (const name of await fileSystem.readdir(dirPath)) {
+                const path = `${dirPath}/${name}`;
+                const stats = await fileSystem.stat(path);
+                if (stats.isDirectory()) {
+                    await removeContents(path);
+                    await fileSystem.rmdir(path);
+                } else {
+                    await fileSystem.unlink(path);
+                    removed++;
+                }
+            }
+        };
+
+        await removeContents(this.outputDir);
+        this.lastResult = null;
+        return removed;
+    }
+
+    /**
+     * 将引擎输出（日志、SyncTeX）中的文件路径转换为项目路径
+     * 如 /work/./chapters/intro.tex -> /chapters/intro.tex
+     */
+    toProjectPath(enginePath) {
+        let path = enginePath.trim();
+        if (path.startsWith(this.engineWorkDir + '/')) {
+            path = path.slice(this.engineWorkDir.length);
+        }
+
+        const parts = [];
+        for (const part of path.split('/')) {
+            if (!part || part === '.') continue;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+
+        const projectPath = '/' + parts.join('/');
+        return this.pathAliases.get(projectPath) || projectPath;
+    }
+
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAllJobs(new Error('编译管理器已销毁'));
+    }
+}
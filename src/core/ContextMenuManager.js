@@ -297,6 +297,37 @@ export class ContextMenuManager {
             }
         });
 
+        // 主文档设置组
+        this.registerMenuItem('pin-main-file', {
+            label: '设为主文档',
+            icon: '📌',
+            contexts: ['file'],
+            group: 'build',
+            order: 1,
+            action: (target) => {
+                if (target && target.path && window.ide) {
+                    window.ide.rootDocumentResolver.setPinnedRoot(target.path);
+                }
+            },
+            condition: (context, target) => target && target.path && target.path.endsWith('.tex') &&
+                window.ide && window.ide.rootDocumentResolver.getPinnedRoot() !== target.path
+        });
+
+        this.registerMenuItem('unpin-main-file', {
+            label: '取消主文档',
+            icon: '📍',
+            contexts: ['file'],
+            group: 'build',
+            order: 2,
+            action: () => {
+                if (window.ide) {
+                    window.ide.rootDocumentResolver.setPinnedRoot(null);
+                }
+            },
+            condition: (context, target) => target && window.ide &&
+                window.ide.rootDocumentResolver.getPinnedRoot() === target.path
+        });
+
         // 新建操作组
         this.registerMenuItem('new-file', {
             label: '新建文件',
@@ -0,0 +1,153 @@
+/**
+ * 文档结构解析
+ * 从 LaTeX 源码中提取章节命令、带标签的图表以及 \input / \include 引用，
+ * 结果按在文件中出现的顺序排列，行号、列号从 1 开始
+ */
+
+export const SECTION_LEVELS = {
+    part: 0,
+    chapter: 1,
+    section: 2,
+    subsection: 3,
+    subsubsection: 4,
+    paragraph: 5,
+    subparagraph: 6
+};
+
+const SECTION_COMMAND = /\\(part|chapter|section|subsection|subsubsection|paragraph|subparagraph)(\*?)\s*(?:\[[^\]]*\]\s*)?\{/g;
+const INCLUDE_COMMAND = /\\(input|include|subfile)\s*\{([^}]+)\}/g;
+const FLOAT_BEGIN = /\\begin\s*\{(figure|table)(\*?)\}/g;
+const CAPTION = /\\caption\s*(?:\[[^\]]*\]\s*)?\{/;
+const LABEL = /\\label\s*\{([^}]+)\}/;
+
+/**
+ * 解析单个文件的结构
+ * @param {string} text - LaTeX 源码
+ * @returns {Array} 条目列表：
+ *   { type: 'section', command, level, starred, title, line, column }
+ *   { type: 'figure' | 'table', caption, label, line, column }（只包含带 \label 的图表）
+ *   { type: 'include', command, target, line, column }
+ */
+export function parseDocumentStructure(text) {
+    const source = stripComments(text);
+    const lineStarts = getLineStarts(source);
+    const items = [];
+
+    const locate = (offset) => {
+        const line = findLine(lineStarts, offset);
+        return { line: line + 1, column: offset - lineStarts[line] + 1 };
+    };
+
+    for (const match of source.matchAll(SECTION_COMMAND)) {
+        const group = readGroup(source, match.index + match[0].length - 1);
+        if (!group) continue;
+        items.push({
+            type: 'section',
+            command: match[1],
+            level: SECTION_LEVELS[match[1]],
+            starred: match[2] === '*',
+            title: cleanTitle(group.content),
+            offset: match.index,
+            ...locate(match.index)
+        });
+    }
+
+    for (const match of source.matchAll(INCLUDE_COMMAND)) {
+        items.push({
+            type: 'include',
+            command: match[1],
+            target: match[2].trim(),
+            offset: match.index,
+            ...locate(match.index)
+        });
+    }
+
+    for (const match of source.matchAll(FLOAT_BEGIN)) {
+        const environment = match[1] + match[2];
+        const bodyStart = match.index + match[0].length;
+        const endIndex = source.indexOf(`\\end{${environment}}`, bodyStart);
+        const body = source.slice(bodyStart, endIndex === -1 ? undefined : endIndex);
+
+        const label = body.match(LABEL);
+        if (!label) continue;
+
+        const captionMatch = body.match(CAPTION);
+        const caption = captionMatch
+            ? readGroup(body, captionMatch.index + captionMatch[0].length - 1)
+            : null;
+
+        items.push({
+            type: match[1],
+            caption: caption ? cleanTitle(caption.content) : '',
+            label: label[1].trim(),
+            offset: match.index,
+            ...locate(match.index)
+        });
+    }
+
+    return items
+        .sort((a, b) => a.offset - b.offset)
+        .map(({ offset, ...item }) => item);
+}
+
+/**
+ * 去掉标题中的格式命令，便于在大纲中显示
+ * 如 "The \emph{Main} Result~\cite{x}" -> "The Main Result"
+ */
+export function cleanTitle(title) {
+    return title
+        .replace(/\\(cite|ref|label|footnote|index)\*?\s*(\[[^\]]*\])?\{[^}]*\}/g, '')
+        .replace(/\\[a-zA-Z@]+\*?\s*/g, '')
+        .replace(/\\(.)/g, '$1')
+        .replace(/[{}]/g, '')
+        .replace(/~/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 读取从 start（左花括号位置）开始的平衡括号组
+export function readGroup(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+            if (depth === 0) {
+                return { content: text.slice(start + 1, i), end: i + 1 };
+            }
+        }
+    }
+    return null;
+}
+
+export function getLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+// 二分查找偏移量所在行（从 0 开始）
+export function findLine(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+// 去掉注释但保留换行与列位置（注释替换为空格）
+export function stripComments(text) {
+    return text.replace(/(^|[^\\])(%[^\n]*)/g, (match, prefix, comment) => prefix + ' '.repeat(comment.length));
+}
@@ -0,0 +1,189 @@
+/**
+ * 快速预览（部分编译）
+ * 大型文档只编译光标所在的章节：
+ * - 章节通过 \include 引入时，在根文档导言区末尾加入 \includeonly
+ * - 章节通过 \input / \subfile 引入，或直接写在根文档中时，生成保留根文档导言区的包装文件，
+ *   正文中只保留该章节，其余行替换为空行
+ * 生成的文件与原文件行号一一对应，编译日志与 SyncTeX 仍能定位到源文件
+ */
+
+const INCLUDE_LINE = /\\(input|include|subfile)\s*\{([^}]+)\}/g;
+const BEGIN_DOCUMENT = /\\begin\s*\{document\}/;
+const END_DOCUMENT = /\\end\s*\{document\}/;
+const HEADING = /^\s*\\(chapter|section)\*?\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}?/;
+
+export class FastPreview {
+    constructor(ide) {
+        this.ide = ide;
+    }
+
+    get resolver() {
+        return this.ide.rootDocumentResolver;
+    }
+
+    /**
+     * 为光标所在章节生成部分编译所需的文件
+     * @param {string} filePath - 光标所在文件
+     * @param {number} lineNumber - 光标所在行（从 1 开始）
+     * @param {Object} config - 构建配置（previewDraftImages 控制图片草稿模式）
+     * @returns {Object} { rootFile, mainFile, jobName, files: { 路径: 内容 }, target, label }
+     */
+    async prepare(filePath, lineNumber, config = {}) {
+        if (!filePath || !filePath.endsWith('.tex')) {
+            throw new Error('快速预览需要在 .tex 文件中使用');
+        }
+
+        const rootFile = await this.resolver.resolve(filePath);
+        const rootText = rootFile ? await this.resolver.readText(rootFile) : null;
+        if (rootText === null) {
+            throw new Error('未找到可编译的 LaTeX 主文档');
+        }
+
+        const rootLines = rootText.split('\n');
+        const body = this.findDocumentBody(rootLines);
+        if (!body) {
+            throw new Error(`${rootFile} 中没有 \\begin{document}`);
+        }
+
+        const rootJobName = rootFile.split('/').pop().replace(/\.tex$/, '');
+        const jobName = `${rootJobName}-preview`;
+        const mainFile = this.resolver.resolveRelative(this.resolver.dirname(rootFile), `${jobName}.tex`);
+        const files = {};
+        let chapter;
+
+        if (filePath === rootFile) {
+            if (lineNumber - 1 <= body.start || lineNumber - 1 >= body.end) {
+                throw new Error('光标位于导言区，请将光标移到需要预览的章节中');
+            }
+            chapter = this.keepChapter(rootLines, lineNumber - 1, body.start + 1, body.end, true);
+        } else {
+            const text = await this.resolver.readText(filePath);
+            const lines = text.split('\n');
+            chapter = this.keepChapter(lines, lineNumber - 1, 0, lines.length, false);
+            if (chapter.filtered) {
+                files[filePath] = lines.join('\n');
+            }
+
+            const including = await this.findIncludingLine(rootFile, rootLines, body, filePath);
+            if (!including) {
+                throw new Error(`主文档 ${rootFile} 中没有找到对 ${filePath} 的引用`);
+            }
+
+            if (including.command === 'include') {
+                // \include 的章节用 \includeonly 选择，其他章节的页码与交叉引用取自上次完整编译的 .aux
+                rootLines[body.start] = `\\includeonly{${including.name}}${rootLines[body.start]}`;
+            } else {
+                for (let i = body.start + 1; i < body.end; i++) {
+                    if (i !== including.line) rootLines[i] = '';
+                }
+            }
+        }
+
+        // 写在第一行开头，不改变行号
+        if (config.previewDraftImages !== false) {
+            rootLines[0] = `\\PassOptionsToPackage{draft}{graphicx}${rootLines[0]}`;
+        }
+        files[mainFile] = rootLines.join('\n');
+
+        const fileName = filePath.split('/').pop();
+        return {
+            rootFile,
+            mainFile,
+            jobName,
+            files,
+            target: filePath,
+            label: chapter.title ? `${fileName} · ${chapter.title}` : fileName
+        };
+    }
+
+    // \begin{document} 与 \end{document} 所在行（从 0 开始）
+    findDocumentBody(lines) {
+        let start = -1;
+        let end = lines.length;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = this.resolver.stripComments(lines[i]);
+            if (start < 0 && BEGIN_DOCUMENT.test(line)) {
+                start = i;
+            } else if (start >= 0 && END_DOCUMENT.test(line)) {
+                end = i;
+                break;
+            }
+        }
+
+        return start < 0 ? null : { start, end };
+    }
+
+    /**
+     * 在 [from, to) 范围内只保留光标所在的章节，其余行置空（原地修改 lines）
+     * 有 \chapter 时按章划分；根文档中没有 \chapter 时按 \section 划分
+     * @returns {Object} { title, filtered }
+     */
+    keepChapter(lines, cursorLine, from, to, isRoot) {
+        const headings = { chapter: [], section: [] };
+        for (let i = from; i < to; i++) {
+            const match = this.resolver.stripComments(lines[i]).match(HEADING);
+            if (match) {
+                headings[match[1]].push({ line: i, title: match[2].trim() });
+            }
+        }
+
+        const levelHeadings = headings.chapter.length > 0 ? headings.chapter : (isRoot ? headings.section : []);
+        if (levelHeadings.length === 0) {
+            return { title: null, filtered: false };
+        }
+
+        let index = -1;
+        for (let i = 0; i < levelHeadings.length; i++) {
+            if (levelHeadings[i].line <= cursorLine) index = i;
+        }
+
+        const keepFrom = index >= 0 ? levelHeadings[index].line : from;
+        const keepTo = index + 1 < levelHeadings.length ? levelHeadings[index + 1].line : to;
+        if (keepFrom === from && keepTo === to) {
+            return { title: index >= 0 ? levelHeadings[index].title : null, filtered: false };
+        }
+
+        for (let i = from; i < to; i++) {
+            if (i < keepFrom || i >= keepTo) lines[i] = '';
+        }
+        return { title: index >= 0 ? levelHeadings[index].title : null, filtered: true };
+    }
+
+    // 找到根文档正文中直接或间接引入目标文件的那一行
+    async findIncludingLine(rootFile, rootLines, body, target) {
+        const baseDir = this.resolver.dirname(rootFile);
+
+        for (let i = body.start + 1; i < body.end; i++) {
+            const line = this.resolver.stripComments(rootLines[i]);
+            for (const match of line.matchAll(INCLUDE_LINE)) {
+                const name = match[2].trim();
+                const path = this.resolvePath(baseDir, name);
+                if (path === target || await this.includes(path, target, baseDir, new Set([rootFile]))) {
+                    return { line: i, command: match[1], name };
+                }
+            }
+        }
+        return null;
+    }
+
+    async includes(filePath, target, baseDir, visited) {
+        if (visited.has(filePath)) return false;
+        visited.add(filePath);
+
+        const text = await this.resolver.readText(filePath);
+        if (text === null) return false;
+
+        for (const name of this.resolver.getIncludeTargets(text)) {
+            const path = this.resolvePath(baseDir, name);
+            if (path === target || await this.includes(path, target, baseDir, visited)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    resolvePath(baseDir, name) {
+        return this.resolver.resolveRelative(baseDir, name.endsWith('.tex') ? name : `${name}.tex`);
+    }
+}
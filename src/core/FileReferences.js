@@ -0,0 +1,336 @@
+import { stripComments, getLineStarts, findLine, readGroup } from './DocumentStructure.js';
+
+/**
+ * 文件引用
+ * 解析 \input、\include、\includegraphics、\bibliography、\addbibresource 引用的文件，
+ * 按根文档所在目录与 \graphicspath 解析路径，把找不到的文件报告到问题面板，
+ * 并提供创建缺失文件的快速修复
+ */
+
+export const GRAPHICS_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.eps', '.svg'];
+
+/**
+ * 各命令引用的文件类型
+ * extensions: 可引用的扩展名；defaultExtension: 省略扩展名时 TeX 自动补上的扩展名
+ * omitExtension: 补全时省略扩展名；multiple: 参数为逗号分隔的多个文件
+ */
+export const FILE_COMMANDS = {
+    input: { extensions: ['.tex'], defaultExtension: '.tex', omitExtension: true },
+    include: { extensions: ['.tex'], defaultExtension: '.tex', omitExtension: true },
+    subfile: { extensions: ['.tex'], defaultExtension: '.tex', omitExtension: true },
+    includegraphics: { extensions: GRAPHICS_EXTENSIONS, graphics: true },
+    bibliography: { extensions: ['.bib'], defaultExtension: '.bib', omitExtension: true, multiple: true },
+    addbibresource: { extensions: ['.bib'] }
+};
+
+const COMMAND_NAMES = Object.keys(FILE_COMMANDS).join('|');
+const FILE_COMMAND = new RegExp(`\\\\(${COMMAND_NAMES})\\*?\\s*(?:\\[[^\\]]*\\]\\s*)?\\{([^}]*)\\}`, 'g');
+const GRAPHICS_PATH = /\\graphicspath\s*\{/g;
+
+// 光标位于文件命令的参数中，捕获命令名与已输入的内容
+export const FILE_ARGUMENT = new RegExp(`\\\\(${COMMAND_NAMES})\\*?\\s*(?:\\[[^\\]]*\\]\\s*)?\\{([^}]*)$`);
+
+// 快速修复可以创建的占位图片格式
+const PLACEHOLDER_IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+/**
+ * 解析文件中的文件引用
+ * @param {string} text - LaTeX 源码
+ * @returns {Array} [{ command, target, line, column, endColumn }]
+ */
+export function parseFileReferences(text) {
+    const source = stripComments(text);
+    const lineStarts = getLineStarts(source);
+    const references = [];
+
+    for (const match of source.matchAll(FILE_COMMAND)) {
+        const command = match[1];
+        let offset = match.index + match[0].lastIndexOf('{') + 1;
+        const parts = FILE_COMMANDS[command].multiple ? match[2].split(',') : [match[2]];
+
+        for (const part of parts) {
+            const target = part.trim();
+            // 含宏参数（如 #1）或命令的路径无法静态解析
+            if (target && !/[#\\]/.test(target)) {
+                const start = offset + part.indexOf(target);
+                const line = findLine(lineStarts, start);
+                const column = start - lineStarts[line] + 1;
+                references.push({ command, target, line: line + 1, column, endColumn: column + target.length });
+            }
+            offset += part.length + 1;
+        }
+    }
+
+    return references;
+}
+
+/**
+ * 解析 \graphicspath{{figures/}{images/}}
+ * @returns {Array} 目录列表（相对于根文档所在目录）
+ */
+export function parseGraphicsPaths(text) {
+    const source = stripComments(text);
+    const paths = [];
+
+    for (const match of source.matchAll(GRAPHICS_PATH)) {
+        const group = readGroup(source, match.index + match[0].length - 1);
+        if (!group) continue;
+        for (const dir of group.content.matchAll(/\{([^}]*)\}/g)) {
+            if (dir[1].trim()) paths.push(dir[1].trim());
+        }
+    }
+
+    return paths;
+}
+
+function getExtension(path) {
+    const name = path.slice(path.lastIndexOf('/') + 1);
+    const index = name.lastIndexOf('.');
+    return index > 0 ? name.slice(index).toLowerCase() : '';
+}
+
+export class FileReferenceChecker {
+    constructor(ide) {
+        this.ide = ide;
+        this.referenceCache = new Map(); // 文件路径 -> { text, references, graphicsPaths }
+        this.problemSource = 'files';
+    }
+
+    init() {
+        this.ide.projectSnapshot.onChange(snapshot => this.update(snapshot));
+        this.update();
+    }
+
+    /**
+     * 检查项目中所有 .tex 文件引用的文件是否存在
+     * 任何文件的新增、删除或 .tex 文件的修改都可能改变结果，没有文件变化时直接返回
+     * @param {Object} snapshot - 项目快照，省略时使用最新的快照
+     */
+    async update(snapshot = null) {
+        try {
+            snapshot = snapshot || await this.ide.projectSnapshot.get();
+            if (!snapshot.hasChanges()) return;
+
+            const { files } = await this.getProjectTree(snapshot.tree);
+            const contexts = await this.getContexts(snapshot);
+            const problems = [];
+
+            for (const { file: filePath, text } of snapshot.getTexts('.tex')) {
+                const context = contexts.get(filePath) || this.getOwnContext(filePath, text);
+                for (const reference of this.parse(filePath, text).references) {
+                    if (this.resolveReference(reference, context, files)) continue;
+                    problems.push(this.createProblem(filePath, reference, context));
+                }
+            }
+
+            this.ide.problemsPanel?.setProblems(this.problemSource, problems);
+        } catch (error) {
+            console.error('检查文件引用失败:', error);
+        }
+    }
+
+    // 文件内容未变化时复用上次的解析结果
+    parse(filePath, text) {
+        const cached = this.referenceCache.get(filePath);
+        if (cached && cached.text === text) return cached;
+
+        const parsed = { text, references: parseFileReferences(text), graphicsPaths: parseGraphicsPaths(text) };
+        this.referenceCache.set(filePath, parsed);
+        return parsed;
+    }
+
+    /**
+     * 为根文档引用的每个文件确定解析路径用的上下文
+     * TeX 在根文档所在目录中解析所有路径，\graphicspath 对整个文档生效
+     * @param {Object} snapshot - 项目快照，给出时从快照中读取文件
+     * @returns {Map} 文件路径 -> { baseDir, graphicsPaths }
+     */
+    async getContexts(snapshot = null) {
+        const resolver = this.ide.rootDocumentResolver;
+        const contexts = new Map();
+
+        for (const root of await resolver.findRootCandidates(snapshot)) {
+            const files = await resolver.getIncludedFiles(root, snapshot);
+            const graphicsPaths = [];
+            for (const filePath of files) {
+                const text = await resolver.readText(filePath, snapshot);
+                if (text !== null) graphicsPaths.push(...this.parse(filePath, text).graphicsPaths);
+            }
+
+            const context = { baseDir: resolver.dirname(root), graphicsPaths };
+            for (const filePath of files) {
+                if (!contexts.has(filePath)) contexts.set(filePath, context);
+            }
+        }
+
+        return contexts;
+    }
+
+    // 不属于任何根文档的文件按自身所在目录解析
+    getOwnContext(filePath, text) {
+        const resolver = this.ide.rootDocumentResolver;
+        return { baseDir: resolver.dirname(filePath), graphicsPaths: this.parse(filePath, text).graphicsPaths };
+    }
+
+    /**
+     * 获取某个文件解析路径用的上下文（用于路径补全）
+     * @returns {Object} { baseDir, graphicsPaths }
+     */
+    async getContext(filePath) {
+        const resolver = this.ide.rootDocumentResolver;
+        const root = await resolver.resolve(filePath);
+        if (!root) {
+            const text = await resolver.readText(filePath);
+            return this.getOwnContext(filePath, text || '');
+        }
+
+        const graphicsPaths = [];
+        for (const includedFile of await resolver.getIncludedFiles(root)) {
+            const text = await resolver.readText(includedFile);
+            if (text !== null) graphicsPaths.push(...this.parse(includedFile, text).graphicsPaths);
+        }
+        return { baseDir: resolver.dirname(root), graphicsPaths };
+    }
+
+    /**
+     * 引用可能指向的所有路径，按 TeX 的查找顺序排列
+     * 省略扩展名时先尝试默认扩展名；图片还会在 \graphicspath 的各目录中查找
+     */
+    getCandidates(reference, context) {
+        const resolver = this.ide.rootDocumentResolver;
+        const spec = FILE_COMMANDS[reference.command];
+        const target = reference.target;
+
+        let names = [target];
+        if (!spec.extensions.includes(getExtension(target))) {
+            if (spec.defaultExtension) {
+                names = [target + spec.defaultExtension, target];
+            } else if (spec.graphics) {
+                names = GRAPHICS_EXTENSIONS.map(extension => target + extension);
+            }
+        }
+
+        if (target.startsWith('/')) {
+            return names.map(name => resolver.normalizePath(name));
+        }
+
+        const dirs = [context.baseDir];
+        if (spec.graphics) {
+            dirs.push(...context.graphicsPaths.map(dir => dir.startsWith('/') ? dir : resolver.resolveRelative(context.baseDir, dir)));
+        }
+
+        return dirs.flatMap(dir => names.map(name => resolver.resolveRelative(dir, name)));
+    }
+
+    resolveReference(reference, context, files) {
+        return this.getCandidates(reference, context).find(path => files.has(path)) || null;
+    }
+
+    createProblem(filePath, reference, context) {
+        const path = this.getCreatablePath(reference, context);
+        return {
+            severity: 'warning',
+            file: filePath,
+            line: reference.line,
+            column: reference.column,
+            endColumn: reference.endColumn,
+            message: `找不到文件 "${reference.target}"（\\${reference.command}）`,
+            fixes: path ? [{ title: `创建文件 ${path}`, run: () => this.createFile(path) }] : []
+        };
+    }
+
+    // 快速修复创建的文件路径；无法生成的格式（如 .pdf、.eps 图片）返回 null
+    getCreatablePath(reference, context) {
+        const spec = FILE_COMMANDS[reference.command];
+        const resolver = this.ide.rootDocumentResolver;
+        const extension = getExtension(reference.target);
+
+        let target = reference.target;
+        if (spec.graphics) {
+            if (!extension) {
+                target += '.png';
+            } else if (!PLACEHOLDER_IMAGE_TYPES[extension]) {
+                return null;
+            }
+        } else if (!spec.extensions.includes(extension)) {
+            target += spec.defaultExtension || spec.extensions[0];
+        }
+
+        return target.startsWith('/') ? resolver.normalizePath(target) : resolver.resolveRelative(context.baseDir, target);
+    }
+
+    /**
+     * 创建缺失的文件：文本文件创建后在编辑器中打开，图片生成占位图
+     */
+    async createFile(path) {
+        try {
+            const imageType = PLACEHOLDER_IMAGE_TYPES[getExtension(path)];
+            if (imageType) {
+                await this.ide.fileSystem.writeBinaryFile(path, await this.createPlaceholderImage(path, imageType));
+            } else {
+                const content = path.endsWith('.tex') ? `% ${path.split('/').pop()}\n` : '';
+                await this.ide.fileSystem.writeFile(path, content);
+            }
+
+            await this.ide.refreshFileExplorer();
+            if (!imageType) {
+                await this.ide.openFile(path);
+            }
+            await this.ide.projectSnapshot.update();
+        } catch (error) {
+            console.error('创建文件失败:', error);
+            alert('创建文件失败: ' + error.message);
+        }
+    }
+
+    // 生成带文件名的灰色占位图
+    async createPlaceholderImage(path, type) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 640;
+        canvas.height = 400;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#e0e0e0';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.strokeStyle = '#9e9e9e';
+        context.lineWidth = 4;
+        context.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
+        context.fillStyle = '#616161';
+        context.font = '28px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(path.split('/').pop(), canvas.width / 2, canvas.height / 2);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type));
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    /**
+     * 读取项目文件树（不包括编译输出目录）
+     * @param {Object} tree - 已读取的文件树（如项目快照中的），省略时重新读取
+     * @returns {Object} { files: Set<路径>, directories: Map<目录路径, [{ name, path, type }]> }
+     */
+    async getProjectTree(tree = null) {
+        const excludedDirs = this.ide.compileManager.excludedDirs;
+        tree = tree || await this.ide.fileSystem.getFileTree('/');
+        const files = new Set();
+        const directories = new Map();
+
+        const walk = (node) => {
+            const children = [];
+            for (const child of node.children || []) {
+                if (child.type === 'directory') {
+                    if (excludedDirs.includes(child.path)) continue;
+                    walk(child);
+                } else {
+                    files.add(child.path);
+                }
+                children.push({ name: child.name, path: child.path, type: child.type });
+            }
+            directories.set(node.path, children);
+        };
+        walk(tree);
+
+        return { files, directories };
+    }
+}
@@ -16,6 +16,10 @@ export class FileSystem {
                     },
                     "/tmp": {
                         fs: "InMemory"
+                    },
+                    // 编译产物只保存在内存中，不占用 LocalStorage 配额
+                    "/output": {
+                        fs: "InMemory"
                     }
                 }
             }, (err) => {
@@ -79,6 +83,18 @@ export class FileSystem {
         });
     }
 
+    // 读取二进制文件，返回 Uint8Array
+    async readBinaryFile(filePath) {
+        const data = await this.readFile(filePath, null);
+        return new Uint8Array(data);
+    }
+
+    // 写入二进制文件（PDF、图片等）
+    async writeBinaryFile(filePath, data) {
+        const Buffer = BrowserFS.BFSRequire('buffer').Buffer;
+        return this.writeFile(filePath, Buffer.from(data), null);
+    }
+
     async ensureDirectoryExists(dirPath) {
         if (!dirPath || dirPath === '/' || dirPath === '') {
             return;
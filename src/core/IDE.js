@@ -8,6 +8,26 @@ import { VersionManager } from './VersionManager.js';
 import { VersionSidebar } from './VersionSidebar.js';
 import { ContextMenuManager } from './ContextMenuManager.js';
 import { ToolCallManager } from './ToolCallManager.js';
+import { CompileManager } from './CompileManager.js';
+import { ProblemsPanel } from './ProblemsPanel.js';
+import { RootDocumentResolver } from './RootDocumentResolver.js';
+import { AutoCompiler } from './AutoCompiler.js';
+import { BuildHistoryView } from './BuildHistoryView.js';
+import { FastPreview } from './FastPreview.js';
+import { OutlinePanel } from './OutlinePanel.js';
+import { LabelIndex } from './LabelIndex.js';
+import { BibliographyIndex } from './BibliographyIndex.js';
+import { FileReferenceChecker } from './FileReferences.js';
+import { SymbolNavigation } from './SymbolNavigation.js';
+import { SymbolRename } from './SymbolRename.js';
+import { SnippetManager } from './SnippetManager.js';
+import { Linter } from './Linter.js';
+import { LaTeXFormatter } from './LaTeXFormatter.js';
+import { BibTeXLanguage } from './BibTeXLanguage.js';
+import { SpellChecker } from './SpellChecker.js';
+import { BibliographyManager } from './BibliographyManager.js';
+import { CitationPreview } from './CitationPreview.js';
+import { ProjectSnapshot } from './ProjectSnapshot.js';
 
 export class IDE {
     constructor() {
@@ -17,10 +37,29 @@ export class IDE {
         this.settingsManager = new SettingsManager();
         this.shortcutManager = new ShortcutManager(this.settingsManager);
         this.settingsUI = null; // 将在 initUI 中初始化
-        this.versionManager = new VersionManager();
+        this.versionManager = new VersionManager(this.fileSystem);
         this.versionSidebar = null; // 将在 initUI 中初始化
         this.contextMenuManager = new ContextMenuManager(); // 右键菜单管理器
         this.toolCallManager = null; // 工具调用管理器，将在初始化后创建
+        this.compileManager = new CompileManager(this); // 编译管理器
+        this.rootDocumentResolver = new RootDocumentResolver(this); // 根文档识别
+        this.projectSnapshot = new ProjectSnapshot(this); // 索引与检查共享的项目文件快照
+        this.fastPreviewBuilder = new FastPreview(this); // 快速预览（部分编译）
+        this.labelIndex = new LabelIndex(this); // 项目标签索引
+        this.bibliographyIndex = new BibliographyIndex(this); // 项目 .bib 文献索引
+        this.fileReferenceChecker = new FileReferenceChecker(this); // \input、\includegraphics 等引用的文件检查
+        this.symbolNavigation = new SymbolNavigation(this); // 转到定义与查找引用
+        this.autoCompiler = new AutoCompiler(this); // 自动编译
+        this.problemsPanel = null; // 问题面板，将在 initUI 中初始化
+        this.outlinePanel = null; // 大纲面板，将在 initUI 中初始化
+        this.symbolRename = null; // 符号重命名，将在 initUI 中初始化
+        this.snippetManager = null; // 代码片段，将在 initUI 中初始化
+        this.linter = null; // 代码检查，将在 initUI 中初始化
+        this.formatter = null; // 源码格式化，将在 initUI 中初始化
+        this.bibtexLanguage = null; // .bib 文件的补全、检查与格式化，将在 initUI 中初始化
+        this.spellChecker = null; // 拼写检查，将在 initUI 中初始化
+        this.bibliographyManager = null; // 文献管理，将在 initUI 中初始化
+        this.citationPreview = null; // 引用格式预览，将在 initUI 中初始化
         this.openTabs = new Map(); // 存储打开的标签页
         this.currentFile = null;
         this.isDirty = false; // 当前文件是否有未保存的更改
@@ -35,12 +74,16 @@ export class IDE {
         this.shortcutManager.registerAction('saveFile', () => this.saveCurrentFile(), '保存文件');
         this.shortcutManager.registerAction('closeTab', () => this.closeCurrentTab(), '关闭标签');
         this.shortcutManager.registerAction('compile', () => this.compileLatex(), '编译');
-        this.shortcutManager.registerAction('rename', () => this.renameCurrentFile(), '重命名');
+        this.shortcutManager.registerAction('rename', () => this.renameSymbolOrFile(), '重命名');
         this.shortcutManager.registerAction('delete', () => this.deleteCurrentFile(), '删除');
         this.shortcutManager.registerAction('toggleSidebar', () => this.toggleSidebar(), '切换侧边栏');
         this.shortcutManager.registerAction('toggleVersionSidebar', () => this.toggleVersionSidebar(), '切换版本侧边栏');
         this.shortcutManager.registerAction('createSnapshot', () => this.createSnapshot(), '创建快照');
         this.shortcutManager.registerAction('toggleAgentPanel', () => this.toggleAgentPanel(), '切换 AI 助手');
+        this.shortcutManager.registerAction('showBuildHistory', () => this.showBuildHistory(), '编译历史');
+        this.shortcutManager.registerAction('cleanBuild', () => this.cleanBuildOutputs(), '清理编译输出');
+        this.shortcutManager.registerAction('fastPreview', () => this.fastPreview(), '快速预览当前章节');
+        this.shortcutManager.registerAction('showBibliographyManager', () => this.showBibliographyManager(), '文献管理');
         // undo/redo 在编辑器级别处理，避免冲突
     }
 
@@ -82,6 +125,14 @@ export class IDE {
         if (toolbar) {
             toolbar.style.display = uiSettings.showToolbar ? 'flex' : 'none';
         }
+
+        // 编译输出目录的显示状态变化时刷新文件树
+        const showBuildOutput = !!uiSettings.showBuildOutput;
+        if (this.showBuildOutput !== undefined && this.showBuildOutput !== showBuildOutput) {
+            this.showBuildOutput = showBuildOutput;
+            this.refreshFileExplorer();
+        }
+        this.showBuildOutput = showBuildOutput;
     }
 
     async initEditor() {
@@ -96,7 +147,12 @@ export class IDE {
                 { token: 'number.latex', foreground: 'b5cea8' },
                 { token: 'delimiter.latex', foreground: 'd4d4d4' },
                 { token: 'command.latex', foreground: 'dcdcaa' },
-                { token: 'environment.latex', foreground: '4ec9b0' }
+                { token: 'environment.latex', foreground: '4ec9b0' },
+                { token: 'keyword.bibtex', foreground: 'c586c0' },
+                { token: 'key.bibtex', foreground: '4ec9b0' },
+                { token: 'field.bibtex', foreground: '9cdcfe' },
+                { token: 'variable.bibtex', foreground: 'dcdcaa' },
+                { token: 'comment.bibtex', foreground: '6a9955' }
             ],
             colors: {
                 'editor.background': '#1e1e1e',
@@ -129,8 +185,10 @@ export class IDE {
             glyphMargin: true,
             // Disable features that might trigger worker loading
             colorDecorators: false,
+            // 悬停提示用于公式预览等功能
             hover: {
-                enabled: false
+                enabled: true,
+                delay: 300
             },
             suggest: {
                 showColors: false
@@ -255,12 +313,88 @@ export class IDE {
         // 初始化版本侧边栏
         this.versionSidebar = new VersionSidebar(this.versionManager, this);
         
+        // 初始化问题面板
+        this.problemsPanel = new ProblemsPanel(this);
+        
+        // 初始化大纲面板
+        this.outlinePanel = new OutlinePanel(this);
+        
+        // 初始化编译历史
+        this.buildHistoryView = new BuildHistoryView(this, this.compileManager.buildHistory);
+        
+        // 初始化符号重命名
+        this.symbolRename = new SymbolRename(this);
+        
+        // 初始化代码片段
+        this.snippetManager = new SnippetManager(this);
+        
+        // 初始化代码检查
+        this.linter = new Linter(this);
+        
+        // 初始化源码格式化
+        this.formatter = new LaTeXFormatter(this);
+        
+        // 初始化 .bib 文件的编辑支持
+        this.bibtexLanguage = new BibTeXLanguage(this);
+        
+        // 初始化拼写检查
+        this.spellChecker = new SpellChecker(this);
+        
+        // 初始化文献管理
+        this.bibliographyManager = new BibliographyManager(this);
+        
+        // 初始化引用格式预览
+        this.citationPreview = new CitationPreview(this);
+        
         // 初始化工具调用管理器
         this.toolCallManager = new ToolCallManager(this);
         
         // 初始化项目版本管理
         await this.initProjectVersioning();
         
+        // 启用自动编译（由编辑器设置控制）
+        this.autoCompiler.init();
+        
+        // 项目内容变化后读取一次项目文件，供下面的索引与检查共享
+        this.projectSnapshot.init();
+        
+        // 项目版本管理就绪后开始生成大纲
+        this.outlinePanel.init();
+        
+        // 建立标签索引并检查引用
+        this.labelIndex.init();
+        
+        // 索引项目中的 .bib 文件，用于引用补全
+        this.bibliographyIndex.init();
+        
+        // 检查 \input、\includegraphics 等命令引用的文件是否存在
+        this.fileReferenceChecker.init();
+        
+        // 转到定义（F12）与查找所有引用（Shift+F12）
+        this.symbolNavigation.init();
+        this.symbolRename.init();
+        
+        // 全局与项目代码片段（/.latexide/snippets.json）
+        this.snippetManager.init();
+        
+        // 在 Worker 中检查环境配对、$ 配对、过时命令等问题
+        this.linter.init();
+        
+        // 格式化文档（Shift+Alt+F）与格式化选区
+        this.formatter.init();
+        
+        // .bib 文件的条目折叠、类型与字段补全、必填字段检查与格式化
+        this.bibtexLanguage.init();
+        
+        // 拼写检查（Hunspell 词典随应用打包，离线可用）
+        this.spellChecker.init();
+        
+        // 文献管理面板，检查重复的引用键与标题相近的条目
+        this.bibliographyManager.init();
+        
+        // 悬停 \cite 的引用键时按项目的引用样式（CSL）预览排版结果
+        this.citationPreview.init();
+        
         // 初始化右键菜单
         this.initContextMenu();
         
@@ -269,6 +403,9 @@ export class IDE {
         
         // 应用初始设置
         this.applySettings(this.settingsManager.settings);
+        
+        // 初始化编译方案选择
+        this.initRecipeMenu();
     }
 
     async initProjectVersioning() {
@@ -367,6 +504,7 @@ export class IDE {
             const filePath = folderPath === '/' ? `/${fileName}` : `${folderPath}/${fileName}`;
             await this.fileSystem.writeFile(filePath, '');
             await this.refreshFileExplorer();
+            this.projectSnapshot.update();
             this.openFile(filePath);
         } catch (error) {
             alert('创建文件失败: ' + error.message);
@@ -432,6 +570,7 @@ export class IDE {
             }
             
             await this.refreshFileExplorer();
+            this.projectSnapshot.update();
         } catch (error) {
             alert('重命名失败: ' + error.message);
         }
@@ -465,6 +604,7 @@ export class IDE {
             }
             
             await this.refreshFileExplorer();
+            this.projectSnapshot.update();
         } catch (error) {
             alert('删除失败: ' + error.message);
         }
@@ -530,11 +670,13 @@ export class IDE {
             
             const files = await this.fileSystem.readdir(dirPath);
             
-            // 过滤隐藏文件和特殊目录
+            // 过滤隐藏文件和特殊目录，编译输出目录（/output、/tmp）默认不显示
+            const hideBuildDirs = dirPath === '/' && !this.settingsManager.get('ui', 'showBuildOutput');
             const filteredFiles = files.filter(file => 
                 !file.startsWith('.') && 
                 file !== 'node_modules' && 
-                file !== '__pycache__'
+                file !== '__pycache__' &&
+                !(hideBuildDirs && this.compileManager.excludedDirs.includes(`/${file}`))
             );
             
             // 如果文件夹为空，显示提示
@@ -614,11 +756,14 @@ export class IDE {
                         const fileExtension = file.split('.').pop().toLowerCase();
                         const fileIcon = this.getFileIcon(fileExtension);
                         
+                        const isMainFile = fullPath === this.rootDocumentResolver.getPinnedRoot();
+                        
                         fileItem.classList.add('file');
                         fileItem.dataset.path = fullPath;
                         fileItem.innerHTML = `
                             <div class="file-icon">${fileIcon}</div>
                             <span class="file-name">${file}</span>
+                            ${isMainFile ? '<span class="main-file-badge" title="项目主文档">📌</span>' : ''}
                         `;
                         
                         fileItem.addEventListener('click', (e) => {
@@ -667,6 +812,15 @@ export class IDE {
 
     async openFile(filePath) {
         try {
+            // PDF 文件在预览面板中打开
+            if (filePath.toLowerCase().endsWith('.pdf')) {
+                const pdfPreview = this.pluginManager.getPlugin('pdf-preview');
+                if (pdfPreview) {
+                    await pdfPreview.openPdf(filePath);
+                    return;
+                }
+            }
+
             // 如果文件已经打开，直接切换到该标签
             if (this.openTabs.has(filePath)) {
                 this.switchToTab(filePath);
@@ -869,6 +1023,10 @@ export class IDE {
         // 重新绑定版本管理（这会自动同步编辑器内容）
         this.versionManager.bindFileToEditor(filePath, this.editor);
 
+        // 所有标签共用一个编辑器模型，切换后重新应用该文件的问题标记
+        this.problemsPanel?.applyMarkers(filePath);
+        this.pluginManager.triggerHook('file.open', filePath);
+
         this.updateStatusBar();
         
         // 切换文件后更新按钮状态
@@ -953,6 +1111,10 @@ export class IDE {
 
     async saveFile(filePath) {
         try {
+            if (filePath === this.currentFile && this.settingsManager.get('editor', 'formatOnSave')) {
+                await this.formatter?.formatCurrentDocument();
+            }
+            
             // 现在保存操作主要是创建版本快照
             // 因为 Yjs 已经实时同步了内容到项目文档
             const snapshot = this.versionManager.createProjectSnapshot(`手动保存: ${filePath.split('/').pop()}`);
@@ -969,6 +1131,8 @@ export class IDE {
             this.updateTabStatus();
             this.updateStatusBar();
             
+            await this.pluginManager.triggerHook('file.save', filePath);
+            
             if (snapshot) {
                 document.getElementById('statusText').textContent = '已保存并创建快照';
             } else {
@@ -1064,6 +1228,8 @@ export class IDE {
             case 'tex':
             case 'latex':
                 return 'latex';
+            case 'bib':
+                return 'bibtex';
             case 'md':
                 return 'markdown';
             case 'js':
@@ -1080,21 +1246,184 @@ export class IDE {
         }
     }
 
-    compileLatex() {
-        if (!this.currentFile || !this.currentFile.endsWith('.tex')) {
-            alert('请先打开一个 LaTeX 文件');
+    /**
+     * 获取文件在 Yjs 项目文档中的最新内容
+     * 编辑器中的修改只同步到 Yjs，不会写回文件系统
+     * @returns {string|null} 文件内容，Yjs 中没有该文件时返回 null
+     */
+    getProjectFileText(filePath) {
+        if (!this.versionManager.projectDoc) {
+            return null;
+        }
+
+        const filesMap = this.versionManager.projectDoc.getMap('files');
+        const yText = filesMap.get(this.versionManager.getRelativePath(filePath));
+        return yText ? yText.toString() : null;
+    }
+
+    async compileLatex(recipeName) {
+        if (this.compileManager.isCompiling) {
+            if (!this.compileManager.isBackgroundBuild) {
+                document.getElementById('statusText').textContent = '编译正在进行中...';
+                return;
+            }
+            // 手动编译优先于后台自动编译
+            await this.compileManager.cancel();
+        }
+
+        // 编译当前文件所属的根文档，而不是文件片段本身
+        const rootFile = await this.rootDocumentResolver.resolve(this.currentFile);
+        if (!rootFile) {
+            alert('未找到可编译的 LaTeX 主文档，请先打开一个 .tex 文件或在文件树中将其设为主文档');
             return;
         }
 
-        document.getElementById('statusText').textContent = '正在编译...';
-        
-        // 模拟编译过程
+        const result = await this.compileManager.compile(rootFile, recipeName);
+        if (!result || result.cancelled) return;
+
+        document.getElementById('statusText').textContent = result.success ? '编译完成' : '编译失败';
         setTimeout(() => {
-            document.getElementById('statusText').textContent = '编译完成';
-            setTimeout(() => {
-                document.getElementById('statusText').textContent = '就绪';
-            }, 2000);
-        }, 1000);
+            document.getElementById('statusText').textContent = '就绪';
+        }, 2000);
+    }
+
+    /**
+     * 快速预览：只编译光标所在的章节，图片使用草稿模式
+     */
+    async fastPreview() {
+        if (this.compileManager.isCompiling) {
+            if (!this.compileManager.isBackgroundBuild) {
+                document.getElementById('statusText').textContent = '编译正在进行中...';
+                return;
+            }
+            await this.compileManager.cancel();
+        }
+
+        const position = this.editor ? this.editor.getPosition() : null;
+        const config = await this.compileManager.buildRecipes.loadConfig();
+        let partial;
+        try {
+            partial = await this.fastPreviewBuilder.prepare(this.currentFile, position ? position.lineNumber : 1, config);
+        } catch (error) {
+            this.setCompileStatus('error', `快速预览失败: ${error.message}`);
+            return;
+        }
+
+        await this.compileManager.compile(partial.rootFile, config.previewRecipe, { partial });
+    }
+
+    /**
+     * 更新状态栏中的编译状态
+     * @param {string} state - 'running' | 'success' | 'error' | 'cancelled'
+     * @param {string} message - 显示的文本
+     */
+    setCompileStatus(state, message) {
+        const compileStatus = document.getElementById('compileStatus');
+        if (!compileStatus) return;
+
+        compileStatus.classList.remove('running', 'success', 'error', 'cancelled');
+        compileStatus.classList.add(state);
+        compileStatus.textContent = message;
+        compileStatus.title = message;
+    }
+
+    initRecipeMenu() {
+        // 点击菜单外部时关闭
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.compile-button-group')) {
+                document.getElementById('recipeMenu')?.classList.remove('visible');
+            }
+        });
+
+        this.updateCompileButton();
+    }
+
+    // 获取当前生效的编译方案
+    async getCurrentRecipe() {
+        const buildRecipes = this.compileManager.buildRecipes;
+        const config = await buildRecipes.loadConfig();
+        return {
+            recipe: buildRecipes.getRecipe(buildRecipes.getSelectedRecipeName(), config),
+            recipes: buildRecipes.getRecipes(config)
+        };
+    }
+
+    async updateCompileButton() {
+        const button = document.getElementById('compileButton');
+        if (!button) return;
+
+        const { recipe } = await this.getCurrentRecipe();
+        button.title = `编译 (F5)，当前方案：${recipe.label}`;
+    }
+
+    /**
+     * 显示/隐藏编译方案菜单，选择方案后立即用该方案编译
+     */
+    async toggleRecipeMenu() {
+        const menu = document.getElementById('recipeMenu');
+        if (!menu) return;
+
+        if (menu.classList.contains('visible')) {
+            menu.classList.remove('visible');
+            return;
+        }
+
+        const { recipe: current, recipes } = await this.getCurrentRecipe();
+        menu.innerHTML = '';
+        for (const recipe of recipes) {
+            const item = document.createElement('div');
+            item.className = 'recipe-menu-item' + (recipe.name === current.name ? ' active' : '');
+            item.textContent = recipe.label;
+            item.title = recipe.steps.join(' → ');
+            item.addEventListener('click', () => {
+                menu.classList.remove('visible');
+                this.compileManager.buildRecipes.setSelectedRecipeName(recipe.name);
+                this.updateCompileButton();
+                this.compileLatex(recipe.name);
+            });
+            menu.appendChild(item);
+        }
+
+        const separator = document.createElement('div');
+        separator.className = 'recipe-menu-separator';
+        menu.appendChild(separator);
+
+        for (const [label, action] of [
+            ['快速预览当前章节 (Shift+F5)', () => this.fastPreview()],
+            ['编译历史...', () => this.showBuildHistory()],
+            ['清理编译输出', () => this.cleanBuildOutputs()]
+        ]) {
+            const item = document.createElement('div');
+            item.className = 'recipe-menu-item';
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                menu.classList.remove('visible');
+                action();
+            });
+            menu.appendChild(item);
+        }
+
+        menu.classList.add('visible');
+    }
+
+    showBuildHistory() {
+        this.buildHistoryView?.show();
+    }
+
+    showBibliographyManager() {
+        this.bibliographyManager?.show();
+    }
+
+    // 删除 /output 中的所有编译产物（PDF、日志、.aux 等），下次编译将从头开始
+    async cleanBuildOutputs() {
+        try {
+            const removed = await this.compileManager.cleanOutputs();
+            this.setCompileStatus('cancelled', `已清理编译输出 (${removed} 个文件)`);
+            this.refreshFileExplorer();
+        } catch (error) {
+            console.error('清理编译输出失败:', error);
+            alert('清理编译输出失败: ' + error.message);
+        }
     }
 
     // 快捷键动作方法
@@ -1103,6 +1432,14 @@ export class IDE {
         document.getElementById('newFileName').focus();
     }
 
+    // 编辑器中光标位于标签、引用键或用户宏上时重命名符号，否则重命名当前文件
+    async renameSymbolOrFile() {
+        if (this.editor?.hasTextFocus() && this.symbolRename && await this.symbolRename.renameAtCursor()) {
+            return;
+        }
+        this.renameCurrentFile();
+    }
+
     renameCurrentFile() {
         if (this.currentFile) {
             this.contextTarget = document.querySelector(`[data-path="${this.currentFile}"]`);
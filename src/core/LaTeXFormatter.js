@@ -0,0 +1,447 @@
+import * as monaco from 'monaco-editor';
+
+/**
+ * LaTeX 源码格式化（类似 latexindent）
+ * - 按环境与花括号缩进（document 环境的内容不缩进，列表中 \item 之后的续行多缩进一级）
+ * - 对齐 tabular、align 等环境中各行的 & 列
+ * - 按宽度折行或每句一行（可选）
+ * - 连续多个空行合并为一个
+ * verbatim、lstlisting 等环境的内容保持原样
+ */
+
+const VERBATIM_ENVIRONMENTS = /^(verbatim\*?|Verbatim\*?|lstlisting|minted|comment|filecontents\*?)$/;
+const ALIGN_ENVIRONMENTS = /^(tabular[x*]?|tabulary|longtable\*?|array|align\*?|alignat\*?|flalign\*?|eqnarray\*?|split|aligned|alignedat|cases\*?|[pbBvV]?matrix\*?|smallmatrix)$/;
+// 这些环境中的内容不折行
+const NO_WRAP_ENVIRONMENTS = /^(equation\*?|gather\*?|multline\*?|math|displaymath|tikzpicture|picture|axis|tabbing|algorithmic|algorithm)$/;
+const LIST_ENVIRONMENTS = /^(itemize|enumerate|description)$/;
+const UNINDENTED_ENVIRONMENTS = /^(document)$/;
+
+const TOKEN = /\\(begin|end)\s*\{([^}]*)\}|\\[a-zA-Z@]+|\\.|\$\$|[{}]/g;
+const LEADING_CLOSER = /^(\\end\s*\{([^}]*)\}|\\\]|\})\s*/;
+const INLINE_VERBATIM = /\\(?:verb\*?|lstinline)([^a-zA-Z\s{])(.*?)\1/g;
+const ROW_END = /\\\\(\s*\[[^\]]*\])?\s*$/;
+
+// 可以出现在段落行首的命令，其他命令开头的行不参与折行
+const INLINE_COMMANDS = new Set([
+    'textbf', 'textit', 'emph', 'texttt', 'textsc', 'textsf', 'textrm', 'textsl', 'underline', 'textcolor',
+    'cite', 'citep', 'citet', 'parencite', 'textcite', 'autocite', 'ref', 'eqref', 'autoref', 'cref', 'Cref', 'pageref',
+    'footnote', 'url', 'href', 'LaTeX', 'TeX', 'ldots', 'dots', 'cdots', 'quad', 'qquad', 'S', 'P', 'ie', 'eg', 'etal'
+]);
+
+// 不表示句末的缩写
+const ABBREVIATIONS = /^(e\.g\.|i\.e\.|cf\.|vs\.|al\.|Fig\.|Figs\.|Eq\.|Eqs\.|Sec\.|Tab\.|Ref\.|Dr\.|Prof\.|Mr\.|Mrs\.|Ms\.|No\.|pp\.|p\.|[A-Z]\.)$/;
+const SENTENCE_END = /[.!?。！？][)'"’”}」』）]*$/;
+const CJK_SENTENCE_END = /(?<=[。！？][”’」』）]*)(?=[^”’」』）])/;
+
+export const FORMAT_WRAP_MODES = ['off', 'width', 'sentence'];
+
+/**
+ * 格式化整个文档
+ * @param {string} text - LaTeX 源码
+ * @param {Object} options - { indent: 一级缩进的字符串, wrap: 'off' | 'width' | 'sentence', lineWidth }
+ * @returns {string} 格式化后的源码
+ */
+export function formatLaTeX(text, options = {}) {
+    const lines = formatLines(text.split('\n'), createState(), normalizeOptions(options));
+
+    while (lines.length > 0 && lines[0] === '') lines.shift();
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    return lines.join('\n') + (text.endsWith('\n') && lines.length > 0 ? '\n' : '');
+}
+
+/**
+ * 格式化文档中的若干行，缩进根据前面的内容确定
+ * @param {string} text - 整个文档
+ * @param {number} startLine - 起始行（从 1 开始）
+ * @param {number} endLine - 结束行（包含）
+ * @returns {string} 这些行格式化后的内容
+ */
+export function formatLaTeXRange(text, startLine, endLine, options = {}) {
+    const lines = text.split('\n');
+    const state = createState();
+    for (const line of lines.slice(0, startLine - 1)) {
+        scanLine(line, state);
+    }
+    return formatLines(lines.slice(startLine - 1, endLine), state, normalizeOptions(options)).join('\n');
+}
+
+function normalizeOptions(options) {
+    return {
+        indent: options.indent ?? '    ',
+        wrap: FORMAT_WRAP_MODES.includes(options.wrap) ? options.wrap : 'off',
+        lineWidth: Math.max(options.lineWidth || 80, 20)
+    };
+}
+
+function createState() {
+    // stack 中的项：{ type: 'env' | 'brace' | 'display', name, indent, itemOpen }
+    return { stack: [], verbatim: null, displayDollars: false };
+}
+
+function formatLines(lines, state, options) {
+    const infos = lines.map(line => scanLine(line, state));
+    alignColumns(infos);
+
+    const output = [];
+    let paragraph = [];
+    const flush = () => {
+        if (paragraph.length > 0) {
+            output.push(...wrapParagraph(paragraph, options));
+            paragraph = [];
+        }
+    };
+
+    for (const info of infos) {
+        if (info.raw) {
+            flush();
+            output.push(info.text);
+            continue;
+        }
+
+        const text = info.text ? options.indent.repeat(info.level) + info.text : '';
+        if (options.wrap !== 'off' && info.prose) {
+            // \item 的续行比 \item 多缩进一级
+            if (info.item || (paragraph.length > 0 && paragraph[0].level + (paragraph[0].item ? 1 : 0) !== info.level)) flush();
+            paragraph.push(info);
+            if (ROW_END.test(info.text)) flush();
+            continue;
+        }
+
+        flush();
+        // 连续多个空行合并为一个
+        if (!text && output.length > 0 && output[output.length - 1] === '') continue;
+        output.push(text);
+    }
+    flush();
+
+    return output;
+}
+
+/**
+ * 分析一行：确定缩进层级并更新环境栈
+ * @returns {Object} { text: 去掉首尾空白的内容, level, raw: 是否原样保留, prose: 是否可以折行, item, row }
+ */
+function scanLine(line, state) {
+    if (state.verbatim) {
+        const end = new RegExp(`^\\s*\\\\end\\s*\\{${escapeRegExp(state.verbatim.name)}\\}`);
+        if (!end.test(line)) return { text: line, raw: true };
+    }
+
+    const text = line.trim();
+    const { code, comment } = splitComment(text);
+    let rest = maskInlineVerbatim(code);
+
+    // 行首的 \end 与 } 先出栈，本行按出栈后的层级缩进
+    let match;
+    while ((match = rest.match(LEADING_CLOSER))) {
+        if (match[2] !== undefined) {
+            const name = match[2].trim();
+            if (state.verbatim && state.verbatim.name === name) {
+                state.verbatim = null;
+            } else {
+                closeEnvironment(state, name);
+            }
+        } else if (match[1] === '\\]') {
+            closeEnvironment(state, '\\[');
+        } else {
+            closeBrace(state);
+        }
+        rest = rest.slice(match[0].length);
+    }
+
+    const top = state.stack[state.stack.length - 1];
+    const item = /^\\item(?![a-zA-Z])/.test(rest);
+    let level = 0;
+    for (const entry of state.stack) {
+        level += entry.indent + (entry.itemOpen && !(item && entry === top) ? 1 : 0);
+    }
+    if (item && top && top.list) top.itemOpen = true;
+
+    const before = state.stack.slice();
+    const wrappable = isWrappable(state) && !comment && !/\\(verb|lstinline)(?![a-zA-Z])/.test(code);
+    let structural = code !== rest;
+
+    for (const token of rest.matchAll(TOKEN)) {
+        if (token[1] === 'begin') {
+            const name = token[2].trim();
+            structural = true;
+            if (VERBATIM_ENVIRONMENTS.test(name)) {
+                state.verbatim = { name };
+            } else {
+                state.stack.push({
+                    type: 'env',
+                    name,
+                    indent: UNINDENTED_ENVIRONMENTS.test(name) ? 0 : 1,
+                    list: LIST_ENVIRONMENTS.test(name),
+                    itemOpen: false
+                });
+            }
+        } else if (token[1] === 'end') {
+            const name = token[2].trim();
+            structural = true;
+            if (state.verbatim && state.verbatim.name === name) {
+                state.verbatim = null;
+            } else {
+                closeEnvironment(state, name);
+            }
+        } else if (token[0] === '{') {
+            state.stack.push({ type: 'brace', indent: 1 });
+        } else if (token[0] === '}') {
+            closeBrace(state);
+        } else if (token[0] === '\\[') {
+            structural = true;
+            state.stack.push({ type: 'display', name: '\\[', indent: 1 });
+        } else if (token[0] === '\\]') {
+            structural = true;
+            closeEnvironment(state, '\\[');
+        } else if (token[0] === '$$') {
+            structural = true;
+            state.displayDollars = !state.displayDollars;
+        }
+    }
+
+    const stable = before.length === state.stack.length && before.every((entry, i) => entry === state.stack[i]);
+    const innermost = state.stack[state.stack.length - 1];
+
+    return {
+        text,
+        level,
+        item,
+        prose: wrappable && !structural && Boolean(text) && startsParagraph(text),
+        // 对齐环境中的单行表格行
+        row: stable && innermost && innermost.type === 'env' && ALIGN_ENVIRONMENTS.test(innermost.name) && innermost === top
+            ? { env: innermost, code, comment }
+            : null
+    };
+}
+
+function closeEnvironment(state, name) {
+    // 只在最近的花括号内查找，避免宏定义中的 \end 关闭外层环境
+    for (let i = state.stack.length - 1; i >= 0; i--) {
+        const entry = state.stack[i];
+        if (entry.type === 'brace') return;
+        if (entry.name === name) {
+            state.stack.length = i;
+            return;
+        }
+    }
+}
+
+function closeBrace(state) {
+    for (let i = state.stack.length - 1; i >= 0; i--) {
+        if (state.stack[i].type === 'brace') {
+            state.stack.length = i;
+            return;
+        }
+    }
+}
+
+function isWrappable(state) {
+    if (state.displayDollars) return false;
+    return state.stack.every(entry =>
+        entry.type === 'env' && !ALIGN_ENVIRONMENTS.test(entry.name) && !NO_WRAP_ENVIRONMENTS.test(entry.name)
+    );
+}
+
+// 普通文字、行内公式或行内命令开头的行才是段落的一部分
+function startsParagraph(text) {
+    if (/^(&|\\\\|\\\[|\\\]|%)/.test(text)) return false;
+    const command = text.match(/^\\([a-zA-Z@]+)/);
+    return !command || command[1] === 'item' || INLINE_COMMANDS.has(command[1]);
+}
+
+// 把一段的各行合并后重新折行
+function wrapParagraph(lines, options) {
+    const indent = options.indent.repeat(lines[0].level);
+    // \item 的续行与列表项内容对齐
+    const continuation = lines[0].item ? indent + options.indent : indent;
+    const words = lines.flatMap(line => line.text.split(/\s+/)).filter(Boolean);
+
+    if (options.wrap === 'sentence') {
+        return splitSentences(words).map((sentence, i) => (i === 0 ? indent : continuation) + sentence.join(' '));
+    }
+
+    const output = [];
+    let current = [];
+    let width = displayWidth(indent);
+    for (const word of words) {
+        const wordWidth = displayWidth(word);
+        if (current.length > 0 && width + 1 + wordWidth > options.lineWidth) {
+            output.push((output.length === 0 ? indent : continuation) + current.join(' '));
+            current = [];
+            width = displayWidth(continuation);
+        }
+        width += (current.length > 0 ? 1 : 0) + wordWidth;
+        current.push(word);
+    }
+    if (current.length > 0) {
+        output.push((output.length === 0 ? indent : continuation) + current.join(' '));
+    }
+    return output;
+}
+
+function splitSentences(words) {
+    const sentences = [];
+    let current = [];
+    for (const word of words) {
+        // 中文句号等后面没有空格，在词内拆分
+        const parts = word.split(CJK_SENTENCE_END);
+        parts.forEach((part, i) => {
+            current.push(part);
+            const ended = i < parts.length - 1 || (SENTENCE_END.test(part) && !ABBREVIATIONS.test(part));
+            if (ended) {
+                sentences.push(current);
+                current = [];
+            }
+        });
+    }
+    if (current.length > 0) sentences.push(current);
+    return sentences;
+}
+
+// 对齐同一环境中各行的 & 列，包含 \multicolumn 的行不参与对齐
+function alignColumns(infos) {
+    const groups = new Map();
+    for (const info of infos) {
+        if (!info.row || !info.row.code.includes('&') || /\\multicolumn(?![a-zA-Z])/.test(info.row.code)) continue;
+        const cells = splitCells(info.row.code);
+        if (cells.length < 2) continue;
+        info.row.cells = cells;
+        if (!groups.has(info.row.env)) groups.set(info.row.env, []);
+        groups.get(info.row.env).push(info);
+    }
+
+    for (const rows of groups.values()) {
+        const widths = [];
+        for (const { row } of rows) {
+            row.cells.slice(0, -1).forEach((cell, i) => {
+                widths[i] = Math.max(widths[i] || 0, displayWidth(cell));
+            });
+        }
+        for (const info of rows) {
+            const { cells, comment } = info.row;
+            const text = cells
+                .map((cell, i) => i < cells.length - 1 ? cell + ' '.repeat(widths[i] - displayWidth(cell)) : cell)
+                .join(' & ')
+                .trimEnd();
+            info.text = comment ? `${text} ${comment}` : text;
+        }
+    }
+}
+
+// 按不在花括号中的 & 拆分单元格，\verb 与 \lstinline 中的内容不参与拆分
+function splitCells(code) {
+    const masked = maskInlineVerbatim(code);
+    const cells = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < masked.length; i++) {
+        const ch = masked[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            depth--;
+        } else if (ch === '&' && depth === 0) {
+            cells.push(code.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    cells.push(code.slice(start).trim());
+    return cells;
+}
+
+// 拆分代码与行尾注释
+function splitComment(text) {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '%') {
+            return { code: text.slice(0, i).trimEnd(), comment: text.slice(i) };
+        }
+    }
+    return { code: text, comment: '' };
+}
+
+function maskInlineVerbatim(code) {
+    return code.replace(INLINE_VERBATIM, match => ' '.repeat(match.length));
+}
+
+// 中日韩字符按两个字符宽度计算
+function displayWidth(text) {
+    let width = 0;
+    for (const ch of text) {
+        width += /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(ch) ? 2 : 1;
+    }
+    return width;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 注册 Monaco 的文档与选区格式化，并提供保存时格式化
+ */
+export class LaTeXFormatter {
+    constructor(ide) {
+        this.ide = ide;
+        this.disposables = [];
+    }
+
+    init() {
+        this.disposables.push(
+            monaco.languages.registerDocumentFormattingEditProvider('latex', {
+                displayName: 'LaTeX',
+                provideDocumentFormattingEdits: (model, options) => {
+                    const text = model.getValue();
+                    const formatted = formatLaTeX(text, this.getOptions(options));
+                    return formatted === text ? [] : [{ range: model.getFullModelRange(), text: formatted }];
+                }
+            }),
+            monaco.languages.registerDocumentRangeFormattingEditProvider('latex', {
+                displayName: 'LaTeX',
+                provideDocumentRangeFormattingEdits: (model, range, options) => {
+                    const fullRange = new monaco.Range(range.startLineNumber, 1, range.endLineNumber, model.getLineMaxColumn(range.endLineNumber));
+                    const text = model.getValueInRange(fullRange);
+                    const formatted = formatLaTeXRange(model.getValue(), range.startLineNumber, range.endLineNumber, this.getOptions(options));
+                    return formatted === text ? [] : [{ range: fullRange, text: formatted }];
+                }
+            })
+        );
+    }
+
+    /**
+     * 格式化选项：缩进来自编辑器，折行方式来自设置
+     * @param {Object} editorOptions - Monaco 的 { tabSize, insertSpaces }
+     */
+    getOptions(editorOptions = {}) {
+        const settings = this.ide.settingsManager.get('editor');
+        const tabSize = editorOptions.tabSize || 4;
+        return {
+            indent: editorOptions.insertSpaces === false ? '\t' : ' '.repeat(tabSize),
+            wrap: settings.formatWrap,
+            lineWidth: settings.formatLineWidth
+        };
+    }
+
+    /**
+     * 格式化一段文本（供 AI 助手等调用）
+     */
+    format(text) {
+        const model = this.ide.editor?.getModel();
+        return formatLaTeX(text, this.getOptions(model?.getOptions()));
+    }
+
+    // 使用当前语言注册的格式化程序格式化编辑器中的文档，可以用 Ctrl+Z 撤销
+    async formatCurrentDocument() {
+        const action = this.ide.editor?.getAction('editor.action.formatDocument');
+        if (action) await action.run();
+    }
+
+    destroy() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
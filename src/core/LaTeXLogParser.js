@@ -0,0 +1,218 @@
+/**
+ * TeX 日志解析器
+ * 将编译生成的 .log 转换为结构化的错误、警告与排版（bad box）提示
+ *
+ * 每条结果的格式：
+ * { level: 'error' | 'warning' | 'badbox', file, line, message, content }
+ */
+
+// TeX 默认在 79 个字符处折行
+const LOG_WRAP_LENGTH = 79;
+
+const FILE_LINE_ERROR = /^(.*?\.(?:tex|sty|cls|bib|bbl|aux|ltx|def|cfg|clo|fd|dtx|ins)):(\d+): (.*)$/;
+const TEX_ERROR = /^! (.*)$/;
+const ERROR_LINE = /^l\.(\d+)\s?(.*)$/;
+const LATEX_WARNING = /^((?:La|pdf|Xe|Lua)TeX|Package|Class|Module)(?:\s+(\S+))?\s+Warning:\s*(.*)$/;
+const INPUT_LINE = /on input line (\d+)/;
+const BAD_BOX = /^(Over|Under)full \\[hv]box .*$/;
+const BAD_BOX_LINES = /at lines? (\d+)(?:--(\d+))?/;
+
+export class LaTeXLogParser {
+    /**
+     * @param {Object} options
+     * @param {Function} options.toProjectPath - 将日志中的文件路径转换为项目路径
+     * @param {string} options.rootFile - 根文档路径，无法确定文件时使用
+     */
+    constructor(options = {}) {
+        this.toProjectPath = options.toProjectPath || ((path) => path);
+        this.rootFile = options.rootFile || null;
+    }
+
+    /**
+     * 解析日志文本
+     * @param {string} log - 日志内容
+     * @returns {Object} { errors, warnings, badBoxes, all }
+     */
+    parse(log) {
+        this.lines = this.unwrapLines(log || '');
+        this.fileStack = [];
+        this.all = [];
+
+        for (this.index = 0; this.index < this.lines.length; this.index++) {
+            const line = this.lines[this.index];
+
+            if (this.parseFileLineError(line) ||
+                this.parseTeXError(line) ||
+                this.parseWarning(line) ||
+                this.parseBadBox(line)) {
+                continue;
+            }
+
+            this.updateFileStack(line);
+        }
+
+        return {
+            errors: this.all.filter(item => item.level === 'error'),
+            warnings: this.all.filter(item => item.level === 'warning'),
+            badBoxes: this.all.filter(item => item.level === 'badbox'),
+            all: this.all
+        };
+    }
+
+    // 合并被 TeX 在固定宽度处折断的行
+    unwrapLines(log) {
+        const rawLines = log.replace(/\r\n?/g, '\n').split('\n');
+        const lines = [];
+        let buffer = '';
+
+        for (const rawLine of rawLines) {
+            buffer += rawLine;
+            if (rawLine.length !== LOG_WRAP_LENGTH) {
+                lines.push(buffer);
+                buffer = '';
+            }
+        }
+        if (buffer) {
+            lines.push(buffer);
+        }
+        return lines;
+    }
+
+    // 当前正在处理的文件
+    get currentFile() {
+        for (let i = this.fileStack.length - 1; i >= 0; i--) {
+            if (this.fileStack[i]) return this.fileStack[i];
+        }
+        return this.rootFile;
+    }
+
+    // 根据行中的括号维护文件栈，"(./file.tex" 表示开始读取文件，")" 表示读取结束
+    updateFileStack(line) {
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '(') {
+                const match = line.slice(i + 1).match(/^"?([^()"\s]+)/);
+                const candidate = match ? match[1] : '';
+                if (/^(\.{0,2}\/|[A-Za-z]:\/)|\.[A-Za-z]+$/.test(candidate) && candidate.includes('.')) {
+                    this.fileStack.push(this.toProjectPath(candidate));
+                    i += candidate.length;
+                } else {
+                    this.fileStack.push(null);
+                }
+            } else if (char === ')') {
+                this.fileStack.pop();
+            }
+        }
+    }
+
+    // 读取错误说明，直到空行或 "l.<行号>" 上下文行
+    collectErrorContext(startIndex) {
+        const context = [];
+        let line = null;
+
+        for (let i = startIndex; i < this.lines.length && i < startIndex + 12; i++) {
+            const text = this.lines[i];
+            const lineMatch = text.match(ERROR_LINE);
+            if (lineMatch) {
+                line = parseInt(lineMatch[1], 10);
+                context.push(text);
+                if (i + 1 < this.lines.length) {
+                    context.push(this.lines[i + 1]);
+                }
+                this.index = i + 1;
+                break;
+            }
+            context.push(text);
+        }
+
+        return { line, context: context.join('\n') };
+    }
+
+    // 形如 "./main.tex:12: Undefined control sequence." 的错误（-file-line-error 模式）
+    parseFileLineError(line) {
+        const match = line.match(FILE_LINE_ERROR);
+        if (!match) return false;
+
+        const { context } = this.collectErrorContext(this.index + 1);
+        this.all.push({
+            level: 'error',
+            file: this.toProjectPath(match[1]),
+            line: parseInt(match[2], 10),
+            message: match[3].trim(),
+            content: context
+        });
+        return true;
+    }
+
+    // 形如 "! LaTeX Error: ..." 的错误，行号来自其后的 "l.<行号>"
+    parseTeXError(line) {
+        const match = line.match(TEX_ERROR);
+        if (!match) return false;
+
+        const file = this.currentFile;
+        const { line: lineNumber, context } = this.collectErrorContext(this.index + 1);
+        this.all.push({
+            level: 'error',
+            file,
+            line: lineNumber,
+            message: match[1].trim(),
+            content: context
+        });
+        return true;
+    }
+
+    // LaTeX / 宏包 / 文档类警告，可能跨越多行
+    parseWarning(line) {
+        const match = line.match(LATEX_WARNING);
+        if (!match) return false;
+
+        const packageName = match[2];
+        let message = match[3];
+
+        // 宏包警告的续行以 "(包名)" 缩进开头，普通警告以空行结束
+        while (this.index + 1 < this.lines.length) {
+            const next = this.lines[this.index + 1];
+            if (!next.trim()) break;
+            if (packageName && next.startsWith(`(${packageName})`)) {
+                message += ' ' + next.slice(packageName.length + 2).trim();
+            } else if (!packageName && !INPUT_LINE.test(message) && !/[.)]$/.test(message.trim())) {
+                message += ' ' + next.trim();
+            } else {
+                break;
+            }
+            this.index++;
+        }
+
+        const lineMatch = message.match(INPUT_LINE);
+        this.all.push({
+            level: 'warning',
+            file: this.currentFile,
+            line: lineMatch ? parseInt(lineMatch[1], 10) : null,
+            message: packageName ? `${packageName}: ${message.trim()}` : message.trim(),
+            content: line
+        });
+        return true;
+    }
+
+    // Overfull / Underfull 盒子
+    parseBadBox(line) {
+        if (!BAD_BOX.test(line)) return false;
+
+        const lineMatch = line.match(BAD_BOX_LINES) || line.match(/detected at line (\d+)/);
+        this.all.push({
+            level: 'badbox',
+            file: this.currentFile,
+            line: lineMatch ? parseInt(lineMatch[1], 10) : null,
+            message: line.trim(),
+            content: line
+        });
+
+        // 跳过紧随其后的盒子内容转储（其中的括号不代表文件），直到空行
+        while (this.index + 1 < this.lines.length && this.lines[this.index + 1].trim()) {
+            const next = this.lines[this.index + 1];
+            if (BAD_BOX.test(next) || LATEX_WARNING.test(next) || TEX_ERROR.test(next)) break;
+            this.index++;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,239 @@
+import { cleanTitle, readGroup, stripComments, getLineStarts, findLine } from './DocumentStructure.js';
+import { maskVerbatim } from './LintRules.js';
+
+/**
+ * 标签索引
+ * 收集项目中所有 .tex 文件的 \label 与 \ref 类引用，供 \ref{} 补全使用，
+ * 并把未定义的引用与重复定义的标签报告到问题面板（同时显示为编辑器标记）
+ */
+
+export const REF_COMMANDS = ['ref', 'eqref', 'autoref', 'cref', 'Cref', 'pageref', 'nameref', 'vref', 'labelcref'];
+
+const TOKEN = new RegExp([
+    '\\\\(begin|end)\\s*\\{([^}]+)\\}',
+    '\\\\label\\s*\\{([^}]*)\\}',
+    '\\\\(part|chapter|section|subsection|subsubsection|paragraph|subparagraph)\\*?\\s*(?:\\[[^\\]]*\\]\\s*)?\\{',
+    '\\\\caption\\s*(?:\\[[^\\]]*\\]\\s*)?\\{',
+    `\\\\(${REF_COMMANDS.join('|')})\\*?\\s*\\{([^}]*)\\}`
+].join('|'), 'g');
+
+const FLOAT_ENVIRONMENTS = { figure: '图', 'figure*': '图', table: '表', 'table*': '表' };
+const MATH_ENVIRONMENTS = /^(equation|align|gather|multline|flalign|alignat|eqnarray|subequations)\*?$/;
+
+/**
+ * 解析单个文件中的标签与引用，verbatim 等环境与 \verb 中的内容不参与解析
+ * @param {string} text - LaTeX 源码
+ * @returns {Object} { labels: [{ name, line, column, endColumn, kind, context }], refs: [{ name, command, line, column, endColumn }] }
+ */
+export function parseLabels(text) {
+    const source = stripComments(maskVerbatim(text));
+    const lineStarts = getLineStarts(source);
+    const labels = [];
+    const refs = [];
+    const environments = [];
+    let section = null;
+
+    const locate = (offset, length) => {
+        const line = findLine(lineStarts, offset);
+        const column = offset - lineStarts[line] + 1;
+        return { line: line + 1, column, endColumn: column + length };
+    };
+
+    for (const match of source.matchAll(TOKEN)) {
+        if (match[1] === 'begin') {
+            environments.push({ name: match[2].trim(), caption: null, labels: [] });
+        } else if (match[1] === 'end') {
+            const name = match[2].trim();
+            const index = environments.map(env => env.name).lastIndexOf(name);
+            if (index !== -1) environments.length = index;
+        } else if (match[3] !== undefined) {
+            const name = match[3].trim();
+            if (!name || name.includes('#')) continue;
+
+            const label = {
+                name,
+                ...locate(match.index + match[0].indexOf('{') + 1, match[3].length),
+                ...describeLabel(environments, section)
+            };
+            labels.push(label);
+
+            const float = findFloat(environments);
+            if (float) float.labels.push(label);
+        } else if (match[4]) {
+            const group = readGroup(source, match.index + match[0].length - 1);
+            if (group) {
+                section = { command: match[4], title: cleanTitle(group.content) };
+            }
+        } else if (match[0].startsWith('\\caption')) {
+            const group = readGroup(source, match.index + match[0].length - 1);
+            const float = findFloat(environments);
+            if (group && float) {
+                float.caption = cleanTitle(group.content);
+                // 标签写在 \caption 之前时补上说明
+                for (const label of float.labels) {
+                    label.context = `${FLOAT_ENVIRONMENTS[float.name]}: ${float.caption}`;
+                }
+            }
+        } else if (match[5]) {
+            // \cref{a,b} 可以同时引用多个标签
+            let offset = match.index + match[0].indexOf('{') + 1;
+            for (const part of match[6].split(',')) {
+                const name = part.trim();
+                if (name && !name.includes('#')) {
+                    refs.push({
+                        name,
+                        command: match[5],
+                        ...locate(offset + part.indexOf(name), name.length)
+                    });
+                }
+                offset += part.length + 1;
+            }
+        }
+    }
+
+    return { labels, refs };
+}
+
+function findFloat(environments) {
+    for (let i = environments.length - 1; i >= 0; i--) {
+        if (FLOAT_ENVIRONMENTS[environments[i].name]) return environments[i];
+    }
+    return null;
+}
+
+// 根据标签所在环境或章节生成说明文字
+function describeLabel(environments, section) {
+    const float = findFloat(environments);
+    if (float) {
+        const kind = float.name.replace('*', '');
+        return { kind, context: float.caption ? `${FLOAT_ENVIRONMENTS[float.name]}: ${float.caption}` : FLOAT_ENVIRONMENTS[float.name] };
+    }
+
+    const environment = environments[environments.length - 1];
+    if (environment && MATH_ENVIRONMENTS.test(environment.name)) {
+        return { kind: 'equation', context: `公式 (${environment.name})` };
+    }
+    if (environment && environment.name !== 'document') {
+        return { kind: environment.name, context: `${environment.name}${section ? ` · ${section.title}` : ''}` };
+    }
+    if (section) {
+        return { kind: section.command, context: `§ ${section.title}` };
+    }
+    return { kind: 'other', context: '' };
+}
+
+export class LabelIndex {
+    constructor(ide) {
+        this.ide = ide;
+        this.files = new Map(); // 文件路径 -> { text, labels, refs }
+        this.problemSource = 'labels';
+    }
+
+    init() {
+        this.ide.projectSnapshot.onChange(snapshot => this.update(snapshot));
+        this.update();
+    }
+
+    /**
+     * 按项目快照索引 .tex 文件并检查引用，没有 .tex 文件变化时直接返回
+     * @param {Object} snapshot - 项目快照，省略时使用最新的快照
+     */
+    async update(snapshot = null) {
+        try {
+            snapshot = snapshot || await this.ide.projectSnapshot.get();
+            if (!snapshot.hasChanges('.tex')) return;
+
+            const files = snapshot.getTexts('.tex');
+            const paths = new Set(files.map(({ file }) => file));
+            for (const filePath of [...this.files.keys()]) {
+                if (!paths.has(filePath)) this.files.delete(filePath);
+            }
+            for (const { file, text } of files) {
+                this.updateFile(file, text);
+            }
+
+            this.validate();
+        } catch (error) {
+            console.error('更新标签索引失败:', error);
+        }
+    }
+
+    /**
+     * 更新单个文件的索引（内容未变化时直接返回）
+     */
+    updateFile(filePath, text) {
+        const cached = this.files.get(filePath);
+        if (cached && cached.text === text) return;
+        this.files.set(filePath, { text, ...parseLabels(text) });
+    }
+
+    /**
+     * 获取所有标签，同名标签只返回第一个定义
+     * @returns {Array} [{ name, file, line, column, kind, context }]
+     */
+    getLabels() {
+        const labels = new Map();
+        for (const [file, entry] of this.files) {
+            for (const label of entry.labels) {
+                if (!labels.has(label.name)) {
+                    labels.set(label.name, { ...label, file });
+                }
+            }
+        }
+        return [...labels.values()];
+    }
+
+    // 获取某个标签的全部定义
+    getDefinitions(name) {
+        const definitions = [];
+        for (const [file, entry] of this.files) {
+            for (const label of entry.labels) {
+                if (label.name === name) definitions.push({ ...label, file });
+            }
+        }
+        return definitions;
+    }
+
+    // 未定义的引用与重复的标签
+    validate() {
+        const definitions = new Map();
+        for (const [file, entry] of this.files) {
+            for (const label of entry.labels) {
+                if (!definitions.has(label.name)) definitions.set(label.name, []);
+                definitions.get(label.name).push({ ...label, file });
+            }
+        }
+
+        const problems = [];
+        for (const [name, labels] of definitions) {
+            if (labels.length < 2) continue;
+            for (const label of labels) {
+                const others = labels.filter(other => other !== label).map(other => `${other.file}:${other.line}`);
+                problems.push({
+                    severity: 'warning',
+                    file: label.file,
+                    line: label.line,
+                    column: label.column,
+                    endColumn: label.endColumn,
+                    message: `标签 "${name}" 重复定义（另见 ${others.join(', ')}）`
+                });
+            }
+        }
+
+        for (const [file, entry] of this.files) {
+            for (const ref of entry.refs) {
+                if (definitions.has(ref.name)) continue;
+                problems.push({
+                    severity: 'warning',
+                    file,
+                    line: ref.line,
+                    column: ref.column,
+                    endColumn: ref.endColumn,
+                    message: `未定义的标签 "${ref.name}"（\\${ref.command}）`
+                });
+            }
+        }
+
+        this.ide.problemsPanel?.setProblems(this.problemSource, problems);
+    }
+}
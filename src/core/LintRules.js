@@ -0,0 +1,387 @@
+import { stripComments, getLineStarts, findLine } from './DocumentStructure.js';
+import { parseLabels } from './LabelIndex.js';
+
+/**
+ * LaTeX 代码检查规则（类似 chktex）
+ * 不依赖 DOM，可以在 Worker 中运行
+ *
+ * 检查结果：{ rule, severity, message, line, column, endLine, endColumn, fixes: [{ title, edits }] }
+ * edits 为 [{ line, column, endLine, endColumn, text }]，行列号从 1 开始
+ *
+ * 在行尾加上 "% lint-disable-line" 可以忽略该行的问题，"% lint-disable-next-line" 忽略下一行；
+ * 后面可以跟逗号分隔的规则名，只忽略这些规则，如 "% lint-disable-line missing-tie, unused-label"
+ */
+
+export const LINT_RULES = {
+    'unbalanced-environment': { severity: 'error', description: '环境没有闭合，或 \\end 没有对应的 \\begin' },
+    'environment-mismatch': { severity: 'error', description: '\\end 的环境名与 \\begin 不一致' },
+    'unbalanced-math': { severity: 'error', description: '$ 或 $$ 没有闭合' },
+    'deprecated-command': { severity: 'warning', description: '过时的命令（\\bf、\\it、$$ 等）' },
+    'missing-tie': { severity: 'info', description: '\\ref、\\cite 前应使用不断行空格 ~' },
+    'abbreviation-spacing': { severity: 'info', description: '缩写（e.g.、i.e.、Fig. 等）后的空格会被当作句末空格' },
+    'unused-label': { severity: 'info', description: '定义后从未被引用的标签' }
+};
+
+export const LINT_SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+// 内容不按 LaTeX 解析的环境
+const VERBATIM_ENVIRONMENTS = /(\\begin\s*\{(verbatim\*?|Verbatim\*?|lstlisting|minted|comment)\}(?:\{[^}]*\})?)([\s\S]*?)(\\end\s*\{\2\})/g;
+const INLINE_VERBATIM = /(\\(?:verb\*?|lstinline)([^a-zA-Z\s{]))(.*?)\2/g;
+
+// 参数中可能包含不成对的 \begin、\end 或 $ 的定义命令
+const DEFINITION = /\\(?:(?:re)?newcommand\*?|providecommand\*?|(?:re)?newenvironment\*?|DeclareMathOperator\*?|[gex]?def|newtheorem\*?)(?![a-zA-Z])/g;
+
+const ENVIRONMENT = /\\(begin|end)\s*\{([^}]*)\}/g;
+
+// 过时的字体命令 -> [带参数的替代命令, 声明形式的替代命令]
+const DEPRECATED_FONTS = {
+    bf: ['textbf', 'bfseries'],
+    it: ['textit', 'itshape'],
+    rm: ['textrm', 'rmfamily'],
+    sf: ['textsf', 'sffamily'],
+    tt: ['texttt', 'ttfamily'],
+    sc: ['textsc', 'scshape'],
+    sl: ['textsl', 'slshape'],
+    cal: ['mathcal', null]
+};
+const DEPRECATED_FONT = new RegExp(`(\\{\\s*)?\\\\(${Object.keys(DEPRECATED_FONTS).join('|')})(?![a-zA-Z])\\s*`, 'g');
+
+const TIE_COMMANDS = /([A-Za-z0-9)\]])([ \t]+)\\(ref|eqref|pageref|vref|cite)(?![a-zA-Z])/g;
+
+// 句中缩写：后面是小写字母或数字时用 "\ "；Fig. 等后面通常紧跟编号，用 ~
+const ABBREVIATIONS = /(^|[^A-Za-z\\])(e\.g\.|i\.e\.|cf\.|vs\.|etc\.|et al\.|Fig\.|Figs\.|Eq\.|Eqs\.|Sec\.|Tab\.|Ref\.|Dr\.|Prof\.|Mr\.|Mrs\.|Ms\.)([ \t]+)(\S)/g;
+const TIE_ABBREVIATIONS = /^(Fig|Figs|Eq|Eqs|Sec|Tab|Ref|Dr|Prof|Mr|Mrs|Ms)\.$/;
+
+const SUPPRESSION = /%\s*lint-disable-(next-line|line)\b([^\n%]*)/g;
+
+/**
+ * 检查 LaTeX 源码
+ * @param {string} text - LaTeX 源码
+ * @param {Object} options - { severities: 规则 -> 严重程度（'off' 关闭）, references: 项目中被引用的标签，省略时只看本文件 }
+ * @returns {Array} 检查结果，按位置排序
+ */
+export function lintLaTeX(text, options = {}) {
+    const severities = { ...getDefaultSeverities(), ...(options.severities || {}) };
+    const lineStarts = getLineStarts(text);
+    const source = maskDefinitions(stripComments(maskVerbatim(text)));
+
+    const diagnostics = [];
+    const position = (offset) => {
+        const line = findLine(lineStarts, offset);
+        return { line: line + 1, column: offset - lineStarts[line] + 1 };
+    };
+    const edit = (start, end, replacement) => {
+        const from = position(start);
+        const to = position(end);
+        return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column, text: replacement };
+    };
+    const report = (rule, start, end, message, fixes = []) => {
+        if (severities[rule] === 'off') return;
+        const from = position(start);
+        const to = position(end);
+        diagnostics.push({
+            rule,
+            severity: severities[rule],
+            message,
+            line: from.line,
+            column: from.column,
+            endLine: to.line,
+            endColumn: to.column,
+            fixes
+        });
+    };
+
+    checkEnvironments(source, text, report, edit);
+    const mathRanges = checkMath(source, report, edit);
+    checkDeprecated(source, report, edit);
+
+    // 以下规则只检查正文（公式中的内容替换为空格）
+    const prose = maskRanges(source, mathRanges);
+    checkTies(prose, report, edit);
+    checkAbbreviations(prose, report, edit);
+    checkUnusedLabels(text, options.references, report, lineStarts);
+
+    return filterSuppressed(diagnostics, text)
+        .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+export function getDefaultSeverities() {
+    const severities = {};
+    for (const [rule, info] of Object.entries(LINT_RULES)) {
+        severities[rule] = info.severity;
+    }
+    return severities;
+}
+
+function checkEnvironments(source, text, report, edit) {
+    const stack = [];
+
+    for (const match of source.matchAll(ENVIRONMENT)) {
+        const name = match[2].trim();
+        const start = match.index;
+        const end = start + match[0].length;
+
+        if (match[1] === 'begin') {
+            stack.push({ name, start, end });
+            continue;
+        }
+
+        const index = stack.map(env => env.name).lastIndexOf(name);
+        if (index === -1) {
+            const top = stack[stack.length - 1];
+            if (top) {
+                // 环境名写错：把 \end{b} 改成 \end{a}
+                const nameStart = start + match[0].indexOf('{') + 1;
+                report('environment-mismatch', start, end,
+                    `\\end{${name}} 与 \\begin{${top.name}} 不匹配`,
+                    [{ title: `改为 \\end{${top.name}}`, edits: [edit(nameStart, nameStart + match[2].length, top.name)] }]);
+                stack.pop();
+            } else {
+                report('unbalanced-environment', start, end,
+                    `多余的 \\end{${name}}（没有对应的 \\begin{${name}}）`,
+                    [{ title: `删除 \\end{${name}}`, edits: [edit(start, end, '')] }]);
+            }
+            continue;
+        }
+
+        // 中间没有闭合的环境：在当前 \end 之前补上
+        const indent = text.slice(text.lastIndexOf('\n', start - 1) + 1, start).match(/^\s*/)[0];
+        for (const env of stack.slice(index + 1).reverse()) {
+            report('unbalanced-environment', env.start, env.end,
+                `环境 ${env.name} 没有闭合（缺少 \\end{${env.name}}）`,
+                [{ title: `插入 \\end{${env.name}}`, edits: [edit(start, start, `\\end{${env.name}}\n${indent}`)] }]);
+        }
+        stack.length = index;
+    }
+
+    for (const env of stack.reverse()) {
+        report('unbalanced-environment', env.start, env.end,
+            `环境 ${env.name} 没有闭合（缺少 \\end{${env.name}}）`,
+            [{ title: `在文件末尾插入 \\end{${env.name}}`, edits: [edit(text.length, text.length, `${text.endsWith('\n') ? '' : '\n'}\\end{${env.name}}\n`)] }]);
+    }
+}
+
+/**
+ * 检查 $ 与 $$ 是否成对；行内公式不能跨越空行
+ * @returns {Array} 公式范围 [{ start, end }]（不含定界符）
+ */
+function checkMath(source, report, edit) {
+    const ranges = [];
+    let open = null; // { start, delimiter }
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === '\\') {
+            i++;
+            continue;
+        }
+
+        if (ch === '\n' && open && /^\n[ \t]*\n/.test(source.slice(i, i + 100))) {
+            reportUnclosedMath(open, source, report, edit);
+            open = null;
+            continue;
+        }
+
+        if (ch !== '$') continue;
+
+        const delimiter = source[i + 1] === '$' ? '$$' : '$';
+        if (!open) {
+            open = { start: i, delimiter };
+        } else if (open.delimiter === delimiter) {
+            ranges.push({ start: open.start + delimiter.length, end: i });
+            if (delimiter === '$$') {
+                report('deprecated-command', open.start, i + 2,
+                    '$$...$$ 已过时，请使用 \\[...\\]',
+                    [{ title: '改为 \\[...\\]', edits: [edit(open.start, open.start + 2, '\\['), edit(i, i + 2, '\\]')] }]);
+            }
+            open = null;
+        } else if (delimiter === '$$') {
+            // $x$$y$：前一个 $ 闭合行内公式，后一个 $ 开始新的公式
+            ranges.push({ start: open.start + 1, end: i });
+            open = { start: i + 1, delimiter: '$' };
+        } else {
+            // $$ 中出现单个 $
+            reportUnclosedMath(open, source, report, edit);
+            open = null;
+        }
+        i += delimiter.length - 1;
+    }
+
+    if (open) reportUnclosedMath(open, source, report, edit);
+    return ranges;
+}
+
+function reportUnclosedMath(open, source, report, edit) {
+    const lineEnd = source.indexOf('\n', open.start);
+    const end = lineEnd === -1 ? source.length : lineEnd;
+    const insertAt = source.slice(0, end).trimEnd().length;
+    report('unbalanced-math', open.start, open.start + open.delimiter.length,
+        open.delimiter === '$$' ? '$$ 没有闭合' : '行内公式的 $ 没有闭合',
+        [{ title: `在行尾补上 ${open.delimiter}`, edits: [edit(insertAt, insertAt, open.delimiter)] }]);
+}
+
+function checkDeprecated(source, report, edit) {
+    for (const match of source.matchAll(DEPRECATED_FONT)) {
+        const [groupCommand, declaration] = DEPRECATED_FONTS[match[2]];
+        const commandStart = match.index + (match[1] || '').length;
+        const commandEnd = commandStart + match[2].length + 1;
+        const fixes = [];
+
+        if (match[1]) {
+            // {\bf text} -> \textbf{text}
+            fixes.push({ title: `改为 \\${groupCommand}{...}`, edits: [edit(match.index, match.index + match[0].length, `\\${groupCommand}{`)] });
+        }
+        if (declaration) {
+            fixes.push({ title: `改为 \\${declaration}`, edits: [edit(commandStart, commandEnd, `\\${declaration}`)] });
+        }
+        if (fixes.length === 0) continue;
+
+        report('deprecated-command', commandStart, commandEnd,
+            `\\${match[2]} 已过时，请使用 \\${groupCommand}{...}${declaration ? ` 或 \\${declaration}` : ''}`,
+            fixes);
+    }
+
+    for (const match of source.matchAll(/\\begin\s*\{eqnarray(\*?)\}/g)) {
+        report('deprecated-command', match.index, match.index + match[0].length,
+            `eqnarray${match[1]} 环境已过时，请使用 amsmath 的 align${match[1]}`);
+    }
+}
+
+function checkTies(prose, report, edit) {
+    for (const match of prose.matchAll(TIE_COMMANDS)) {
+        const spaceStart = match.index + match[1].length;
+        const spaceEnd = spaceStart + match[2].length;
+        report('missing-tie', spaceStart, spaceEnd + match[3].length + 1,
+            `\\${match[3]} 前应使用不断行空格 ~，避免编号与前面的词分在两行`,
+            [{ title: '改为 ~', edits: [edit(spaceStart, spaceEnd, '~')] }]);
+    }
+}
+
+function checkAbbreviations(prose, report, edit) {
+    for (const match of prose.matchAll(ABBREVIATIONS)) {
+        const abbreviation = match[2];
+        const next = match[4];
+        const tie = TIE_ABBREVIATIONS.test(abbreviation);
+        // 其他缩写后面是大写字母时多半是句子结尾
+        if (!tie && !/[a-z0-9\\]/.test(next)) continue;
+
+        const spaceStart = match.index + match[1].length + abbreviation.length;
+        const spaceEnd = spaceStart + match[3].length;
+        const replacement = tie ? '~' : '\\ ';
+        report('abbreviation-spacing', spaceStart - abbreviation.length, spaceStart,
+            `"${abbreviation}" 后的空格会被当作句末空格，应使用 "${replacement}"`,
+            [{ title: `改为 "${replacement}"`, edits: [edit(spaceStart, spaceEnd, replacement)] }]);
+    }
+}
+
+function checkUnusedLabels(text, references, report, lineStarts) {
+    const { labels, refs } = parseLabels(text);
+    const used = references ? new Set(references) : new Set(refs.map(ref => ref.name));
+
+    for (const label of labels) {
+        if (used.has(label.name)) continue;
+        const start = lineStarts[label.line - 1] + label.column - 1;
+        report('unused-label', start, start + label.name.length, `标签 "${label.name}" 没有被引用`);
+    }
+}
+
+// 带 lint-disable 注释的行
+function filterSuppressed(diagnostics, text) {
+    const suppressed = new Map(); // 行号 -> null（全部规则）或规则集合
+    const lines = text.split('\n');
+
+    lines.forEach((line, index) => {
+        for (const match of line.matchAll(SUPPRESSION)) {
+            if (match.index > 0 && line[match.index - 1] === '\\') continue;
+            const target = match[1] === 'line' ? index + 1 : index + 2;
+            const rules = match[2].split(',').map(rule => rule.trim()).filter(Boolean);
+            const existing = suppressed.get(target);
+            if (rules.length === 0 || existing === null) {
+                suppressed.set(target, null);
+            } else {
+                suppressed.set(target, new Set([...(existing || []), ...rules]));
+            }
+        }
+    });
+
+    return diagnostics.filter(diagnostic => {
+        if (!suppressed.has(diagnostic.line)) return true;
+        const rules = suppressed.get(diagnostic.line);
+        return rules !== null && !rules.has(diagnostic.rule);
+    });
+}
+
+// 把逐字环境与 \verb 的内容替换为空格（保留换行与位置），其中的 % 也不是注释
+export function maskVerbatim(text) {
+    return text
+        .replace(VERBATIM_ENVIRONMENTS, (match, begin, name, content, end) => begin + blank(content) + end)
+        .replace(INLINE_VERBATIM, (match, command, delimiter, content) => command + blank(content) + delimiter);
+}
+
+// 把宏与环境定义整体替换为空格，定义中的 \begin、\end 与 $ 不参与检查
+export function maskDefinitions(source) {
+    let result = '';
+    let last = 0;
+
+    for (const match of source.matchAll(DEFINITION)) {
+        if (match.index < last) continue;
+
+        let i = match.index + match[0].length;
+        // 宏名：\name 或 {\name}；\def 的参数 #1#2
+        i = skipSpaces(source, i);
+        const name = source.slice(i).match(/^\\([a-zA-Z@]+|.)/);
+        if (name) i += name[0].length;
+        const params = source.slice(i, i + 40).match(/^(#\d)*/)[0];
+        i += params.length;
+
+        // 之后连续的 [...] 与 {...} 参数
+        for (;;) {
+            const next = skipSpaces(source, i);
+            const close = source[next] === '{' ? '}' : source[next] === '[' ? ']' : null;
+            if (!close) break;
+            const end = findClosing(source, next, source[next], close);
+            if (end === -1) break;
+            i = end + 1;
+        }
+
+        result += source.slice(last, match.index) + blank(source.slice(match.index, i));
+        last = i;
+    }
+
+    return result + source.slice(last);
+}
+
+function maskRanges(source, ranges) {
+    let result = '';
+    let last = 0;
+    for (const { start, end } of ranges) {
+        result += source.slice(last, start) + blank(source.slice(start, end));
+        last = end;
+    }
+    return result + source.slice(last);
+}
+
+function findClosing(text, start, open, close) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === open) {
+            depth++;
+        } else if (ch === close) {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+function skipSpaces(text, i) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    return i;
+}
+
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
@@ -0,0 +1,242 @@
+import * as monaco from 'monaco-editor';
+import { lintLaTeX, getDefaultSeverities } from './LintRules.js';
+import { parseLabels } from './LabelIndex.js';
+
+/**
+ * LaTeX 代码检查
+ * 在 Worker 中对项目的 .tex 文件运行 LintRules，结果显示在问题面板与编辑器标记中；
+ * 项目变化后只重新检查内容变化的文件，以及被引用情况变化的标签所在的文件
+ * 规则的严重程度可在设置中调整，快速修复通过灯泡菜单或 Ctrl+. 执行
+ */
+export class Linter {
+    constructor(ide) {
+        this.ide = ide;
+        this.worker = null;
+        this.workerFailed = false; // Worker 不可用时改为在主线程检查
+        this.pendingJobs = new Map(); // 任务 ID -> { resolve, reject }
+        this.nextJobId = 1;
+        this.updateTimer = null;
+        this.updateDelay = 500;
+        this.updateVersion = 0; // 丢弃过期的检查结果
+        this.problemSource = 'lint';
+        this.fileResults = new Map(); // 文件路径 -> { text, labels, refs, problems }
+        this.references = new Set(); // 检查 fileResults 时项目中被引用的标签
+        this.severitiesKey = ''; // 规则设置变化时全部重新检查
+    }
+
+    init() {
+        this.ide.projectSnapshot.onChange(snapshot => this.update(snapshot));
+        this.ide.settingsManager.on('settingsChanged', () => this.scheduleUpdate(0));
+        this.update();
+    }
+
+    scheduleUpdate(delay = this.updateDelay) {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.update(), delay);
+    }
+
+    isEnabled() {
+        return this.ide.settingsManager.get('lint', 'enabled') !== false;
+    }
+
+    // 默认严重程度与用户设置合并后的结果
+    getSeverities() {
+        return { ...getDefaultSeverities(), ...(this.ide.settingsManager.get('lint', 'rules') || {}) };
+    }
+
+    // 获取（必要时创建）检查 Worker
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/lint.worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('代码检查 Worker 出错:', event);
+                this.rejectAllJobs(new Error(event.message || '代码检查 Worker 异常退出'));
+                this.worker.terminate();
+                this.worker = null;
+                this.workerFailed = true;
+            };
+        }
+        return this.worker;
+    }
+
+    handleWorkerMessage(message) {
+        const job = this.pendingJobs.get(message.id);
+        if (!job) return;
+
+        this.pendingJobs.delete(message.id);
+        if (message.type === 'result') {
+            job.resolve(message.payload);
+        } else {
+            job.reject(new Error(message.error));
+        }
+    }
+
+    rejectAllJobs(error) {
+        for (const job of this.pendingJobs.values()) {
+            job.reject(error);
+        }
+        this.pendingJobs.clear();
+    }
+
+    runInWorker(type, payload) {
+        const worker = this.getWorker();
+        const id = this.nextJobId++;
+
+        return new Promise((resolve, reject) => {
+            this.pendingJobs.set(id, { resolve, reject });
+            worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * 检查一组文件
+     * @param {Array} files - [{ file, text }]
+     * @param {Array} references - 项目中被引用的标签，省略时按这组文件中的引用判断
+     * @returns {Promise<Array>} [{ file, diagnostics }]
+     */
+    async lintFiles(files, references = null) {
+        const severities = this.getSeverities();
+        if (!this.workerFailed && typeof Worker !== 'undefined') {
+            try {
+                const { results } = await this.runInWorker('lint', { files, severities, references });
+                return results;
+            } catch (error) {
+                console.warn('代码检查 Worker 不可用，改为在主线程检查:', error);
+            }
+        }
+        return files.map(({ file, text }) => ({ file, diagnostics: lintLaTeX(text, { severities, references }) }));
+    }
+
+    /**
+     * 检查一段文本（供 AI 助手等调用），只按本段文本判断标签是否被引用
+     * @returns {Promise<Array>} 检查结果，格式见 LintRules.js
+     */
+    async lintText(text) {
+        const [result] = await this.lintFiles([{ file: null, text }]);
+        return result.diagnostics;
+    }
+
+    /**
+     * 检查项目中的 .tex 文件
+     * 未变化的文件沿用上次的结果；标签是否被引用取决于所有文件，
+     * 因此引用变化时还要重新检查定义了这些标签的文件
+     * @param {Object} snapshot - 项目快照，省略时使用最新的快照
+     */
+    async update(snapshot = null) {
+        const version = ++this.updateVersion;
+        const problemsPanel = this.ide.problemsPanel;
+
+        if (!this.isEnabled()) {
+            this.fileResults.clear();
+            problemsPanel?.setProblems(this.problemSource, []);
+            return;
+        }
+
+        try {
+            snapshot = snapshot || await this.ide.projectSnapshot.get();
+            const files = snapshot.getTexts('.tex');
+
+            const severitiesKey = JSON.stringify(this.getSeverities());
+            if (severitiesKey !== this.severitiesKey) {
+                this.fileResults.clear();
+            }
+
+            // 变化的文件重新解析标签与引用，其余文件使用缓存
+            const parsed = new Map();
+            const references = new Set();
+            for (const { file, text } of files) {
+                const cached = this.fileResults.get(file);
+                const labels = cached?.text === text ? { labels: cached.labels, refs: cached.refs } : this.parseLabelNames(text);
+                parsed.set(file, labels);
+                labels.refs.forEach(name => references.add(name));
+            }
+
+            const changedReferences = new Set();
+            for (const name of references) if (!this.references.has(name)) changedReferences.add(name);
+            for (const name of this.references) if (!references.has(name)) changedReferences.add(name);
+
+            const stale = files.filter(({ file, text }) => {
+                const cached = this.fileResults.get(file);
+                return cached?.text !== text || cached.labels.some(name => changedReferences.has(name));
+            });
+            const results = stale.length > 0 ? await this.lintFiles(stale, [...references]) : [];
+            if (version !== this.updateVersion) return;
+
+            const texts = new Map(files.map(({ file, text }) => [file, text]));
+            for (const file of this.fileResults.keys()) {
+                if (!texts.has(file)) this.fileResults.delete(file);
+            }
+            for (const { file, diagnostics } of results) {
+                this.fileResults.set(file, {
+                    text: texts.get(file),
+                    ...parsed.get(file),
+                    problems: diagnostics.map(diagnostic => this.toProblem(file, diagnostic))
+                });
+            }
+            this.references = references;
+            this.severitiesKey = severitiesKey;
+
+            problemsPanel?.setProblems(this.problemSource, files.flatMap(({ file }) => this.fileResults.get(file).problems));
+        } catch (error) {
+            console.error('代码检查失败:', error);
+        }
+    }
+
+    parseLabelNames(text) {
+        const { labels, refs } = parseLabels(text);
+        return { labels: labels.map(label => label.name), refs: refs.map(ref => ref.name) };
+    }
+
+    toProblem(file, diagnostic) {
+        const fixes = diagnostic.fixes.map(fix => ({
+            title: fix.title,
+            run: () => this.applyFix(file, fix.edits)
+        }));
+
+        // 在行尾加上忽略注释
+        const suppress = { line: diagnostic.line, column: Number.MAX_SAFE_INTEGER, endLine: diagnostic.line, endColumn: Number.MAX_SAFE_INTEGER, text: ` % lint-disable-line ${diagnostic.rule}` };
+        fixes.push({
+            title: `在此行忽略 ${diagnostic.rule}`,
+            run: () => this.applyFix(file, [suppress])
+        });
+
+        return {
+            severity: diagnostic.severity,
+            file,
+            line: diagnostic.line,
+            column: diagnostic.column,
+            endLine: diagnostic.endLine,
+            endColumn: diagnostic.endColumn,
+            message: `${diagnostic.message} [${diagnostic.rule}]`,
+            fixes
+        };
+    }
+
+    // 在编辑器中应用快速修复，可以用 Ctrl+Z 撤销
+    async applyFix(file, edits) {
+        if (this.ide.currentFile !== file) {
+            await this.ide.openFile(file);
+        }
+
+        const editor = this.ide.editor;
+        const model = editor?.getModel();
+        if (!model) return;
+
+        editor.pushUndoStop();
+        editor.executeEdits(this.problemSource, edits.map(edit => ({
+            range: model.validateRange(new monaco.Range(edit.line, edit.column, edit.endLine, edit.endColumn)),
+            text: edit.text
+        })));
+        editor.pushUndoStop();
+    }
+
+    destroy() {
+        clearTimeout(this.updateTimer);
+        this.rejectAllJobs(new Error('代码检查已停止'));
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
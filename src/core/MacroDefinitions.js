@@ -0,0 +1,183 @@
+/**
+ * 用户宏定义解析
+ * 识别 \newcommand、\renewcommand、\providecommand、\DeclareMathOperator 与 \def 定义的宏，
+ * 以及 \newenvironment、\renewenvironment 与 \newtheorem 定义的环境
+ */
+
+const DEFINITION_START = /\\(newcommand|renewcommand|providecommand|DeclareMathOperator|def)(\*?)/g;
+const ENVIRONMENT_START = /\\(newenvironment|renewenvironment|newtheorem)(\*?)/g;
+
+/**
+ * 解析文本中的宏定义
+ * @param {string} text - LaTeX 源码
+ * @returns {Array} [{ name, command, args, defaultArg, body, source, line }]
+ */
+export function parseMacroDefinitions(text) {
+    const definitions = [];
+    const source = stripComments(text);
+
+    let line = 1;
+    let lastIndex = 0;
+    for (const match of source.matchAll(DEFINITION_START)) {
+        const definition = parseDefinition(source, match);
+        if (definition) {
+            for (let i = lastIndex; i < match.index; i++) {
+                if (source[i] === '\n') line++;
+            }
+            lastIndex = match.index;
+            definition.line = line;
+            definitions.push(definition);
+        }
+    }
+
+    return definitions;
+}
+
+function parseDefinition(text, match) {
+    const command = match[1];
+    let i = match.index + match[0].length;
+
+    // 宏名：{\name} 或 \name
+    i = skipSpaces(text, i);
+    let name;
+    if (text[i] === '{') {
+        const group = readGroup(text, i);
+        if (!group) return null;
+        name = group.content.trim();
+        i = group.end;
+    } else {
+        const nameMatch = text.slice(i, i + 100).match(/^\\([a-zA-Z@]+|.)/);
+        if (!nameMatch) return null;
+        name = nameMatch[0];
+        i += nameMatch[0].length;
+    }
+    if (!/^\\([a-zA-Z@]+|.)$/.test(name)) return null;
+
+    let args = 0;
+    let defaultArg = null;
+
+    if (command === 'def') {
+        // \def\name#1#2{...}
+        const params = text.slice(i, i + 40).match(/^(#\d)*/)[0];
+        args = params.length / 2;
+        i += params.length;
+    } else if (command !== 'DeclareMathOperator') {
+        i = skipSpaces(text, i);
+        if (text[i] === '[') {
+            const close = text.indexOf(']', i);
+            if (close === -1) return null;
+            args = parseInt(text.slice(i + 1, close), 10) || 0;
+            i = skipSpaces(text, close + 1);
+            if (text[i] === '[') {
+                const group = readGroup(text, i, '[', ']');
+                if (!group) return null;
+                defaultArg = group.content;
+                i = group.end;
+            }
+        }
+    }
+
+    i = skipSpaces(text, i);
+    if (text[i] !== '{') return null;
+    const body = readGroup(text, i);
+    if (!body) return null;
+
+    return {
+        name,
+        command,
+        starred: match[2] === '*',
+        args,
+        defaultArg,
+        body: body.content,
+        source: text.slice(match.index, body.end)
+    };
+}
+
+/**
+ * 解析文本中的环境定义
+ * @param {string} text - LaTeX 源码
+ * @returns {Array} [{ name, command, args, defaultArg, title, line }]
+ */
+export function parseEnvironmentDefinitions(text) {
+    const definitions = [];
+    const source = stripComments(text);
+
+    for (const match of source.matchAll(ENVIRONMENT_START)) {
+        const definition = parseEnvironment(source, match);
+        if (definition) {
+            definition.line = source.slice(0, match.index).split('\n').length;
+            definitions.push(definition);
+        }
+    }
+
+    return definitions;
+}
+
+function parseEnvironment(text, match) {
+    const command = match[1];
+    let i = skipSpaces(text, match.index + match[0].length);
+    if (text[i] !== '{') return null;
+    const nameGroup = readGroup(text, i);
+    if (!nameGroup) return null;
+    const name = nameGroup.content.trim();
+    if (!/^[a-zA-Z@*]+$/.test(name)) return null;
+    i = skipSpaces(text, nameGroup.end);
+
+    if (command === 'newtheorem') {
+        // \newtheorem{name}[counter]{Title}[within]，定理环境只有一个可选参数（标题）
+        if (text[i] === '[') {
+            const counter = readGroup(text, i, '[', ']');
+            if (!counter) return null;
+            i = skipSpaces(text, counter.end);
+        }
+        if (text[i] !== '{') return null;
+        const title = readGroup(text, i);
+        if (!title) return null;
+        return { name, command, args: 1, defaultArg: '', title: title.content.trim() };
+    }
+
+    let args = 0;
+    let defaultArg = null;
+    if (text[i] === '[') {
+        const close = text.indexOf(']', i);
+        if (close === -1) return null;
+        args = parseInt(text.slice(i + 1, close), 10) || 0;
+        i = skipSpaces(text, close + 1);
+        if (text[i] === '[') {
+            const group = readGroup(text, i, '[', ']');
+            if (!group) return null;
+            defaultArg = group.content;
+        }
+    }
+
+    return { name, command, args, defaultArg, title: null };
+}
+
+// 读取从 start 开始的平衡括号组
+function readGroup(text, start, open = '{', close = '}') {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === open) {
+            depth++;
+        } else if (ch === close) {
+            depth--;
+            if (depth === 0) {
+                return { content: text.slice(start + 1, i), end: i + 1 };
+            }
+        }
+    }
+    return null;
+}
+
+function skipSpaces(text, i) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    return i;
+}
+
+// 去掉注释但保留换行，使行号不变
+function stripComments(text) {
+    return text.split('\n').map(line => line.replace(/(^|[^\\])%.*$/, '$1')).join('\n');
+}
@@ -0,0 +1,169 @@
+/**
+ * 数学公式区域识别
+ * 找出文档中的 $...$、$$...$$、\(...\)、\[...\] 以及 equation、align 等数学环境，
+ * 供自动补全判断数学模式、公式预览确定要渲染的内容
+ */
+
+export const MATH_ENVIRONMENTS = [
+    'equation', 'equation*', 'align', 'align*', 'gather', 'gather*',
+    'multline', 'multline*', 'flalign', 'flalign*', 'alignat', 'alignat*',
+    'eqnarray', 'eqnarray*', 'displaymath', 'math'
+];
+
+const BEGIN_ENVIRONMENT = /\\begin\s*\{([^}]+)\}/y;
+
+// 按模型版本缓存扫描结果，补全与悬停在每次按键时都会查询
+const cache = new WeakMap();
+
+/**
+ * 扫描文本中的所有数学区域
+ * 未闭合的 $ 或 \( 在空行（段落结束）处截止，便于输入过程中识别
+ * @param {string} text - 文档内容
+ * @returns {Array} [{ start, end, contentStart, contentEnd, display, environment, closed }]，偏移量从 0 开始，end 不含
+ */
+export function scanMathRegions(text) {
+    const regions = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (ch === '%') {
+            i = skipComment(text, i);
+            continue;
+        }
+
+        if (ch === '$') {
+            const display = text[i + 1] === '$';
+            const open = display ? 2 : 1;
+            regions.push(readUntil(text, i, open, display ? '$$' : '$', display, null));
+            i = regions[regions.length - 1].end;
+            continue;
+        }
+
+        if (ch === '\\') {
+            const next = text[i + 1];
+            if (next === '(' || next === '[') {
+                regions.push(readUntil(text, i, 2, next === '(' ? '\\)' : '\\]', next === '[', null));
+                i = regions[regions.length - 1].end;
+                continue;
+            }
+
+            BEGIN_ENVIRONMENT.lastIndex = i;
+            const begin = BEGIN_ENVIRONMENT.exec(text);
+            if (begin && MATH_ENVIRONMENTS.includes(begin[1])) {
+                const environment = begin[1];
+                regions.push(readUntil(text, i, begin[0].length, `\\end{${environment}}`, environment !== 'math', environment));
+                i = regions[regions.length - 1].end;
+                continue;
+            }
+
+            // 跳过转义字符（如 \$、\%）
+            i += 2;
+            continue;
+        }
+
+        i++;
+    }
+
+    return regions;
+}
+
+// 从 start 开始读取到结束标记，open 为开始标记的长度
+function readUntil(text, start, open, closer, display, environment) {
+    const contentStart = start + open;
+    const stopAtParagraph = !environment && !display;
+    let i = contentStart;
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '%') {
+            i = skipComment(text, i);
+            continue;
+        }
+        if (text.startsWith(closer, i)) {
+            return { start, end: i + closer.length, contentStart, contentEnd: i, display, environment, closed: true };
+        }
+        if (ch === '\\') {
+            i += 2;
+            continue;
+        }
+        if (stopAtParagraph && ch === '\n' && /^\n[ \t]*\n/.test(text.slice(i, i + 64))) {
+            break;
+        }
+        i++;
+    }
+
+    return { start, end: i, contentStart, contentEnd: i, display, environment, closed: false };
+}
+
+function skipComment(text, i) {
+    const newline = text.indexOf('\n', i);
+    return newline === -1 ? text.length : newline;
+}
+
+/**
+ * 获取 Monaco 模型中的数学区域（带缓存）
+ */
+export function getMathRegions(model) {
+    const versionId = model.getVersionId();
+    const cached = cache.get(model);
+    if (cached && cached.versionId === versionId) {
+        return cached.regions;
+    }
+
+    const regions = scanMathRegions(model.getValue());
+    cache.set(model, { versionId, regions });
+    return regions;
+}
+
+/**
+ * 查找光标所在的数学区域
+ * 光标位于开始标记之后、结束标记之前（含紧贴结束标记的位置）时视为在数学模式中
+ * @param {Object} model - Monaco 文本模型
+ * @param {Object} position - { lineNumber, column }
+ * @param {boolean} includeDelimiters - 为 true 时光标在定界符上也算（用于悬停）
+ * @returns {Object|null} 数学区域，附带 text（完整公式源码）与 content（公式内容）
+ */
+export function findMathRegionAt(model, position, includeDelimiters = false) {
+    const offset = model.getOffsetAt(position);
+    const regions = getMathRegions(model);
+
+    // 二分查找最后一个 start <= offset 的区域
+    let low = 0;
+    let high = regions.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (regions[mid].start <= offset) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    if (found < 0) return null;
+
+    const region = regions[found];
+    const inside = includeDelimiters
+        ? offset >= region.start && offset <= region.end
+        : offset >= region.contentStart && offset <= region.contentEnd;
+    if (!inside) return null;
+
+    const slice = (from, to) => {
+        const start = model.getPositionAt(from);
+        const end = model.getPositionAt(to);
+        return model.getValueInRange({
+            startLineNumber: start.lineNumber,
+            startColumn: start.column,
+            endLineNumber: end.lineNumber,
+            endColumn: end.column
+        });
+    };
+
+    return {
+        ...region,
+        text: slice(region.start, region.end),
+        content: slice(region.contentStart, region.contentEnd)
+    };
+}
@@ -0,0 +1,255 @@
+import { parseDocumentStructure } from './DocumentStructure.js';
+
+/**
+ * 大纲面板
+ * 显示根文档及其 \input / \include 引用的所有文件中的章节与带标签的图表，
+ * 点击条目跳转到对应位置，项目内容变化时自动更新
+ */
+
+const COLLAPSED_KEY = 'latex-ide-outline-collapsed';
+const ICONS = {
+    part: '📚',
+    chapter: '📖',
+    figure: '🖼️',
+    table: '📊'
+};
+
+export class OutlinePanel {
+    constructor(ide) {
+        this.ide = ide;
+        this.rootFile = null;
+        this.outline = [];          // 大纲树
+        this.nodes = [];            // 按文档顺序排列的所有条目
+        this.collapsedNodes = new Set();
+        this.structureCache = new Map(); // 文件路径 -> { text, items }
+        this.updateTimer = null;
+        this.updateDelay = 500;
+
+        this.panel = document.getElementById('outlinePanel');
+        this.tree = document.getElementById('outlineTree');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (localStorage.getItem(COLLAPSED_KEY) === 'true') {
+            this.panel?.classList.add('collapsed');
+        }
+
+        document.getElementById('outlineHeader')?.addEventListener('click', (e) => {
+            if (e.target.closest('button')) return;
+            const collapsed = this.panel.classList.toggle('collapsed');
+            localStorage.setItem(COLLAPSED_KEY, collapsed);
+        });
+
+        document.getElementById('outlineCollapseAll')?.addEventListener('click', () => this.collapseAll());
+
+        this.tree?.addEventListener('click', (e) => {
+            const item = e.target.closest('.outline-item');
+            if (!item) return;
+
+            const node = this.nodes[parseInt(item.dataset.index, 10)];
+            if (e.target.closest('.outline-twisty')) {
+                this.toggleNode(node);
+            } else {
+                this.reveal(node);
+            }
+        });
+    }
+
+    init() {
+        // 输入时 Yjs 文本持续变化，项目快照在停止输入后才通知
+        this.ide.projectSnapshot.onChange((snapshot) => {
+            if (snapshot.hasChanges('.tex')) this.update(snapshot);
+        });
+        // 切换文件后根文档可能不同
+        this.ide.pluginManager.addHook('file.open', () => this.scheduleUpdate(0));
+
+        this.ide.editor?.onDidChangeCursorPosition(() => this.highlightActive());
+
+        this.update();
+    }
+
+    scheduleUpdate(delay = this.updateDelay) {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.update(), delay);
+    }
+
+    /**
+     * 重新生成当前文件所属根文档的大纲
+     * @param {Object} snapshot - 项目快照，省略时使用最新的快照
+     */
+    async update(snapshot = null) {
+        try {
+            snapshot = snapshot || await this.ide.projectSnapshot.get();
+            this.rootFile = await this.ide.rootDocumentResolver.resolve(this.ide.currentFile, snapshot);
+            this.outline = this.rootFile ? this.buildTree(await this.collectEntries(this.rootFile, snapshot)) : [];
+            this.render();
+        } catch (error) {
+            console.error('更新大纲失败:', error);
+        }
+    }
+
+    /**
+     * 从根文档开始按引用顺序收集所有文件中的条目
+     * 引用路径相对于根文档所在目录（与 TeX 的解析方式一致）
+     */
+    async collectEntries(rootFile, snapshot) {
+        const resolver = this.ide.rootDocumentResolver;
+        const baseDir = resolver.dirname(rootFile);
+        const entries = [];
+        const visited = new Set();
+
+        const visit = async (filePath) => {
+            if (visited.has(filePath)) return;
+            visited.add(filePath);
+
+            const text = await resolver.readText(filePath, snapshot);
+            if (text === null) return;
+
+            for (const item of this.getStructure(filePath, text)) {
+                if (item.type === 'include') {
+                    const target = item.target.endsWith('.tex') ? item.target : `${item.target}.tex`;
+                    await visit(resolver.resolveRelative(baseDir, target));
+                } else {
+                    entries.push({ ...item, file: filePath });
+                }
+            }
+        };
+
+        await visit(rootFile);
+        return entries;
+    }
+
+    // 文件内容未变化时复用上次的解析结果
+    getStructure(filePath, text) {
+        const cached = this.structureCache.get(filePath);
+        if (cached && cached.text === text) {
+            return cached.items;
+        }
+
+        const items = parseDocumentStructure(text);
+        this.structureCache.set(filePath, { text, items });
+        return items;
+    }
+
+    // 按章节层级组织为树，图表挂在所在章节下
+    buildTree(entries) {
+        const root = { level: -1, children: [] };
+        const stack = [root];
+
+        for (const entry of entries) {
+            const level = entry.type === 'section' ? entry.level : Infinity;
+            while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+
+            const node = { ...entry, level, children: [] };
+            stack[stack.length - 1].children.push(node);
+            if (entry.type === 'section') {
+                stack.push(node);
+            }
+        }
+
+        return root.children;
+    }
+
+    render() {
+        this.nodes = [];
+        if (!this.tree) return;
+
+        if (this.outline.length === 0) {
+            this.tree.innerHTML = `<div class="outline-empty">${this.rootFile ? '没有找到章节或带标签的图表' : '打开 .tex 文件后显示大纲'}</div>`;
+            return;
+        }
+
+        this.tree.innerHTML = this.renderNodes(this.outline, 0);
+        this.highlightActive();
+    }
+
+    renderNodes(nodes, depth) {
+        return nodes.map(node => {
+            const index = this.nodes.push(node) - 1;
+            const key = this.getNodeKey(node);
+            const hasChildren = node.children.length > 0;
+            const collapsed = this.collapsedNodes.has(key);
+            const isFloat = node.type !== 'section';
+            const text = isFloat ? (node.caption || node.label) : (node.title || `(${node.command})`);
+            const icon = ICONS[node.type === 'section' ? node.command : node.type] || '§';
+            const title = isFloat
+                ? `${node.label} — ${node.file}:${node.line}`
+                : `\\${node.command}${node.starred ? '*' : ''} — ${node.file}:${node.line}`;
+
+            return `
+                <div class="outline-item ${node.type}" data-index="${index}" style="padding-left: ${8 + depth * 14}px" title="${this.escapeHtml(title)}">
+                    <span class="outline-twisty">${hasChildren ? (collapsed ? '▸' : '▾') : ''}</span>
+                    <span class="outline-icon">${icon}</span>
+                    <span class="outline-text">${this.escapeHtml(text)}</span>
+                </div>
+                ${hasChildren && !collapsed ? this.renderNodes(node.children, depth + 1) : ''}
+            `;
+        }).join('');
+    }
+
+    getNodeKey(node) {
+        return `${node.file}:${node.type}:${node.command || ''}:${node.title || node.label}`;
+    }
+
+    toggleNode(node) {
+        if (!node || node.children.length === 0) return;
+
+        const key = this.getNodeKey(node);
+        if (this.collapsedNodes.has(key)) {
+            this.collapsedNodes.delete(key);
+        } else {
+            this.collapsedNodes.add(key);
+        }
+        this.render();
+    }
+
+    collapseAll() {
+        for (const node of this.nodes) {
+            if (node.children.length > 0) {
+                this.collapsedNodes.add(this.getNodeKey(node));
+            }
+        }
+        this.render();
+    }
+
+    // 打开条目所在文件并定位
+    async reveal(node) {
+        if (!node) return;
+
+        await this.ide.openFile(node.file);
+        const editor = this.ide.editor;
+        if (editor && this.ide.currentFile === node.file) {
+            editor.revealLineInCenter(node.line);
+            editor.setPosition({ lineNumber: node.line, column: node.column || 1 });
+            editor.focus();
+        }
+    }
+
+    // 高亮光标所在的章节
+    highlightActive() {
+        if (!this.tree) return;
+
+        const position = this.ide.editor?.getPosition();
+        let activeIndex = -1;
+        if (position) {
+            this.nodes.forEach((node, index) => {
+                if (node.file === this.ide.currentFile && node.line <= position.lineNumber) {
+                    activeIndex = index;
+                }
+            });
+        }
+
+        this.tree.querySelectorAll('.outline-item.active').forEach(item => item.classList.remove('active'));
+        this.tree.querySelector(`.outline-item[data-index="${activeIndex}"]`)?.classList.add('active');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
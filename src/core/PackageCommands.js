@@ -0,0 +1,262 @@
+import { stripComments } from './DocumentStructure.js';
+
+/**
+ * 常用宏包提供的命令与环境
+ * 用于自动补全：文档已加载的宏包直接补全，未加载的宏包在补全时同时插入 \usepackage
+ *
+ * 命令格式：{ name, insert?, doc }，insert 为不含反斜杠的 snippet，省略时只插入命令名
+ * 环境格式：{ name, args?, doc }，args 为 \begin{name} 之后的参数 snippet
+ */
+
+export const PACKAGE_COMMANDS = {
+    amsmath: {
+        description: 'AMS 数学公式',
+        commands: [
+            { name: 'text', insert: 'text{${1:文本}}', doc: '公式中的普通文本' },
+            { name: 'dfrac', insert: 'dfrac{${1:分子}}{${2:分母}}', doc: '行间样式的分数' },
+            { name: 'tfrac', insert: 'tfrac{${1:分子}}{${2:分母}}', doc: '行内样式的分数' },
+            { name: 'binom', insert: 'binom{${1:n}}{${2:k}}', doc: '二项式系数' },
+            { name: 'operatorname', insert: 'operatorname{${1:名称}}', doc: '自定义运算符' },
+            { name: 'eqref', insert: 'eqref{${1:标签}}', doc: '带括号的公式引用' },
+            { name: 'tag', insert: 'tag{${1:编号}}', doc: '自定义公式编号' },
+            { name: 'intertext', insert: 'intertext{${1:文本}}', doc: '对齐公式之间插入文本' },
+            { name: 'numberthis', doc: '为当前行编号' }
+        ],
+        environments: [
+            { name: 'align*', doc: '不编号的对齐公式' },
+            { name: 'gather', doc: '居中的多行公式' },
+            { name: 'gather*', doc: '不编号的居中多行公式' },
+            { name: 'multline', doc: '跨行的长公式' },
+            { name: 'split', doc: '在公式环境中拆分长公式' },
+            { name: 'cases', doc: '分段函数' },
+            { name: 'pmatrix', doc: '圆括号矩阵' },
+            { name: 'bmatrix', doc: '方括号矩阵' },
+            { name: 'vmatrix', doc: '行列式' }
+        ]
+    },
+    amssymb: {
+        description: 'AMS 数学符号',
+        commands: [
+            { name: 'mathbb', insert: 'mathbb{${1:R}}', doc: '黑板粗体（如实数集 ℝ）' },
+            { name: 'mathfrak', insert: 'mathfrak{${1:g}}', doc: '哥特体' },
+            { name: 'varnothing', doc: '空集 ∅' },
+            { name: 'therefore', doc: '所以 ∴' },
+            { name: 'because', doc: '因为 ∵' },
+            { name: 'leqslant', doc: '≤（倾斜）' },
+            { name: 'geqslant', doc: '≥（倾斜）' }
+        ]
+    },
+    mathtools: {
+        description: 'amsmath 的扩展',
+        commands: [
+            { name: 'coloneqq', doc: '定义为 ≔' },
+            { name: 'DeclarePairedDelimiter', insert: 'DeclarePairedDelimiter{\\\\${1:abs}}{${2:\\\\lvert}}{${3:\\\\rvert}}', doc: '定义成对的定界符' },
+            { name: 'mathclap', insert: 'mathclap{${1:内容}}', doc: '不占宽度的居中内容' }
+        ],
+        environments: [
+            { name: 'dcases', doc: '行间样式的分段函数' }
+        ]
+    },
+    siunitx: {
+        description: '数值与单位',
+        commands: [
+            { name: 'SI', insert: 'SI{${1:数值}}{${2:单位}}', doc: '带单位的数值' },
+            { name: 'si', insert: 'si{${1:单位}}', doc: '单位' },
+            { name: 'qty', insert: 'qty{${1:数值}}{${2:单位}}', doc: '带单位的数值（v3）' },
+            { name: 'unit', insert: 'unit{${1:单位}}', doc: '单位（v3）' },
+            { name: 'num', insert: 'num{${1:数值}}', doc: '格式化数值' },
+            { name: 'ang', insert: 'ang{${1:角度}}', doc: '角度' },
+            { name: 'SIrange', insert: 'SIrange{${1:起}}{${2:止}}{${3:单位}}', doc: '带单位的数值范围' },
+            { name: 'numrange', insert: 'numrange{${1:起}}{${2:止}}', doc: '数值范围' },
+            { name: 'sisetup', insert: 'sisetup{${1:选项}}', doc: 'siunitx 设置' }
+        ]
+    },
+    tikz: {
+        description: 'TikZ 绘图',
+        commands: [
+            { name: 'tikz', insert: 'tikz{${1}}', doc: '行内 TikZ 图形' },
+            { name: 'draw', insert: 'draw ${1:(0,0) -- (1,1)};', doc: '画线' },
+            { name: 'fill', insert: 'fill ${1:(0,0) rectangle (1,1)};', doc: '填充' },
+            { name: 'node', insert: 'node[${1:above}] at (${2:0,0}) {${3:文本}};', doc: '节点' },
+            { name: 'coordinate', insert: 'coordinate (${1:A}) at (${2:0,0});', doc: '坐标' },
+            { name: 'path', insert: 'path ${1};', doc: '路径' },
+            { name: 'usetikzlibrary', insert: 'usetikzlibrary{${1:arrows.meta}}', doc: '加载 TikZ 库' },
+            { name: 'tikzset', insert: 'tikzset{${1:样式}}', doc: '定义 TikZ 样式' }
+        ],
+        environments: [
+            { name: 'tikzpicture', args: '[${1:选项}]', doc: 'TikZ 图形' },
+            { name: 'scope', doc: 'TikZ 作用域' }
+        ]
+    },
+    booktabs: {
+        description: '三线表',
+        commands: [
+            { name: 'toprule', doc: '表格顶线' },
+            { name: 'midrule', doc: '表格中线' },
+            { name: 'bottomrule', doc: '表格底线' },
+            { name: 'cmidrule', insert: 'cmidrule(${1:lr}){${2:1-2}}', doc: '部分列的中线' },
+            { name: 'addlinespace', doc: '增加行间距' }
+        ]
+    },
+    cleveref: {
+        description: '智能交叉引用',
+        commands: [
+            { name: 'cref', insert: 'cref{${1:标签}}', doc: '带类型名的引用（如"图 1"）' },
+            { name: 'Cref', insert: 'Cref{${1:标签}}', doc: '句首大写的 \\cref' },
+            { name: 'crefrange', insert: 'crefrange{${1:起}}{${2:止}}', doc: '引用范围' },
+            { name: 'cpageref', insert: 'cpageref{${1:标签}}', doc: '带页码的引用' },
+            { name: 'labelcref', insert: 'labelcref{${1:标签}}', doc: '只显示编号的引用' },
+            { name: 'crefname', insert: 'crefname{${1:类型}}{${2:单数}}{${3:复数}}', doc: '设置引用类型名' }
+        ]
+    },
+    graphicx: {
+        description: '插入图片',
+        commands: [
+            { name: 'includegraphics', insert: 'includegraphics[width=${1:0.8}\\\\linewidth]{${2:文件}}', doc: '插入图片' },
+            { name: 'graphicspath', insert: 'graphicspath{{${1:figures/}}}', doc: '图片搜索路径' },
+            { name: 'rotatebox', insert: 'rotatebox{${1:90}}{${2:内容}}', doc: '旋转' },
+            { name: 'scalebox', insert: 'scalebox{${1:0.5}}{${2:内容}}', doc: '缩放' },
+            { name: 'resizebox', insert: 'resizebox{${1:\\\\linewidth}}{!}{${2:内容}}', doc: '调整到指定尺寸' }
+        ]
+    },
+    hyperref: {
+        description: '超链接',
+        commands: [
+            { name: 'href', insert: 'href{${1:URL}}{${2:文本}}', doc: '超链接' },
+            { name: 'url', insert: 'url{${1:URL}}', doc: '网址' },
+            { name: 'autoref', insert: 'autoref{${1:标签}}', doc: '带类型名的引用' },
+            { name: 'hyperref', insert: 'hyperref[${1:标签}]{${2:文本}}', doc: '自定义文本的内部链接' },
+            { name: 'hypersetup', insert: 'hypersetup{${1:colorlinks=true}}', doc: 'hyperref 设置' }
+        ]
+    },
+    xcolor: {
+        description: '颜色',
+        commands: [
+            { name: 'textcolor', insert: 'textcolor{${1:red}}{${2:文本}}', doc: '彩色文本' },
+            { name: 'color', insert: 'color{${1:red}}', doc: '切换颜色' },
+            { name: 'colorbox', insert: 'colorbox{${1:yellow}}{${2:文本}}', doc: '带底色的文本' },
+            { name: 'definecolor', insert: 'definecolor{${1:名称}}{${2:RGB}}{${3:0,0,0}}', doc: '定义颜色' }
+        ]
+    },
+    listings: {
+        description: '代码排版',
+        commands: [
+            { name: 'lstinline', insert: 'lstinline|${1:代码}|', doc: '行内代码' },
+            { name: 'lstset', insert: 'lstset{${1:language=Python}}', doc: 'listings 设置' },
+            { name: 'lstinputlisting', insert: 'lstinputlisting[language=${1:Python}]{${2:文件}}', doc: '插入代码文件' }
+        ],
+        environments: [
+            { name: 'lstlisting', args: '[language=${1:Python}]', doc: '代码块' }
+        ]
+    },
+    natbib: {
+        description: '作者-年份引用',
+        commands: [
+            { name: 'citep', insert: 'citep{${1:引用键}}', doc: '括号引用 (Author, 2020)' },
+            { name: 'citet', insert: 'citet{${1:引用键}}', doc: '文本引用 Author (2020)' },
+            { name: 'citeauthor', insert: 'citeauthor{${1:引用键}}', doc: '只引用作者' },
+            { name: 'citeyear', insert: 'citeyear{${1:引用键}}', doc: '只引用年份' }
+        ]
+    },
+    biblatex: {
+        description: '参考文献（biblatex）',
+        commands: [
+            { name: 'addbibresource', insert: 'addbibresource{${1:references.bib}}', doc: '添加文献数据库' },
+            { name: 'printbibliography', doc: '输出参考文献列表' },
+            { name: 'parencite', insert: 'parencite{${1:引用键}}', doc: '括号引用' },
+            { name: 'textcite', insert: 'textcite{${1:引用键}}', doc: '文本引用' },
+            { name: 'autocite', insert: 'autocite{${1:引用键}}', doc: '按样式自动选择引用格式' },
+            { name: 'footcite', insert: 'footcite{${1:引用键}}', doc: '脚注引用' }
+        ]
+    },
+    enumitem: {
+        description: '列表格式',
+        commands: [
+            { name: 'setlist', insert: 'setlist{${1:nosep}}', doc: '设置列表格式' }
+        ]
+    },
+    geometry: {
+        description: '页面布局',
+        commands: [
+            { name: 'geometry', insert: 'geometry{${1:margin=1in}}', doc: '设置页边距' },
+            { name: 'newgeometry', insert: 'newgeometry{${1:margin=1in}}', doc: '从新页开始使用新的页面布局' },
+            { name: 'restoregeometry', doc: '恢复页面布局' }
+        ]
+    },
+    subcaption: {
+        description: '子图与子表',
+        commands: [
+            { name: 'subcaptionbox', insert: 'subcaptionbox{${1:标题}}{${2:内容}}', doc: '带标题的子图' }
+        ],
+        environments: [
+            { name: 'subfigure', args: '{${1:0.45}\\\\linewidth}', doc: '子图' },
+            { name: 'subtable', args: '{${1:0.45}\\\\linewidth}', doc: '子表' }
+        ]
+    },
+    multicol: {
+        description: '多栏排版',
+        environments: [
+            { name: 'multicols', args: '{${1:2}}', doc: '多栏' }
+        ]
+    },
+    algorithm2e: {
+        description: '算法',
+        commands: [
+            { name: 'KwIn', insert: 'KwIn{${1:输入}}', doc: '算法输入' },
+            { name: 'KwOut', insert: 'KwOut{${1:输出}}', doc: '算法输出' },
+            { name: 'SetKwFunction', insert: 'SetKwFunction{${1:名称}}{${2:显示}}', doc: '定义函数名' }
+        ],
+        environments: [
+            { name: 'algorithm', doc: '算法浮动体' }
+        ]
+    }
+};
+
+// 加载时会自动加载的其他宏包
+const PACKAGE_DEPENDENCIES = {
+    mathtools: ['amsmath'],
+    pgfplots: ['tikz'],
+    tikz: ['xcolor']
+};
+
+const USE_PACKAGE = /\\(?:usepackage|RequirePackage)\s*(?:\[[^\]]*\]\s*)?\{([^}]*)\}/g;
+
+/**
+ * 解析文档加载的宏包
+ * @param {string} text - LaTeX 源码
+ * @returns {Set} 宏包名
+ */
+export function parseUsedPackages(text) {
+    const source = stripComments(text);
+    const packages = new Set();
+
+    for (const match of source.matchAll(USE_PACKAGE)) {
+        for (const name of match[1].split(',')) {
+            const trimmed = name.trim();
+            if (!trimmed) continue;
+            packages.add(trimmed);
+            (PACKAGE_DEPENDENCIES[trimmed] || []).forEach(dependency => packages.add(dependency));
+        }
+    }
+
+    return packages;
+}
+
+/**
+ * 找到在文档中插入 \usepackage 的位置：最后一个 \usepackage 之后，没有时在 \documentclass 之后
+ * @returns {number|null} 插入位置所在行（从 1 开始，插入到该行之后），找不到导言区时返回 null
+ */
+export function findPackageInsertLine(text) {
+    const lines = stripComments(text).split('\n');
+    let documentClassLine = null;
+    let lastPackageLine = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/\\begin\s*\{document\}/.test(line)) break;
+        if (/\\documentclass\b/.test(line)) documentClassLine = i + 1;
+        if (/\\usepackage\b/.test(line)) lastPackageLine = i + 1;
+    }
+
+    return lastPackageLine || documentClassLine;
+}
@@ -9,7 +9,9 @@ export class PluginManager {
             'file.save': [],
             'syntax.highlight': [],
             'autocomplete.provide': [],
-            'agent.message': []
+            'agent.message': [],
+            'compile.start': [],
+            'compile.end': []
         };
         
         this.activeAgent = null;
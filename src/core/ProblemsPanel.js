@@ -0,0 +1,222 @@
+import * as monaco from 'monaco-editor';
+
+/**
+ * 问题面板
+ * 汇总来自不同来源（编译日志等）的错误与警告，显示在编辑器下方，
+ * 并以 Monaco 标记的形式标注在对应文件中
+ *
+ * 问题格式：{ severity: 'error' | 'warning' | 'info' | 'hint', file, line, column?, endLine?, endColumn?, message, source, fixes? }
+ * fixes 为快速修复列表 [{ title, run }]，在编辑器中通过灯泡菜单或 Ctrl+. 执行
+ */
+export class ProblemsPanel {
+    constructor(ide) {
+        this.ide = ide;
+        this.problems = new Map(); // 来源 -> 问题数组
+        this.isVisible = false;
+
+        this.panel = document.getElementById('problemsPanel');
+        this.list = document.getElementById('problemsList');
+        this.summary = document.getElementById('problemsSummary');
+
+        this.setupEventListeners();
+        this.registerQuickFixes();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.summary?.addEventListener('click', () => this.toggle());
+        document.getElementById('problemsPanelClose')?.addEventListener('click', () => this.hide());
+
+        this.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('.problem-item');
+            if (item) {
+                this.revealProblem(item.dataset.file, parseInt(item.dataset.line, 10) || 1);
+            }
+        });
+    }
+
+    // 把问题附带的快速修复提供给编辑器
+    registerQuickFixes() {
+        monaco.editor.registerCommand('problems.applyFix', (accessor, fix) => fix.run());
+
+        monaco.languages.registerCodeActionProvider('*', {
+            provideCodeActions: (model, range, context) => {
+                const actions = [];
+                for (const marker of context.markers) {
+                    const problem = this.findProblem(marker);
+                    for (const fix of problem?.fixes || []) {
+                        actions.push({
+                            title: fix.title,
+                            kind: 'quickfix',
+                            diagnostics: [marker],
+                            isPreferred: actions.length === 0,
+                            command: { id: 'problems.applyFix', title: fix.title, arguments: [fix] }
+                        });
+                    }
+                }
+                return { actions, dispose: () => {} };
+            }
+        });
+    }
+
+    // 找到编辑器标记对应的问题
+    findProblem(marker) {
+        return this.getProblems(marker.source).find(problem =>
+            problem.file === this.ide.currentFile &&
+            problem.line === marker.startLineNumber &&
+            (problem.column || 1) === marker.startColumn &&
+            problem.message === marker.message
+        ) || null;
+    }
+
+    /**
+     * 设置某个来源的全部问题（替换该来源之前的问题）
+     * @param {string} source - 来源标识，同时用作 Monaco 标记的 owner
+     * @param {Array} problems - 问题列表
+     */
+    setProblems(source, problems) {
+        this.problems.set(source, problems.map(problem => ({ ...problem, source })));
+        this.render();
+        this.applyMarkers(this.ide.currentFile);
+    }
+
+    clearProblems(source) {
+        this.setProblems(source, []);
+    }
+
+    /**
+     * 获取问题列表
+     * @param {string} source - 可选，只返回该来源的问题
+     */
+    getProblems(source) {
+        if (source) {
+            return this.problems.get(source) || [];
+        }
+        return [...this.problems.values()].flat();
+    }
+
+    // 把属于当前文件的问题设置为编辑器标记
+    applyMarkers(filePath) {
+        const editor = this.ide.editor;
+        const model = editor?.getModel();
+        if (!model) return;
+
+        for (const [source, problems] of this.problems) {
+            const markers = filePath
+                ? problems.filter(p => p.file === filePath && p.line).map(p => this.toMarker(p, model))
+                : [];
+            monaco.editor.setModelMarkers(model, source, markers);
+        }
+    }
+
+    toMarker(problem, model) {
+        const lineCount = model.getLineCount();
+        const startLine = Math.min(Math.max(problem.line, 1), lineCount);
+        const endLine = Math.min(Math.max(problem.endLine || startLine, startLine), lineCount);
+        const severity = {
+            error: monaco.MarkerSeverity.Error,
+            warning: monaco.MarkerSeverity.Warning,
+            info: monaco.MarkerSeverity.Info,
+            hint: monaco.MarkerSeverity.Hint
+        }[problem.severity] || monaco.MarkerSeverity.Info;
+
+        return {
+            severity,
+            message: problem.message,
+            source: problem.source,
+            startLineNumber: startLine,
+            startColumn: problem.column || 1,
+            endLineNumber: endLine,
+            endColumn: problem.endColumn || model.getLineMaxColumn(endLine)
+        };
+    }
+
+    // 渲染问题列表与状态栏摘要
+    render() {
+        const problems = this.getProblems();
+        const errorCount = problems.filter(p => p.severity === 'error').length;
+        const warningCount = problems.filter(p => p.severity === 'warning').length;
+        const infoCount = problems.length - errorCount - warningCount;
+
+        if (this.summary) {
+            this.summary.textContent = `✗ ${errorCount}  ⚠ ${warningCount}`;
+            this.summary.title = `错误 ${errorCount}，警告 ${warningCount}，提示 ${infoCount}（点击查看问题面板）`;
+        }
+
+        const count = document.getElementById('problemsCount');
+        if (count) {
+            count.textContent = problems.length;
+        }
+
+        if (!this.list) return;
+
+        if (problems.length === 0) {
+            this.list.innerHTML = '<div class="problems-empty">没有发现问题</div>';
+            return;
+        }
+
+        // 按文件分组显示
+        const groups = new Map();
+        for (const problem of problems) {
+            const file = problem.file || '(未知文件)';
+            if (!groups.has(file)) groups.set(file, []);
+            groups.get(file).push(problem);
+        }
+
+        const order = { error: 0, warning: 1, info: 2, hint: 3 };
+        const icons = { error: '✗', warning: '⚠', info: 'ℹ', hint: '…' };
+
+        this.list.innerHTML = [...groups.entries()].map(([file, items]) => {
+            items.sort((a, b) => (order[a.severity] - order[b.severity]) || ((a.line || 0) - (b.line || 0)));
+            return `
+                <div class="problems-file">
+                    <div class="problems-file-header">${this.escapeHtml(file)} <span class="problems-file-count">${items.length}</span></div>
+                    ${items.map(p => `
+                        <div class="problem-item ${p.severity}" data-file="${this.escapeHtml(p.file || '')}" data-line="${p.line || ''}">
+                            <span class="problem-icon">${icons[p.severity] || 'ℹ'}</span>
+                            <span class="problem-message">${this.escapeHtml(p.message)}</span>
+                            <span class="problem-location">${p.source}${p.line ? ` [${p.line}]` : ''}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // 打开问题所在文件并定位到对应行
+    async revealProblem(filePath, line) {
+        if (!filePath || !(await this.ide.fileSystem.exists(filePath))) return;
+
+        await this.ide.openFile(filePath);
+        const editor = this.ide.editor;
+        if (editor && this.ide.currentFile === filePath) {
+            editor.revealLineInCenter(line);
+            editor.setPosition({ lineNumber: line, column: 1 });
+            editor.focus();
+        }
+    }
+
+    show() {
+        this.isVisible = true;
+        this.panel?.classList.add('visible');
+    }
+
+    hide() {
+        this.isVisible = false;
+        this.panel?.classList.remove('visible');
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
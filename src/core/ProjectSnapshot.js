@@ -0,0 +1,180 @@
+/**
+ * 项目快照
+ * 项目文档变化（包括输入）后只计时一次，停止输入后读取一次文件树与文本文件，
+ * 代码检查、拼写检查、标签与文献索引、文件引用检查、大纲与代码片段共享同一份快照，
+ * 并根据快照中变化的文件只重新处理受影响的部分
+ */
+
+// 快照中读取内容的文件类型（.json 与 .txt 用于项目代码片段与项目词典）
+const TEXT_EXTENSIONS = ['.tex', '.bib', '.json', '.txt'];
+
+class Snapshot {
+    constructor(tree, paths, files) {
+        this.tree = tree; // 文件树（不包括编译输出目录）
+        this.paths = paths; // 项目中所有文件的路径
+        this.files = files; // 文件路径 -> 内容（只包括文本文件）
+        this.changed = new Set(); // 与上一次快照相比新增、删除或内容变化的文件
+    }
+
+    /**
+     * 指定扩展名的文件内容
+     * @returns {Array} [{ file, text }]
+     */
+    getTexts(extension) {
+        const texts = [];
+        for (const [file, text] of this.files) {
+            if (file.endsWith(extension)) texts.push({ file, text });
+        }
+        return texts;
+    }
+
+    // 是否有指定扩展名的文件新增、删除或内容变化，省略扩展名时为任意文件
+    hasChanges(extension = '') {
+        for (const file of this.changed) {
+            if (file.endsWith(extension)) return true;
+        }
+        return false;
+    }
+}
+
+export class ProjectSnapshot {
+    constructor(ide) {
+        this.ide = ide;
+        this.snapshot = null; // 最近一次通知的快照
+        this.reading = null; // Promise<Snapshot>，最近一次读取
+        this.updating = null; // Promise<Snapshot>，最近一次更新（读取并通知）
+        this.updateTimer = null;
+        this.updateDelay = 500;
+        this.version = 0; // 读取期间又有更新时丢弃过期的结果
+        this.listeners = new Set();
+    }
+
+    init() {
+        this.ide.versionManager.on('projectUpdated', () => this.scheduleUpdate());
+    }
+
+    scheduleUpdate(delay = this.updateDelay) {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.update(), delay);
+    }
+
+    /**
+     * 监听快照变化，没有文件变化时不通知
+     * @param {Function} callback - (snapshot) => void | Promise
+     * @returns {Function} 取消监听
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * 最新的快照（尚未读取过时立即读取），用于初始化
+     * @returns {Promise<Snapshot>}
+     */
+    get() {
+        if (!this.reading) {
+            this.reading = this.read().then((snapshot) => {
+                // 作为之后比较变化的基准，此时所有文件都视为变化
+                if (!this.snapshot) {
+                    this.snapshot = snapshot;
+                    snapshot.changed = new Set(snapshot.paths);
+                }
+                return snapshot;
+            }, (error) => {
+                this.reading = null;
+                throw error;
+            });
+        }
+        return this.reading;
+    }
+
+    /**
+     * 立即重新读取并通知所有监听者，等待它们处理完成
+     * 需要索引反映最新内容时（如重命名前）调用；项目文档只记录文件内容的变化，
+     * 在文件树中新建、删除或重命名文件后也需要调用
+     * @returns {Promise<Snapshot>}
+     */
+    update() {
+        clearTimeout(this.updateTimer);
+        this.updating = this.readAndNotify(++this.version);
+        return this.updating;
+    }
+
+    async readAndNotify(version) {
+        const reading = this.read();
+        this.reading = reading;
+        let snapshot;
+        try {
+            snapshot = await reading;
+        } catch (error) {
+            console.error('读取项目快照失败:', error);
+            if (this.reading === reading) this.reading = null;
+            return this.snapshot;
+        }
+        if (version !== this.version) return this.updating;
+
+        const previous = this.snapshot;
+        this.snapshot = snapshot;
+        snapshot.changed = this.diff(previous, snapshot);
+        if (previous && snapshot.changed.size === 0) return snapshot;
+
+        await Promise.all([...this.listeners].map(async (callback) => {
+            try {
+                await callback(snapshot);
+            } catch (error) {
+                console.error('项目快照监听器出错:', error);
+            }
+        }));
+        return snapshot;
+    }
+
+    async read() {
+        const excludedDirs = this.ide.compileManager.excludedDirs;
+        const resolver = this.ide.rootDocumentResolver;
+        const tree = await this.ide.fileSystem.getFileTree('/');
+        const paths = [];
+
+        const walk = (node) => {
+            for (const child of node.children || []) {
+                if (child.type === 'directory') {
+                    if (!excludedDirs.includes(child.path)) walk(child);
+                } else {
+                    paths.push(child.path);
+                }
+            }
+        };
+        walk(tree);
+
+        const files = new Map();
+        for (const path of paths) {
+            if (!TEXT_EXTENSIONS.some(extension => path.endsWith(extension))) continue;
+            const text = await resolver.readText(path);
+            if (text !== null) files.set(path, text);
+        }
+
+        return new Snapshot(tree, paths, files);
+    }
+
+    diff(previous, snapshot) {
+        if (!previous) return new Set(snapshot.paths);
+
+        const changed = new Set();
+        const paths = new Set(snapshot.paths);
+        const previousPaths = new Set(previous.paths);
+        for (const path of previous.paths) {
+            if (!paths.has(path)) changed.add(path);
+        }
+        for (const path of snapshot.paths) {
+            if (!previousPaths.has(path) || previous.files.get(path) !== snapshot.files.get(path)) {
+                changed.add(path);
+            }
+        }
+        return changed;
+    }
+
+    destroy() {
+        clearTimeout(this.updateTimer);
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,612 @@
+import { parseBibTeX, parseAuthors, toPlainText } from './BibTeXParser.js';
+import { INVALID_BIB_KEY, getEditableValue, toBibValue } from './BibTeXDocument.js';
+import { TITLE_SIMILARITY, normalizeTitle, titleSimilarity } from './BibliographyIndex.js';
+
+/**
+ * 文献导入
+ * 把 BibTeX/BibLaTeX、RIS、CSL-JSON 与 EndNote XML 格式的文献转换为 BibTeX 条目，按引用键模式生成引用键，
+ * 并检查与项目中已有条目的冲突。不依赖项目状态；EndNote XML 使用浏览器的 DOMParser 解析
+ *
+ * 导入的条目表示为 { type, key, fields: [{ name, raw }] }，raw 为可以直接写入 .bib 文件的值表达式
+ */
+
+export const IMPORT_FORMATS = {
+    bibtex: 'BibTeX / BibLaTeX',
+    ris: 'RIS',
+    csl: 'CSL-JSON',
+    endnote: 'EndNote XML'
+};
+
+// 引用键模式的预设；也可以直接使用 [auth][year] 形式的模板
+export const KEY_PATTERN_PRESETS = {
+    authoryear: '[auth][year]',
+    authoryeartitle: '[auth][year][title]',
+    authorsyear: '[authors][year]',
+    authtitleyear: '[auth][shorttitle][year]'
+};
+
+// 模板中可以使用的字段，首字母大写（如 [Auth]）时每个单词首字母大写
+export const KEY_PATTERN_TOKENS = {
+    auth: '第一作者的姓',
+    authors: '作者的姓（两位以上作者时为第一作者加 etal）',
+    year: '年份',
+    shortyear: '年份的后两位',
+    title: '标题的第一个实词',
+    shorttitle: '标题的前三个实词'
+};
+
+const MONTH_MACROS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// 生成的条目中字段的顺序
+const FIELD_ORDER = [
+    'author', 'editor', 'title', 'journal', 'booktitle', 'series', 'year', 'month', 'volume', 'number', 'pages',
+    'edition', 'publisher', 'school', 'institution', 'address', 'isbn', 'issn', 'doi', 'url', 'language',
+    'keywords', 'note', 'abstract'
+];
+
+// 原样写入、不转义 LaTeX 特殊字符的字段
+const VERBATIM_FIELDS = new Set(['url', 'doi', 'eprint']);
+
+const LATEX_SPECIALS = {
+    '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '&': '\\&', '%': '\\%', '$': '\\$',
+    '#': '\\#', '_': '\\_', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}'
+};
+
+// 标题中生成引用键时跳过的词
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'on', 'in', 'for', 'and', 'to', 'with', 'from', 'at', 'by', 'via', 'into', 'toward', 'towards',
+    'is', 'are', 'der', 'die', 'das', 'ein', 'eine', 'und', 'le', 'la', 'les', 'un', 'une', 'des', 'el', 'los', 'las'
+]);
+
+/**
+ * 转义纯文本中的 LaTeX 特殊字符
+ */
+export function escapeLaTeX(text) {
+    return text.replace(/[\\{}&%$#_~^]/g, ch => LATEX_SPECIALS[ch]);
+}
+
+/**
+ * 识别文本的格式
+ * @returns {string|null} IMPORT_FORMATS 中的格式名，无法识别时为 null
+ */
+export function detectFormat(text) {
+    const source = text.replace(/^﻿/, '').trim();
+    if (/^[[{]/.test(source)) return 'csl';
+    if (/^<(\?xml|xml\b|records\b)/i.test(source)) return 'endnote';
+    if (/^TY\s+-/m.test(source)) return 'ris';
+    if (/@[a-zA-Z]+\s*[{(]/.test(source)) return 'bibtex';
+    return null;
+}
+
+/**
+ * 解析要导入的文献
+ * @param {string} text - 粘贴或拖入的内容
+ * @param {Object} options - { format: 格式名或 'auto', normalizeBibLaTeX: 是否把 BibLaTeX 字段转换为 BibTeX 字段 }
+ * @returns {Object} { format, references: [{ type, key, fields }], errors: [{ message, line }] }
+ */
+export function parseReferences(text, { format = 'auto', normalizeBibLaTeX = true } = {}) {
+    const detected = format === 'auto' ? detectFormat(text) : format;
+
+    switch (detected) {
+        case 'bibtex':
+            return { format: detected, ...parseBibTeXReferences(text, normalizeBibLaTeX) };
+        case 'ris':
+            return { format: detected, ...parseRIS(text) };
+        case 'csl':
+            return { format: detected, ...parseCSL(text) };
+        case 'endnote':
+            return { format: detected, ...parseEndNote(text) };
+        default:
+            return {
+                format: null,
+                references: [],
+                errors: text.trim() ? [{ message: '无法识别的格式，支持 BibTeX、BibLaTeX、RIS、CSL-JSON 与 EndNote XML' }] : []
+            };
+    }
+}
+
+/**
+ * 由纯文本字段值创建条目
+ * @param {Object} values - 字段名 -> 纯文本值；{ latex } 形式的值已经是 LaTeX，不再转义
+ */
+export function createReference(type, key, values) {
+    const names = Object.keys(values).filter(name => {
+        const value = values[name];
+        return typeof value === 'string' ? value.trim() : value?.latex;
+    });
+    names.sort((a, b) => fieldRank(a) - fieldRank(b));
+
+    return {
+        type,
+        key: key || '',
+        fields: names.map(name => ({ name, raw: toRawValue(name, values[name]) }))
+    };
+}
+
+function fieldRank(name) {
+    const index = FIELD_ORDER.indexOf(name);
+    return index === -1 ? FIELD_ORDER.length : index;
+}
+
+function toRawValue(name, value) {
+    if (typeof value === 'object') {
+        return `{${value.latex}}`;
+    }
+    const text = value.trim().replace(/\s+/g, ' ');
+    if (name === 'month' && /^\d{1,2}$/.test(text) && MONTH_MACROS[parseInt(text, 10) - 1]) {
+        return MONTH_MACROS[parseInt(text, 10) - 1];
+    }
+    return VERBATIM_FIELDS.has(name) ? `{${text}}` : toBibValue(escapeLaTeX(text));
+}
+
+// 条目中某个字段的纯文本
+function fieldText(reference, name) {
+    const field = reference.fields.find(item => item.name.toLowerCase() === name);
+    return field ? toPlainText(getEditableValue(field.raw).value) : '';
+}
+
+// 作者列表，已经是 "Last, First" 或 "First Last" 形式
+function joinNames(names) {
+    const list = names.filter(Boolean);
+    return list.length > 0 ? { latex: list.join(' and ') } : '';
+}
+
+function escapeName(name) {
+    return escapeLaTeX(name.trim().replace(/\s+/g, ' '));
+}
+
+function normalizePages(pages) {
+    return (pages || '').replace(/\s*[-–—]+\s*/g, '--');
+}
+
+function normalizeDoi(doi) {
+    return (doi || '').trim().replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, '');
+}
+
+// 期刊、会议或书名对应的字段
+function containerField(type) {
+    if (type === 'article') return 'journal';
+    if (type === 'incollection' || type === 'inproceedings' || type === 'inbook') return 'booktitle';
+    return 'series';
+}
+
+// ---------- BibTeX / BibLaTeX ----------
+
+const BIBLATEX_TYPES = {
+    online: 'misc', electronic: 'misc', www: 'misc', software: 'misc', dataset: 'misc', patent: 'misc', periodical: 'misc',
+    report: 'techreport', thesis: 'phdthesis', mvbook: 'book', collection: 'book', mvcollection: 'book', reference: 'book',
+    bookinbook: 'inbook', suppbook: 'inbook', inreference: 'incollection', suppcollection: 'incollection',
+    mvproceedings: 'proceedings', suppperiodical: 'article'
+};
+
+const BIBLATEX_FIELDS = { journaltitle: 'journal', location: 'address', annotation: 'annote' };
+
+function parseBibTeXReferences(text, normalize) {
+    const { entries, errors } = parseBibTeX(text);
+    const references = entries.map(entry => {
+        const fields = entry.fieldOrder.map(name => {
+            const span = entry.spans.fields[name];
+            return { name: span.name, raw: importedRawValue(text.slice(span.valueStart, span.valueEnd), entry.fields[name]) };
+        });
+        const reference = { type: entry.type, key: entry.key, fields };
+        return normalize ? normalizeBibLaTeX(reference) : reference;
+    });
+
+    return { references, errors: errors.map(({ message, line }) => ({ message, line })) };
+}
+
+// 使用 @string 宏的值展开后写入，避免引用项目中没有定义的宏；月份宏保持原样
+function importedRawValue(raw, value) {
+    if (!getEditableValue(raw).expression) return raw;
+    if (MONTH_MACROS.includes(raw.trim().toLowerCase())) return raw.trim().toLowerCase();
+    return toBibValue(value);
+}
+
+/**
+ * 把 BibLaTeX 特有的条目类型与字段转换为 BibTeX 中对应的写法（如 journaltitle → journal、date → year），
+ * 使条目同时适用于 bibtex 与 biber；Zotero 导出的本地附件路径（file 字段）被去掉
+ */
+export function normalizeBibLaTeX(reference) {
+    const has = name => reference.fields.some(field => field.name.toLowerCase() === name);
+    const thesisType = fieldText(reference, 'type').toLowerCase();
+    let type = reference.type;
+    if (type === 'thesis' && /master|mathesis/.test(thesisType)) {
+        type = 'mastersthesis';
+    } else {
+        type = BIBLATEX_TYPES[type] || type;
+    }
+
+    const fields = [];
+    for (const field of reference.fields) {
+        const name = field.name.toLowerCase();
+        const value = fieldText(reference, name);
+
+        if (name === 'file') continue;
+        if (name === 'type' && /^(phdthesis|mathesis|techreport|resreport)$/.test(value)) continue;
+
+        if (name === 'date' && !has('year')) {
+            const [, year, month] = value.match(/^(\d{4})(?:-(\d{2}))?/) || [];
+            if (year) {
+                fields.push({ name: 'year', raw: `{${year}}` });
+                if (month && !has('month') && MONTH_MACROS[parseInt(month, 10) - 1]) {
+                    fields.push({ name: 'month', raw: MONTH_MACROS[parseInt(month, 10) - 1] });
+                }
+                continue;
+            }
+        }
+
+        let target = BIBLATEX_FIELDS[name];
+        if (name === 'institution' && (type === 'phdthesis' || type === 'mastersthesis')) target = 'school';
+        fields.push(target && !has(target) ? { name: target, raw: field.raw } : field);
+    }
+
+    // @online 转换为 @misc 后用 howpublished 显示网址
+    if (reference.type === 'online' && has('url') && !has('howpublished')) {
+        fields.push({ name: 'howpublished', raw: `{\\url{${fieldText(reference, 'url')}}}` });
+    }
+
+    return { ...reference, type, fields };
+}
+
+// ---------- RIS ----------
+
+const RIS_TYPES = {
+    JOUR: 'article', JFULL: 'article', EJOUR: 'article', MGZN: 'article', NEWS: 'article',
+    BOOK: 'book', EBOOK: 'book', EDBOOK: 'book', CHAP: 'incollection', ECHAP: 'incollection',
+    CONF: 'inproceedings', CPAPER: 'inproceedings', THES: 'phdthesis', RPRT: 'techreport',
+    UNPB: 'unpublished', MANSCPT: 'unpublished'
+};
+
+function parseRIS(text) {
+    const references = [];
+    const errors = [];
+    let record = null;
+    let lastTag = null;
+
+    text.replace(/^﻿/, '').split(/\r?\n/).forEach((line, index) => {
+        const match = line.match(/^([A-Z][A-Z0-9])\s+-(?:\s(.*))?$/);
+        if (!match) {
+            // 续行接在上一个字段后面
+            if (record && lastTag && line.trim()) {
+                const values = record[lastTag];
+                values[values.length - 1] += ` ${line.trim()}`;
+            }
+            return;
+        }
+
+        const [, tag, value = ''] = match;
+        if (tag === 'TY') {
+            if (record) {
+                errors.push({ message: `第 ${index + 1} 行之前的记录缺少 ER`, line: index + 1 });
+                references.push(fromRIS(record));
+            }
+            record = { TY: [value.trim()] };
+            lastTag = 'TY';
+        } else if (!record) {
+            errors.push({ message: `第 ${index + 1} 行的 ${tag} 不在 TY 与 ER 之间`, line: index + 1 });
+        } else if (tag === 'ER') {
+            references.push(fromRIS(record));
+            record = null;
+            lastTag = null;
+        } else {
+            if (!record[tag]) record[tag] = [];
+            record[tag].push(value.trim());
+            lastTag = tag;
+        }
+    });
+
+    if (record) {
+        errors.push({ message: '最后一条记录缺少 ER' });
+        references.push(fromRIS(record));
+    }
+    return { references, errors };
+}
+
+function fromRIS(record) {
+    const first = (...tags) => {
+        for (const tag of tags) {
+            if (record[tag]?.[0]) return record[tag][0];
+        }
+        return '';
+    };
+    const all = (...tags) => tags.flatMap(tag => record[tag] || []);
+
+    const type = RIS_TYPES[first('TY')] || 'misc';
+    const [, year, month] = first('PY', 'Y1', 'DA').match(/(\d{4})(?:\/(\d{1,2}))?/) || [];
+    const publisher = first('PB');
+    const startPage = first('SP');
+    const endPage = first('EP');
+    const isbn = first('SN');
+
+    return createReference(type, first('ID'), {
+        author: joinNames(all('AU', 'A1').map(escapeName)),
+        editor: joinNames(all('ED', ...(type === 'book' ? [] : ['A2'])).map(escapeName)),
+        title: first('TI', 'T1', 'CT'),
+        [containerField(type)]: type === 'article' ? first('JF', 'JO', 'T2', 'JA', 'J2') : first('T2', 'BT', 'T3'),
+        year: year || '',
+        month: month || '',
+        volume: first('VL'),
+        number: first('IS'),
+        pages: normalizePages(startPage && endPage ? `${startPage}-${endPage}` : startPage),
+        edition: first('ET'),
+        publisher: type === 'phdthesis' || type === 'techreport' ? '' : publisher,
+        school: type === 'phdthesis' ? publisher : '',
+        institution: type === 'techreport' ? publisher : '',
+        address: first('CY', 'PP'),
+        [type === 'article' ? 'issn' : 'isbn']: isbn,
+        doi: normalizeDoi(first('DO')),
+        url: first('UR', 'L2'),
+        language: first('LA'),
+        keywords: all('KW').join(', '),
+        note: first('N1'),
+        abstract: first('AB', 'N2')
+    });
+}
+
+// ---------- CSL-JSON ----------
+
+const CSL_TYPES = {
+    'article-journal': 'article', 'article-magazine': 'article', 'article-newspaper': 'article', article: 'article',
+    book: 'book', chapter: 'incollection', 'entry-encyclopedia': 'incollection', 'entry-dictionary': 'incollection',
+    'paper-conference': 'inproceedings', thesis: 'phdthesis', report: 'techreport', manuscript: 'unpublished'
+};
+
+function parseCSL(text) {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^﻿/, ''));
+    } catch (error) {
+        return { references: [], errors: [{ message: `CSL-JSON 格式错误：${error.message}` }] };
+    }
+
+    const items = Array.isArray(data) ? data : Array.isArray(data?.items) ? data.items : [data];
+    const references = [];
+    const errors = [];
+    items.forEach((item, index) => {
+        if (item && typeof item === 'object' && (item.title || item.author)) {
+            references.push(fromCSL(item));
+        } else {
+            errors.push({ message: `第 ${index + 1} 项不是 CSL-JSON 条目` });
+        }
+    });
+    return { references, errors };
+}
+
+function fromCSL(item) {
+    let type = CSL_TYPES[item.type] || 'misc';
+    if (type === 'phdthesis' && /master/i.test(item.genre || '')) type = 'mastersthesis';
+
+    const [year, month] = cslDate(item.issued);
+    const publisher = item.publisher || '';
+    // Zotero 等导出的 id 可能是条目的网址或数字，这样的 id 不作为引用键
+    const id = typeof item.id === 'string' && /^[a-zA-Z][\w.:-]*$/.test(item.id) ? item.id : '';
+    const key = typeof item['citation-key'] === 'string' ? item['citation-key'] : id;
+
+    return createReference(type, key, {
+        author: joinNames((item.author || []).map(cslName)),
+        editor: joinNames((item.editor || []).map(cslName)),
+        title: item.title || '',
+        [containerField(type)]: item['container-title'] || '',
+        series: type === 'article' ? '' : item['collection-title'] || '',
+        year,
+        month,
+        volume: String(item.volume || ''),
+        number: String((type === 'techreport' ? item.number : item.issue) || ''),
+        pages: normalizePages(String(item.page || '')),
+        edition: String(item.edition || ''),
+        publisher: type === 'phdthesis' || type === 'mastersthesis' || type === 'techreport' ? '' : publisher,
+        school: type === 'phdthesis' || type === 'mastersthesis' ? publisher : '',
+        institution: type === 'techreport' ? publisher : '',
+        address: item['publisher-place'] || '',
+        isbn: item.ISBN || '',
+        issn: item.ISSN || '',
+        doi: normalizeDoi(item.DOI),
+        url: item.URL || '',
+        language: item.language || '',
+        keywords: item.keyword || '',
+        note: item.note || '',
+        abstract: item.abstract || ''
+    });
+}
+
+// 机构名等不可拆分的名字用花括号保护
+function cslName(name) {
+    if (!name) return '';
+    if (name.literal) return `{${escapeName(name.literal)}}`;
+
+    const last = [name['non-dropping-particle'], name.family].filter(Boolean).map(escapeName).join(' ');
+    const first = [name.given, name['dropping-particle']].filter(Boolean).map(escapeName).join(' ');
+    if (!last) return first;
+    if (name.suffix) return `${last}, ${escapeName(name.suffix)}, ${first}`;
+    return first ? `${last}, ${first}` : last;
+}
+
+// 返回 [年, 月]
+function cslDate(date) {
+    const parts = date?.['date-parts']?.[0];
+    if (parts?.[0]) {
+        return [String(parts[0]), parts[1] ? String(parts[1]) : ''];
+    }
+    const text = typeof date === 'string' ? date : date?.raw || date?.literal || '';
+    const match = String(text).match(/(\d{4})(?:-(\d{1,2}))?/);
+    return match ? [match[1], match[2] || ''] : ['', ''];
+}
+
+// ---------- EndNote XML ----------
+
+const ENDNOTE_TYPES = {
+    'Journal Article': 'article', 'Magazine Article': 'article', 'Newspaper Article': 'article',
+    Book: 'book', 'Edited Book': 'book', 'Book Section': 'incollection',
+    'Conference Proceedings': 'inproceedings', 'Conference Paper': 'inproceedings',
+    Thesis: 'phdthesis', Report: 'techreport', 'Unpublished Work': 'unpublished', Manuscript: 'unpublished'
+};
+
+// 没有 name 属性时使用的类型编号
+const ENDNOTE_TYPE_NUMBERS = {
+    17: 'article', 19: 'article', 23: 'article', 6: 'book', 28: 'book', 5: 'incollection',
+    10: 'inproceedings', 47: 'inproceedings', 32: 'phdthesis', 27: 'techreport', 34: 'unpublished', 36: 'unpublished'
+};
+
+function parseEndNote(text) {
+    if (typeof DOMParser === 'undefined') {
+        return { references: [], errors: [{ message: '当前环境不支持解析 EndNote XML' }] };
+    }
+
+    const doc = new DOMParser().parseFromString(text.replace(/^﻿/, '').trim(), 'application/xml');
+    const parseError = doc.getElementsByTagName('parsererror')[0];
+    if (parseError) {
+        return { references: [], errors: [{ message: `EndNote XML 格式错误：${parseError.textContent.trim().split('\n')[0]}` }] };
+    }
+
+    const references = [...doc.getElementsByTagName('record')].map(fromEndNote);
+    return {
+        references,
+        errors: references.length === 0 ? [{ message: 'EndNote XML 中没有 <record> 条目' }] : []
+    };
+}
+
+function fromEndNote(record) {
+    // 按路径查找元素，如 'titles/title'
+    const find = (path) => path.split('/').reduce(
+        (element, name) => element && element.getElementsByTagName(name)[0],
+        record
+    );
+    const text = (path) => (find(path)?.textContent || '').trim();
+    const all = (path, name) => {
+        const parent = find(path);
+        return parent ? [...parent.getElementsByTagName(name)].map(element => element.textContent.trim()) : [];
+    };
+
+    const refType = find('ref-type');
+    const type = ENDNOTE_TYPES[refType?.getAttribute('name')] || ENDNOTE_TYPE_NUMBERS[refType?.textContent.trim()] || 'misc';
+    const publisher = text('publisher');
+    const isbn = text('isbn');
+
+    return createReference(type, '', {
+        author: joinNames(all('contributors/authors', 'author').map(escapeName)),
+        editor: joinNames(all('contributors/secondary-authors', 'author').map(escapeName)),
+        title: text('titles/title'),
+        [containerField(type)]: text('titles/secondary-title') || text('periodical/full-title'),
+        series: type === 'article' ? '' : text('titles/tertiary-title'),
+        year: (text('dates/year').match(/\d{4}/) || [''])[0],
+        volume: text('volume'),
+        number: text('number'),
+        pages: normalizePages(text('pages')),
+        edition: text('edition'),
+        publisher: type === 'phdthesis' || type === 'techreport' ? '' : publisher,
+        school: type === 'phdthesis' ? publisher : '',
+        institution: type === 'techreport' ? publisher : '',
+        address: text('pub-location'),
+        [type === 'article' ? 'issn' : 'isbn']: isbn,
+        doi: normalizeDoi(text('electronic-resource-num')),
+        url: all('urls/related-urls', 'url')[0] || '',
+        language: text('language'),
+        keywords: all('keywords', 'keyword').join(', '),
+        note: text('notes'),
+        abstract: text('abstract')
+    });
+}
+
+// ---------- 引用键 ----------
+
+/**
+ * 模式中未知的字段名
+ * @returns {Array} 字段名
+ */
+export function getUnknownKeyTokens(pattern) {
+    const template = KEY_PATTERN_PRESETS[pattern] || pattern || '';
+    return [...template.matchAll(/\[(\w+)\]/g)]
+        .map(match => match[1])
+        .filter(token => !KEY_PATTERN_TOKENS[token.toLowerCase()]);
+}
+
+/**
+ * 按模式生成引用键，如 [auth][year] 生成 smith2020；缺少作者等信息时对应部分为空
+ * @param {Object} reference - { fields: [{ name, raw }] }
+ * @param {string} pattern - KEY_PATTERN_PRESETS 中的预设名或模板
+ */
+export function generateCitationKey(reference, pattern = 'authoryear') {
+    const template = KEY_PATTERN_PRESETS[pattern] || pattern || KEY_PATTERN_PRESETS.authoryear;
+    const surnames = parseAuthors(fieldText(reference, 'author') || fieldText(reference, 'editor')).map(keyWord).filter(Boolean);
+    const year = ((fieldText(reference, 'year') || fieldText(reference, 'date')).match(/\d{4}/) || [''])[0];
+    const titleWords = fieldText(reference, 'title')
+        .split(/\s+/)
+        .map(keyWord)
+        .filter(word => word && !STOP_WORDS.has(word));
+
+    const tokens = {
+        auth: surnames.slice(0, 1),
+        authors: surnames.length > 2 ? [surnames[0], 'et', 'al'] : surnames,
+        year: [year],
+        shortyear: [year.slice(2)],
+        title: titleWords.slice(0, 1),
+        shorttitle: titleWords.slice(0, 3)
+    };
+
+    const key = template.replace(/\[(\w+)\]/g, (match, token) => {
+        const words = tokens[token.toLowerCase()];
+        if (!words) return '';
+        return /^[A-Z]/.test(token)
+            ? words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')
+            : words.join('');
+    });
+
+    return [...key].filter(ch => !INVALID_BIB_KEY.test(ch)).join('') || 'ref';
+}
+
+// 去掉重音与标点后的小写单词
+function keyWord(word) {
+    return word.normalize('NFD').replace(/\p{M}/gu, '').replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+}
+
+// 冲突时在引用键后依次加 a、b、…、z、aa、ab…
+function keySuffix(index) {
+    let suffix = '';
+    let n = index + 1;
+    while (n > 0) {
+        n--;
+        suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+        n = Math.floor(n / 26);
+    }
+    return suffix;
+}
+
+/**
+ * 为导入的条目确定引用键并查找可能重复的已有条目
+ * @param {Array} references - parseReferences 返回的条目
+ * @param {Array} existingEntries - 项目中已有的条目（文献索引中的条目）
+ * @param {Object} options - { keyPattern, keepImportedKeys: 是否保留导入内容中的引用键 }
+ * @returns {Array} [{ reference, key, baseKey, clash: 'existing' | 'import' | null, duplicate, include }]
+ *   clash 表示 baseKey 与已有条目或本次导入的其他条目冲突，key 为加上后缀后的引用键；
+ *   duplicate 为 DOI 相同或标题相近的已有条目，这样的条目默认不导入
+ */
+export function planImport(references, existingEntries, { keyPattern = 'authoryear', keepImportedKeys = true } = {}) {
+    const existingKeys = new Set(existingEntries.map(entry => entry.key.toLowerCase()));
+    const taken = new Set(existingKeys);
+    const existingTitles = existingEntries
+        .map(entry => ({ entry, title: normalizeTitle(entry.fields.title) }))
+        .filter(item => item.title);
+    const existingDois = new Map(existingEntries
+        .filter(entry => entry.fields.doi)
+        .map(entry => [normalizeDoi(entry.fields.doi).toLowerCase(), entry]));
+
+    return references.map(reference => {
+        const keepKey = keepImportedKeys && reference.key && !INVALID_BIB_KEY.test(reference.key);
+        const baseKey = keepKey ? reference.key : generateCitationKey(reference, keyPattern);
+
+        let key = baseKey;
+        for (let index = 0; taken.has(key.toLowerCase()); index++) {
+            key = baseKey + keySuffix(index);
+        }
+        const clash = key === baseKey ? null : existingKeys.has(baseKey.toLowerCase()) ? 'existing' : 'import';
+        taken.add(key.toLowerCase());
+
+        const doi = normalizeDoi(fieldText(reference, 'doi')).toLowerCase();
+        const title = normalizeTitle(fieldText(reference, 'title'));
+        const duplicate = (doi && existingDois.get(doi)) ||
+            (title.length >= 8 && existingTitles.find(item => titleSimilarity(title, item.title) >= TITLE_SIMILARITY)?.entry) ||
+            null;
+
+        return { reference: { ...reference, key }, key, baseKey, clash, duplicate, include: !duplicate };
+    });
+}
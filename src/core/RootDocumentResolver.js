@@ -0,0 +1,224 @@
+/**
+ * 根文档识别
+ * 为多文件项目中的任意 .tex 文件找到需要编译的主文档，查找顺序：
+ * 1. 文件开头的魔法注释 % !TEX root = ../main.tex
+ * 2. 用户为项目固定的主文档
+ * 3. 文件本身包含 \documentclass
+ * 4. 通过 \input / \include / \subfile 引用关系找到包含该文件的主文档
+ * 5. 项目中最可能的主文档（优先 /main.tex）
+ */
+
+const MAGIC_ROOT = /^\s*%\s*!\s*TEX\s+root\s*=\s*(.+?)\s*$/im;
+const DOCUMENT_CLASS = /^[^%\n]*\\documentclass\b/m;
+const INCLUDE_COMMAND = /\\(?:input|include|subfile)\s*\{([^}]+)\}/g;
+
+// 只在文件开头若干行中查找魔法注释
+const MAGIC_COMMENT_LINES = 20;
+
+export class RootDocumentResolver {
+    constructor(ide) {
+        this.ide = ide;
+    }
+
+    get storageKey() {
+        const projectPath = this.ide.versionManager.projectPath || '/';
+        return `latex-ide-main-file:${projectPath}`;
+    }
+
+    // 获取用户固定的主文档
+    getPinnedRoot() {
+        return localStorage.getItem(this.storageKey);
+    }
+
+    /**
+     * 固定项目主文档，传入 null 取消固定
+     * @param {string|null} filePath - 主文档路径
+     */
+    setPinnedRoot(filePath) {
+        if (filePath) {
+            localStorage.setItem(this.storageKey, filePath);
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+        this.ide.refreshFileExplorer();
+    }
+
+    /**
+     * 找到指定文件所属的根文档
+     * @param {string} filePath - 当前文件路径，可以为空
+     * @param {Object} snapshot - 项目快照，给出时从快照中读取文件
+     * @returns {string|null} 根文档路径，找不到时返回 null
+     */
+    async resolve(filePath, snapshot = null) {
+        const text = filePath ? await this.readText(filePath, snapshot) : null;
+
+        if (text !== null) {
+            const magicRoot = this.getMagicRoot(filePath, text);
+            if (magicRoot) {
+                if (await this.ide.fileSystem.exists(magicRoot)) {
+                    return magicRoot;
+                }
+                console.warn(`魔法注释指定的根文档不存在: ${magicRoot}`);
+            }
+        }
+
+        const pinned = this.getPinnedRoot();
+        if (pinned && await this.ide.fileSystem.exists(pinned)) {
+            return pinned;
+        }
+
+        if (text !== null && filePath.endsWith('.tex') && DOCUMENT_CLASS.test(text)) {
+            return filePath;
+        }
+
+        const roots = await this.findRootCandidates(snapshot);
+        if (filePath) {
+            for (const root of roots) {
+                const included = await this.getIncludedFiles(root, snapshot);
+                if (included.has(filePath)) {
+                    return root;
+                }
+            }
+        }
+
+        // 没有找到引用关系时使用最可能的主文档（优先 /main.tex）
+        if (roots.length > 0) {
+            return roots[0];
+        }
+        return filePath && filePath.endsWith('.tex') ? filePath : null;
+    }
+
+    // 解析魔法注释，路径相对于当前文件所在目录
+    getMagicRoot(filePath, text) {
+        const head = text.split('\n').slice(0, MAGIC_COMMENT_LINES).join('\n');
+        const match = head.match(MAGIC_ROOT);
+        if (!match) return null;
+
+        let root = match[1];
+        if (!root.endsWith('.tex')) {
+            root += '.tex';
+        }
+        return root.startsWith('/') ? this.normalizePath(root) : this.resolveRelative(this.dirname(filePath), root);
+    }
+
+    // 项目中所有包含 \documentclass 的 .tex 文件，/main.tex 优先；给出项目快照时从快照中读取
+    async findRootCandidates(snapshot = null) {
+        const texFiles = snapshot ? snapshot.getTexts('.tex').map(({ file }) => file) : await this.getProjectTexFiles();
+        const roots = [];
+
+        for (const path of texFiles) {
+            const text = await this.readText(path, snapshot);
+            if (text !== null && DOCUMENT_CLASS.test(text)) {
+                roots.push(path);
+            }
+        }
+
+        return roots.sort((a, b) => {
+            const score = (path) => (/\/main\.tex$/.test(path) ? 0 : 1) + path.split('/').length;
+            return score(a) - score(b);
+        });
+    }
+
+    /**
+     * 获取根文档通过 \input / \include 直接或间接引用的所有文件
+     * TeX 按编译时的工作目录（根文档所在目录）解析这些路径
+     * @param {Object} snapshot - 项目快照，给出时从快照中读取文件
+     */
+    async getIncludedFiles(rootFile, snapshot = null) {
+        const baseDir = this.dirname(rootFile);
+        const visited = new Set([rootFile]);
+        const queue = [rootFile];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const text = await this.readText(current, snapshot);
+            if (text === null) continue;
+
+            for (const target of this.getIncludeTargets(text)) {
+                const path = this.resolveRelative(baseDir, target.endsWith('.tex') ? target : `${target}.tex`);
+                if (!visited.has(path)) {
+                    visited.add(path);
+                    queue.push(path);
+                }
+            }
+        }
+
+        return visited;
+    }
+
+    getIncludeTargets(text) {
+        const targets = [];
+        const source = this.stripComments(text);
+        for (const match of source.matchAll(INCLUDE_COMMAND)) {
+            targets.push(match[1].trim());
+        }
+        return targets;
+    }
+
+    // 去掉注释（保留转义的 \%）
+    stripComments(text) {
+        return text.split('\n').map(line => line.replace(/(^|[^\\])%.*$/, '$1')).join('\n');
+    }
+
+    async getProjectTexFiles() {
+        return this.getProjectFiles('.tex');
+    }
+
+    // 获取项目中指定扩展名的所有文件（不包括编译输出目录）
+    async getProjectFiles(extension) {
+        const excludedDirs = this.ide.compileManager.excludedDirs;
+        const tree = await this.ide.fileSystem.getFileTree('/');
+        const files = [];
+
+        const walk = (node) => {
+            for (const child of node.children || []) {
+                if (child.type === 'directory') {
+                    if (!excludedDirs.includes(child.path)) walk(child);
+                } else if (child.path.endsWith(extension)) {
+                    files.push(child.path);
+                }
+            }
+        };
+        walk(tree);
+        return files;
+    }
+
+    // 读取文件内容，已打开文件以编辑器中的最新内容为准；给出项目快照时从快照中读取
+    async readText(filePath, snapshot = null) {
+        if (snapshot) return snapshot.files.get(filePath) ?? null;
+
+        const text = this.ide.getProjectFileText(filePath);
+        if (text !== null) return text;
+
+        try {
+            if (await this.ide.fileSystem.exists(filePath)) {
+                return await this.ide.fileSystem.readFile(filePath);
+            }
+        } catch (error) {
+            console.warn(`读取文件失败: ${filePath}`, error);
+        }
+        return null;
+    }
+
+    dirname(filePath) {
+        const index = filePath.lastIndexOf('/');
+        return index <= 0 ? '/' : filePath.slice(0, index);
+    }
+
+    resolveRelative(baseDir, relativePath) {
+        return this.normalizePath(`${baseDir}/${relativePath}`);
+    }
+
+    normalizePath(path) {
+        const parts = [];
+        for (const part of path.split('/')) {
+            if (!part || part === '.') continue;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+        return '/' + parts.join('/');
+    }
+}
@@ -15,7 +15,11 @@ export class SettingsManager {
                 'commandPalette': 'Ctrl+Shift+P',
                 'toggleVersionSidebar': 'Ctrl+Shift+V',
                 'createSnapshot': 'Ctrl+Shift+S',
-                'toggleAgentPanel': 'Ctrl+Shift+A'
+                'toggleAgentPanel': 'Ctrl+Shift+A',
+                'showBuildHistory': 'Ctrl+Shift+H',
+                'cleanBuild': 'Ctrl+Alt+C',
+                'showBibliographyManager': 'Ctrl+Alt+B',
+                'fastPreview': 'Shift+F5'
                 // undo/redo 由编辑器直接处理，避免冲突
             },
             plugins: {
@@ -30,13 +34,18 @@ export class SettingsManager {
                 minimap: true,
                 lineNumbers: true,
                 autoSave: false,
-                autoSaveDelay: 2000
+                autoSaveDelay: 2000,
+                formatOnSave: false,
+                formatWrap: 'off',        // 格式化时折行：off 不折行，width 按宽度折行，sentence 每句一行
+                formatLineWidth: 80,
+                formatBibSort: 'none'     // 格式化 .bib 文件时排序条目：none 不排序，key 按引用键，year 按年份
             },
             ui: {
                 sidebarWidth: 250,
                 showStatusBar: true,
                 showToolbar: true,
                 compactMode: false,
+                showBuildOutput: false,
                 showLineNumbers: true,
                 showMinimap: true
             },
@@ -61,7 +70,27 @@ export class SettingsManager {
                 disableMinimapForLargeFiles: true,
                 disableFoldingForLargeFiles: true,
                 disableWordWrapForLargeFiles: true
-            }
+            },
+            // 代码检查：rules 为规则名 -> 严重程度（error/warning/info/off），未设置的规则使用默认值
+            lint: {
+                enabled: true,
+                rules: {}
+            },
+            // 拼写检查：languages 为使用的 Hunspell 词典，severity 为拼写错误标记的严重程度
+            spelling: {
+                enabled: true,
+                languages: ['en'],
+                severity: 'info'
+            },
+            // 文献导入：keyPattern 为生成引用键的模式（预设名或 [auth][year] 形式的模板），
+            // keepImportedKeys 为是否保留导入内容中已有的引用键，normalizeBibLaTeX 为是否把 BibLaTeX 字段转换为 BibTeX 字段
+            bibliography: {
+                keyPattern: 'authoryear',
+                keepImportedKeys: true,
+                normalizeBibLaTeX: true
+            },
+            // 全局代码片段（VS Code 格式：名称 -> { prefix, body, description }）
+            snippets: {}
         };
         
         this.loadSettings();
@@ -162,7 +191,11 @@ export class SettingsManager {
             'toggleSidebar': 'Ctrl+B',
             'commandPalette': 'Ctrl+Shift+P',
             'toggleVersionSidebar': 'Ctrl+Shift+V',
-            'createSnapshot': 'Ctrl+Shift+S'
+            'createSnapshot': 'Ctrl+Shift+S',
+            'showBuildHistory': 'Ctrl+Shift+H',
+            'cleanBuild': 'Ctrl+Alt+C',
+            'showBibliographyManager': 'Ctrl+Alt+B',
+            'fastPreview': 'Shift+F5'
             // undo/redo 由编辑器直接处理，避免冲突
         };
         this.saveSettings();
@@ -215,6 +248,16 @@ export class SettingsManager {
         this.saveSettings();
     }
 
+    // 代码片段
+    getSnippets() {
+        return this.settings.snippets || {};
+    }
+
+    setSnippets(snippets) {
+        this.settings.snippets = snippets;
+        this.saveSettings();
+    }
+
     // 事件系统
     setupEventListeners() {
         this.listeners = new Map();
@@ -287,7 +330,11 @@ export class SettingsManager {
                 'commandPalette': 'Ctrl+Shift+P',
                 'toggleVersionSidebar': 'Ctrl+Shift+V',
                 'createSnapshot': 'Ctrl+Shift+S',
-                'toggleAgentPanel': 'Ctrl+Shift+A'
+                'toggleAgentPanel': 'Ctrl+Shift+A',
+                'showBuildHistory': 'Ctrl+Shift+H',
+                'cleanBuild': 'Ctrl+Alt+C',
+                'showBibliographyManager': 'Ctrl+Alt+B',
+                'fastPreview': 'Shift+F5'
             },
             plugins: {
                 enabled: [],
@@ -301,13 +348,18 @@ export class SettingsManager {
                 minimap: true,
                 lineNumbers: true,
                 autoSave: false,
-                autoSaveDelay: 2000
+                autoSaveDelay: 2000,
+                formatOnSave: false,
+                formatWrap: 'off',        // 格式化时折行：off 不折行，width 按宽度折行，sentence 每句一行
+                formatLineWidth: 80,
+                formatBibSort: 'none'     // 格式化 .bib 文件时排序条目：none 不排序，key 按引用键，year 按年份
             },
             ui: {
                 sidebarWidth: 250,
                 showStatusBar: true,
                 showToolbar: true,
                 compactMode: false,
+                showBuildOutput: false,
                 showLineNumbers: true,
                 showMinimap: true
             },
@@ -332,7 +384,27 @@ export class SettingsManager {
                 disableMinimapForLargeFiles: true,
                 disableFoldingForLargeFiles: true,
                 disableWordWrapForLargeFiles: true
-            }
+            },
+            // 代码检查：rules 为规则名 -> 严重程度（error/warning/info/off），未设置的规则使用默认值
+            lint: {
+                enabled: true,
+                rules: {}
+            },
+            // 拼写检查：languages 为使用的 Hunspell 词典，severity 为拼写错误标记的严重程度
+            spelling: {
+                enabled: true,
+                languages: ['en'],
+                severity: 'info'
+            },
+            // 文献导入：keyPattern 为生成引用键的模式（预设名或 [auth][year] 形式的模板），
+            // keepImportedKeys 为是否保留导入内容中已有的引用键，normalizeBibLaTeX 为是否把 BibLaTeX 字段转换为 BibTeX 字段
+            bibliography: {
+                keyPattern: 'authoryear',
+                keepImportedKeys: true,
+                normalizeBibLaTeX: true
+            },
+            // 全局代码片段（VS Code 格式：名称 -> { prefix, body, description }）
+            snippets: {}
         };
     }
 } 
\ No newline at end of file
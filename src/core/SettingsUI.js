@@ -1,3 +1,7 @@
+import { parseSnippetJson } from './SnippetManager.js';
+import { LINT_RULES } from './LintRules.js';
+import { SPELLING_LANGUAGES, PROJECT_DICTIONARY_PATH } from './SpellCheck.js';
+
 export class SettingsUI {
     constructor(settingsManager, shortcutManager, pluginManager) {
         this.settingsManager = settingsManager;
@@ -62,6 +66,15 @@ export class SettingsUI {
             case 'editor':
                 this.loadEditorSettings();
                 break;
+            case 'snippets':
+                this.loadSnippetSettings();
+                break;
+            case 'lint':
+                this.loadLintSettings();
+                break;
+            case 'spelling':
+                this.loadSpellingSettings();
+                break;
             case 'ui':
                 this.loadUISettings();
                 break;
@@ -86,7 +99,7 @@ export class SettingsUI {
             'saveFile': '创建快照（内容已实时同步）',
             'closeTab': '关闭标签',
             'compile': '编译',
-            'rename': '重命名',
+            'rename': '重命名（编辑器中为符号重命名）',
             'delete': '删除',
             'find': '查找',
             'replace': '替换',
@@ -94,6 +107,10 @@ export class SettingsUI {
             'commandPalette': '命令面板',
             'toggleVersionSidebar': '切换版本侧边栏',
             'createSnapshot': '创建快照',
+            'showBuildHistory': '编译历史',
+            'cleanBuild': '清理编译输出',
+            'fastPreview': '快速预览当前章节',
+            'showBibliographyManager': '文献管理',
             'undo': '撤销',
             'redo': '重做'
         };
@@ -253,6 +270,10 @@ export class SettingsUI {
         const minimap = document.getElementById('editorMinimap');
         const autoSave = document.getElementById('editorAutoSave');
         const autoSaveDelay = document.getElementById('editorAutoSaveDelay');
+        const formatOnSave = document.getElementById('editorFormatOnSave');
+        const formatWrap = document.getElementById('editorFormatWrap');
+        const formatLineWidth = document.getElementById('editorFormatLineWidth');
+        const formatBibSort = document.getElementById('editorFormatBibSort');
 
         if (fontSize) {
             fontSize.addEventListener('change', () => {
@@ -289,6 +310,30 @@ export class SettingsUI {
                 this.settingsManager.set('editor', 'autoSaveDelay', parseInt(autoSaveDelay.value));
             });
         }
+
+        if (formatOnSave) {
+            formatOnSave.addEventListener('change', () => {
+                this.settingsManager.set('editor', 'formatOnSave', formatOnSave.checked);
+            });
+        }
+
+        if (formatWrap) {
+            formatWrap.addEventListener('change', () => {
+                this.settingsManager.set('editor', 'formatWrap', formatWrap.value);
+            });
+        }
+
+        if (formatLineWidth) {
+            formatLineWidth.addEventListener('change', () => {
+                this.settingsManager.set('editor', 'formatLineWidth', parseInt(formatLineWidth.value));
+            });
+        }
+
+        if (formatBibSort) {
+            formatBibSort.addEventListener('change', () => {
+                this.settingsManager.set('editor', 'formatBibSort', formatBibSort.value);
+            });
+        }
     }
 
     loadEditorSettings() {
@@ -300,6 +345,10 @@ export class SettingsUI {
         const minimap = document.getElementById('editorMinimap');
         const autoSave = document.getElementById('editorAutoSave');
         const autoSaveDelay = document.getElementById('editorAutoSaveDelay');
+        const formatOnSave = document.getElementById('editorFormatOnSave');
+        const formatWrap = document.getElementById('editorFormatWrap');
+        const formatLineWidth = document.getElementById('editorFormatLineWidth');
+        const formatBibSort = document.getElementById('editorFormatBibSort');
 
         if (fontSize) fontSize.value = settings.fontSize;
         if (theme) theme.value = settings.theme;
@@ -307,6 +356,273 @@ export class SettingsUI {
         if (minimap) minimap.checked = settings.minimap;
         if (autoSave) autoSave.checked = settings.autoSave;
         if (autoSaveDelay) autoSaveDelay.value = settings.autoSaveDelay;
+        if (formatOnSave) formatOnSave.checked = settings.formatOnSave;
+        if (formatWrap) formatWrap.value = settings.formatWrap;
+        if (formatLineWidth) formatLineWidth.value = settings.formatLineWidth;
+        if (formatBibSort) formatBibSort.value = settings.formatBibSort || 'none';
+    }
+
+    // 代码片段管理
+    async loadSnippetSettings(scope = this.snippetScope || 'global') {
+        const snippetsTab = document.getElementById('snippets-tab');
+        const snippetManager = window.ide?.snippetManager;
+        if (!snippetManager) {
+            snippetsTab.innerHTML = `
+                <h3>代码片段</h3>
+                <p>代码片段尚未初始化</p>
+            `;
+            return;
+        }
+
+        this.snippetScope = scope;
+        const text = scope === 'project'
+            ? await snippetManager.readProjectSnippetText()
+            : snippetManager.getGlobalSnippetText();
+
+        snippetsTab.innerHTML = `
+            <h3>代码片段</h3>
+
+            <div class="setting-group">
+                <label>范围</label>
+                <select id="snippetScope" onchange="window.settingsUI.loadSnippetSettings(this.value)">
+                    <option value="global" ${scope === 'global' ? 'selected' : ''}>全局（所有项目）</option>
+                    <option value="project" ${scope === 'project' ? 'selected' : ''}>当前项目（/.latexide/snippets.json）</option>
+                </select>
+                <div class="setting-description">
+                    使用 VS Code 的代码片段格式。prefix 为补全时输入的前缀，body 中可以使用 $1、\${1:默认值}、\${1|选项1,选项2|}、$0
+                    以及 $TM_FILENAME、$TM_SELECTED_TEXT、$CURRENT_DATE 等变量。同名时项目代码片段优先
+                </div>
+            </div>
+
+            <div class="setting-group">
+                <textarea id="snippetEditor" class="snippet-editor" spellcheck="false"></textarea>
+                <div class="snippet-status" id="snippetStatus"></div>
+            </div>
+
+            <div class="setting-group">
+                <button class="btn-secondary" onclick="window.settingsUI.addSnippetTemplate()">添加示例代码片段</button>
+                <button class="btn-primary" onclick="window.settingsUI.saveSnippets()">保存</button>
+            </div>
+
+            <div class="setting-group">
+                <h4>已加载的代码片段</h4>
+                <div class="plugins-list snippet-list" id="snippetList"></div>
+            </div>
+        `;
+
+        // 通过 value 设置，避免 JSON 中的字符被当作 HTML
+        document.getElementById('snippetEditor').value = text;
+        this.renderSnippetList();
+        this.showSnippetErrors(snippetManager.getErrors()[scope]);
+    }
+
+    renderSnippetList() {
+        const snippetManager = window.ide.snippetManager;
+        const snippets = snippetManager.getSnippets();
+        const list = document.getElementById('snippetList');
+        if (!list) return;
+
+        if (snippets.length === 0) {
+            list.innerHTML = '<div class="snippet-picker-empty">暂无代码片段</div>';
+            return;
+        }
+
+        const sourceNames = { plugin: '插件', global: '全局', project: '项目' };
+        list.innerHTML = snippets.map(snippet => `
+            <div class="snippet-picker-item">
+                <span class="snippet-picker-name">${snippetManager.escapeHtml(snippet.name)}</span>
+                <span class="snippet-picker-prefix">${snippetManager.escapeHtml(snippet.prefixes.join(', ') || '（无前缀）')}</span>
+                <span class="snippet-picker-description">${snippetManager.escapeHtml(snippet.description)}</span>
+                <span class="snippet-picker-source">${sourceNames[snippet.source]}</span>
+            </div>
+        `).join('');
+    }
+
+    showSnippetErrors(errors) {
+        const status = document.getElementById('snippetStatus');
+        if (!status) return;
+        status.className = `snippet-status${errors.length > 0 ? ' error' : ''}`;
+        status.textContent = errors.join('\n');
+    }
+
+    async saveSnippets() {
+        const snippetManager = window.ide?.snippetManager;
+        const editor = document.getElementById('snippetEditor');
+        if (!snippetManager || !editor) return;
+
+        try {
+            const errors = this.snippetScope === 'project'
+                ? await snippetManager.saveProjectSnippets(editor.value)
+                : snippetManager.saveGlobalSnippets(editor.value);
+            this.showSnippetErrors(errors);
+            this.renderSnippetList();
+            this.showNotification(errors.length > 0 ? '代码片段已保存，部分代码片段有错误' : '代码片段已保存', errors.length > 0 ? 'warning' : 'success');
+        } catch (error) {
+            this.showSnippetErrors([error.message]);
+        }
+    }
+
+    addSnippetTemplate() {
+        const editor = document.getElementById('snippetEditor');
+        let snippets;
+        try {
+            snippets = parseSnippetJson(editor.value);
+        } catch (error) {
+            this.showSnippetErrors([error.message]);
+            return;
+        }
+
+        let name = '定理';
+        for (let i = 2; snippets[name]; i++) name = `定理 ${i}`;
+        snippets[name] = {
+            prefix: 'thm',
+            body: [
+                '\\begin{${1|theorem,lemma,proposition,corollary|}}[${2:标题}]',
+                '\t\\label{${3:thm:}}',
+                '\t${0:$TM_SELECTED_TEXT}',
+                '\\end{$1}'
+            ],
+            description: '定理类环境'
+        };
+        editor.value = JSON.stringify(snippets, null, 2);
+        this.showSnippetErrors([]);
+    }
+
+    // 代码检查
+    loadLintSettings() {
+        const lintTab = document.getElementById('lint-tab');
+        const settings = this.settingsManager.get('lint') || {};
+        const rules = settings.rules || {};
+        const severityNames = { error: '错误', warning: '警告', info: '提示', off: '关闭' };
+
+        lintTab.innerHTML = `
+            <h3>代码检查</h3>
+
+            <div class="setting-group">
+                <label>
+                    <input type="checkbox" id="lintEnabled" ${settings.enabled !== false ? 'checked' : ''}
+                           onchange="window.settingsUI.setLintEnabled(this.checked)">
+                    编辑时检查 LaTeX 代码
+                </label>
+                <div class="setting-description">
+                    在行尾加上 % lint-disable-line 可忽略该行的问题，% lint-disable-next-line 忽略下一行；
+                    后面可以跟规则名，如 % lint-disable-line missing-tie
+                </div>
+            </div>
+
+            ${Object.entries(LINT_RULES).map(([rule, info]) => `
+                <div class="setting-group">
+                    <label>${rule}</label>
+                    <select onchange="window.settingsUI.setLintSeverity('${rule}', this.value)">
+                        ${Object.entries(severityNames).map(([severity, name]) => `
+                            <option value="${severity}" ${(rules[rule] || info.severity) === severity ? 'selected' : ''}>
+                                ${name}${severity === info.severity ? '（默认）' : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                    <div class="setting-description">${info.description}</div>
+                </div>
+            `).join('')}
+
+            <div class="setting-group">
+                <button class="btn-secondary" onclick="window.settingsUI.resetLintSettings()">重置为默认</button>
+            </div>
+        `;
+    }
+
+    setLintEnabled(enabled) {
+        this.settingsManager.set('lint', 'enabled', enabled);
+    }
+
+    setLintSeverity(rule, severity) {
+        const rules = { ...(this.settingsManager.get('lint', 'rules') || {}) };
+        if (severity === LINT_RULES[rule].severity) {
+            delete rules[rule];
+        } else {
+            rules[rule] = severity;
+        }
+        this.settingsManager.set('lint', 'rules', rules);
+    }
+
+    resetLintSettings() {
+        this.settingsManager.set('lint', { enabled: true, rules: {} });
+        this.loadLintSettings();
+        this.showNotification('代码检查设置已重置', 'success');
+    }
+
+    // 拼写检查
+    async loadSpellingSettings() {
+        const spellingTab = document.getElementById('spelling-tab');
+        const settings = this.settingsManager.get('spelling') || {};
+        const languages = settings.languages || ['en'];
+        const severity = settings.severity || 'info';
+        const severityNames = { error: '错误', warning: '警告', info: '提示', hint: '仅标记（不显示波浪线）' };
+        const spellChecker = window.ide?.spellChecker;
+
+        spellingTab.innerHTML = `
+            <h3>拼写检查</h3>
+
+            <div class="setting-group">
+                <label>
+                    <input type="checkbox" ${settings.enabled !== false ? 'checked' : ''}
+                           onchange="window.settingsUI.setSpellingSetting('enabled', this.checked)">
+                    检查正文拼写与重复的单词
+                </label>
+                <div class="setting-description">命令、公式、注释、标签、引用键与逐字环境不检查；中文不检查</div>
+            </div>
+
+            <div class="setting-group">
+                <label>词典（单词在任一词典中即视为正确）</label>
+                ${Object.entries(SPELLING_LANGUAGES).map(([language, name]) => `
+                    <label>
+                        <input type="checkbox" ${languages.includes(language) ? 'checked' : ''}
+                               onchange="window.settingsUI.toggleSpellingLanguage('${language}', this.checked)">
+                        ${name}
+                    </label>
+                `).join('')}
+            </div>
+
+            <div class="setting-group">
+                <label>严重程度</label>
+                <select onchange="window.settingsUI.setSpellingSetting('severity', this.value)">
+                    ${Object.entries(severityNames).map(([value, name]) => `
+                        <option value="${value}" ${severity === value ? 'selected' : ''}>${name}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="setting-group">
+                <label>项目词典（${PROJECT_DICTIONARY_PATH}，每行一个单词）</label>
+                <textarea id="spellingDictionary" class="snippet-editor" spellcheck="false"></textarea>
+                <button class="btn-primary" onclick="window.settingsUI.saveSpellingDictionary()">保存词典</button>
+            </div>
+        `;
+
+        const dictionary = document.getElementById('spellingDictionary');
+        if (spellChecker) {
+            dictionary.value = await spellChecker.readDictionaryText();
+        } else {
+            dictionary.disabled = true;
+        }
+    }
+
+    setSpellingSetting(key, value) {
+        this.settingsManager.set('spelling', key, value);
+    }
+
+    toggleSpellingLanguage(language, enabled) {
+        const languages = (this.settingsManager.get('spelling', 'languages') || ['en']).filter(item => item !== language);
+        if (enabled) languages.push(language);
+        this.settingsManager.set('spelling', 'languages', languages);
+    }
+
+    async saveSpellingDictionary() {
+        const spellChecker = window.ide?.spellChecker;
+        const dictionary = document.getElementById('spellingDictionary');
+        if (!spellChecker || !dictionary) return;
+
+        await spellChecker.saveDictionary(dictionary.value);
+        this.showNotification('项目词典已保存', 'success');
     }
 
     // UI 设置
@@ -316,6 +632,7 @@ export class SettingsUI {
         const showStatusBar = document.getElementById('showStatusBar');
         const showToolbar = document.getElementById('showToolbar');
         const compactMode = document.getElementById('compactMode');
+        const showBuildOutput = document.getElementById('showBuildOutput');
 
         if (sidebarWidth) {
             sidebarWidth.addEventListener('input', () => {
@@ -342,6 +659,12 @@ export class SettingsUI {
                 this.settingsManager.set('ui', 'compactMode', compactMode.checked);
             });
         }
+
+        if (showBuildOutput) {
+            showBuildOutput.addEventListener('change', () => {
+                this.settingsManager.set('ui', 'showBuildOutput', showBuildOutput.checked);
+            });
+        }
     }
 
     loadUISettings() {
@@ -352,6 +675,7 @@ export class SettingsUI {
         const showStatusBar = document.getElementById('showStatusBar');
         const showToolbar = document.getElementById('showToolbar');
         const compactMode = document.getElementById('compactMode');
+        const showBuildOutput = document.getElementById('showBuildOutput');
 
         if (sidebarWidth) {
             sidebarWidth.value = settings.sidebarWidth;
@@ -360,6 +684,7 @@ export class SettingsUI {
         if (showStatusBar) showStatusBar.checked = settings.showStatusBar;
         if (showToolbar) showToolbar.checked = settings.showToolbar;
         if (compactMode) compactMode.checked = settings.compactMode;
+        if (showBuildOutput) showBuildOutput.checked = !!settings.showBuildOutput;
     }
 
     // 导入/导出
@@ -0,0 +1,413 @@
+import * as monaco from 'monaco-editor';
+import { fuzzyScore } from './BibliographyIndex.js';
+
+/**
+ * 代码片段
+ * 使用 VS Code 格式的代码片段 JSON（允许 // 与 /* *\/ 注释）：
+ * {
+ *   "定理": {
+ *     "prefix": ["thm", "theorem"],
+ *     "body": ["\\begin{${1|theorem,lemma,proposition|}}", "\t$0", "\\end{$1}"],
+ *     "description": "定理类环境"
+ *   }
+ * }
+ * 全局代码片段保存在设置中，项目代码片段保存在 /.latexide/snippets.json，同名时项目优先
+ *
+ * 支持 Tab 停靠点（$1、${1:默认值}、$0）、选项（${1|a,b|}）与变量：
+ * TM_FILENAME、TM_FILENAME_BASE、TM_FILEPATH、TM_DIRECTORY、TM_SELECTED_TEXT、
+ * CURRENT_YEAR、CURRENT_MONTH、CURRENT_DATE 等
+ * 输入 prefix 时出现在补全列表中，"插入代码片段"命令可以用选中的内容填充 TM_SELECTED_TEXT
+ */
+
+export const PROJECT_SNIPPETS_PATH = '/.latexide/snippets.json';
+
+// 编辑器所有文件共用一个模型，文件相关的变量需要按当前文件自己替换
+const FILE_VARIABLES = ['TM_FILENAME', 'TM_FILENAME_BASE', 'TM_FILEPATH', 'TM_DIRECTORY', 'RELATIVE_FILEPATH'];
+const VARIABLE = new RegExp(`\\$(?:(${FILE_VARIABLES.join('|')})\\b|\\{(${FILE_VARIABLES.join('|')})(?::([^}]*))?\\})`, 'g');
+
+const SOURCE_NAMES = {
+    plugin: '插件',
+    global: '全局',
+    project: '项目'
+};
+
+/**
+ * 解析代码片段 JSON
+ * @param {string} text - 代码片段文件内容
+ * @returns {Object} 代码片段对象
+ * @throws {Error} JSON 格式错误
+ */
+export function parseSnippetJson(text) {
+    const source = stripJsonComments(text).trim();
+    if (!source) return {};
+
+    let value;
+    try {
+        value = JSON.parse(source);
+    } catch (error) {
+        throw new Error(`代码片段 JSON 格式错误: ${error.message}`);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('代码片段文件应为 { "名称": { "prefix": ..., "body": ... } } 形式的对象');
+    }
+    return value;
+}
+
+/**
+ * 检查并整理代码片段
+ * @returns {Object} { snippets: [{ name, prefixes, body, description, scope, source }], errors }
+ */
+export function normalizeSnippets(definitions, source) {
+    const snippets = [];
+    const errors = [];
+
+    for (const [name, definition] of Object.entries(definitions)) {
+        if (!definition || typeof definition !== 'object') {
+            errors.push(`代码片段 "${name}" 应为对象`);
+            continue;
+        }
+
+        const body = Array.isArray(definition.body) ? definition.body.join('\n') : definition.body;
+        if (typeof body !== 'string') {
+            errors.push(`代码片段 "${name}" 缺少 body`);
+            continue;
+        }
+
+        const prefixes = (Array.isArray(definition.prefix) ? definition.prefix : [definition.prefix])
+            .filter(prefix => typeof prefix === 'string' && prefix.trim())
+            .map(prefix => prefix.trim());
+        const scope = typeof definition.scope === 'string'
+            ? definition.scope.split(',').map(item => item.trim()).filter(Boolean)
+            : null;
+
+        snippets.push({
+            name,
+            prefixes,
+            body,
+            description: typeof definition.description === 'string' ? definition.description : '',
+            scope: scope && scope.length > 0 ? scope : null,
+            source
+        });
+    }
+
+    return { snippets, errors };
+}
+
+// 去掉 JSON 中的注释（字符串中的 // 保持不变）
+function stripJsonComments(text) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            result += ch;
+            if (ch === '\\') {
+                result += text[++i] || '';
+            } else if (ch === '"') {
+                inString = false;
+            }
+        } else if (ch === '"') {
+            inString = true;
+            result += ch;
+        } else if (ch === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            result += '\n';
+        } else if (ch === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else {
+            result += ch;
+        }
+    }
+    return result;
+}
+
+export class SnippetManager {
+    constructor(ide) {
+        this.ide = ide;
+        this.pluginSnippets = new Map(); // 名称 -> 插件通过 registerSnippet 注册的代码片段
+        this.globalSnippets = { snippets: [], errors: [] };
+        this.projectSnippets = { snippets: [], errors: [] };
+        this.completionProvider = null;
+
+        // 插入代码片段的选择列表
+        this.picker = {
+            modal: document.getElementById('snippetPickerModal'),
+            filter: document.getElementById('snippetPickerFilter'),
+            list: document.getElementById('snippetPickerList'),
+            items: [],
+            active: 0,
+            selection: null
+        };
+        this.setupPicker();
+    }
+
+    init() {
+        this.completionProvider = monaco.languages.registerCompletionItemProvider('latex', {
+            provideCompletionItems: (model, position) => this.provideCompletionItems(model, position)
+        });
+
+        this.ide.editor?.addAction({
+            id: 'snippets.insert',
+            label: '插入代码片段...',
+            contextMenuGroupId: '1_modification',
+            contextMenuOrder: 2,
+            run: () => this.showPicker()
+        });
+
+        this.ide.settingsManager.on('settingsChanged', () => this.loadGlobalSnippets());
+        this.ide.projectSnapshot.onChange((snapshot) => {
+            if (snapshot.changed.has(PROJECT_SNIPPETS_PATH)) this.loadProjectSnippets(snapshot);
+        });
+
+        this.loadGlobalSnippets();
+        this.loadProjectSnippets();
+    }
+
+    loadGlobalSnippets() {
+        this.globalSnippets = normalizeSnippets(this.ide.settingsManager.getSnippets(), 'global');
+    }
+
+    // 加载项目代码片段，给出项目快照时从快照中读取
+    async loadProjectSnippets(snapshot = null) {
+        try {
+            const text = await this.ide.rootDocumentResolver.readText(PROJECT_SNIPPETS_PATH, snapshot);
+            this.projectSnippets = text === null
+                ? { snippets: [], errors: [] }
+                : normalizeSnippets(parseSnippetJson(text), 'project');
+        } catch (error) {
+            console.warn('加载项目代码片段失败:', error);
+            this.projectSnippets = { snippets: [], errors: [error.message] };
+        }
+    }
+
+    /**
+     * 插件注册代码片段（优先级低于全局与项目代码片段）
+     * @param {string} name - 名称
+     * @param {Object} definition - { prefix, body, description, scope }
+     */
+    registerSnippet(name, definition) {
+        const { snippets, errors } = normalizeSnippets({ [name]: definition }, 'plugin');
+        if (errors.length > 0) {
+            console.error('注册代码片段失败:', errors[0]);
+            return;
+        }
+        this.pluginSnippets.set(name, snippets[0]);
+    }
+
+    /**
+     * 获取可用的代码片段，同名时项目 > 全局 > 插件
+     * @param {string} languageId - 只返回适用于该语言的代码片段，省略时返回全部
+     */
+    getSnippets(languageId = null) {
+        const snippets = new Map();
+        for (const snippet of [
+            ...this.pluginSnippets.values(),
+            ...this.globalSnippets.snippets,
+            ...this.projectSnippets.snippets
+        ]) {
+            snippets.set(snippet.name, snippet);
+        }
+
+        return [...snippets.values()].filter(snippet =>
+            !languageId || !snippet.scope || snippet.scope.includes(languageId)
+        );
+    }
+
+    getErrors() {
+        return {
+            global: this.globalSnippets.errors,
+            project: this.projectSnippets.errors
+        };
+    }
+
+    getGlobalSnippetText() {
+        return JSON.stringify(this.ide.settingsManager.getSnippets(), null, 2);
+    }
+
+    async readProjectSnippetText() {
+        return (await this.ide.rootDocumentResolver.readText(PROJECT_SNIPPETS_PATH)) ?? '{\n}\n';
+    }
+
+    /**
+     * 保存全局代码片段（JSON 格式错误时抛出异常，不保存）
+     * @returns {Array} 各代码片段的问题
+     */
+    saveGlobalSnippets(text) {
+        const definitions = parseSnippetJson(text);
+        this.ide.settingsManager.setSnippets(definitions);
+        this.loadGlobalSnippets();
+        return this.globalSnippets.errors;
+    }
+
+    /**
+     * 保存项目代码片段到 /.latexide/snippets.json，同时写入项目文档使其进入版本快照
+     * @returns {Array} 各代码片段的问题
+     */
+    async saveProjectSnippets(text) {
+        parseSnippetJson(text);
+
+        await this.ide.versionManager.setFileText(PROJECT_SNIPPETS_PATH, text, { writeToDisk: true });
+
+        await this.loadProjectSnippets();
+        return this.projectSnippets.errors;
+    }
+
+    /**
+     * 替换代码片段中与文件有关的变量
+     */
+    resolveVariables(body, filePath) {
+        const path = filePath || '';
+        const fileName = path.split('/').pop();
+        const values = {
+            TM_FILENAME: fileName,
+            TM_FILENAME_BASE: fileName.replace(/\.[^.]*$/, ''),
+            TM_FILEPATH: path,
+            TM_DIRECTORY: path ? this.ide.rootDocumentResolver.dirname(path) : '',
+            RELATIVE_FILEPATH: path.replace(/^\//, '')
+        };
+
+        return body.replace(VARIABLE, (match, bare, braced, defaultValue) => {
+            const value = values[bare || braced] || defaultValue || '';
+            // 插入的是 snippet，值中的 $、} 与反斜杠需要转义
+            return value.replace(/[\\$}]/g, '\\$&');
+        });
+    }
+
+    provideCompletionItems(model, position) {
+        const snippets = this.getSnippets(model.getLanguageId());
+        if (snippets.length === 0) return { suggestions: [] };
+
+        // 前缀可以包含反斜杠等符号，以光标前最近的空白或括号为界
+        const beforeCursor = model.getLineContent(position.lineNumber).substring(0, position.column - 1);
+        const token = beforeCursor.match(/[^\s{}[\]()]*$/)[0];
+        const range = {
+            startLineNumber: position.lineNumber,
+            endLineNumber: position.lineNumber,
+            startColumn: position.column - token.length,
+            endColumn: position.column
+        };
+
+        const suggestions = [];
+        for (const snippet of snippets) {
+            const insertText = this.resolveVariables(snippet.body, this.ide.currentFile);
+            for (const prefix of snippet.prefixes) {
+                suggestions.push({
+                    label: { label: prefix, description: snippet.name },
+                    kind: monaco.languages.CompletionItemKind.Snippet,
+                    insertText,
+                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                    detail: `${snippet.description || snippet.name}（${SOURCE_NAMES[snippet.source]}代码片段）`,
+                    documentation: { value: '```latex\n' + snippet.body + '\n```' },
+                    range
+                });
+            }
+        }
+        return { suggestions };
+    }
+
+    setupPicker() {
+        const { modal, filter, list } = this.picker;
+        if (!modal) return;
+
+        filter.addEventListener('input', () => this.renderPicker());
+        filter.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const count = this.picker.items.length;
+                if (count === 0) return;
+                this.picker.active = (this.picker.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                this.updateActiveItem();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const snippet = this.picker.items[this.picker.active];
+                if (snippet) this.insertSnippet(snippet);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hidePicker();
+            }
+        });
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.snippet-picker-item');
+            if (item) this.insertSnippet(this.picker.items[parseInt(item.dataset.index, 10)]);
+        });
+    }
+
+    // 打开选择列表；记住编辑器中的选区，插入时作为 TM_SELECTED_TEXT
+    showPicker() {
+        const editor = this.ide.editor;
+        if (!editor || !this.picker.modal) return;
+
+        this.picker.selection = editor.getSelection();
+        this.picker.filter.value = '';
+        this.renderPicker();
+        this.picker.modal.style.display = 'flex';
+        this.picker.filter.focus();
+    }
+
+    hidePicker() {
+        this.picker.modal.style.display = 'none';
+        this.ide.editor?.focus();
+    }
+
+    renderPicker() {
+        const query = this.picker.filter.value.trim().toLowerCase();
+        const languageId = this.ide.editor?.getModel()?.getLanguageId();
+
+        this.picker.items = this.getSnippets(languageId)
+            .map(snippet => {
+                const score = fuzzyScore(query, [snippet.name, ...snippet.prefixes, snippet.description].join(' ').toLowerCase());
+                return { snippet, score };
+            })
+            .filter(item => item.score !== null)
+            .sort((a, b) => b.score - a.score || a.snippet.name.localeCompare(b.snippet.name))
+            .map(item => item.snippet);
+        this.picker.active = 0;
+
+        if (this.picker.items.length === 0) {
+            this.picker.list.innerHTML = `<div class="snippet-picker-empty">${query ? '没有匹配的代码片段' : '还没有代码片段，可以在 设置 → 代码片段 中添加'}</div>`;
+            return;
+        }
+
+        this.picker.list.innerHTML = this.picker.items.map((snippet, index) => `
+            <div class="snippet-picker-item" data-index="${index}">
+                <span class="snippet-picker-name">${this.escapeHtml(snippet.name)}</span>
+                <span class="snippet-picker-prefix">${this.escapeHtml(snippet.prefixes.join(', '))}</span>
+                <span class="snippet-picker-description">${this.escapeHtml(snippet.description)}</span>
+                <span class="snippet-picker-source">${SOURCE_NAMES[snippet.source]}</span>
+            </div>
+        `).join('');
+        this.updateActiveItem();
+    }
+
+    updateActiveItem() {
+        this.picker.list.querySelectorAll('.snippet-picker-item').forEach((item, index) => {
+            item.classList.toggle('active', index === this.picker.active);
+            if (index === this.picker.active) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    insertSnippet(snippet) {
+        const editor = this.ide.editor;
+        this.hidePicker();
+        if (!editor || !snippet) return;
+
+        if (this.picker.selection) {
+            editor.setSelection(this.picker.selection);
+        }
+        // 由编辑器的 snippet 控制器插入，选中的内容会替换 TM_SELECTED_TEXT
+        const controller = editor.getContribution('snippetController2');
+        controller.insert(this.resolveVariables(snippet.body, this.ide.currentFile));
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        this.completionProvider?.dispose();
+        this.completionProvider = null;
+    }
+}
@@ -0,0 +1,227 @@
+import { stripComments, getLineStarts, findLine } from './DocumentStructure.js';
+import { scanMathRegions } from './MathRegions.js';
+import { maskVerbatim, maskDefinitions } from './LintRules.js';
+
+/**
+ * 拼写检查的正文提取
+ * 跳过命令名、公式、注释、逐字环境，以及标签、引用键、文件名、颜色等不是正文的参数，
+ * 只返回需要查词典的单词。不依赖 DOM，可以在 Worker 中运行
+ */
+
+export const SPELLING_LANGUAGES = {
+    en: 'English (US)',
+    'en-GB': 'English (UK)',
+    de: 'Deutsch',
+    fr: 'Français',
+    es: 'Español'
+};
+
+export const SPELLING_SEVERITIES = ['error', 'warning', 'info', 'hint'];
+
+// 项目词典，每行一个单词，# 开头的行为注释
+export const PROJECT_DICTIONARY_PATH = '/.latexide/dictionary.txt';
+
+// 参数不是正文的命令 -> 跳过的花括号参数个数（命令后的 [...] 可选参数一并跳过）
+const NON_PROSE_ARGUMENTS = {
+    label: 1, ref: 1, eqref: 1, pageref: 1, autoref: 1, cref: 1, Cref: 1, vref: 1, nameref: 1, labelcref: 1,
+    cite: 1, citep: 1, citet: 1, citealp: 1, citeauthor: 1, citeyear: 1, parencite: 1, textcite: 1,
+    autocite: 1, footcite: 1, fullcite: 1, nocite: 1,
+    input: 1, include: 1, includeonly: 1, includegraphics: 1, includepdf: 1, lstinputlisting: 1, inputminted: 2,
+    documentclass: 1, usepackage: 1, RequirePackage: 1, bibliography: 1, bibliographystyle: 1, addbibresource: 1, graphicspath: 1,
+    begin: 1, end: 1, url: 1, href: 1, hypersetup: 1, geometry: 1,
+    color: 1, textcolor: 1, colorbox: 1, pagecolor: 1, definecolor: 3,
+    pagestyle: 1, thispagestyle: 1, pagenumbering: 1, vspace: 1, hspace: 1,
+    setlength: 2, addtolength: 2, setcounter: 2, addtocounter: 2, newcounter: 1,
+    tikzset: 1, pgfplotsset: 1, lstset: 1, setmainfont: 1, setsansfont: 1, setmonofont: 1, setCJKmainfont: 1
+};
+
+// \begin{环境} 之后不是正文的参数个数，如表格的列格式
+const ENVIRONMENT_ARGUMENTS = {
+    tabular: 1, 'tabular*': 2, tabularx: 2, tabulary: 2, longtable: 1, array: 1,
+    minipage: 1, wrapfigure: 2, multicols: 1, subfigure: 1
+};
+
+// 内容不是正文的环境
+const NON_PROSE_ENVIRONMENTS = /(\\begin\s*\{(tikzpicture|picture|axis|pgfpicture|filecontents\*?)\})([\s\S]*?)(\\end\s*\{\2\})/g;
+
+// 拉丁字母组成的单词（中文等其他文字不检查）
+const WORD = /[\p{Script=Latin}\p{M}]+(?:['’][\p{Script=Latin}\p{M}]+)*/gu;
+
+/**
+ * 提取需要检查拼写的单词，并查找连续重复的单词（如 "the the"）
+ * @param {string} text - LaTeX 源码
+ * @returns {Object} { words: [{ word, line, column, endColumn, offset }], repeated: [{ word, line, column, endColumn, fix }] }
+ *   行列号从 1 开始；fix 为删除重复单词的修改，无法安全删除时为 null
+ */
+export function extractProse(text) {
+    const prose = maskNonProse(text);
+    const lineStarts = getLineStarts(text);
+    const words = findWords(prose, lineStarts);
+    return { words, repeated: findRepeatedWords(text, words, lineStarts) };
+}
+
+function findWords(prose, lineStarts) {
+    const words = [];
+
+    for (const match of prose.matchAll(WORD)) {
+        let word = match[0];
+        const before = prose[match.index - 1] || '';
+        const after = prose[match.index + word.length] || '';
+
+        // 标识符、路径、网址与数字中的字母
+        if (/[\d_@/\\.:]/.test(before) || /[\d_@/\\:]/.test(after)) continue;
+        // 所有格与结尾的撇号
+        word = word.replace(/['’]s$|['’]$/, '');
+        if (word.length < 2) continue;
+        // 缩写（PDF）与混合大小写的名称（LaTeX、iPhone）
+        if (/\p{Lu}/u.test(word.slice(1))) continue;
+
+        const line = findLine(lineStarts, match.index);
+        const column = match.index - lineStarts[line] + 1;
+        words.push({ word, line: line + 1, column, endColumn: column + word.length, offset: match.index });
+    }
+
+    return words;
+}
+
+// 相邻的两个单词相同且中间只有空白
+function findRepeatedWords(text, words, lineStarts) {
+    const repeated = [];
+
+    for (let i = 1; i < words.length; i++) {
+        const previous = words[i - 1];
+        const current = words[i];
+        if (previous.word.toLowerCase() !== current.word.toLowerCase()) continue;
+
+        // 原文中两词之间只能是空白：被遮盖的数学公式、命令或注释隔开的相同单词不算重复
+        const previousEnd = previous.offset + previous.word.length;
+        const gap = text.slice(previousEnd, current.offset);
+        if (!/^\s+$/.test(gap) || /\n\s*\n/.test(gap)) continue;
+
+        const start = findLine(lineStarts, previousEnd);
+        repeated.push({
+            word: current.word,
+            line: current.line,
+            column: current.column,
+            endColumn: current.endColumn,
+            fix: {
+                line: start + 1,
+                column: previousEnd - lineStarts[start] + 1,
+                endLine: current.line,
+                endColumn: current.endColumn,
+                text: ''
+            }
+        });
+    }
+
+    return repeated;
+}
+
+/**
+ * 解析项目词典
+ * @returns {Array} 单词列表
+ */
+export function parseDictionary(text) {
+    return (text || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+// 把不是正文的内容替换为空格（保留换行与位置）
+function maskNonProse(text) {
+    let source = maskDefinitions(stripComments(maskVerbatim(text)))
+        .replace(NON_PROSE_ENVIRONMENTS, (match, begin, name, content, end) => begin + blank(content) + end);
+
+    // 公式
+    let masked = '';
+    let last = 0;
+    for (const region of scanMathRegions(source)) {
+        masked += source.slice(last, region.start) + blank(source.slice(region.start, region.end));
+        last = region.end;
+    }
+    source = masked + source.slice(last);
+
+    return maskCommands(source);
+}
+
+// 命令名与不是正文的参数替换为空格
+function maskCommands(source) {
+    const chars = source.split('');
+    const fill = (start, end) => {
+        for (let i = start; i < end; i++) {
+            if (chars[i] !== '\n') chars[i] = ' ';
+        }
+    };
+
+    for (const match of source.matchAll(/\\([a-zA-Z@]+\*?|.)/g)) {
+        const start = match.index;
+        let end = start + match[0].length;
+        const name = match[1];
+
+        // 带重音符号（caf\'e）或断词提示（hy\-phen）的单词整体跳过
+        if (/^['"^`~=.-]$/.test(name)) {
+            let tokenStart = start;
+            while (tokenStart > 0 && !/\s/.test(source[tokenStart - 1])) tokenStart--;
+            while (end < source.length && !/\s/.test(source[end])) end++;
+            fill(tokenStart, end);
+            continue;
+        }
+
+        fill(start, end);
+
+        let count = NON_PROSE_ARGUMENTS[name.replace(/\*$/, '')] || 0;
+        if (!count) continue;
+
+        let environment = null;
+        for (;;) {
+            const next = skipSpaces(source, end);
+            if (source[next] === '[') {
+                const close = findClosing(source, next, '[', ']');
+                if (close === -1) break;
+                fill(next, close + 1);
+                end = close + 1;
+            } else if (source[next] === '{' && count > 0) {
+                const close = findClosing(source, next, '{', '}');
+                if (close === -1) break;
+                fill(next, close + 1);
+                end = close + 1;
+                count--;
+                // \begin{tabular}{lcc} 的列格式
+                if (name === 'begin' && environment === null) {
+                    environment = source.slice(next + 1, close).trim();
+                    count += ENVIRONMENT_ARGUMENTS[environment] || 0;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    return chars.join('');
+}
+
+function findClosing(text, start, open, close) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === open) {
+            depth++;
+        } else if (ch === close) {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+function skipSpaces(text, i) {
+    while (i < text.length && /[ \t]/.test(text[i])) i++;
+    return i;
+}
+
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
@@ -0,0 +1,338 @@
+import * as monaco from 'monaco-editor';
+import { PROJECT_DICTIONARY_PATH, SPELLING_LANGUAGES, parseDictionary } from './SpellCheck.js';
+
+/**
+ * 拼写检查
+ * 在 Worker 中用随应用打包的 Hunspell 词典检查项目 .tex 文件的正文，结果显示为编辑器标记与问题面板中的条目；
+ * 项目变化后只重新检查内容变化的文件
+ * 项目词典保存在 /.latexide/dictionary.txt，随项目快照保存；右键菜单提供拼写建议与"添加到项目词典"
+ */
+export class SpellChecker {
+    constructor(ide) {
+        this.ide = ide;
+        this.worker = null;
+        this.pendingJobs = new Map(); // 任务 ID -> { resolve, reject }
+        this.nextJobId = 1;
+        this.updateTimer = null;
+        this.updateDelay = 800;
+        this.updateVersion = 0; // 丢弃过期的检查结果
+        this.problemSource = 'spelling';
+        this.dictionaryWords = [];
+        this.fileResults = new Map(); // 文件路径 -> { text, problems }
+        this.configKey = ''; // 检查 fileResults 时的语言、项目词典与严重程度
+        this.suggestionCache = new Map(); // 单词 -> Promise<建议列表>
+        this.disposables = [];
+        this.misspelledContext = null; // 光标是否位于拼写错误上，用于启用右键菜单项
+    }
+
+    init() {
+        this.registerCodeActions();
+        this.registerContextMenu();
+
+        this.ide.projectSnapshot.onChange(snapshot => this.update(snapshot));
+        this.ide.settingsManager.on('settingsChanged', () => {
+            this.suggestionCache.clear();
+            this.scheduleUpdate(0);
+        });
+        this.update();
+    }
+
+    scheduleUpdate(delay = this.updateDelay) {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.update(), delay);
+    }
+
+    getSettings() {
+        const settings = this.ide.settingsManager.get('spelling') || {};
+        return {
+            enabled: settings.enabled !== false,
+            languages: (settings.languages || ['en']).filter(language => SPELLING_LANGUAGES[language]),
+            severity: settings.severity || 'info'
+        };
+    }
+
+    // 获取（必要时创建）拼写检查 Worker
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/spell.worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.error('拼写检查 Worker 出错:', event);
+                this.rejectAllJobs(new Error(event.message || '拼写检查 Worker 异常退出'));
+                this.worker = null;
+            };
+        }
+        return this.worker;
+    }
+
+    handleWorkerMessage(message) {
+        const job = this.pendingJobs.get(message.id);
+        if (!job) return;
+
+        this.pendingJobs.delete(message.id);
+        if (message.type === 'result') {
+            job.resolve(message.payload);
+        } else {
+            job.reject(new Error(message.error));
+        }
+    }
+
+    rejectAllJobs(error) {
+        for (const job of this.pendingJobs.values()) {
+            job.reject(error);
+        }
+        this.pendingJobs.clear();
+    }
+
+    runInWorker(type, payload) {
+        const worker = this.getWorker();
+        const id = this.nextJobId++;
+
+        return new Promise((resolve, reject) => {
+            this.pendingJobs.set(id, { resolve, reject });
+            worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * 检查项目中的 .tex 文件，只把内容变化的文件交给 Worker，其余文件沿用上次的结果
+     * @param {Object} snapshot - 项目快照，省略时使用最新的快照
+     */
+    async update(snapshot = null) {
+        const version = ++this.updateVersion;
+        const settings = this.getSettings();
+
+        if (!settings.enabled) {
+            this.fileResults.clear();
+            this.ide.problemsPanel?.setProblems(this.problemSource, []);
+            return;
+        }
+
+        try {
+            snapshot = snapshot || await this.ide.projectSnapshot.get();
+            const words = parseDictionary(snapshot.files.get(PROJECT_DICTIONARY_PATH) || '');
+            const files = snapshot.getTexts('.tex');
+
+            // 语言、项目词典或严重程度变化时全部重新检查
+            const configKey = JSON.stringify([settings.languages, words, settings.severity]);
+            if (configKey !== this.configKey) {
+                this.fileResults.clear();
+            }
+
+            const stale = files.filter(({ file, text }) => this.fileResults.get(file)?.text !== text);
+            const { results } = stale.length > 0
+                ? await this.runInWorker('check', { files: stale, languages: settings.languages, words })
+                : { results: [] };
+            if (version !== this.updateVersion) return;
+
+            const texts = new Map(files.map(({ file, text }) => [file, text]));
+            for (const file of this.fileResults.keys()) {
+                if (!texts.has(file)) this.fileResults.delete(file);
+            }
+            for (const result of results) {
+                this.fileResults.set(result.file, {
+                    text: texts.get(result.file),
+                    problems: this.toProblems(result, settings.severity)
+                });
+            }
+            this.dictionaryWords = words;
+            this.configKey = configKey;
+
+            this.ide.problemsPanel?.setProblems(this.problemSource, files.flatMap(({ file }) => this.fileResults.get(file).problems));
+            this.updateContextKey();
+        } catch (error) {
+            console.error('拼写检查失败:', error);
+        }
+    }
+
+    toProblems({ file, misspelled, repeated }, severity) {
+        const problems = [];
+        for (const issue of misspelled) {
+            problems.push({
+                severity,
+                file,
+                line: issue.line,
+                column: issue.column,
+                endColumn: issue.endColumn,
+                message: `"${issue.word}" 可能拼写错误`,
+                word: issue.word,
+                fixes: [{ title: `将 "${issue.word}" 添加到项目词典`, run: () => this.addToDictionary(issue.word) }]
+            });
+        }
+        for (const issue of repeated) {
+            problems.push({
+                severity,
+                file,
+                line: issue.line,
+                column: issue.column,
+                endColumn: issue.endColumn,
+                message: `重复的单词 "${issue.word}"`,
+                fixes: [{ title: '删除重复的单词', run: () => this.applyEdit(file, issue.fix) }]
+            });
+        }
+        return problems;
+    }
+
+    /**
+     * 获取拼写建议（带缓存）
+     * @returns {Promise<Array>} 建议的单词
+     */
+    getSuggestions(word) {
+        if (!this.suggestionCache.has(word)) {
+            const request = this.runInWorker('suggest', { word, languages: this.getSettings().languages })
+                .then(result => result.suggestions)
+                .catch(error => {
+                    console.error('获取拼写建议失败:', error);
+                    this.suggestionCache.delete(word);
+                    return [];
+                });
+            this.suggestionCache.set(word, request);
+        }
+        return this.suggestionCache.get(word);
+    }
+
+    // 拼写错误的替换建议作为快速修复，"添加到项目词典"由问题面板提供
+    registerCodeActions() {
+        this.disposables.push(monaco.languages.registerCodeActionProvider('latex', {
+            provideCodeActions: async (model, range, context) => {
+                const actions = [];
+                for (const marker of context.markers) {
+                    const problem = this.findProblem(marker);
+                    if (!problem?.word) continue;
+
+                    const markerRange = new monaco.Range(marker.startLineNumber, marker.startColumn, marker.endLineNumber, marker.endColumn);
+                    for (const suggestion of await this.getSuggestions(problem.word)) {
+                        actions.push({
+                            title: `改为 "${suggestion}"`,
+                            kind: 'quickfix',
+                            diagnostics: [marker],
+                            isPreferred: actions.length === 0,
+                            edit: {
+                                edits: [{ resource: model.uri, textEdit: { range: markerRange, text: suggestion }, versionId: model.getVersionId() }]
+                            }
+                        });
+                    }
+                }
+                return { actions, dispose: () => {} };
+            }
+        }));
+    }
+
+    findProblem(marker) {
+        if (marker.source !== this.problemSource) return null;
+        return this.ide.problemsPanel?.findProblem(marker) || null;
+    }
+
+    // 光标处的拼写错误
+    getProblemAtCursor() {
+        const editor = this.ide.editor;
+        const model = editor?.getModel();
+        const position = editor?.getPosition();
+        if (!model || !position) return null;
+
+        const marker = monaco.editor.getModelMarkers({ owner: this.problemSource, resource: model.uri }).find(marker =>
+            marker.startLineNumber === position.lineNumber &&
+            marker.startColumn <= position.column &&
+            marker.endColumn >= position.column
+        );
+        const problem = marker ? this.findProblem(marker) : null;
+        return problem?.word ? { marker, problem } : null;
+    }
+
+    registerContextMenu() {
+        const editor = this.ide.editor;
+        if (!editor) return;
+
+        this.misspelledContext = editor.createContextKey('spellingMisspelled', false);
+        this.disposables.push(editor.onDidChangeCursorPosition(() => this.updateContextKey()));
+
+        this.ide.registerContextMenuAction({
+            id: 'spelling.suggest',
+            label: '拼写建议...',
+            contextMenuGroupId: '1_modification',
+            contextMenuOrder: 3,
+            precondition: 'spellingMisspelled',
+            run: () => this.showSuggestions()
+        });
+
+        this.ide.registerContextMenuAction({
+            id: 'spelling.addToDictionary',
+            label: '添加到项目词典',
+            contextMenuGroupId: '1_modification',
+            contextMenuOrder: 4,
+            precondition: 'spellingMisspelled',
+            run: () => {
+                const target = this.getProblemAtCursor();
+                if (target) this.addToDictionary(target.problem.word);
+            }
+        });
+    }
+
+    updateContextKey() {
+        this.misspelledContext?.set(Boolean(this.getProblemAtCursor()));
+    }
+
+    // 选中光标处的单词并打开快速修复菜单，其中列出拼写建议
+    showSuggestions() {
+        const target = this.getProblemAtCursor();
+        if (!target) return;
+
+        const { marker } = target;
+        const editor = this.ide.editor;
+        editor.setSelection(new monaco.Range(marker.startLineNumber, marker.startColumn, marker.endLineNumber, marker.endColumn));
+        editor.trigger('spelling', 'editor.action.quickFix', {});
+    }
+
+    async readDictionaryText() {
+        return (await this.ide.rootDocumentResolver.readText(PROJECT_DICTIONARY_PATH)) || '';
+    }
+
+    /**
+     * 保存项目词典（/.latexide/dictionary.txt），同时写入项目文档使其进入版本快照
+     */
+    async saveDictionary(text) {
+        await this.ide.versionManager.setFileText(PROJECT_DICTIONARY_PATH, text, { writeToDisk: true });
+        this.ide.projectSnapshot.update();
+    }
+
+    async addToDictionary(word) {
+        const text = await this.readDictionaryText();
+        if (parseDictionary(text).includes(word)) return;
+
+        await this.saveDictionary(`${text}${text && !text.endsWith('\n') ? '\n' : ''}${word}\n`);
+
+        // 立即去掉该单词的标记，不必等待重新检查
+        const problems = this.ide.problemsPanel?.getProblems(this.problemSource) || [];
+        this.ide.problemsPanel?.setProblems(this.problemSource, problems.filter(problem => problem.word !== word));
+        this.updateContextKey();
+    }
+
+    // 在编辑器中应用修改，可以用 Ctrl+Z 撤销
+    async applyEdit(file, edit) {
+        if (this.ide.currentFile !== file) {
+            await this.ide.openFile(file);
+        }
+
+        const editor = this.ide.editor;
+        const model = editor?.getModel();
+        if (!model) return;
+
+        editor.pushUndoStop();
+        editor.executeEdits(this.problemSource, [{
+            range: model.validateRange(new monaco.Range(edit.line, edit.column, edit.endLine, edit.endColumn)),
+            text: edit.text
+        }]);
+        editor.pushUndoStop();
+    }
+
+    destroy() {
+        clearTimeout(this.updateTimer);
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+        this.rejectAllJobs(new Error('拼写检查已停止'));
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
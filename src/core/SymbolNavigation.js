@@ -0,0 +1,317 @@
+import * as monaco from 'monaco-editor';
+import { REF_COMMANDS } from './LabelIndex.js';
+import { CITE_COMMAND, parseCitations } from './BibliographyIndex.js';
+import { parseFileReferences } from './FileReferences.js';
+import { parseMacroDefinitions } from './MacroDefinitions.js';
+import { stripComments } from './DocumentStructure.js';
+
+/**
+ * 符号导航
+ * 为 LaTeX 注册转到定义（F12）与查找所有引用（Shift+F12）：
+ * \ref 跳到 \label，\cite 的引用键跳到 .bib 条目，\input 等打开引用的文件，用户宏跳到 \newcommand
+ * 其他文件中的位置通过 IDE.openFile 打开
+ */
+
+const LABEL_COMMAND = new RegExp(`\\\\(label|${REF_COMMANDS.join('|')})\\*?\\s*\\{([^}]*)\\}`, 'g');
+const MACRO_NAME = /\\[a-zA-Z@]+/g;
+
+// 不在编辑器中打开的文件用这个 scheme 的 URI 表示，用于跨文件跳转与引用预览
+const FILE_SCHEME = 'latex-ide';
+
+// 可以从文件引用跳转打开的文件类型（PDF 在预览面板中打开）
+const NAVIGABLE_FILES = /\.(tex|bib|pdf)$/i;
+
+export class SymbolNavigation {
+    constructor(ide) {
+        this.ide = ide;
+        this.disposables = [];
+    }
+
+    init() {
+        this.disposables.push(
+            monaco.languages.registerDefinitionProvider('latex', {
+                provideDefinition: (model, position) => this.provideDefinition(model, position)
+            }),
+            monaco.languages.registerReferenceProvider('latex', {
+                provideReferences: (model, position, context) => this.provideReferences(model, position, context)
+            }),
+            monaco.editor.registerEditorOpener({
+                openCodeEditor: (source, resource, selectionOrPosition) => this.openLocation(resource, selectionOrPosition)
+            })
+        );
+    }
+
+    /**
+     * 识别光标处的符号
+     * @returns {Object|null} { type: 'label' | 'ref' | 'cite' | 'file' | 'macro', name, command, range }
+     */
+    getSymbolAt(model, position) {
+        const line = model.getLineContent(position.lineNumber);
+        const source = stripComments(line);
+        const column = position.column;
+        const range = (startColumn, endColumn) =>
+            new monaco.Range(position.lineNumber, startColumn, position.lineNumber, endColumn);
+
+        for (const match of source.matchAll(LABEL_COMMAND)) {
+            const symbol = this.findKeyAt(match, match[2], column);
+            if (symbol) {
+                return { type: match[1] === 'label' ? 'label' : 'ref', name: symbol.key, command: match[1], range: range(symbol.start, symbol.end) };
+            }
+        }
+
+        for (const match of source.matchAll(CITE_COMMAND)) {
+            const symbol = this.findKeyAt(match, match[2], column);
+            if (symbol) {
+                return { type: 'cite', name: symbol.key, command: match[1], range: range(symbol.start, symbol.end) };
+            }
+        }
+
+        for (const reference of parseFileReferences(line)) {
+            if (column >= reference.column && column <= reference.endColumn) {
+                return { type: 'file', name: reference.target, command: reference.command, reference, range: range(reference.column, reference.endColumn) };
+            }
+        }
+
+        for (const match of source.matchAll(MACRO_NAME)) {
+            const start = match.index + 1;
+            if (column >= start && column <= start + match[0].length) {
+                return { type: 'macro', name: match[0], command: null, range: range(start, start + match[0].length) };
+            }
+        }
+
+        return null;
+    }
+
+    // 在逗号分隔的参数中找到光标所在的键
+    findKeyAt(match, argument, column) {
+        let offset = match.index + match[0].lastIndexOf('{') + 2; // 列号从 1 开始
+        for (const part of argument.split(',')) {
+            const key = part.trim();
+            const start = offset + part.indexOf(key);
+            if (key && column >= start && column <= start + key.length) {
+                return { key, start, end: start + key.length };
+            }
+            offset += part.length + 1;
+        }
+        return null;
+    }
+
+    /**
+     * 当前位置是否有可以跳转的符号（Ctrl+点击时优先转到定义而不是在 PDF 中定位）
+     */
+    async hasDefinitionAt(model, position) {
+        const symbol = this.getSymbolAt(model, position);
+        if (!symbol) return false;
+        const locations = await this.findDefinitions(symbol);
+        return locations.length > 0;
+    }
+
+    async provideDefinition(model, position) {
+        const symbol = this.getSymbolAt(model, position);
+        if (!symbol) return null;
+
+        this.syncCurrentFile(model);
+        const locations = await this.findDefinitions(symbol);
+        return Promise.all(locations.map(location => this.toLocation(location)));
+    }
+
+    async provideReferences(model, position, context) {
+        const symbol = this.getSymbolAt(model, position);
+        if (!symbol) return null;
+
+        this.syncCurrentFile(model);
+        const locations = [];
+        if (context.includeDeclaration) {
+            locations.push(...await this.findDefinitions(symbol));
+        }
+        locations.push(...await this.findUsages(symbol));
+
+        // 宏定义中的宏名同时也是一次"使用"，去掉重复的位置
+        const seen = new Set();
+        const unique = locations.filter(location => {
+            const key = `${location.file}:${location.line}:${location.column}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        return Promise.all(unique.map(location => this.toLocation(location)));
+    }
+
+    // 当前文件以编辑器中的最新内容为准
+    syncCurrentFile(model) {
+        const currentFile = this.ide.currentFile;
+        if (currentFile && currentFile.endsWith('.tex')) {
+            this.ide.labelIndex.updateFile(currentFile, model.getValue());
+        }
+    }
+
+    /**
+     * 查找符号的定义位置
+     * @returns {Array} [{ file, line, column, endColumn }]
+     */
+    async findDefinitions(symbol) {
+        switch (symbol.type) {
+            case 'label':
+            case 'ref':
+                return this.ide.labelIndex.getDefinitions(symbol.name);
+
+            case 'cite': {
+                const entry = this.ide.bibliographyIndex.getEntry(symbol.name);
+                return entry
+                    ? [{ file: entry.file, line: entry.keyLine, column: entry.keyColumn, endColumn: entry.keyColumn + entry.key.length }]
+                    : [];
+            }
+
+            case 'file': {
+                const path = await this.resolveFile(this.ide.currentFile, symbol.reference);
+                return path && NAVIGABLE_FILES.test(path) ? [{ file: path, line: 1, column: 1, endColumn: 1 }] : [];
+            }
+
+            case 'macro': {
+                const definitions = [];
+                for (const { file, text } of await this.readProjectFiles()) {
+                    for (const definition of parseMacroDefinitions(text)) {
+                        if (definition.name === symbol.name) {
+                            definitions.push(this.locateInLine(file, text, definition.line, definition.name));
+                        }
+                    }
+                }
+                return definitions;
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * 查找符号在项目中的所有使用位置
+     * @returns {Array} [{ file, line, column, endColumn }]
+     */
+    async findUsages(symbol) {
+        const usages = [];
+
+        switch (symbol.type) {
+            case 'label':
+            case 'ref':
+                for (const [file, entry] of this.ide.labelIndex.files) {
+                    for (const ref of entry.refs) {
+                        if (ref.name === symbol.name) usages.push({ ...ref, file });
+                    }
+                }
+                break;
+
+            case 'cite':
+                for (const { file, text } of await this.readProjectFiles()) {
+                    for (const citation of parseCitations(text)) {
+                        if (citation.key === symbol.name) usages.push({ ...citation, file });
+                    }
+                }
+                break;
+
+            case 'file': {
+                const target = await this.resolveFile(this.ide.currentFile, symbol.reference);
+                if (!target) break;
+
+                const checker = this.ide.fileReferenceChecker;
+                const { files } = await checker.getProjectTree();
+                for (const { file, text } of await this.readProjectFiles()) {
+                    const context = await checker.getContext(file);
+                    for (const reference of parseFileReferences(text)) {
+                        if (checker.resolveReference(reference, context, files) === target) usages.push({ ...reference, file });
+                    }
+                }
+                break;
+            }
+
+            case 'macro': {
+                const pattern = new RegExp(`${symbol.name.replace(/[\\@]/g, '\\$&')}(?![a-zA-Z@])`, 'g');
+                for (const { file, text } of await this.readProjectFiles()) {
+                    stripComments(text).split('\n').forEach((line, index) => {
+                        for (const match of line.matchAll(pattern)) {
+                            usages.push({ file, line: index + 1, column: match.index + 1, endColumn: match.index + 1 + symbol.name.length });
+                        }
+                    });
+                }
+                break;
+            }
+        }
+
+        return usages;
+    }
+
+    async readProjectFiles() {
+        const resolver = this.ide.rootDocumentResolver;
+        const files = [];
+        for (const file of await resolver.getProjectTexFiles()) {
+            const text = await resolver.readText(file);
+            if (text !== null) files.push({ file, text });
+        }
+        return files;
+    }
+
+    // 按根文档目录与 \graphicspath 解析文件引用
+    async resolveFile(filePath, reference) {
+        const checker = this.ide.fileReferenceChecker;
+        const [context, { files }] = await Promise.all([
+            checker.getContext(filePath),
+            checker.getProjectTree()
+        ]);
+        return checker.resolveReference(reference, context, files);
+    }
+
+    locateInLine(file, text, line, name) {
+        const column = (text.split('\n')[line - 1] || '').indexOf(name) + 1;
+        return { file, line, column: column || 1, endColumn: (column || 1) + name.length };
+    }
+
+    // 转换为 Monaco 的位置；其他文件使用影子模型，供引用预览显示内容
+    async toLocation(location) {
+        return {
+            uri: await this.getModelUri(location.file),
+            range: new monaco.Range(location.line, location.column || 1, location.line, location.endColumn || location.column || 1)
+        };
+    }
+
+    async getModelUri(filePath) {
+        const model = this.ide.editor?.getModel();
+        if (model && filePath === this.ide.currentFile) {
+            return model.uri;
+        }
+
+        const uri = monaco.Uri.from({ scheme: FILE_SCHEME, path: filePath });
+        const text = await this.ide.rootDocumentResolver.readText(filePath);
+        const shadow = monaco.editor.getModel(uri);
+        if (shadow) {
+            if (text !== null && shadow.getValue() !== text) shadow.setValue(text);
+        } else if (!filePath.toLowerCase().endsWith('.pdf')) {
+            monaco.editor.createModel(text || '', this.ide.getLanguageFromFileName(filePath), uri);
+        }
+        return uri;
+    }
+
+    // 跳转到其他文件时由 IDE 打开该文件并定位
+    openLocation(resource, selectionOrPosition) {
+        if (resource.scheme !== FILE_SCHEME) return false;
+
+        this.ide.openFile(resource.path).then(() => {
+            const editor = this.ide.editor;
+            if (!editor || this.ide.currentFile !== resource.path || !selectionOrPosition) return;
+
+            if (monaco.Range.isIRange(selectionOrPosition)) {
+                editor.setSelection(selectionOrPosition);
+                editor.revealRangeInCenter(selectionOrPosition);
+            } else {
+                editor.setPosition(selectionOrPosition);
+                editor.revealPositionInCenter(selectionOrPosition);
+            }
+            editor.focus();
+        });
+        return true;
+    }
+
+    destroy() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables = [];
+    }
+}
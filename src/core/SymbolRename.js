@@ -0,0 +1,321 @@
+/**
+ * 符号重命名
+ * 在整个项目中重命名标签、文献引用键或用户宏，同时修改 .tex 与 .bib 文件中的所有出现位置；
+ * 应用前显示全部修改的预览，所有修改在一次 Yjs 事务中完成并记录为一个版本快照
+ */
+
+const SYMBOL_NAMES = {
+    label: '标签',
+    cite: '引用键',
+    macro: '宏'
+};
+
+// 标签与引用键中不能出现的字符
+const INVALID_KEY = /[\s,{}%#\\]/;
+const MACRO_NAME = /^\\?[a-zA-Z@]+$/;
+
+export class SymbolRename {
+    constructor(ide) {
+        this.ide = ide;
+        this.pending = null; // 等待确认的重命名 { kind, oldName, newName, edits }
+
+        this.modal = document.getElementById('renamePreviewModal');
+        this.list = document.getElementById('renamePreviewList');
+        this.summary = document.getElementById('renamePreviewSummary');
+
+        document.getElementById('renamePreviewApply')?.addEventListener('click', () => this.applyPending());
+        this.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('.rename-preview-edit');
+            if (item) this.reveal(item.dataset.file, parseInt(item.dataset.line, 10));
+        });
+    }
+
+    init() {
+        this.ide.editor?.addAction({
+            id: 'latex.renameSymbol',
+            label: '重命名符号',
+            contextMenuGroupId: '1_modification',
+            contextMenuOrder: 1,
+            precondition: 'editorLangId == latex',
+            run: async () => {
+                if (!(await this.renameAtCursor())) {
+                    document.getElementById('statusText').textContent = '光标处没有可以重命名的标签、引用键或宏';
+                }
+            }
+        });
+    }
+
+    /**
+     * 获取光标处可以重命名的符号
+     * 宏只有在项目中有 \newcommand 等定义时才可以重命名
+     * @returns {Object|null} { kind: 'label' | 'cite' | 'macro', name, definitions }
+     */
+    async getRenameTarget(model, position) {
+        const navigation = this.ide.symbolNavigation;
+        const symbol = navigation.getSymbolAt(model, position);
+        if (!symbol || symbol.type === 'file') return null;
+
+        navigation.syncCurrentFile(model);
+        const definitions = await navigation.findDefinitions(symbol);
+        if (symbol.type === 'macro' && definitions.length === 0) return null;
+
+        const kind = symbol.type === 'ref' ? 'label' : symbol.type;
+        return { kind, name: symbol.name, symbol, definitions };
+    }
+
+    /**
+     * 重命名光标处的符号，没有可重命名的符号时返回 false
+     */
+    async renameAtCursor() {
+        const editor = this.ide.editor;
+        const model = editor?.getModel();
+        const position = editor?.getPosition();
+        if (!model || !position || model.getLanguageId() !== 'latex') return false;
+
+        const target = await this.getRenameTarget(model, position);
+        if (!target) return false;
+
+        const label = SYMBOL_NAMES[target.kind];
+        let newName = prompt(`重命名${label} ${target.name} 为:`, target.name);
+        if (newName === null) return true;
+        newName = newName.trim();
+        if (target.kind === 'macro' && !newName.startsWith('\\')) {
+            newName = `\\${newName}`;
+        }
+        if (!newName || newName === target.name) return true;
+
+        const error = await this.validateName(target, newName);
+        if (error) {
+            alert(error);
+            return true;
+        }
+
+        // 确保索引反映所有文件的最新内容
+        await this.ide.projectSnapshot.update();
+
+        const edits = await this.collectEdits(target, newName);
+        if (edits.length === 0) {
+            alert(`没有找到${label} ${target.name} 的任何出现位置`);
+            return true;
+        }
+
+        this.showPreview({ kind: target.kind, oldName: target.name, newName, edits });
+        return true;
+    }
+
+    async validateName(target, newName) {
+        const label = SYMBOL_NAMES[target.kind];
+        if (target.kind === 'macro') {
+            if (!MACRO_NAME.test(newName)) return `宏名只能包含字母和 @：${newName}`;
+        } else if (INVALID_KEY.test(newName)) {
+            return `${label}中不能包含空白、逗号、花括号、%、# 或反斜杠：${newName}`;
+        }
+
+        const navigation = this.ide.symbolNavigation;
+        const existing = await navigation.findDefinitions({ ...target.symbol, name: newName });
+        if (existing.length > 0) {
+            const first = existing[0];
+            return `${label} ${newName} 已存在（${first.file}:${first.line}）`;
+        }
+        return null;
+    }
+
+    /**
+     * 收集所有需要修改的位置
+     * @returns {Array} [{ file, line, column, endColumn, oldText, newText }]
+     */
+    async collectEdits(target, newName) {
+        const navigation = this.ide.symbolNavigation;
+        const locations = [
+            ...(target.kind === 'cite' ? this.findBibKeys(target.name) : target.definitions),
+            ...await navigation.findUsages(target.symbol)
+        ];
+        if (target.kind === 'cite') {
+            locations.push(...this.findCrossReferences(target.name));
+        }
+
+        const seen = new Set();
+        return locations
+            .filter(location => {
+                const key = `${location.file}:${location.line}:${location.column}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(location => ({
+                file: location.file,
+                line: location.line,
+                column: location.column,
+                endColumn: location.column + target.name.length,
+                oldText: target.name,
+                newText: newName
+            }))
+            .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+    }
+
+    // 所有 .bib 文件中使用该引用键的条目（包括重复定义）
+    findBibKeys(key) {
+        const locations = [];
+        for (const file of this.ide.bibliographyIndex.files.values()) {
+            for (const entry of file.entries) {
+                if (entry.key === key) {
+                    locations.push({ file: entry.file, line: entry.keyLine, column: entry.keyColumn });
+                }
+            }
+        }
+        return locations;
+    }
+
+    // .bib 条目中通过 crossref / xdata 字段引用的键
+    findCrossReferences(key) {
+        const pattern = /\b(crossref|xdata)(\s*=\s*[{"]\s*)([^}"]*)/gi;
+        const locations = [];
+
+        for (const [file, { text }] of this.ide.bibliographyIndex.files) {
+            text.split('\n').forEach((line, index) => {
+                for (const match of line.matchAll(pattern)) {
+                    let column = match.index + match[1].length + match[2].length + 1;
+                    for (const part of match[3].split(',')) {
+                        const name = part.trim();
+                        if (name === key) {
+                            locations.push({ file, line: index + 1, column: column + part.indexOf(name) });
+                        }
+                        column += part.length + 1;
+                    }
+                }
+            });
+        }
+        return locations;
+    }
+
+    showPreview(rename) {
+        this.pending = rename;
+        const files = new Map();
+        for (const edit of rename.edits) {
+            if (!files.has(edit.file)) files.set(edit.file, []);
+            files.get(edit.file).push(edit);
+        }
+
+        this.summary.textContent = `将${SYMBOL_NAMES[rename.kind]} ${rename.oldName} 重命名为 ${rename.newName}：` +
+            `${files.size} 个文件中共 ${rename.edits.length} 处修改`;
+
+        this.renderPreview(files).then(() => {
+            this.modal.style.display = 'flex';
+        });
+    }
+
+    async renderPreview(files) {
+        const resolver = this.ide.rootDocumentResolver;
+        let html = '';
+
+        for (const [file, edits] of files) {
+            const lines = ((await resolver.readText(file)) || '').split('\n');
+            html += `<div class="rename-preview-file">${this.escapeHtml(file)}（${edits.length}）</div>`;
+
+            for (const edit of edits) {
+                const text = lines[edit.line - 1] || '';
+                const before = text.slice(0, edit.column - 1).trimStart();
+                const after = text.slice(edit.endColumn - 1);
+                html += `
+                    <div class="rename-preview-edit" data-file="${this.escapeHtml(file)}" data-line="${edit.line}">
+                        <span class="rename-preview-line">${edit.line}</span>
+                        <span>${this.escapeHtml(before)}<del>${this.escapeHtml(edit.oldText)}</del><ins>${this.escapeHtml(edit.newText)}</ins>${this.escapeHtml(after)}</span>
+                    </div>
+                `;
+            }
+        }
+
+        this.list.innerHTML = html;
+    }
+
+    async applyPending() {
+        const rename = this.pending;
+        if (!rename) return;
+
+        this.pending = null;
+        this.modal.style.display = 'none';
+
+        try {
+            await this.applyEdits(rename);
+        } catch (error) {
+            console.error('重命名失败:', error);
+            alert('重命名失败: ' + error.message);
+        }
+    }
+
+    /**
+     * 先算出所有文件的新内容，再在一次 Yjs 事务中同步写入，其间不会插入其他修改；
+     * 前后各创建快照，恢复"重命名前"的快照即可整体撤销
+     */
+    async applyEdits(rename) {
+        const versionManager = this.ide.versionManager;
+        const projectDoc = versionManager.projectDoc;
+        if (!projectDoc) throw new Error('项目未初始化');
+
+        const resolver = this.ide.rootDocumentResolver;
+        const files = new Map();
+        for (const edit of rename.edits) {
+            if (!files.has(edit.file)) {
+                files.set(edit.file, { text: await resolver.readText(edit.file), edits: [] });
+            }
+            files.get(edit.file).edits.push(edit);
+        }
+
+        // 预览后文件被修改过时放弃，避免改错位置
+        for (const [file, { text, edits }] of files) {
+            if (text === null) throw new Error(`无法读取文件 ${file}`);
+            const lines = text.split('\n');
+            for (const edit of edits) {
+                const current = (lines[edit.line - 1] || '').slice(edit.column - 1, edit.endColumn - 1);
+                if (current !== edit.oldText) {
+                    throw new Error(`${file} 在预览后已被修改，请重新执行重命名`);
+                }
+            }
+        }
+
+        const description = `重命名${SYMBOL_NAMES[rename.kind]} ${rename.oldName} → ${rename.newName}`;
+        const newTexts = new Map();
+        for (const [file, { text, edits }] of files) {
+            const lineStarts = [0];
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] === '\n') lineStarts.push(i + 1);
+            }
+
+            // 从后往前修改，前面的偏移量保持不变
+            let newText = text;
+            const offsets = edits
+                .map(edit => ({ ...edit, offset: lineStarts[edit.line - 1] + edit.column - 1 }))
+                .sort((a, b) => b.offset - a.offset);
+            for (const edit of offsets) {
+                newText = newText.slice(0, edit.offset) + edit.newText + newText.slice(edit.offset + edit.oldText.length);
+            }
+            newTexts.set(file, newText);
+        }
+
+        versionManager.createProjectSnapshot(`${description} 之前`);
+        projectDoc.transact(() => {
+            for (const [file, newText] of newTexts) {
+                versionManager.setDocumentText(file, newText);
+            }
+        });
+        versionManager.createProjectSnapshot(description);
+
+        document.getElementById('statusText').textContent =
+            `${description}：${files.size} 个文件中共 ${rename.edits.length} 处`;
+    }
+
+    async reveal(file, line) {
+        await this.ide.openFile(file);
+        const editor = this.ide.editor;
+        if (editor && this.ide.currentFile === file) {
+            editor.revealLineInCenter(line);
+            editor.setPosition({ lineNumber: line, column: 1 });
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * SyncTeX 解析器
+ * 解析编译生成的 .synctex(.gz) 文件，实现源码与 PDF 之间的双向定位
+ *
+ * 坐标统一换算为 PDF 点 (bp)，原点在页面左上角，与 pdf.js 的视口坐标一致
+ */
+
+// 1bp = 65781.76sp
+const SP_PER_BP = 65781.76;
+
+export class SyncTeX {
+    /**
+     * @param {Object} data - parse() 的结果
+     * @param {Function} normalizePath - 将 SyncTeX 中的输入路径转换为项目路径
+     */
+    constructor(data, normalizePath = (path) => path) {
+        this.inputs = new Map(); // 标签 -> 项目路径
+        this.pages = data.pages;
+
+        for (const [tag, path] of data.inputs) {
+            this.inputs.set(tag, normalizePath(path));
+        }
+    }
+
+    /**
+     * 从文件数据创建实例，自动识别 gzip 压缩
+     * @param {Uint8Array} bytes - .synctex 或 .synctex.gz 文件内容
+     * @param {Function} normalizePath - 路径规范化函数
+     */
+    static async fromBytes(bytes, normalizePath) {
+        const isGzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+        const text = isGzip ? await SyncTeX.gunzip(bytes) : new TextDecoder().decode(bytes);
+        return new SyncTeX(SyncTeX.parse(text), normalizePath);
+    }
+
+    static async gunzip(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return await new Response(stream).text();
+    }
+
+    /**
+     * 解析 SyncTeX 文本
+     * @returns {Object} { inputs: Map<标签, 路径>, pages: Map<页码, 记录数组> }
+     */
+    static parse(text) {
+        const inputs = new Map();
+        const pages = new Map();
+        const header = { unit: 1, magnification: 1000, xOffset: 0, yOffset: 0 };
+
+        let records = null;
+        let currentPage = 0;
+        let inContent = false;
+
+        for (const line of text.split('\n')) {
+            if (line.startsWith('Input:')) {
+                const match = line.match(/^Input:(\d+):(.*)$/);
+                if (match) {
+                    inputs.set(parseInt(match[1], 10), match[2].trim());
+                }
+                continue;
+            }
+
+            if (!inContent) {
+                if (line.startsWith('Unit:')) header.unit = parseFloat(line.slice(5)) || 1;
+                else if (line.startsWith('Magnification:')) header.magnification = parseFloat(line.slice(14)) || 1000;
+                else if (line.startsWith('X Offset:')) header.xOffset = parseFloat(line.slice(9)) || 0;
+                else if (line.startsWith('Y Offset:')) header.yOffset = parseFloat(line.slice(9)) || 0;
+                else if (line.startsWith('Content:')) inContent = true;
+                continue;
+            }
+
+            if (line.startsWith('Postamble:')) break;
+
+            const type = line[0];
+            if (type === '{') {
+                currentPage = parseInt(line.slice(1), 10);
+                records = [];
+                pages.set(currentPage, records);
+                continue;
+            }
+            if (type === '}') {
+                records = null;
+                continue;
+            }
+            if (!records) continue;
+
+            const record = SyncTeX.parseRecord(line, header);
+            if (record) {
+                record.page = currentPage;
+                records.push(record);
+            }
+        }
+
+        return { inputs, pages };
+    }
+
+    /**
+     * 解析单条记录，如 "(1,10:4736286,8799518:28417720,655360,0"
+     * 盒子记录 ([ ( h v) 带尺寸，其它记录 (x k g $) 只有位置
+     */
+    static parseRecord(line, header) {
+        const match = line.match(/^([\[(hvxkg$])(\d+),(\d+)(?:,-?\d+)?:(-?\d+),(-?\d+)(?::(-?\d+),(-?\d+),(-?\d+))?/);
+        if (!match) return null;
+
+        const factor = header.unit * header.magnification / 1000 / SP_PER_BP;
+        const toBp = (value) => parseInt(value, 10) * factor;
+
+        const record = {
+            type: match[1],
+            tag: parseInt(match[2], 10),
+            line: parseInt(match[3], 10),
+            // 头部的偏移量与记录的坐标一样以 sp 为单位
+            x: (parseInt(match[4], 10) + header.xOffset) * factor,
+            y: (parseInt(match[5], 10) + header.yOffset) * factor,
+            isBox: false
+        };
+
+        if (match[6] !== undefined && ('[(hv').includes(record.type)) {
+            record.isBox = true;
+            record.width = toBp(match[6]);
+            record.height = toBp(match[7]);
+            record.depth = toBp(match[8]);
+        }
+
+        return record;
+    }
+
+    getTag(filePath) {
+        for (const [tag, path] of this.inputs) {
+            if (path === filePath) return tag;
+        }
+        return null;
+    }
+
+    /**
+     * 正向搜索：源码位置 -> PDF 位置
+     * 若该行没有输出，则向后、再向前寻找最近的有输出的行
+     * @returns {Object|null} { page, x, y, width, height }
+     */
+    forward(filePath, line) {
+        const tag = this.getTag(filePath);
+        if (tag === null) return null;
+
+        const byLine = new Map();
+        for (const records of this.pages.values()) {
+            for (const record of records) {
+                if (record.tag !== tag) continue;
+                if (!byLine.has(record.line)) byLine.set(record.line, []);
+                byLine.get(record.line).push(record);
+            }
+        }
+        if (byLine.size === 0) return null;
+
+        let matches = byLine.get(line);
+        if (!matches) {
+            const lines = [...byLine.keys()].sort((a, b) => a - b);
+            const nextLine = lines.find(l => l > line);
+            matches = byLine.get(nextLine !== undefined ? nextLine : lines[lines.length - 1]);
+        }
+
+        // 只取第一页上的记录，优先使用水平盒子确定范围
+        const page = Math.min(...matches.map(r => r.page));
+        const onPage = matches.filter(r => r.page === page);
+        const boxes = onPage.filter(r => r.type === '(' || r.type === 'h');
+        const candidates = boxes.length > 0 ? boxes : onPage;
+
+        let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+        for (const record of candidates) {
+            const width = record.isBox ? record.width : 0;
+            const height = record.isBox ? record.height : 10;
+            const depth = record.isBox ? record.depth : 2;
+            left = Math.min(left, record.x);
+            right = Math.max(right, record.x + width);
+            top = Math.min(top, record.y - height);
+            bottom = Math.max(bottom, record.y + depth);
+        }
+
+        return { page, x: left, y: top, width: Math.max(right - left, 1), height: Math.max(bottom - top, 1) };
+    }
+
+    /**
+     * 反向搜索：PDF 位置 -> 源码位置
+     * 选取包含该点的最小水平盒子，在其中找距离最近的记录
+     * @returns {Object|null} { file, line }
+     */
+    inverse(page, x, y) {
+        const records = this.pages.get(page);
+        if (!records || records.length === 0) return null;
+
+        let container = null;
+        let containerArea = Infinity;
+        for (const record of records) {
+            if (!record.isBox || (record.type !== '(' && record.type !== 'h')) continue;
+            const inside = x >= record.x && x <= record.x + record.width &&
+                y >= record.y - record.height && y <= record.y + record.depth;
+            const area = record.width * (record.height + record.depth);
+            if (inside && area < containerArea) {
+                container = record;
+                containerArea = area;
+            }
+        }
+
+        let candidates = records;
+        if (container) {
+            const inContainer = records.filter(r =>
+                r.x >= container.x && r.x <= container.x + container.width &&
+                r.y >= container.y - container.height && r.y <= container.y + container.depth);
+            if (inContainer.length > 0) candidates = inContainer;
+        }
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (const record of candidates) {
+            const dx = record.isBox ? Math.max(record.x - x, 0, x - record.x - record.width) : record.x - x;
+            const dy = record.isBox
+                ? Math.max(record.y - record.height - y, 0, y - record.y - record.depth)
+                : record.y - y;
+            const distance = dx * dx + dy * dy * 4; // 垂直方向偏差权重更高，避免跳到相邻行
+            if (distance < bestDistance) {
+                best = record;
+                bestDistance = distance;
+            }
+        }
+
+        if (!best || !this.inputs.has(best.tag)) return null;
+        return { file: this.inputs.get(best.tag), line: best.line };
+    }
+}
@@ -1,9 +1,11 @@
 import * as Y from 'yjs';
 import { IndexeddbPersistence } from 'y-indexeddb';
 import { MonacoBinding } from 'y-monaco';
+import { simpleDiffString } from 'lib0/diff';
 
 export class VersionManager {
-    constructor() {
+    constructor(fileSystem = null) {
+        this.fileSystem = fileSystem; // setFileText 写入磁盘时使用
         this.projectDoc = null; // 项目级 Y.Doc
         this.projectProvider = null; // 项目持久化提供者
         this.fileBindings = new Map(); // 文件路径 -> YText 绑定
@@ -219,6 +221,40 @@ export class VersionManager {
         }
     }
 
+    /**
+     * 把文件内容改为 text（修改项目文档，已打开的编辑器同步更新）
+     * 只替换与当前内容不同的部分，已绑定的编辑器保留光标与撤销历史，其他位置同时进行的修改也不会被覆盖
+     * @param {string} filePath - 文件路径
+     * @param {string} text - 新的完整内容
+     * @param {Object} options - { writeToDisk: 是否同时写入文件系统 }
+     */
+    async setFileText(filePath, text, { writeToDisk = false } = {}) {
+        this.setDocumentText(filePath, text);
+        if (writeToDisk) {
+            await this.fileSystem.writeFile(filePath, text);
+        }
+    }
+
+    /**
+     * setFileText 中修改项目文档的部分，同步执行；
+     * 在外层的 projectDoc.transact 中多次调用时，所有文件的修改合并为一次事务
+     */
+    setDocumentText(filePath, text) {
+        if (!this.projectDoc) return;
+
+        const filesMap = this.projectDoc.getMap('files');
+        const relativePath = this.getRelativePath(filePath);
+        this.projectDoc.transact(() => {
+            let yText = filesMap.get(relativePath);
+            if (!yText) {
+                // 尚未在编辑器中打开过的文件加入项目文档，使修改进入版本快照
+                yText = new Y.Text();
+                filesMap.set(relativePath, yText);
+            }
+            applyTextDiff(yText, yText.toString(), text);
+        });
+    }
+
     // 获取相对路径
     getRelativePath(filePath) {
         if (!this.projectPath) return filePath;
@@ -973,4 +1009,28 @@ export class VersionManager {
     getMaxSnapshots() {
         return this.maxSnapshots;
     }
-} 
\ No newline at end of file
+} 
+
+// 只修改不同的部分：去掉相同的开头与结尾，中间部分行数不变时再逐行比较（如重命名只修改分散的几处）
+function applyTextDiff(yText, oldText, newText) {
+    const { index, remove, insert } = simpleDiffString(oldText, newText);
+    if (remove === 0 && insert === '') return;
+
+    const oldLines = oldText.slice(index, index + remove).split('\n');
+    const newLines = insert.split('\n');
+    if (oldLines.length === 1 || oldLines.length !== newLines.length) {
+        if (remove > 0) yText.delete(index, remove);
+        if (insert) yText.insert(index, insert);
+        return;
+    }
+
+    // 从后往前修改，前面的偏移量保持不变
+    let offset = index + remove;
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        offset -= oldLines[i].length;
+        const diff = simpleDiffString(oldLines[i], newLines[i]);
+        if (diff.remove > 0) yText.delete(offset + diff.index, diff.remove);
+        if (diff.insert) yText.insert(offset + diff.index, diff.insert);
+        offset -= 1; // 换行符
+    }
+}
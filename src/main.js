@@ -2,8 +2,11 @@ import { IDE } from './core/IDE.js';
 import { PluginManager } from './core/PluginManager.js';
 import { FileSystem } from './core/FileSystem.js';
 import { LaTeXSyntaxPlugin } from './plugins/LaTeXSyntaxPlugin.js';
+import { BibTeXSyntaxPlugin } from './plugins/BibTeXSyntaxPlugin.js';
 import { LaTeXAutoCompletePlugin } from './plugins/LaTeXAutoCompletePlugin.js';
 import { ExamplePlugin } from './plugins/ExamplePlugin.js';
+import { PdfPreviewPlugin } from './plugins/PdfPreviewPlugin.js';
+import { MathPreviewPlugin } from './plugins/MathPreviewPlugin.js';
 
 // Configure Monaco Editor workers - disable to avoid worker loading issues
 self.MonacoEnvironment = {
@@ -43,6 +46,7 @@ async function initIDE() {
         
         // 注册语法插件（必须在编辑器初始化前注册）
         window.ide.pluginManager.registerPlugin(new LaTeXSyntaxPlugin());
+        window.ide.pluginManager.registerPlugin(new BibTeXSyntaxPlugin());
         
         // 初始化编辑器
         await window.ide.initEditor();
@@ -50,6 +54,8 @@ async function initIDE() {
         // 注册其他插件（在编辑器初始化后注册）
         window.ide.pluginManager.registerPlugin(new LaTeXAutoCompletePlugin());
         window.ide.pluginManager.registerPlugin(new ExamplePlugin());
+        window.ide.pluginManager.registerPlugin(new PdfPreviewPlugin());
+        window.ide.pluginManager.registerPlugin(new MathPreviewPlugin());
         
         // 初始化 UI
         await window.ide.initUI();
@@ -218,7 +224,7 @@ async function createSampleProject() {
         
         // 创建配置文件夹
         await window.ide.fileSystem.mkdir('/config');
-        await window.ide.fileSystem.writeFile('/config/settings.json', '{\n  "compiler": "pdflatex",\n  "output": "pdf",\n  "bibtex": true\n}');
+        await window.ide.fileSystem.writeFile('/config/settings.json', '{\n  "compiler": "pdflatex",\n  "output": "pdf",\n  "bibtex": true,\n  "recipe": "auto"\n}');
         
         // 刷新文件浏览器
         window.ide.refreshFileExplorer();
@@ -253,6 +259,42 @@ window.compileLatex = () => {
     }
 };
 
+window.toggleRecipeMenu = () => {
+    if (window.ide) {
+        window.ide.toggleRecipeMenu();
+    }
+};
+
+window.fastPreview = () => {
+    if (window.ide) {
+        window.ide.fastPreview();
+    }
+};
+
+window.showBuildHistory = () => {
+    if (window.ide) {
+        window.ide.showBuildHistory();
+    }
+};
+
+window.showBibliographyManager = () => {
+    if (window.ide) {
+        window.ide.showBibliographyManager();
+    }
+};
+
+window.cleanBuildOutputs = () => {
+    if (window.ide) {
+        window.ide.cleanBuildOutputs();
+    }
+};
+
+window.togglePdfPreview = () => {
+    if (window.pdfPreview) {
+        window.pdfPreview.toggle();
+    }
+};
+
 window.closeModal = (modalId) => {
     document.getElementById(modalId).style.display = 'none';
 };
@@ -263,6 +305,7 @@ window.confirmNewFile = async () => {
         try {
             await window.ide.fileSystem.writeFile(`/${fileName}`, '');
             window.ide.refreshFileExplorer();
+            window.ide.projectSnapshot.update();
             window.ide.openFile(`/${fileName}`);
             window.closeModal('newFileModal');
             document.getElementById('newFileName').value = '';
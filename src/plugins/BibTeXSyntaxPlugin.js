@@ -0,0 +1,124 @@
+import * as monaco from 'monaco-editor';
+
+export class BibTeXSyntaxPlugin {
+    constructor() {
+        this.id = 'bibtex-syntax';
+        this.name = 'BibTeX 语法高亮';
+        this.description = '为 .bib 文献文件提供语法高亮功能';
+        this.version = '1.0.0';
+        this.type = 'syntax';
+        this.supportedLanguages = ['bibtex'];
+        this.languageRegistered = false;
+        this.enabled = true;
+    }
+
+    init(pluginManager) {
+        this.pluginManager = pluginManager;
+        this.registerLanguage();
+    }
+
+    registerLanguage() {
+        if (this.languageRegistered) {
+            return;
+        }
+
+        // 注册 BibTeX 语言
+        monaco.languages.register({ id: 'bibtex', extensions: ['.bib'] });
+
+        // 设置语言配置，条目的折叠由 BibTeXLanguage 提供
+        monaco.languages.setLanguageConfiguration('bibtex', {
+            comments: {
+                lineComment: '%'
+            },
+            brackets: [
+                ['{', '}'],
+                ['(', ')']
+            ],
+            autoClosingPairs: [
+                { open: '{', close: '}' },
+                { open: '(', close: ')' },
+                { open: '"', close: '"', notIn: ['string'] }
+            ],
+            surroundingPairs: [
+                { open: '{', close: '}' },
+                { open: '"', close: '"' }
+            ],
+            wordPattern: /[^\s,{}()"#%=@]+/
+        });
+
+        // 设置语法高亮规则：条目之外的文本按 BibTeX 的规则都是注释
+        monaco.languages.setMonarchTokensProvider('bibtex', {
+            ignoreCase: true,
+            tokenizer: {
+                root: [
+                    // @comment 与条目外的文本
+                    [/@@comment\b/, 'comment'],
+                    [/(@)(string|preamble)(\s*)([{(])/, ['keyword', 'keyword', '', { token: 'delimiter.bracket', next: '@fields' }]],
+                    [/(@)([a-z]+)(\s*)([{(])/, ['keyword', 'keyword', '', { token: 'delimiter.bracket', next: '@entryKey' }]],
+                    [/[^@]+/, 'comment'],
+                    [/@/, 'comment']
+                ],
+
+                // 引用键
+                entryKey: [
+                    [/\s+/, ''],
+                    [/[^,\s{}()]+/, 'key'],
+                    [/,/, { token: 'delimiter', switchTo: '@fields' }],
+                    [/[})]/, { token: 'delimiter.bracket', next: '@pop' }]
+                ],
+
+                // 字段：name = 值 # 值
+                fields: [
+                    [/\s+/, ''],
+                    [/%.*$/, 'comment'],
+                    [/[a-z][\w\-:.+]*(?=\s*=)/, 'field'],
+                    [/[=#]/, 'operator'],
+                    [/,/, 'delimiter'],
+                    [/\{/, { token: 'string', next: '@braceValue' }],
+                    [/"/, { token: 'string', next: '@quoteValue' }],
+                    [/\d+/, 'number'],
+                    [/[a-z][\w\-:.+]*/, 'variable'],
+                    [/[})]/, { token: 'delimiter.bracket', next: '@pop' }],
+                    [/@/, { token: 'invalid', next: '@pop' }]
+                ],
+
+                // {...} 中的值，可以嵌套
+                braceValue: [
+                    [/[^{}\\]+/, 'string'],
+                    [/\\[a-z]+|\\./, 'string.escape'],
+                    [/\{/, { token: 'string', next: '@braceValue' }],
+                    [/\}/, { token: 'string', next: '@pop' }]
+                ],
+
+                // "..." 中的值，花括号内的引号不结束字段值
+                quoteValue: [
+                    [/[^"{}\\]+/, 'string'],
+                    [/\\[a-z]+|\\./, 'string.escape'],
+                    [/\{/, { token: 'string', next: '@braceValue' }],
+                    [/"/, { token: 'string', next: '@pop' }]
+                ]
+            }
+        });
+
+        this.languageRegistered = true;
+        console.log('BibTeX 语法高亮插件初始化完成');
+    }
+
+    enable() {
+        this.enabled = true;
+        if (!this.languageRegistered) {
+            this.registerLanguage();
+        }
+        console.log('BibTeX 语法高亮插件已启用');
+    }
+
+    disable() {
+        this.enabled = false;
+        console.log('BibTeX 语法高亮插件已禁用');
+    }
+
+    destroy() {
+        // 清理资源
+        console.log('BibTeX 语法高亮插件已卸载');
+    }
+}
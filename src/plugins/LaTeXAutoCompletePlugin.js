@@ -1,4 +1,15 @@
 import * as monaco from 'monaco-editor';
+import { findMathRegionAt } from '../core/MathRegions.js';
+import { REF_COMMANDS } from '../core/LabelIndex.js';
+import { FILE_COMMANDS, FILE_ARGUMENT } from '../core/FileReferences.js';
+import { parseMacroDefinitions, parseEnvironmentDefinitions } from '../core/MacroDefinitions.js';
+import { PACKAGE_COMMANDS, parseUsedPackages, findPackageInsertLine } from '../core/PackageCommands.js';
+
+// 光标位于 \ref{...} 等命令的参数中，捕获当前正在输入的标签
+const REF_ARGUMENT = new RegExp(`\\\\(?:${REF_COMMANDS.join('|')})\\*?\\s*\\{(?:[^}]*,)?\\s*([^,}\\s]*)$`);
+
+// 光标位于 \cite{...}、\citep{...}、\parencite[...]{...} 等引用命令的参数中
+const CITE_ARGUMENT = /\\[a-zA-Z]*cite[a-zA-Z]*\*?\s*(?:\[[^\]]*\]\s*){0,2}\{(?:[^}]*,)?\s*([^,}\s]*)$/;
 
 export class LaTeXAutoCompletePlugin {
     constructor() {
@@ -9,6 +20,9 @@ export class LaTeXAutoCompletePlugin {
         this.type = 'autocomplete';
         this.supportedLanguages = ['latex'];
         this.completionProvider = null;
+        this.commandDisposable = null;
+        this.contextCache = null; // { rootFile, currentFile, macros, environments, packages, time }
+        this.contextCacheTime = 3000;
         this.enabled = true;
     }
 
@@ -23,10 +37,13 @@ export class LaTeXAutoCompletePlugin {
     registerCompletionProvider() {
         try {
             this.completionProvider = monaco.languages.registerCompletionItemProvider('latex', {
-                provideCompletionItems: (model, position) => {
-                    return this.provideCompletionItems(model, position);
+                provideCompletionItems: (model, position, context) => {
+                    return this.provideCompletionItems(model, position, context);
                 },
-                triggerCharacters: ['\\', '{', '[', '$']
+                triggerCharacters: ['\\', '{', '[', '$', ',', '/']
+            });
+            this.commandDisposable = monaco.editor.registerCommand('latex.addUsePackage', (accessor, name, rootFile) => {
+                this.addUsePackage(name, rootFile);
             });
 
             console.log('LaTeX 自动完成插件初始化完成');
@@ -35,7 +52,7 @@ export class LaTeXAutoCompletePlugin {
         }
     }
 
-    provideCompletionItems(model, position) {
+    provideCompletionItems(model, position, context) {
         const word = model.getWordUntilPosition(position);
         const line = model.getLineContent(position.lineNumber);
         const beforeCursor = line.substring(0, position.column - 1);
@@ -44,11 +61,11 @@ export class LaTeXAutoCompletePlugin {
         let startColumn = word.startColumn;
         let endColumn = word.endColumn;
         
-        // 如果是反斜杠开头的命令，包含反斜杠
+        // 如果是反斜杠开头的命令，从反斜杠之后开始（补全项的标签与插入文本都不含反斜杠）
         if (beforeCursor.endsWith('\\') || /\\[a-zA-Z]*$/.test(beforeCursor)) {
             const match = beforeCursor.match(/\\[a-zA-Z]*$/);
             if (match) {
-                startColumn = position.column - match[0].length;
+                startColumn = position.column - match[0].length + 1;
                 endColumn = position.column;
             }
         }
@@ -60,51 +77,262 @@ export class LaTeXAutoCompletePlugin {
             endColumn: endColumn
         };
 
-        const suggestions = [];
-
-        // 检查是否在输入命令
-        if (beforeCursor.endsWith('\\') || /\\[a-zA-Z]*$/.test(beforeCursor)) {
-            suggestions.push(...this.getCommandCompletions(range));
+        // 在 \ref{} 等命令中只补全项目中的标签
+        const refMatch = beforeCursor.match(REF_ARGUMENT);
+        if (refMatch) {
+            return { suggestions: this.getLabelCompletions(model, position, refMatch[1]) };
         }
 
-        // 检查是否在输入环境
-        if (/\\begin\{[^}]*$/.test(beforeCursor)) {
-            suggestions.push(...this.getEnvironmentCompletions(range));
+        // 在 \cite{} 等命令中补全项目 .bib 文件中的文献
+        const citeMatch = beforeCursor.match(CITE_ARGUMENT);
+        if (citeMatch) {
+            // 由插件自己做模糊匹配，每次输入都重新计算
+            return { suggestions: this.getCitationCompletions(position, citeMatch[1]), incomplete: true };
         }
 
-        // 检查是否在数学模式
-        if (this.isInMathMode(model, position)) {
-            suggestions.push(...this.getMathCompletions(range));
+        // 在 \input{}、\includegraphics{} 等命令中补全项目中的文件路径
+        const fileMatch = beforeCursor.match(FILE_ARGUMENT);
+        if (fileMatch) {
+            return this.getPathCompletions(position, fileMatch[1], fileMatch[2]);
         }
 
-        // 检查是否在输入包名
-        if (/\\usepackage\{[^}]*$/.test(beforeCursor)) {
-            suggestions.push(...this.getPackageCompletions(range));
+        // "/" 只用于触发路径补全
+        if (context?.triggerCharacter === '/') {
+            return { suggestions: [] };
         }
 
-        // 如果没有特定上下文，但用户正在输入，提供基本的 LaTeX 命令
-        if (suggestions.length === 0) {
-            // 检查是否在输入任何内容
-            if (word.word.length > 0 || beforeCursor.endsWith('\\')) {
-                suggestions.push(...this.getCommandCompletions(range));
+        // 命令与环境的补全需要文档中定义的宏和加载的宏包
+        return this.getDocumentContext(model).then(documentContext => {
+            const suggestions = [];
+
+            // 检查是否在输入命令
+            if (beforeCursor.endsWith('\\') || /\\[a-zA-Z]*$/.test(beforeCursor)) {
+                suggestions.push(...this.getCommandCompletions(range, documentContext, model, position));
+            }
+
+            // 检查是否在输入环境
+            if (/\\begin\{[^}]*$/.test(beforeCursor)) {
+                suggestions.push(...this.getEnvironmentCompletions(range, documentContext, model, position));
+            }
+
+            // 检查是否在数学模式
+            if (this.isInMathMode(model, position)) {
+                suggestions.push(...this.getMathCompletions(range));
+            }
+
+            // 检查是否在输入包名
+            if (/\\usepackage\{[^}]*$/.test(beforeCursor)) {
+                suggestions.push(...this.getPackageCompletions(range));
+            }
+
+            // 如果没有特定上下文，但用户正在输入，提供基本的 LaTeX 命令
+            if (suggestions.length === 0) {
+                // 检查是否在输入任何内容
+                if (word.word.length > 0 || beforeCursor.endsWith('\\')) {
+                    suggestions.push(...this.getCommandCompletions(range));
+                }
             }
+
+            // 调试信息（仅在开发模式下显示）
+            if (suggestions.length > 0) {
+                console.log('LaTeX 自动补全:', {
+                    position,
+                    beforeCursor,
+                    word: word.word,
+                    range,
+                    suggestionsCount: suggestions.length
+                });
+            }
+
+            return { suggestions };
+        });
+    }
+
+    /**
+     * 收集文档的宏定义、环境定义与加载的宏包（根文档及其引用的文件）
+     * 其他文件的结果缓存几秒，当前文件始终使用编辑器中的最新内容
+     * @returns {Object} { rootFile, macros, environments, packages }
+     */
+    async getDocumentContext(model) {
+        const ide = window.ide;
+        const resolver = ide?.rootDocumentResolver;
+        const currentFile = ide?.currentFile || null;
+        const currentText = model.getValue();
+
+        let shared = { rootFile: null, macros: [], environments: [], packages: new Set() };
+        if (resolver && currentFile) {
+            try {
+                shared = await this.getProjectContext(currentFile);
+            } catch (error) {
+                console.warn('收集文档宏定义失败:', error);
+            }
+        }
+
+        const packages = new Set(shared.packages);
+        parseUsedPackages(currentText).forEach(name => packages.add(name));
+
+        return {
+            rootFile: shared.rootFile,
+            macros: [
+                ...parseMacroDefinitions(currentText).map(definition => ({ ...definition, file: currentFile })),
+                ...shared.macros
+            ],
+            environments: [
+                ...parseEnvironmentDefinitions(currentText).map(definition => ({ ...definition, file: currentFile })),
+                ...shared.environments
+            ],
+            packages
+        };
+    }
+
+    async getProjectContext(currentFile) {
+        const resolver = window.ide.rootDocumentResolver;
+        const rootFile = await resolver.resolve(currentFile);
+
+        const now = Date.now();
+        const cache = this.contextCache;
+        if (cache && cache.rootFile === rootFile && cache.currentFile === currentFile && now - cache.time < this.contextCacheTime) {
+            return cache;
         }
 
-        // 调试信息（仅在开发模式下显示）
-        if (suggestions.length > 0) {
-            console.log('LaTeX 自动补全:', {
-                position,
-                beforeCursor,
-                word: word.word,
-                range,
-                suggestionsCount: suggestions.length
+        const context = { rootFile, currentFile, macros: [], environments: [], packages: new Set(), time: now };
+        const files = rootFile ? await resolver.getIncludedFiles(rootFile) : new Set();
+        files.delete(currentFile);
+
+        for (const filePath of files) {
+            const text = await resolver.readText(filePath);
+            if (text === null) continue;
+
+            context.macros.push(...parseMacroDefinitions(text).map(definition => ({ ...definition, file: filePath })));
+            context.environments.push(...parseEnvironmentDefinitions(text).map(definition => ({ ...definition, file: filePath })));
+            parseUsedPackages(text).forEach(name => context.packages.add(name));
+        }
+
+        this.contextCache = context;
+        return context;
+    }
+
+    // 参数的 snippet：{${1:#1}}{${2:#2}}，有默认值的第一个参数是可选参数，不插入
+    getArgumentSnippet(definition) {
+        const optional = definition.defaultArg !== null ? 1 : 0;
+        let snippet = '';
+        for (let i = optional + 1; i <= definition.args; i++) {
+            snippet += `{\${${i - optional}:#${i}}}`;
+        }
+        return snippet;
+    }
+
+    // \newcommand 等定义的宏
+    getUserMacroCompletions(range, documentContext) {
+        return documentContext.macros
+            .filter(definition => /^\\[a-zA-Z]+$/.test(definition.name))
+            .map(definition => {
+                const name = definition.name.slice(1);
+                return {
+                    label: name,
+                    kind: monaco.languages.CompletionItemKind.Function,
+                    insertText: name + this.getArgumentSnippet(definition),
+                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                    detail: `\\${definition.command}${definition.file ? ` — ${definition.file}:${definition.line}` : ''}`,
+                    documentation: { value: '```latex\n' + definition.source + '\n```' },
+                    range
+                };
             });
+    }
+
+    // 宏包提供的命令；未加载的宏包在补全时同时插入 \usepackage
+    getPackageCommandCompletions(range, documentContext, model, position) {
+        const loaded = [];
+        const unloaded = [];
+
+        for (const [name, spec] of Object.entries(PACKAGE_COMMANDS)) {
+            const isLoaded = documentContext.packages.has(name);
+            for (const command of spec.commands || []) {
+                const item = {
+                    label: command.name,
+                    kind: monaco.languages.CompletionItemKind.Function,
+                    insertText: command.insert || command.name,
+                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                    detail: isLoaded ? name : `需要 \\usepackage{${name}}`,
+                    documentation: command.doc,
+                    range
+                };
+                if (isLoaded) {
+                    loaded.push(item);
+                } else {
+                    unloaded.push(Object.assign(item, this.getUsePackageEdit(name, documentContext, model, position)));
+                }
+            }
         }
 
-        return { suggestions };
+        return { loaded, unloaded };
+    }
+
+    /**
+     * 选择未加载宏包的补全项时插入 \usepackage 的方式：
+     * 当前文件是根文档时作为附加编辑（与补全一起撤销），否则通过命令修改根文档
+     */
+    getUsePackageEdit(name, documentContext, model, position) {
+        const ide = window.ide;
+        const rootFile = documentContext.rootFile;
+        if (!rootFile) return {};
+
+        if (rootFile === ide?.currentFile) {
+            const line = findPackageInsertLine(model.getValue());
+            if (!line || line >= position.lineNumber) return {};
+            const column = model.getLineMaxColumn(line);
+            return {
+                additionalTextEdits: [{
+                    range: { startLineNumber: line, startColumn: column, endLineNumber: line, endColumn: column },
+                    text: `\n\\usepackage{${name}}`
+                }]
+            };
+        }
+
+        return {
+            command: { id: 'latex.addUsePackage', title: `添加 \\usepackage{${name}}`, arguments: [name, rootFile] }
+        };
+    }
+
+    // 在根文档的导言区加入 \usepackage（修改项目文档，已打开的编辑器同步更新）
+    async addUsePackage(name, rootFile) {
+        const ide = window.ide;
+        const versionManager = ide?.versionManager;
+        if (!versionManager?.projectDoc) return;
+
+        const text = await ide.rootDocumentResolver.readText(rootFile);
+        if (text === null || parseUsedPackages(text).has(name)) return;
+
+        const line = findPackageInsertLine(text);
+        if (!line) {
+            document.getElementById('statusText').textContent = `${rootFile} 中没有找到导言区，请手动添加 \\usepackage{${name}}`;
+            return;
+        }
+
+        const offset = text.split('\n').slice(0, line).join('\n').length;
+        await versionManager.setFileText(rootFile, `${text.slice(0, offset)}\n\\usepackage{${name}}${text.slice(offset)}`);
+        this.contextCache = null;
+
+        document.getElementById('statusText').textContent = `已在 ${rootFile} 中添加 \\usepackage{${name}}`;
+    }
+
+    /**
+     * 合并补全项，同名时保留优先级高的：用户定义 > 已加载宏包 > 内置命令 > 未加载宏包
+     * 排序也按这个顺序
+     */
+    mergeCompletions(...groups) {
+        const items = new Map();
+        groups.forEach((group, priority) => {
+            for (const item of group) {
+                if (!items.has(item.label)) {
+                    items.set(item.label, { ...item, sortText: `${priority}${item.label}` });
+                }
+            }
+        });
+        return [...items.values()];
     }
 
-    getCommandCompletions(range) {
+    getCommandCompletions(range, documentContext = null, model = null, position = null) {
         const commands = [
             // 文档结构
             {
@@ -242,10 +470,13 @@ export class LaTeXAutoCompletePlugin {
             }
         ];
 
-        return commands;
+        if (!documentContext) return commands;
+
+        const { loaded, unloaded } = this.getPackageCommandCompletions(range, documentContext, model, position);
+        return this.mergeCompletions(this.getUserMacroCompletions(range, documentContext), loaded, commands, unloaded);
     }
 
-    getEnvironmentCompletions(range) {
+    getEnvironmentCompletions(range, documentContext = null, model = null, position = null) {
         const environments = [
             {
                 label: 'document',
@@ -312,7 +543,46 @@ export class LaTeXAutoCompletePlugin {
             }
         ];
 
-        return environments;
+        if (!documentContext) return environments;
+
+        // 带参数的环境连同自动补全的右花括号一起替换，参数放在 \begin{...} 之后
+        const nextChar = model.getLineContent(position.lineNumber)[position.column - 1];
+        const argumentRange = { ...range, endColumn: range.endColumn + (nextChar === '}' ? 1 : 0) };
+        const withArguments = (item, args) => args
+            ? { ...item, insertText: `${item.insertText}}${args}`, insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet, range: argumentRange }
+            : item;
+
+        const userEnvironments = documentContext.environments.map(definition => withArguments({
+            label: definition.name,
+            kind: monaco.languages.CompletionItemKind.Module,
+            insertText: definition.name,
+            detail: `\\${definition.command}${definition.file ? ` — ${definition.file}:${definition.line}` : ''}`,
+            documentation: definition.title || undefined,
+            range
+        }, this.getArgumentSnippet(definition)));
+
+        const loaded = [];
+        const unloaded = [];
+        for (const [name, spec] of Object.entries(PACKAGE_COMMANDS)) {
+            const isLoaded = documentContext.packages.has(name);
+            for (const environment of spec.environments || []) {
+                const item = withArguments({
+                    label: environment.name,
+                    kind: monaco.languages.CompletionItemKind.Module,
+                    insertText: environment.name,
+                    detail: isLoaded ? name : `需要 \\usepackage{${name}}`,
+                    documentation: environment.doc,
+                    range
+                }, environment.args);
+                if (isLoaded) {
+                    loaded.push(item);
+                } else {
+                    unloaded.push(Object.assign(item, this.getUsePackageEdit(name, documentContext, model, position)));
+                }
+            }
+        }
+
+        return this.mergeCompletions(userEnvironments, loaded, environments, unloaded);
     }
 
     getMathCompletions(range) {
@@ -357,6 +627,140 @@ export class LaTeXAutoCompletePlugin {
         }));
     }
 
+    // 项目中所有 \label 定义的标签，说明文字为所在图表的标题或章节名
+    getLabelCompletions(model, position, partial) {
+        const ide = window.ide;
+        const labelIndex = ide?.labelIndex;
+        if (!labelIndex) return [];
+
+        // 当前文件以编辑器中的最新内容为准
+        if (ide.currentFile && ide.currentFile.endsWith('.tex')) {
+            labelIndex.updateFile(ide.currentFile, model.getValue());
+        }
+
+        const range = {
+            startLineNumber: position.lineNumber,
+            endLineNumber: position.lineNumber,
+            startColumn: position.column - partial.length,
+            endColumn: position.column
+        };
+
+        return labelIndex.getLabels().map(label => ({
+            label: label.name,
+            kind: monaco.languages.CompletionItemKind.Reference,
+            insertText: label.name,
+            detail: label.context || label.kind,
+            documentation: `${label.file}:${label.line}`,
+            range
+        }));
+    }
+
+    // 项目 .bib 文件中的文献，按引用键、作者、年份、标题模糊匹配
+    getCitationCompletions(position, partial) {
+        const bibliographyIndex = window.ide?.bibliographyIndex;
+        if (!bibliographyIndex) return [];
+
+        const range = {
+            startLineNumber: position.lineNumber,
+            endLineNumber: position.lineNumber,
+            startColumn: position.column - partial.length,
+            endColumn: position.column
+        };
+
+        return bibliographyIndex.search(partial).map(({ entry }, index) => ({
+            label: { label: entry.key, description: entry.year },
+            kind: monaco.languages.CompletionItemKind.Reference,
+            insertText: entry.key,
+            detail: [entry.authorShort, entry.year && `(${entry.year})`, entry.title].filter(Boolean).join(' '),
+            documentation: {
+                value: [
+                    `**${entry.title || entry.key}**`,
+                    entry.author,
+                    [entry.venue, entry.year].filter(Boolean).join(', '),
+                    `@${entry.type} — ${entry.file}:${entry.line}`
+                ].filter(Boolean).join('\n\n')
+            },
+            // 已按匹配程度排序；filterText 与输入一致，避免编辑器再按前缀过滤掉作者或标题匹配的条目
+            filterText: partial,
+            sortText: String(index).padStart(5, '0'),
+            range
+        }));
+    }
+
+    /**
+     * 项目中的文件与目录，路径相对于根文档所在目录；图片同时在 \graphicspath 的目录中查找
+     * 只列出命令可以引用的文件类型，选择目录后继续补全下一级
+     */
+    async getPathCompletions(position, command, argument) {
+        const ide = window.ide;
+        const checker = ide?.fileReferenceChecker;
+        if (!checker || !ide.currentFile) return { suggestions: [] };
+
+        const spec = FILE_COMMANDS[command];
+        const partial = spec.multiple ? argument.slice(argument.lastIndexOf(',') + 1).trimStart() : argument;
+        const dirPart = partial.slice(0, partial.lastIndexOf('/') + 1);
+        const namePart = partial.slice(dirPart.length);
+
+        const range = {
+            startLineNumber: position.lineNumber,
+            endLineNumber: position.lineNumber,
+            startColumn: position.column - namePart.length,
+            endColumn: position.column
+        };
+
+        const resolver = ide.rootDocumentResolver;
+        const [context, { directories }] = await Promise.all([
+            checker.getContext(ide.currentFile),
+            checker.getProjectTree()
+        ]);
+
+        let baseDirs = [context.baseDir];
+        if (dirPart.startsWith('/')) {
+            baseDirs = ['/'];
+        } else if (spec.graphics) {
+            baseDirs.push(...context.graphicsPaths.map(dir => dir.startsWith('/') ? dir : resolver.resolveRelative(context.baseDir, dir)));
+        }
+
+        const suggestions = [];
+        const seen = new Set();
+        for (const baseDir of baseDirs) {
+            const dir = resolver.resolveRelative(baseDir, dirPart);
+            for (const child of directories.get(dir) || []) {
+                if (child.type === 'directory') {
+                    const insertText = `${child.name}/`;
+                    if (seen.has(insertText)) continue;
+                    seen.add(insertText);
+                    suggestions.push({
+                        label: insertText,
+                        kind: monaco.languages.CompletionItemKind.Folder,
+                        insertText,
+                        sortText: `1${child.name}`,
+                        command: { id: 'editor.action.triggerSuggest', title: '继续补全' },
+                        range
+                    });
+                    continue;
+                }
+
+                const extension = child.name.includes('.') ? child.name.slice(child.name.lastIndexOf('.')).toLowerCase() : '';
+                if (!spec.extensions.includes(extension) || child.path === ide.currentFile) continue;
+
+                const insertText = spec.omitExtension ? child.name.slice(0, -extension.length) : child.name;
+                if (seen.has(insertText)) continue;
+                seen.add(insertText);
+                suggestions.push({
+                    label: child.name,
+                    kind: monaco.languages.CompletionItemKind.File,
+                    insertText,
+                    detail: child.path,
+                    sortText: `0${child.name}`,
+                    range
+                });
+            }
+        }
+
+        return { suggestions };
+    }
+
     getPackageCompletions(range) {
         const packages = [
             { label: 'amsmath', documentation: '数学公式增强包' },
@@ -376,6 +780,13 @@ export class LaTeXAutoCompletePlugin {
             { label: 'multicol', documentation: '多栏排版包' }
         ];
 
+        // 补全命令时认识的其他宏包
+        for (const [name, spec] of Object.entries(PACKAGE_COMMANDS)) {
+            if (!packages.some(pkg => pkg.label === name)) {
+                packages.push({ label: name, documentation: spec.description });
+            }
+        }
+
         return packages.map(pkg => ({
             label: pkg.label,
             kind: monaco.languages.CompletionItemKind.Module,
@@ -386,12 +797,8 @@ export class LaTeXAutoCompletePlugin {
     }
 
     isInMathMode(model, position) {
-        const line = model.getLineContent(position.lineNumber);
-        const beforeCursor = line.substring(0, position.column - 1);
-        
-        // 简单检查是否在数学模式中
-        const dollarCount = (beforeCursor.match(/\$/g) || []).length;
-        return dollarCount % 2 === 1;
+        // 识别 $...$、\[...\]、equation/align 等环境（可跨行），与公式预览共用
+        return findMathRegionAt(model, position) !== null;
     }
 
     enable() {
@@ -408,6 +815,10 @@ export class LaTeXAutoCompletePlugin {
             this.completionProvider.dispose();
             this.completionProvider = null;
         }
+        if (this.commandDisposable) {
+            this.commandDisposable.dispose();
+            this.commandDisposable = null;
+        }
         console.log('LaTeX 自动完成插件已禁用');
     }
 
@@ -415,13 +826,26 @@ export class LaTeXAutoCompletePlugin {
         if (this.completionProvider) {
             this.completionProvider.dispose();
         }
+        if (this.commandDisposable) {
+            this.commandDisposable.dispose();
+        }
         console.log('LaTeX 自动完成插件已卸载');
     }
 
-    // 添加自定义完成项
+    // 添加自定义完成项，作为插件代码片段注册（insertText 按 snippet 语法解析）
     addCustomCompletion(completion) {
-        // 可以动态添加自定义完成项
-        console.log('添加自定义完成项:', completion);
+        const snippetManager = window.ide?.snippetManager;
+        if (!snippetManager || !completion?.label || !completion.insertText) {
+            console.warn('无法添加自定义完成项:', completion);
+            return;
+        }
+
+        snippetManager.registerSnippet(completion.label, {
+            prefix: completion.prefix || completion.label,
+            body: completion.insertText,
+            description: typeof completion.documentation === 'string' ? completion.documentation : ''
+        });
+        console.log('添加自定义完成项:', completion.label);
     }
 
     // 获取完成统计信息
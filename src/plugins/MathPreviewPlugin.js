@@ -0,0 +1,322 @@
+import * as monaco from 'monaco-editor';
+import { mathjax } from 'mathjax-full/js/mathjax.js';
+import { TeX } from 'mathjax-full/js/input/tex.js';
+import { SVG } from 'mathjax-full/js/output/svg.js';
+import { liteAdaptor } from 'mathjax-full/js/adaptors/liteAdaptor.js';
+import { RegisterHTMLHandler } from 'mathjax-full/js/handlers/html.js';
+import { AllPackages } from 'mathjax-full/js/input/tex/AllPackages.js';
+import { findMathRegionAt } from '../core/MathRegions.js';
+import { parseMacroDefinitions } from '../core/MacroDefinitions.js';
+
+/**
+ * 数学公式预览插件
+ * 悬停在 $...$、\[...\]、equation/align 等公式上时显示渲染结果（MathJax SVG），
+ * 可选在正在编辑的公式下方显示实时预览；文档中 \newcommand 等定义的宏同样生效
+ */
+export class MathPreviewPlugin {
+    constructor() {
+        this.id = 'math-preview';
+        this.name = '数学公式预览';
+        this.description = '悬停或编辑公式时显示渲染后的公式，支持文档中定义的宏';
+        this.version = '1.0.0';
+        this.type = 'editor';
+        this.supportedLanguages = ['latex'];
+        this.enabled = true;
+
+        this.pluginManager = null;
+        this.hoverProvider = null;
+        this.mathDocument = null;
+        this.adaptor = null;
+        this.macroCache = null; // { rootFile, preamble, time }
+        this.inlineWidget = null;
+        this.inlineNode = null;
+        this.inlinePosition = null;
+        this.inlineTimer = null;
+
+        // 插件配置
+        this.config = {
+            hover: true,            // 悬停预览
+            inlinePreview: false,   // 编辑公式时在下方显示实时预览
+            scale: 1.3              // 预览缩放比例
+        };
+
+        // 宏定义缓存时间 (毫秒)
+        this.macroCacheTime = 3000;
+    }
+
+    init(pluginManager) {
+        this.pluginManager = pluginManager;
+        this.config = { ...this.config, ...pluginManager.getPluginConfig(this.id) };
+
+        this.registerHoverProvider();
+        this.setupInlinePreview();
+
+        this.pluginManager.registerContextMenuAction({
+            id: 'math-preview.toggleInline',
+            label: '切换公式实时预览',
+            contextMenuGroupId: 'navigation',
+            contextMenuOrder: 3,
+            run: () => this.toggleInlinePreview()
+        });
+
+        this.addStyles();
+        console.log('数学公式预览插件初始化完成');
+    }
+
+    registerHoverProvider() {
+        this.hoverProvider = monaco.languages.registerHoverProvider('latex', {
+            provideHover: (model, position) => this.provideHover(model, position)
+        });
+    }
+
+    async provideHover(model, position) {
+        if (!this.enabled || !this.config.hover) return null;
+
+        const region = findMathRegionAt(model, position, true);
+        if (!region || !region.closed || !region.content.trim()) return null;
+
+        const start = model.getPositionAt(region.start);
+        const end = model.getPositionAt(region.end);
+        const range = new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column);
+
+        try {
+            const svg = await this.renderRegion(region);
+            return {
+                range,
+                contents: [{ value: `![公式预览](${this.toDataUri(svg)})` }]
+            };
+        } catch (error) {
+            return {
+                range,
+                contents: [{ value: `**公式错误：** ${this.escapeMarkdown(error.message)}` }]
+            };
+        }
+    }
+
+    // 获取（必要时创建）MathJax 文档
+    getMathDocument() {
+        if (!this.mathDocument) {
+            this.adaptor = liteAdaptor();
+            RegisterHTMLHandler(this.adaptor);
+            this.mathDocument = mathjax.document('', {
+                InputJax: new TeX({
+                    // 保留 noundefined：未知命令（如来自未支持的宏包）标红显示而不是整体报错
+                    packages: AllPackages.filter(name => name !== 'noerrors'),
+                    tags: 'none',
+                    formatError: (jax, error) => { throw error; }
+                }),
+                OutputJax: new SVG({ fontCache: 'local' })
+            });
+        }
+        return this.mathDocument;
+    }
+
+    /**
+     * 将数学区域渲染为 SVG 字符串
+     * @param {Object} region - findMathRegionAt 返回的区域
+     */
+    async renderRegion(region) {
+        // 环境需要连同 \begin/\end 一起交给 MathJax
+        const tex = region.environment ? region.text : region.content;
+        const preamble = await this.getMacroPreamble();
+
+        try {
+            return this.renderTeX(preamble + tex, region.display);
+        } catch (error) {
+            // 宏定义本身有 MathJax 不支持的内容时，不带宏再试一次
+            if (!preamble) throw error;
+            return this.renderTeX(tex, region.display);
+        }
+    }
+
+    renderTeX(tex, display) {
+        const document = this.getMathDocument();
+        const node = document.convert(tex, { display });
+        let svg = this.adaptor.innerHTML(node);
+
+        // 只缩放最外层 svg 的尺寸
+        svg = svg.replace(/^<svg[^>]*>/, (tag) => tag.replace(/(width|height)="([\d.]+)ex"/g,
+            (match, name, value) => `${name}="${(parseFloat(value) * this.config.scale).toFixed(3)}ex"`));
+        return svg;
+    }
+
+    /**
+     * 收集当前文档所属项目中的宏定义（根文档及其引用的文件）
+     * @returns {string} 可直接放在公式前面的宏定义源码
+     */
+    async getMacroPreamble() {
+        const ide = window.ide;
+        if (!ide || !ide.currentFile) return '';
+
+        const rootFile = await ide.rootDocumentResolver.resolve(ide.currentFile);
+        if (!rootFile) return '';
+
+        const now = Date.now();
+        if (this.macroCache && this.macroCache.rootFile === rootFile && now - this.macroCache.time < this.macroCacheTime) {
+            return this.macroCache.preamble;
+        }
+
+        const files = await ide.rootDocumentResolver.getIncludedFiles(rootFile);
+        files.add(ide.currentFile);
+
+        let preamble = '';
+        for (const filePath of files) {
+            const text = await ide.rootDocumentResolver.readText(filePath);
+            if (text === null) continue;
+
+            for (const definition of parseMacroDefinitions(text)) {
+                // MathJax 不支持 \providecommand，按 \newcommand 处理
+                preamble += definition.command === 'providecommand'
+                    ? definition.source.replace(/^\\providecommand/, '\\newcommand')
+                    : definition.source;
+            }
+        }
+
+        this.macroCache = { rootFile, preamble, time: now };
+        return preamble;
+    }
+
+    // SVG 以 data URI 图片的形式显示在悬停提示中，并按编辑器主题设置颜色
+    toDataUri(svg) {
+        const colored = svg.replace(/currentColor/g, this.getTextColor());
+        const bytes = new TextEncoder().encode(colored);
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return `data:image/svg+xml;base64,${btoa(binary)}`;
+    }
+
+    getTextColor() {
+        const theme = window.ide?.settingsManager?.get('editor', 'theme') || '';
+        return /light|^vs$/.test(theme) ? '#000000' : '#d4d4d4';
+    }
+
+    escapeMarkdown(text) {
+        return String(text).replace(/[\\`*_{}[\]()#+\-.!<>]/g, '\\$&');
+    }
+
+    // 在正在编辑的公式下方显示实时预览
+    setupInlinePreview() {
+        const editor = window.ide?.editor;
+        if (!editor) return;
+
+        this.inlineNode = document.createElement('div');
+        this.inlineNode.className = 'math-preview-inline';
+
+        this.inlineWidget = {
+            getId: () => 'math-preview.inline',
+            getDomNode: () => this.inlineNode,
+            getPosition: () => this.inlinePosition ? {
+                position: this.inlinePosition,
+                preference: [monaco.editor.ContentWidgetPositionPreference.BELOW]
+            } : null
+        };
+        editor.addContentWidget(this.inlineWidget);
+
+        const schedule = () => {
+            clearTimeout(this.inlineTimer);
+            this.inlineTimer = setTimeout(() => this.updateInlinePreview(), 150);
+        };
+        editor.onDidChangeCursorPosition(schedule);
+        editor.onDidChangeModelContent(schedule);
+    }
+
+    async updateInlinePreview() {
+        const editor = window.ide?.editor;
+        const model = editor?.getModel();
+        if (!this.inlineWidget || !model) return;
+
+        const position = editor.getPosition();
+        const region = this.enabled && this.config.inlinePreview && position && model.getLanguageId() === 'latex'
+            ? findMathRegionAt(model, position)
+            : null;
+
+        if (!region || !region.content.trim()) {
+            this.hideInlinePreview();
+            return;
+        }
+
+        try {
+            const svg = await this.renderRegion(region);
+            this.inlineNode.classList.remove('error');
+            this.inlineNode.innerHTML = svg;
+        } catch (error) {
+            this.inlineNode.classList.add('error');
+            this.inlineNode.textContent = error.message;
+        }
+
+        this.inlinePosition = { lineNumber: position.lineNumber, column: 1 };
+        editor.layoutContentWidget(this.inlineWidget);
+    }
+
+    hideInlinePreview() {
+        if (!this.inlinePosition) return;
+        this.inlinePosition = null;
+        window.ide?.editor?.layoutContentWidget(this.inlineWidget);
+    }
+
+    toggleInlinePreview() {
+        this.config.inlinePreview = !this.config.inlinePreview;
+        this.pluginManager.setPluginConfig(this.id, this.config);
+        this.updateInlinePreview();
+
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = this.config.inlinePreview ? '公式实时预览已开启' : '公式实时预览已关闭';
+        }
+    }
+
+    addStyles() {
+        if (document.getElementById('math-preview-styles')) return;
+
+        const styles = document.createElement('style');
+        styles.id = 'math-preview-styles';
+        styles.textContent = `
+            .math-preview-inline {
+                background: #252526;
+                border: 1px solid #454545;
+                border-radius: 4px;
+                box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+                padding: 6px 10px;
+                color: #d4d4d4;
+                max-width: 640px;
+                overflow-x: auto;
+                pointer-events: none;
+            }
+
+            .math-preview-inline.error {
+                color: #f48771;
+                font-size: 12px;
+            }
+
+            .math-preview-inline svg {
+                display: block;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    enable() {
+        this.enabled = true;
+        console.log('数学公式预览插件已启用');
+    }
+
+    disable() {
+        this.enabled = false;
+        this.hideInlinePreview();
+        console.log('数学公式预览插件已禁用');
+    }
+
+    destroy() {
+        if (this.hoverProvider) {
+            this.hoverProvider.dispose();
+        }
+        if (this.inlineWidget) {
+            window.ide?.editor?.removeContentWidget(this.inlineWidget);
+        }
+        clearTimeout(this.inlineTimer);
+        console.log('数学公式预览插件已卸载');
+    }
+}
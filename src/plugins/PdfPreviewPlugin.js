@@ -0,0 +1,771 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { SyncTeX } from '../core/SyncTeX.js';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+/**
+ * PDF 预览插件
+ * 在编辑器右侧显示可调整宽度的 PDF 预览面板，每次编译后自动重新加载
+ * 借助 SyncTeX 支持 Ctrl+点击在源码与 PDF 之间双向跳转
+ */
+export class PdfPreviewPlugin {
+    constructor() {
+        this.id = 'pdf-preview';
+        this.name = 'PDF 预览';
+        this.description = '使用 pdf.js 预览编译生成的 PDF，支持缩放、翻页和适应宽度';
+        this.version = '1.0.0';
+        this.type = 'ui';
+        this.enabled = true;
+
+        this.pluginManager = null;
+        this.panel = null;
+        this.pagesContainer = null;
+        this.pdfDocument = null;
+        this.currentPdfPath = null;
+        this.synctex = null;
+        this.partialBuilds = new Map(); // 快速预览生成的 PDF -> { rootFile, target, label }
+        this.pageViews = []; // { element, canvas, rendered, viewport }
+        this.observer = null;
+        this.loadToken = 0; // 重叠的加载（如渲染期间自动编译完成）只保留最新的一次
+        this.renderToken = 0; // 丢弃过期的渲染
+        this.isVisible = false;
+
+        // 插件配置
+        this.config = {
+            width: 520,       // 面板宽度 (px)
+            scale: 1.0,       // 缩放比例
+            fitWidth: true    // 是否适应宽度
+        };
+
+        this.minScale = 0.25;
+        this.maxScale = 4.0;
+    }
+
+    init(pluginManager) {
+        this.pluginManager = pluginManager;
+        this.config = { ...this.config, ...pluginManager.getPluginConfig(this.id) };
+
+        this.createPanel();
+        this.setupResizer();
+        this.setupSyncTeX();
+
+        // 编译完成后自动刷新预览
+        this.pluginManager.addHook('compile.end', this.onCompileEnd.bind(this));
+
+        window.pdfPreview = this;
+        console.log('PDF 预览插件初始化完成');
+    }
+
+    /**
+     * 创建面板 DOM 结构
+     */
+    createPanel() {
+        const editorContainer = document.querySelector('.editor-container');
+        if (!editorContainer) {
+            console.warn('编辑器容器未找到，无法创建 PDF 预览面板');
+            return;
+        }
+
+        this.resizer = document.createElement('div');
+        this.resizer.className = 'pdf-preview-resizer hidden';
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'pdf-preview hidden';
+        this.panel.style.width = `${this.config.width}px`;
+        this.panel.innerHTML = `
+            <div class="pdf-preview-toolbar">
+                <button class="pdf-btn" data-action="prev" title="上一页">▲</button>
+                <button class="pdf-btn" data-action="next" title="下一页">▼</button>
+                <input class="pdf-page-input" type="number" min="1" value="1">
+                <span class="pdf-page-count">/ 0</span>
+                <span class="pdf-toolbar-separator"></span>
+                <button class="pdf-btn" data-action="zoomOut" title="缩小">−</button>
+                <span class="pdf-zoom-value">100%</span>
+                <button class="pdf-btn" data-action="zoomIn" title="放大">+</button>
+                <button class="pdf-btn" data-action="fitWidth" title="适应宽度">↔</button>
+                <span class="pdf-toolbar-separator"></span>
+                <span class="pdf-partial-badge hidden">部分编译</span>
+                <button class="pdf-btn" data-action="reload" title="重新加载">⟳</button>
+                <button class="pdf-btn" data-action="close" title="关闭预览">×</button>
+            </div>
+            <div class="pdf-preview-pages">
+                <div class="pdf-preview-empty">暂无 PDF，编译后将在此显示</div>
+            </div>
+        `;
+
+        editorContainer.appendChild(this.resizer);
+        editorContainer.appendChild(this.panel);
+
+        this.pagesContainer = this.panel.querySelector('.pdf-preview-pages');
+        this.pageInput = this.panel.querySelector('.pdf-page-input');
+        this.pageCountLabel = this.panel.querySelector('.pdf-page-count');
+        this.zoomLabel = this.panel.querySelector('.pdf-zoom-value');
+        this.partialBadge = this.panel.querySelector('.pdf-partial-badge');
+
+        this.panel.querySelector('.pdf-preview-toolbar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleToolbarAction(button.dataset.action);
+            }
+        });
+
+        this.pageInput.addEventListener('change', () => {
+            this.goToPage(parseInt(this.pageInput.value, 10));
+        });
+
+        this.pagesContainer.addEventListener('scroll', () => {
+            this.updateCurrentPageFromScroll();
+        });
+
+        this.addStyles();
+    }
+
+    // 拖动分隔条调整面板宽度
+    setupResizer() {
+        if (!this.resizer) return;
+
+        this.resizer.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const startX = e.clientX;
+            const startWidth = this.panel.offsetWidth;
+
+            const onMouseMove = (moveEvent) => {
+                const width = Math.max(240, startWidth + (startX - moveEvent.clientX));
+                this.panel.style.width = `${width}px`;
+            };
+
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                document.body.classList.remove('pdf-preview-resizing');
+
+                this.config.width = this.panel.offsetWidth;
+                this.saveConfig();
+                if (this.config.fitWidth) {
+                    this.applyFitWidth();
+                }
+            };
+
+            document.body.classList.add('pdf-preview-resizing');
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+    }
+
+    // 注册源码与 PDF 之间的双向跳转
+    setupSyncTeX() {
+        const editor = window.ide?.editor;
+        if (editor) {
+            // 编辑器中 Ctrl+点击 -> 在 PDF 中定位
+            editor.onMouseDown(async (e) => {
+                if (!(e.event.ctrlKey || e.event.metaKey) || !e.target.position) return;
+                // 点击 \ref、\cite、\input 或用户宏时 Ctrl+点击用于转到定义
+                const navigation = window.ide.symbolNavigation;
+                if (navigation && await navigation.hasDefinitionAt(editor.getModel(), e.target.position)) return;
+
+                const filePath = window.ide.currentFile;
+                if (filePath && filePath.endsWith('.tex')) {
+                    this.forwardSearch(filePath, e.target.position.lineNumber);
+                }
+            });
+
+            this.pluginManager.registerContextMenuAction({
+                id: 'pdfPreview.forwardSearch',
+                label: '在 PDF 中定位',
+                contextMenuGroupId: 'navigation',
+                contextMenuOrder: 10,
+                run: (ed) => {
+                    const filePath = window.ide.currentFile;
+                    if (filePath && filePath.endsWith('.tex')) {
+                        this.forwardSearch(filePath, ed.getPosition().lineNumber);
+                    }
+                }
+            });
+        }
+
+        // PDF 中 Ctrl+点击 -> 打开对应源文件
+        this.pagesContainer?.addEventListener('click', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const pageElement = e.target.closest('.pdf-page');
+            if (!pageElement) return;
+
+            e.preventDefault();
+            const rect = pageElement.getBoundingClientRect();
+            this.inverseSearch(
+                parseInt(pageElement.dataset.pageNumber, 10),
+                (e.clientX - rect.left) / this.config.scale,
+                (e.clientY - rect.top) / this.config.scale
+            );
+        });
+    }
+
+    // 显示快速预览得到的 PDF 时提示只包含部分内容
+    updatePartialBadge() {
+        if (!this.partialBadge) return;
+
+        const partial = this.partialBuilds.get(this.currentPdfPath);
+        this.partialBadge.classList.toggle('hidden', !partial);
+        this.partialBadge.title = partial ? `快速预览，只编译了 ${partial.label}，按 F5 完整编译` : '';
+    }
+
+    // 加载与 PDF 同名的 SyncTeX 文件
+    async loadSyncTeX(pdfPath, token = this.loadToken) {
+        this.synctex = null;
+
+        const fileSystem = window.ide.fileSystem;
+        const compileManager = window.ide.compileManager;
+        const basePath = pdfPath.replace(/\.pdf$/i, '');
+
+        for (const synctexPath of [`${basePath}.synctex.gz`, `${basePath}.synctex`]) {
+            try {
+                if (!(await fileSystem.exists(synctexPath))) continue;
+                const bytes = await fileSystem.readBinaryFile(synctexPath);
+                const synctex = await SyncTeX.fromBytes(bytes, (path) => compileManager.toProjectPath(path));
+                // 期间又加载了其他 PDF 时丢弃
+                if (token === this.loadToken) this.synctex = synctex;
+                return;
+            } catch (error) {
+                console.warn(`解析 SyncTeX 文件失败: ${synctexPath}`, error);
+            }
+        }
+    }
+
+    /**
+     * 正向搜索：滚动到源码行对应的 PDF 位置并高亮
+     * @param {string} filePath - 源文件路径
+     * @param {number} line - 行号（从 1 开始）
+     */
+    async forwardSearch(filePath, line) {
+        await this.openRootPdf(filePath);
+
+        if (!this.pdfDocument || !this.synctex) {
+            this.showStatus('没有可用的 SyncTeX 数据，请先编译');
+            return;
+        }
+
+        const location = this.synctex.forward(filePath, line);
+        if (!location) {
+            this.showStatus(`在 PDF 中未找到 ${filePath.split('/').pop()}:${line}`);
+            return;
+        }
+
+        this.show();
+        const view = this.pageViews[location.page - 1];
+        if (!view) return;
+
+        const scale = this.config.scale;
+        const top = view.element.offsetTop - this.pagesContainer.offsetTop + location.y * scale;
+        this.pagesContainer.scrollTop = top - this.pagesContainer.clientHeight / 3;
+
+        const highlight = document.createElement('div');
+        highlight.className = 'pdf-synctex-highlight';
+        highlight.style.left = `${location.x * scale}px`;
+        highlight.style.top = `${location.y * scale}px`;
+        highlight.style.width = `${location.width * scale}px`;
+        highlight.style.height = `${location.height * scale}px`;
+        view.element.appendChild(highlight);
+        setTimeout(() => highlight.remove(), 1500);
+    }
+
+    // 确保预览中显示的是该文件所属根文档的 PDF
+    async openRootPdf(filePath) {
+        const ide = window.ide;
+        const rootFile = await ide.rootDocumentResolver.resolve(filePath);
+        if (!rootFile) return;
+
+        // 正在查看该文档的快速预览时不切换到完整 PDF
+        const partial = this.partialBuilds.get(this.currentPdfPath);
+        if (partial && partial.rootFile === rootFile) return;
+
+        const jobName = rootFile.split('/').pop().replace(/\.tex$/, '');
+        const pdfPath = `${ide.compileManager.outputDir}/${jobName}.pdf`;
+        if (pdfPath !== this.currentPdfPath && await ide.fileSystem.exists(pdfPath)) {
+            await this.openPdf(pdfPath);
+        }
+    }
+
+    /**
+     * 反向搜索：打开 PDF 位置对应的源文件并跳转到该行
+     * @param {number} page - 页码（从 1 开始）
+     * @param {number} x - 页面内横坐标 (bp)
+     * @param {number} y - 页面内纵坐标 (bp)，从页面顶部起算
+     */
+    async inverseSearch(page, x, y) {
+        if (!this.synctex) {
+            this.showStatus('没有可用的 SyncTeX 数据，请先编译');
+            return;
+        }
+
+        const location = this.synctex.inverse(page, x, y);
+        if (!location) return;
+
+        await window.ide.openFile(location.file);
+        const editor = window.ide.editor;
+        if (editor && window.ide.currentFile === location.file) {
+            editor.revealLineInCenter(location.line);
+            editor.setPosition({ lineNumber: location.line, column: 1 });
+            editor.focus();
+        }
+    }
+
+    handleToolbarAction(action) {
+        switch (action) {
+            case 'prev':
+                this.goToPage(this.getCurrentPage() - 1);
+                break;
+            case 'next':
+                this.goToPage(this.getCurrentPage() + 1);
+                break;
+            case 'zoomIn':
+                this.setScale(this.config.scale * 1.2);
+                break;
+            case 'zoomOut':
+                this.setScale(this.config.scale / 1.2);
+                break;
+            case 'fitWidth':
+                this.config.fitWidth = true;
+                this.applyFitWidth();
+                break;
+            case 'reload':
+                if (this.currentPdfPath) {
+                    this.openPdf(this.currentPdfPath);
+                }
+                break;
+            case 'close':
+                this.hide();
+                break;
+        }
+    }
+
+    // 编译结束后重新加载 PDF
+    // 编译失败时保留上一次成功的 PDF，没有可显示的 PDF 时才显示失败编译的输出
+    async onCompileEnd(result) {
+        if (!result || !result.pdfPath) return;
+
+        if (result.partial) {
+            this.partialBuilds.set(result.pdfPath, { rootFile: result.rootFile, ...result.partial });
+        } else {
+            this.partialBuilds.delete(result.pdfPath);
+        }
+
+        if (result.success || !this.pdfDocument) {
+            await this.openPdf(result.pdfPath);
+        }
+    }
+
+    show() {
+        if (!this.panel) return;
+        this.isVisible = true;
+        this.panel.classList.remove('hidden');
+        this.resizer.classList.remove('hidden');
+    }
+
+    hide() {
+        if (!this.panel) return;
+        this.isVisible = false;
+        this.panel.classList.add('hidden');
+        this.resizer.classList.add('hidden');
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+            if (!this.pdfDocument && window.ide?.compileManager?.lastResult?.pdfPath) {
+                this.openPdf(window.ide.compileManager.lastResult.pdfPath);
+            }
+        }
+    }
+
+    /**
+     * 从虚拟文件系统加载并显示 PDF
+     * 重新加载同一文件时保持滚动位置
+     * @param {string} pdfPath - PDF 文件路径
+     */
+    async openPdf(pdfPath) {
+        if (!this.panel || !window.ide) return;
+
+        this.show();
+
+        const token = ++this.loadToken;
+        const isReload = pdfPath === this.currentPdfPath && this.pdfDocument;
+        const scrollState = isReload ? this.getScrollState() : null;
+
+        try {
+            const data = await window.ide.fileSystem.readBinaryFile(pdfPath);
+            const pdfDocument = await pdfjsLib.getDocument({ data }).promise;
+            if (token !== this.loadToken) {
+                pdfDocument.destroy();
+                return;
+            }
+
+            // 旧文档上未完成的渲染会因 renderToken 变化而被丢弃，旧页面也不再按需渲染，之后可以安全地销毁
+            const previous = this.pdfDocument;
+            this.pdfDocument = pdfDocument;
+            this.currentPdfPath = pdfPath;
+            this.updatePartialBadge();
+            const rendering = this.renderDocument();
+            this.observer?.disconnect();
+            previous?.destroy();
+            const shown = await rendering;
+            if (token !== this.loadToken) return;
+
+            await this.loadSyncTeX(pdfPath, token);
+            if (!shown || token !== this.loadToken) return;
+
+            if (scrollState) {
+                this.restoreScrollState(scrollState);
+            } else {
+                this.pagesContainer.scrollTop = 0;
+            }
+        } catch (error) {
+            if (token !== this.loadToken) return;
+            console.error('加载 PDF 失败:', error);
+            this.pagesContainer.innerHTML = `<div class="pdf-preview-empty">加载 PDF 失败: ${error.message}</div>`;
+        }
+    }
+
+    // 为所有页面创建占位元素，进入视口时再渲染
+    // 新页面在后台构建，当前位置附近的页面渲染完成后才替换旧内容，避免重新加载时闪烁
+    // 构建期间文档被替换或再次开始渲染时放弃本次结果，返回是否已显示
+    async renderDocument() {
+        const token = ++this.renderToken;
+        const pdfDocument = this.pdfDocument;
+        const isCurrent = () => token === this.renderToken;
+
+        try {
+            const scale = this.config.fitWidth ? await this.computeFitWidthScale(pdfDocument) : this.config.scale;
+            if (!isCurrent()) return false;
+            this.config.scale = scale;
+
+            const currentPage = this.pageViews.length > 0 ? this.getCurrentPage() : 1;
+            const fragment = document.createDocumentFragment();
+            const pageViews = [];
+
+            for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+                const page = await pdfDocument.getPage(pageNumber);
+                if (!isCurrent()) return false;
+                const viewport = page.getViewport({ scale });
+
+                const element = document.createElement('div');
+                element.className = 'pdf-page';
+                element.dataset.pageNumber = pageNumber;
+                element.style.width = `${viewport.width}px`;
+                element.style.height = `${viewport.height}px`;
+
+                fragment.appendChild(element);
+                pageViews.push({ element, page, viewport, rendered: false, renderTask: null });
+            }
+
+            await Promise.all([currentPage - 1, currentPage, currentPage + 1].map(n => this.renderView(pageViews[n - 1])));
+            if (!isCurrent()) return false;
+
+            if (this.observer) {
+                this.observer.disconnect();
+            }
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.renderPage(parseInt(entry.target.dataset.pageNumber, 10));
+                    }
+                });
+            }, { root: this.pagesContainer, rootMargin: '200px 0px' });
+
+            this.pageViews = pageViews;
+            this.pagesContainer.replaceChildren(fragment);
+            this.pageViews.forEach(view => this.observer.observe(view.element));
+
+            this.pageInput.max = pdfDocument.numPages;
+            this.pageCountLabel.textContent = `/ ${pdfDocument.numPages}`;
+            this.zoomLabel.textContent = `${Math.round(scale * 100)}%`;
+            this.updateCurrentPageFromScroll();
+            return true;
+        } catch (error) {
+            // 被替换的文档已销毁，其上未完成的操作会失败
+            if (!isCurrent()) return false;
+            throw error;
+        }
+    }
+
+    renderPage(pageNumber) {
+        return this.renderView(this.pageViews[pageNumber - 1]);
+    }
+
+    async renderView(view) {
+        if (!view || view.rendered) return;
+        view.rendered = true;
+
+        const outputScale = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(view.viewport.width * outputScale);
+        canvas.height = Math.floor(view.viewport.height * outputScale);
+        canvas.style.width = `${view.viewport.width}px`;
+        canvas.style.height = `${view.viewport.height}px`;
+
+        try {
+            view.renderTask = view.page.render({
+                canvasContext: canvas.getContext('2d'),
+                viewport: view.viewport,
+                transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+            });
+            await view.renderTask.promise;
+            view.element.insertBefore(canvas, view.element.firstChild);
+        } catch (error) {
+            if (error.name !== 'RenderingCancelledException') {
+                console.error(`渲染第 ${view.element.dataset.pageNumber} 页失败:`, error);
+            }
+            view.rendered = false;
+        }
+    }
+
+    async computeFitWidthScale(pdfDocument = this.pdfDocument) {
+        const page = await pdfDocument.getPage(1);
+        const viewport = page.getViewport({ scale: 1 });
+        const availableWidth = this.pagesContainer.clientWidth - 32;
+        return Math.min(this.maxScale, Math.max(this.minScale, availableWidth / viewport.width));
+    }
+
+    async applyFitWidth() {
+        if (!this.pdfDocument) return;
+        await this.setScale(await this.computeFitWidthScale(), true);
+    }
+
+    // 设置缩放比例并重新渲染，保持当前阅读位置
+    async setScale(scale, keepFitWidth = false) {
+        this.config.scale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+        this.config.fitWidth = keepFitWidth;
+        this.saveConfig();
+
+        if (!this.pdfDocument) {
+            this.zoomLabel.textContent = `${Math.round(this.config.scale * 100)}%`;
+            return;
+        }
+
+        const scrollState = this.getScrollState();
+        const fitWidth = this.config.fitWidth;
+        this.config.fitWidth = false; // 避免 renderDocument 覆盖指定的缩放比例
+        const rendering = this.renderDocument();
+        this.config.fitWidth = fitWidth;
+        if (await rendering) this.restoreScrollState(scrollState);
+    }
+
+    // 以相对位置记录滚动状态，缩放后仍能定位到同一处
+    getScrollState() {
+        const container = this.pagesContainer;
+        return {
+            top: container.scrollHeight ? container.scrollTop / container.scrollHeight : 0,
+            left: container.scrollWidth ? container.scrollLeft / container.scrollWidth : 0
+        };
+    }
+
+    restoreScrollState(state) {
+        const container = this.pagesContainer;
+        container.scrollTop = state.top * container.scrollHeight;
+        container.scrollLeft = state.left * container.scrollWidth;
+    }
+
+    getCurrentPage() {
+        return parseInt(this.pageInput.value, 10) || 1;
+    }
+
+    goToPage(pageNumber) {
+        if (!this.pdfDocument) return;
+
+        const target = Math.min(this.pdfDocument.numPages, Math.max(1, pageNumber || 1));
+        const view = this.pageViews[target - 1];
+        if (view) {
+            this.pagesContainer.scrollTop = view.element.offsetTop - this.pagesContainer.offsetTop;
+            this.pageInput.value = target;
+        }
+    }
+
+    updateCurrentPageFromScroll() {
+        const scrollTop = this.pagesContainer.scrollTop + this.pagesContainer.offsetTop;
+        let current = 1;
+        for (let i = 0; i < this.pageViews.length; i++) {
+            const element = this.pageViews[i].element;
+            if (element.offsetTop + element.offsetHeight / 2 > scrollTop) {
+                current = i + 1;
+                break;
+            }
+        }
+        this.pageInput.value = current;
+    }
+
+    showStatus(message) {
+        const statusText = document.getElementById('statusText');
+        if (statusText) {
+            statusText.textContent = message;
+        }
+    }
+
+    saveConfig() {
+        this.pluginManager.setPluginConfig(this.id, this.config);
+    }
+
+    /**
+     * 添加样式
+     */
+    addStyles() {
+        if (document.getElementById('pdf-preview-styles')) return;
+
+        const styles = document.createElement('style');
+        styles.id = 'pdf-preview-styles';
+        styles.textContent = `
+            .pdf-preview {
+                display: flex;
+                flex-direction: column;
+                background: #3c3c3c;
+                border-left: 1px solid #3e3e42;
+                min-width: 240px;
+                flex-shrink: 0;
+            }
+
+            .pdf-preview.hidden,
+            .pdf-preview-resizer.hidden {
+                display: none;
+            }
+
+            .pdf-preview-resizer {
+                width: 4px;
+                cursor: col-resize;
+                background: #2d2d30;
+                flex-shrink: 0;
+            }
+
+            .pdf-preview-resizer:hover,
+            .pdf-preview-resizing .pdf-preview-resizer {
+                background: #0e639c;
+            }
+
+            .pdf-preview-resizing {
+                cursor: col-resize;
+                user-select: none;
+            }
+
+            .pdf-preview-resizing .pdf-preview-pages {
+                pointer-events: none;
+            }
+
+            .pdf-preview-toolbar {
+                height: 35px;
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                padding: 0 8px;
+                background: #2d2d30;
+                border-bottom: 1px solid #3e3e42;
+                font-size: 12px;
+                flex-shrink: 0;
+            }
+
+            .pdf-btn {
+                background: none;
+                border: none;
+                color: #d4d4d4;
+                cursor: pointer;
+                padding: 2px 6px;
+                border-radius: 3px;
+                font-size: 13px;
+            }
+
+            .pdf-btn:hover {
+                background: #3e3e42;
+            }
+
+            .pdf-page-input {
+                width: 44px;
+                background: #1e1e1e;
+                border: 1px solid #3e3e42;
+                color: #d4d4d4;
+                border-radius: 3px;
+                padding: 2px 4px;
+                font-size: 12px;
+            }
+
+            .pdf-page-count,
+            .pdf-zoom-value {
+                color: #aaa;
+                min-width: 36px;
+            }
+
+            .pdf-toolbar-separator {
+                width: 1px;
+                height: 16px;
+                background: #555;
+                margin: 0 4px;
+            }
+
+            .pdf-partial-badge {
+                padding: 1px 6px;
+                border-radius: 3px;
+                background: #b8860b;
+                color: white;
+                font-size: 11px;
+                white-space: nowrap;
+                cursor: default;
+            }
+
+            .pdf-partial-badge.hidden {
+                display: none;
+            }
+
+            .pdf-preview-pages {
+                flex: 1;
+                overflow: auto;
+                padding: 16px;
+                position: relative;
+            }
+
+            .pdf-page {
+                position: relative;
+                margin: 0 auto 16px;
+                background: white;
+                box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+            }
+
+            .pdf-page canvas {
+                display: block;
+            }
+
+            .pdf-synctex-highlight {
+                position: absolute;
+                background: rgba(255, 200, 0, 0.35);
+                border: 1px solid rgba(255, 160, 0, 0.8);
+                pointer-events: none;
+                animation: pdf-synctex-fade 1.5s ease-out forwards;
+            }
+
+            @keyframes pdf-synctex-fade {
+                0%, 60% { opacity: 1; }
+                100% { opacity: 0; }
+            }
+
+            .pdf-preview-empty {
+                color: #aaa;
+                text-align: center;
+                margin-top: 40px;
+                font-style: italic;
+                font-size: 13px;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        if (this.pdfDocument) {
+            this.pdfDocument.destroy();
+        }
+        if (this.panel) {
+            this.panel.remove();
+            this.resizer.remove();
+        }
+        console.log('PDF 预览插件已卸载');
+    }
+}
@@ -0,0 +1,317 @@
+/**
+ * LaTeX 编译 Worker
+ * 在独立线程中运行 WebAssembly TeX 引擎，主线程只负责收发文件
+ *
+ * 引擎为 Emscripten 构建的模块，随应用一起部署在 /engines/ 下，
+ * 不依赖任何编译服务器，可完全离线运行
+ */
+
+const ENGINE_BASE_URL = '/engines/';
+const WORK_DIR = '/work';
+// 引擎脚本不存在（未随应用部署）时的错误代码，编译管理器据此跳过辅助程序
+const ENGINE_NOT_FOUND = 'ENGINE_NOT_FOUND';
+
+// 程序名 -> 引擎脚本与工厂函数
+// type 为 tex 的引擎会自动附加编译参数与主文件，其它工具按调用方给出的参数运行
+// legacy 的引擎是非 MODULARIZE 的旧版构建（pdftex.js 包，构建时由 vite.config.js 复制到 /engines/），
+// files 为脚本运行时下载的内存初始化文件与文件树
+const ENGINES = {
+    pdflatex: {
+        type: 'tex',
+        script: 'pdftex-worker.js',
+        legacy: true,
+        files: ['pdftex-worker.js.mem', 'pdftex-worker.data'],
+        args: ['-output-format=pdf']
+    },
+    xelatex: { type: 'tex', script: 'xetex.js', factory: 'createXeTeXModule', args: ['-fmt=xelatex'] },
+    lualatex: { type: 'tex', script: 'luatex.js', factory: 'createLuaTeXModule', args: ['-fmt=lualatex'] },
+    bibtex: { type: 'tool', script: 'bibtex.js', factory: 'createBibTeXModule', args: [] },
+    biber: { type: 'tool', script: 'biber.js', factory: 'createBiberModule', args: [] },
+    makeindex: { type: 'tool', script: 'makeindex.js', factory: 'createMakeIndexModule', args: [] }
+};
+
+const loadedScripts = new Set();
+const legacyFactories = new Map(); // 脚本 -> Promise<编译好的脚本函数>
+const legacyFiles = new Map(); // URL -> Promise<ArrayBuffer>，引擎运行时下载的文件
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        switch (type) {
+            case 'compile': {
+                const result = await runEngine(payload);
+                const transfer = Object.values(result.outputs).map(data => data.buffer);
+                self.postMessage({ id, type: 'result', payload: result }, transfer);
+                break;
+            }
+            default:
+                throw new Error(`未知的 Worker 消息类型: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message || String(error), code: error.code });
+    }
+};
+
+// 加载引擎脚本（每个脚本只加载一次）
+function loadEngineScript(engine) {
+    if (loadedScripts.has(engine.script)) {
+        return;
+    }
+
+    try {
+        importScripts(ENGINE_BASE_URL + engine.script);
+    } catch (error) {
+        throw engineNotFound(`无法加载 TeX 引擎 ${ENGINE_BASE_URL}${engine.script}: ${error.message}`);
+    }
+
+    if (typeof self[engine.factory] !== 'function') {
+        throw engineNotFound(`TeX 引擎脚本未导出 ${engine.factory}`);
+    }
+
+    loadedScripts.add(engine.script);
+}
+
+function engineNotFound(message) {
+    const error = new Error(message);
+    error.code = ENGINE_NOT_FOUND;
+    return error;
+}
+
+/**
+ * 创建旧版引擎的实例
+ * 旧版构建把 Module、FS 等声明为脚本的全局变量，且自带 Worker 消息处理，
+ * 这里在新的函数作用域中执行脚本，屏蔽其 postMessage 与 addEventListener，
+ * 等文件树加载完成（脚本发出 ready）后返回与 MODULARIZE 模块相同的 { FS, callMain } 接口
+ *
+ * 脚本只编译一次，约 50 MB 的文件树等文件只下载一次，每次运行只重新执行脚本得到新实例；
+ * 脚本用 XMLHttpRequest 下载这些文件，这里以从缓存中读取的实现替换它
+ */
+async function createLegacyModule(engine, options) {
+    const [factory] = await Promise.all([
+        loadLegacyFactory(engine),
+        ...engine.files.map(file => loadLegacyFile(options.locateFile(file)))
+    ]);
+    const files = new Map();
+    for (const file of engine.files) {
+        const url = options.locateFile(file);
+        files.set(url, await legacyFiles.get(url));
+    }
+
+    return new Promise((resolve, reject) => {
+        // 脚本在回调中抛出的异常只能从 Worker 的 error 事件得知，阻止其继续传到主线程
+        const onError = (event) => {
+            event.preventDefault();
+            self.removeEventListener('error', onError);
+            reject(new Error(`TeX 引擎初始化失败: ${event.message}`));
+        };
+        self.addEventListener('error', onError);
+
+        const Module = {
+            locateFile: options.locateFile,
+            onExit: (status) => { Module.exitStatus = status; }
+        };
+        let instance = null;
+        const postMessage = (message) => {
+            if (message.type === 'log') {
+                options.print(message.value);
+            } else if (message.type === 'err') {
+                options.printErr(message.value);
+            } else if (message.type === 'ready') {
+                self.removeEventListener('error', onError);
+                // ready 可能在脚本执行期间同步发出
+                Promise.resolve().then(() => resolve(instance));
+            }
+        };
+
+        try {
+            instance = factory.call(self, Module, postMessage, () => {}, createCachedRequest(files));
+        } catch (error) {
+            self.removeEventListener('error', onError);
+            reject(error);
+        }
+    });
+}
+
+function loadLegacyFactory(engine) {
+    if (!legacyFactories.has(engine.script)) {
+        const loading = fetchEngineFile(ENGINE_BASE_URL + engine.script)
+            .then(response => response.text())
+            // 脚本末尾追加的代码运行在脚本自己的作用域中，可以访问其中的 FS 与 shouldRunNow
+            .then(source => new Function('Module', 'postMessage', 'addEventListener', 'XMLHttpRequest', source + `
+                return {
+                    FS: FS,
+                    callMain: function (args) {
+                        shouldRunNow = true;
+                        Module.calledRun = false;
+                        Module.run(args);
+                        return Module.exitStatus;
+                    }
+                };`));
+        // 加载失败时允许下次重试
+        loading.catch(() => legacyFactories.delete(engine.script));
+        legacyFactories.set(engine.script, loading);
+    }
+    return legacyFactories.get(engine.script);
+}
+
+function loadLegacyFile(url) {
+    if (!legacyFiles.has(url)) {
+        const loading = fetchEngineFile(url).then(response => response.arrayBuffer());
+        loading.catch(() => legacyFiles.delete(url));
+        legacyFiles.set(url, loading);
+    }
+    return legacyFiles.get(url);
+}
+
+async function fetchEngineFile(url) {
+    const response = await fetch(url).catch(error => ({ ok: false, statusText: error.message }));
+    if (!response.ok) {
+        throw new Error(`无法加载 TeX 引擎 ${url}: ${response.statusText}`);
+    }
+    return response;
+}
+
+/**
+ * 只支持异步 GET 的 XMLHttpRequest，从已下载的文件中返回内容
+ * 引擎只读取这些数据（复制到自己的内存中），多个实例可以共用同一个 ArrayBuffer
+ */
+function createCachedRequest(files) {
+    return class CachedRequest {
+        open(method, url) {
+            this.url = url;
+        }
+
+        send() {
+            setTimeout(() => {
+                this.response = files.get(this.url) || null;
+                this.status = this.response ? 200 : 404;
+                this.statusText = this.response ? 'OK' : 'Not Found';
+                this.responseURL = this.url;
+                if (this.response) {
+                    this.onload?.({});
+                } else {
+                    this.onerror?.({});
+                }
+            });
+        }
+    };
+}
+
+// 运行一次引擎，返回退出码、日志与新产生或被修改的文件
+async function runEngine({ program = 'pdflatex', files, mainFile, jobName: requestedJobName, args = [] }) {
+    const engine = ENGINES[program];
+    if (!engine) {
+        throw new Error(`不支持的编译程序: ${program}`);
+    }
+
+    const stdout = [];
+    const options = {
+        noInitialRun: true,
+        locateFile: (path) => ENGINE_BASE_URL + path,
+        print: (line) => stdout.push(line),
+        printErr: (line) => stdout.push(line)
+    };
+
+    // Emscripten 的 callMain 只能调用一次，因此每次编译都创建新实例
+    let module;
+    if (engine.legacy) {
+        module = await createLegacyModule(engine, options);
+    } else {
+        loadEngineScript(engine);
+        module = await self[engine.factory](options);
+    }
+
+    const FS = module.FS;
+    FS.mkdir(WORK_DIR);
+    FS.chdir(WORK_DIR);
+
+    const inputs = new Map();
+    for (const file of files) {
+        writeFile(FS, file.path, file.data);
+        inputs.set(file.path, file.data);
+    }
+
+    const jobName = requestedJobName || mainFile.split('/').pop().replace(/\.tex$/, '');
+    const engineArgs = engine.type === 'tex'
+        ? [
+            ...engine.args,
+            '-interaction=nonstopmode',
+            '-file-line-error',
+            '-synctex=1',
+            `-jobname=${jobName}`,
+            ...args,
+            mainFile
+        ]
+        : [...engine.args, ...args];
+
+    let exitCode;
+    try {
+        exitCode = module.callMain(engineArgs);
+    } catch (error) {
+        // 以 EXIT_RUNTIME 构建的引擎通过异常返回退出码
+        if (error && typeof error.status === 'number') {
+            exitCode = error.status;
+        } else {
+            throw error;
+        }
+    }
+
+    // 收集引擎新生成或修改过的文件（多遍编译时 .aux 等文件会被重写）
+    const outputs = {};
+    collectOutputs(FS, WORK_DIR, '', inputs, outputs);
+
+    const logPath = `${jobName}.log`;
+    const log = engine.type === 'tex' && outputs[logPath]
+        ? new TextDecoder().decode(outputs[logPath])
+        : stdout.join('\n');
+
+    return {
+        exitCode: typeof exitCode === 'number' ? exitCode : 0,
+        jobName,
+        log,
+        outputs
+    };
+}
+
+function writeFile(FS, relativePath, data) {
+    const parts = relativePath.split('/').filter(Boolean);
+    let dir = WORK_DIR;
+    for (const part of parts.slice(0, -1)) {
+        dir = `${dir}/${part}`;
+        try {
+            FS.mkdir(dir);
+        } catch (error) {
+            // 目录已存在
+        }
+    }
+    // 旧版 Emscripten 的 FS 只有指定 binary 编码时才接受字节数组
+    FS.writeFile(`${WORK_DIR}/${parts.join('/')}`, data, { encoding: 'binary' });
+}
+
+function collectOutputs(FS, absDir, relDir, inputs, outputs) {
+    for (const name of FS.readdir(absDir)) {
+        if (name === '.' || name === '..') continue;
+
+        const absPath = `${absDir}/${name}`;
+        const relPath = relDir ? `${relDir}/${name}` : name;
+        const stat = FS.stat(absPath);
+
+        if (FS.isDir(stat.mode)) {
+            collectOutputs(FS, absPath, relPath, inputs, outputs);
+        } else {
+            const data = FS.readFile(absPath);
+            if (!inputs.has(relPath) || !sameBytes(inputs.get(relPath), data)) {
+                outputs[relPath] = data;
+            }
+        }
+    }
+}
+
+function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
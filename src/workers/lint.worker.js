@@ -0,0 +1,43 @@
+/**
+ * LaTeX 代码检查 Worker
+ * 在独立线程中运行 LintRules，避免大文档检查时阻塞编辑器
+ */
+import { lintLaTeX } from '../core/LintRules.js';
+import { parseLabels } from '../core/LabelIndex.js';
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        switch (type) {
+            case 'lint':
+                self.postMessage({ id, type: 'result', payload: lintFiles(payload) });
+                break;
+            default:
+                throw new Error(`未知的 Worker 消息类型: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message || String(error) });
+    }
+};
+
+/**
+ * 检查一组文件；未使用的标签按 references（项目中被引用的标签）判断，省略时按这组文件中的引用判断
+ * @param {Object} payload - { files: [{ file, text }], severities, references }
+ * @returns {Object} { results: [{ file, diagnostics }] }
+ */
+function lintFiles({ files, severities, references: projectReferences }) {
+    const references = new Set(projectReferences || []);
+    if (!projectReferences) {
+        for (const { text } of files) {
+            for (const ref of parseLabels(text).refs) references.add(ref.name);
+        }
+    }
+
+    return {
+        results: files.map(({ file, text }) => ({
+            file,
+            diagnostics: lintLaTeX(text, { severities, references })
+        }))
+    };
+}
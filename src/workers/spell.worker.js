@@ -0,0 +1,125 @@
+/**
+ * 拼写检查 Worker
+ * 加载随应用打包的 Hunspell 词典（nspell），在独立线程中检查正文中的单词
+ */
+import nspell from 'nspell';
+import { extractProse } from '../core/SpellCheck.js';
+
+import enAff from 'dictionary-en/index.aff?url';
+import enDic from 'dictionary-en/index.dic?url';
+import enGbAff from 'dictionary-en-gb/index.aff?url';
+import enGbDic from 'dictionary-en-gb/index.dic?url';
+import deAff from 'dictionary-de/index.aff?url';
+import deDic from 'dictionary-de/index.dic?url';
+import frAff from 'dictionary-fr/index.aff?url';
+import frDic from 'dictionary-fr/index.dic?url';
+import esAff from 'dictionary-es/index.aff?url';
+import esDic from 'dictionary-es/index.dic?url';
+
+// 语言 -> 词典文件，与 SpellCheck.js 中的 SPELLING_LANGUAGES 一致
+const DICTIONARIES = {
+    en: { aff: enAff, dic: enDic },
+    'en-GB': { aff: enGbAff, dic: enGbDic },
+    de: { aff: deAff, dic: deDic },
+    fr: { aff: frAff, dic: frDic },
+    es: { aff: esAff, dic: esDic }
+};
+
+const spellers = new Map(); // 语言 -> Promise<nspell>
+let results = new Map(); // 单词 -> 是否正确，语言或项目词典变化时清空
+let configKey = '';
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        switch (type) {
+            case 'check':
+                self.postMessage({ id, type: 'result', payload: await checkFiles(payload) });
+                break;
+            case 'suggest':
+                self.postMessage({ id, type: 'result', payload: await suggest(payload) });
+                break;
+            default:
+                throw new Error(`未知的 Worker 消息类型: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message || String(error) });
+    }
+};
+
+function loadSpeller(language) {
+    if (!spellers.has(language)) {
+        const files = DICTIONARIES[language];
+        if (!files) throw new Error(`没有 ${language} 的词典`);
+
+        const loading = Promise.all([fetchText(files.aff), fetchText(files.dic)])
+            .then(([aff, dic]) => nspell(aff, dic));
+        // 加载失败时允许下次重试
+        loading.catch(() => spellers.delete(language));
+        spellers.set(language, loading);
+    }
+    return spellers.get(language);
+}
+
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`无法加载词典 ${url}（${response.status}）`);
+    return response.text();
+}
+
+async function getSpellers(languages) {
+    return Promise.all(languages.filter(language => DICTIONARIES[language]).map(loadSpeller));
+}
+
+/**
+ * 检查一组文件
+ * @param {Object} payload - { files: [{ file, text }], languages, words: 项目词典中的单词 }
+ * @returns {Object} { results: [{ file, misspelled: [{ word, line, column, endColumn }], repeated }] }
+ */
+async function checkFiles({ files, languages, words }) {
+    const checkers = await getSpellers(languages);
+    const custom = new Set(words);
+
+    const key = JSON.stringify([languages, words]);
+    if (key !== configKey) {
+        results = new Map();
+        configKey = key;
+    }
+
+    const isCorrect = (word) => {
+        if (custom.has(word) || custom.has(word.toLowerCase())) return true;
+        if (!results.has(word)) {
+            results.set(word, checkers.length === 0 || checkers.some(speller => speller.correct(word)));
+        }
+        return results.get(word);
+    };
+
+    return {
+        results: files.map(({ file, text }) => {
+            const { words: fileWords, repeated } = extractProse(text);
+            return {
+                file,
+                misspelled: fileWords
+                    .filter(({ word }) => !isCorrect(word))
+                    .map(({ word, line, column, endColumn }) => ({ word, line, column, endColumn })),
+                repeated
+            };
+        })
+    };
+}
+
+/**
+ * 获取拼写建议，多个语言的建议合并后去重
+ * @param {Object} payload - { word, languages, limit }
+ * @returns {Object} { suggestions }
+ */
+async function suggest({ word, languages, limit = 5 }) {
+    const suggestions = [];
+    for (const speller of await getSpellers(languages)) {
+        for (const suggestion of speller.suggest(word)) {
+            if (!suggestions.includes(suggestion)) suggestions.push(suggestion);
+        }
+    }
+    return { suggestions: suggestions.slice(0, limit) };
+}
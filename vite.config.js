@@ -1,6 +1,47 @@
 import { defineConfig } from 'vite'
+import { fileURLToPath } from 'node:url'
+import { copyFileSync, createReadStream, existsSync, mkdirSync } from 'node:fs'
+import { resolve } from 'node:path'
+
+// 随应用部署的 TeX 引擎（pdfTeX 与 TeX Live 文件树），由 latex.worker.js 从 /engines/ 加载
+const TEX_ENGINE_FILES = {
+  'pdftex-worker.js': 'pdftex.js/pdftex-worker.js',
+  'pdftex-worker.js.mem': 'pdftex.js/pdftex-worker.js.mem',
+  'pdftex-worker.data': 'pdftex.js/pdftex-worker.data'
+}
+
+// 开发服务器直接从 node_modules 提供引擎文件，构建时复制到 dist/engines/
+function texEngines() {
+  const source = (name) => fileURLToPath(new URL(`./node_modules/${TEX_ENGINE_FILES[name]}`, import.meta.url))
+  let outDir
+
+  return {
+    name: 'tex-engines',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    configureServer(server) {
+      server.middlewares.use('/engines', (req, res, next) => {
+        const name = req.url.split('?')[0].slice(1)
+        if (!TEX_ENGINE_FILES[name]) return next()
+        res.setHeader('Content-Type', name.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+        createReadStream(source(name)).pipe(res)
+      })
+    },
+    writeBundle() {
+      mkdirSync(resolve(outDir, 'engines'), { recursive: true })
+      for (const name of Object.keys(TEX_ENGINE_FILES)) {
+        if (!existsSync(source(name))) {
+          this.error(`找不到 TeX 引擎文件 ${TEX_ENGINE_FILES[name]}，请先运行 npm install`)
+        }
+        copyFileSync(source(name), resolve(outDir, 'engines', name))
+      }
+    }
+  }
+}
 
 export default defineConfig({
+  plugins: [texEngines()],
   server: {
     port: 3000,
     open: true
@@ -16,6 +57,15 @@ export default defineConfig({
       }
     }
   },
+  resolve: {
+    alias: [
+      // Hunspell 词典包只导出 Node.js 入口，拼写检查直接引用其中的 .aff 与 .dic 文件
+      {
+        find: /^(dictionary-[a-z-]+)\/(index\.(?:aff|dic)(?:\?.*)?)$/,
+        replacement: fileURLToPath(new URL('./node_modules/', import.meta.url)) + '$1/$2'
+      }
+    ]
+  },
   optimizeDeps: {
     include: ['monaco-editor', 'browserfs']
   },